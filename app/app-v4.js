@@ -898,16 +898,18 @@ function cleanForCSV(text) {
  * Generate single column CSV (combined location)
  */
 function generateSingleColumnCSV(results) {
-    const headers = ['Row', 'Text', 'Location'];
+    const headers = ['Row', 'Text', 'Location', 'Location Code'];
     const rows = [headers];
 
     results.forEach((result, index) => {
         const locationString = cleanForCSV(formatLocationDisplay(result));
+        const codes = getLocationCodes(result.location);
 
         rows.push([
             index + 1,
             `"${result.text.replace(/"/g, '""')}"`,
-            `"${locationString.replace(/"/g, '""')}"`
+            `"${locationString.replace(/"/g, '""')}"`,
+            codes.barangayCode || codes.cityCode || codes.provinceCode || codes.regionCode || ''
         ]);
     });
 
@@ -918,11 +920,15 @@ function generateSingleColumnCSV(results) {
  * Generate multi-column CSV (separated location fields)
  */
 function generateMultiColumnCSV(results) {
-    const headers = ['Row', 'Text', 'Region', 'Province', 'City', 'Barangay'];
+    const headers = [
+        'Row', 'Text', 'Region', 'Province', 'City', 'Barangay',
+        'Region Code', 'Province Code', 'City Code', 'Barangay Code'
+    ];
     const rows = [headers];
 
     results.forEach((result, index) => {
         const location = normalizeLocation(result.location);
+        const codes = getLocationCodes(result.location);
 
         rows.push([
             index + 1,
@@ -930,13 +936,30 @@ function generateMultiColumnCSV(results) {
             cleanForCSV(location.region),
             cleanForCSV(location.province),
             cleanForCSV(location.city),
-            cleanForCSV(location.barangay)
+            cleanForCSV(location.barangay),
+            codes.regionCode || '',
+            codes.provinceCode || '',
+            codes.cityCode || '',
+            codes.barangayCode || ''
         ]);
     });
 
     return rows.map(row => row.join(',')).join('\n');
 }
 
+/**
+ * Read the gazetteer codes attached to a result location
+ */
+function getLocationCodes(location) {
+    const source = location && typeof location === 'object' ? location : {};
+    return {
+        regionCode: source.regionCode || null,
+        provinceCode: source.provinceCode || null,
+        cityCode: source.cityCode || null,
+        barangayCode: source.barangayCode || null
+    };
+}
+
 /**
  * Download results as CSV
  */
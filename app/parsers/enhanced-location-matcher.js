@@ -11,6 +11,7 @@ const {
   validateLocationCandidate,
   preprocessTextForParsing
 } = require('../utils/false-positive-filter');
+const { locateSpans } = require('../utils/text-spans');
 
 const EXPLICIT_LOCATION_PATTERNS = [
   /\blocation\s*[:=]\s*[a-z]/i,
@@ -72,8 +73,21 @@ class EnhancedLocationMatcher {
 
   /**
    * Find location with word boundary enforcement
+   * Adds `spans` (per level) and `match` offsets into the original text
    */
   findLocationWithBoundaries(text, originalText = null) {
+    const match = this.findLocationMatch(text, originalText);
+    if (!match) {
+      return null;
+    }
+
+    return { ...match, ...locateSpans(originalText || text, match) };
+  }
+
+  /**
+   * Run the matching strategies in priority order
+   */
+  findLocationMatch(text, originalText = null) {
     if (!text || !this.excelIndex.initialized) {
       return null;
     }
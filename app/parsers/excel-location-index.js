@@ -6,6 +6,9 @@
 const fs = require('fs');
 const path = require('path');
 
+// Built by utils/convert-excel-to-json.js; optional, not shipped
+const EXCEL_INDEX_PATH = path.join(__dirname, '../data/philippines-locations-excel.json');
+
 class ExcelLocationIndex {
   constructor() {
     this.data = null;
@@ -27,8 +30,7 @@ class ExcelLocationIndex {
   initialize() {
     try {
       // Load Excel-converted JSON data
-      const dataPath = path.join(__dirname, '../data/philippines-locations-excel.json');
-      this.data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+      this.data = JSON.parse(fs.readFileSync(EXCEL_INDEX_PATH, 'utf8'));
 
       // Build normalized indexes
       this.buildIndexes();
@@ -42,7 +44,7 @@ class ExcelLocationIndex {
       console.log(`- ${this.data.stats.totalCities} cities`);
       console.log(`- ${this.data.stats.totalBarangays} barangays`);
     } catch (error) {
-      console.error('Failed to initialize Excel Location Index:', error);
+      console.error(`Failed to initialize Excel Location Index: ${error.message}`);
       this.initialized = false;
     }
   }
@@ -345,6 +347,7 @@ function getInstance() {
 }
 
 module.exports = {
+  EXCEL_INDEX_PATH,
   ExcelLocationIndex,
   getInstance
 };
\ No newline at end of file
@@ -7,11 +7,74 @@
 const fs = require('fs');
 const path = require('path');
 
+// Display names for the region keys used in the 2019 database
+const REGION_DISPLAY_NAMES = {
+  'NCR': 'National Capital Region (NCR)',
+  'CAR': 'Cordillera Administrative Region (CAR)',
+  '01': 'Ilocos Region',
+  '02': 'Cagayan Valley',
+  '03': 'Central Luzon',
+  '4A': 'CALABARZON',
+  '4B': 'MIMAROPA',
+  '05': 'Bicol Region',
+  '06': 'Western Visayas',
+  '07': 'Central Visayas',
+  '08': 'Eastern Visayas',
+  '09': 'Zamboanga Peninsula',
+  '10': 'Northern Mindanao',
+  '11': 'Davao Region',
+  '12': 'SOCCSKSARGEN',
+  '13': 'Caraga',
+  'BARMM': 'Bangsamoro Autonomous Region in Muslim Mindanao (BARMM)'
+};
+
+// Alternative names people (and LLMs) use for Metro Manila as a "province"
+const METRO_MANILA_ALIASES = new Set([
+  'metro manila', 'ncr', 'national capital region', 'manila'
+]);
+
+// The database files the City of Manila as a province of its districts
+const MANILA_PROVINCE = 'NATIONAL CAPITAL REGION - MANILA';
+
+// Digits per level in a 10-digit PSGC code: region, province, city/municipality, barangay
+const PSGC_LEVEL_WIDTHS = [2, 3, 2, 3];
+
+// Bundled gazetteer; its file name and content hash form the gazetteer version
+const GAZETTEER_PATH = path.join(__dirname, '../docs/philippine_provinces_cities_municipalities_and_barangays_2019v2.json');
+
+// PSA PSGC codes matched to the gazetteer entries (utils/build-psgc-codes.js)
+const PSGC_CODES_PATH = path.join(__dirname, '../data/psgc-codes.json');
+
+/**
+ * Load the PSGC table; without it every code is null
+ */
+function loadPsgcCodes() {
+  if (!fs.existsSync(PSGC_CODES_PATH)) {
+    console.warn(`⚠️ PSGC code table not found (${path.basename(PSGC_CODES_PATH)}); location codes will be null`);
+    return { regions: {} };
+  }
+  return JSON.parse(fs.readFileSync(PSGC_CODES_PATH, 'utf8'));
+}
+
+/**
+ * The digits of a PSGC code that its descendants share:
+ * "0700000000" -> "07", "1380600000" -> "13806"
+ */
+function getPsgcPrefix(code) {
+  let end = code.length;
+  for (let level = PSGC_LEVEL_WIDTHS.length - 1; level > 0; level--) {
+    const start = end - PSGC_LEVEL_WIDTHS[level];
+    if (!/^0+$/.test(code.slice(start, end))) break;
+    end = start;
+  }
+  return code.slice(0, end);
+}
+
 class PhilippineLocationIndex {
   constructor() {
     // Load the official hierarchical database
-    const dataPath = path.join(__dirname, '../docs/philippine_provinces_cities_municipalities_and_barangays_2019v2.json');
-    this.data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+    this.data = JSON.parse(fs.readFileSync(GAZETTEER_PATH, 'utf8'));
+    this.psgc = loadPsgcCodes();
 
     // Initialize indexes
     this.barangayIndex = {};      // normalized barangay -> [{full location info}]
@@ -19,6 +82,8 @@ class PhilippineLocationIndex {
     this.provinceIndex = {};      // normalized province -> {region info}
     this.ambiguousBarangays = new Set();  // barangays appearing in multiple cities
     this.ambiguousCities = new Set();     // cities appearing in multiple provinces
+    this.codeIndex = {};          // PSGC code -> location info
+    this.regionPsgc = {};         // gazetteer region key -> PSGC code
 
     // Build the indexes
     this.buildIndexes();
@@ -50,22 +115,33 @@ class PhilippineLocationIndex {
     // Iterate through regions
     for (const [regionCode, regionData] of Object.entries(this.data)) {
       const regionName = regionData.region_name;
+      const psgcRegion = this.psgc.regions[regionCode] || { code: null, provinces: {} };
+
+      this.regionPsgc[regionCode] = psgcRegion.code;
+      if (psgcRegion.code) {
+        this.codeIndex[psgcRegion.code] = { region: regionName, regionCode };
+      }
 
       // Iterate through provinces
       for (const [provinceName, provinceData] of Object.entries(regionData.province_list)) {
         const provinceKey = this.normalizeKey(provinceName);
+        const psgcProvince = psgcRegion.provinces[provinceName] || { code: null, cities: {} };
+        const provinceCode = psgcProvince.code;
 
         // Add to province index
         this.provinceIndex[provinceKey] = {
           province: provinceName,
           region: regionName,
           regionCode: regionCode,
+          provinceCode,
           cities: []
         };
 
         // Iterate through cities/municipalities
         for (const [cityName, cityData] of Object.entries(provinceData.municipality_list)) {
           const cityKey = this.normalizeKey(cityName);
+          const psgcCity = psgcProvince.cities[cityName] || { code: null, barangays: {} };
+          const cityCode = psgcCity.code;
 
           // Track cities in province
           this.provinceIndex[provinceKey].cities.push(cityName);
@@ -80,9 +156,15 @@ class PhilippineLocationIndex {
             province: provinceName,
             region: regionName,
             regionCode: regionCode,
+            provinceCode,
+            cityCode,
             barangays: cityData.barangay_list
           };
 
+          if (cityCode) {
+            this.codeIndex[cityCode] = cityInfo;
+          }
+
           this.cityIndex[cityKey].push(cityInfo);
 
           // Track ambiguous cities
@@ -93,19 +175,28 @@ class PhilippineLocationIndex {
           // Iterate through barangays
           cityData.barangay_list.forEach(barangayName => {
             const barangayKey = this.normalizeKey(barangayName);
+            const barangayCode = psgcCity.barangays[barangayName] || null;
 
             // Add to barangay index
             if (!this.barangayIndex[barangayKey]) {
               this.barangayIndex[barangayKey] = [];
             }
 
-            this.barangayIndex[barangayKey].push({
+            const barangayInfo = {
               barangay: barangayName,
               city: cityName,
               province: provinceName,
               region: regionName,
-              regionCode: regionCode
-            });
+              regionCode: regionCode,
+              provinceCode,
+              cityCode,
+              barangayCode
+            };
+
+            this.barangayIndex[barangayKey].push(barangayInfo);
+            if (barangayCode) {
+              this.codeIndex[barangayCode] = barangayInfo;
+            }
 
             // Track ambiguous barangays
             if (this.barangayIndex[barangayKey].length > 1) {
@@ -113,13 +204,54 @@ class PhilippineLocationIndex {
             }
           });
         }
+
+        if (provinceCode) {
+          this.codeIndex[provinceCode] = this.provinceIndex[provinceKey];
+        }
       }
     }
 
+    this.addManilaCity();
+
     // Add special handling for common city variations
     this.addCityAliases();
   }
 
+  /**
+   * Index the City of Manila itself: the database only has its districts
+   * (Tondo, Sampaloc, ...) as cities under a "province"
+   */
+  addManilaCity() {
+    const province = this.provinceIndex[this.normalizeKey(MANILA_PROVINCE)];
+    if (!province) return;
+
+    const psgcProvince = ((this.psgc.regions[province.regionCode] || {}).provinces || {})[MANILA_PROVINCE] || {};
+    const districts = province.cities.map(city => this.cityIndex[this.normalizeKey(city)].find(entry => entry.province === MANILA_PROVINCE));
+    const manila = {
+      city: 'CITY OF MANILA',
+      province: MANILA_PROVINCE,
+      region: province.region,
+      regionCode: province.regionCode,
+      provinceCode: province.provinceCode,
+      cityCode: psgcProvince.cityCode || null,
+      barangays: districts.flatMap(district => district.barangays),
+      districts: districts.map(district => district.city)
+    };
+
+    this.cityIndex[this.normalizeKey(manila.city)] = [manila];
+    if (manila.cityCode) {
+      this.codeIndex[manila.cityCode] = manila;
+    }
+  }
+
+  /**
+   * The district of Manila a name refers to ("Tondo"), or null
+   */
+  findManilaDistrict(name) {
+    const matches = this.cityIndex[this.normalizeKey(name)] || [];
+    return matches.find(entry => entry.province === MANILA_PROVINCE && !entry.districts) || null;
+  }
+
   /**
    * Add common city name variations
    */
@@ -305,8 +437,18 @@ class PhilippineLocationIndex {
       if (match) return match;
     }
 
-    // For ambiguous cities, prefer major ones
-    // Bacolod City in Negros Occidental is more likely than Bacolod in Lanao del Norte
+    const preferred = this.getPreferredCity(cityName, matches);
+    if (preferred) return preferred;
+
+    // Default to first match if no better option
+    return matches[0];
+  }
+
+  /**
+   * For ambiguous cities, the major one people usually mean, or null
+   * Bacolod City in Negros Occidental is more likely than Bacolod in Lanao del Norte
+   */
+  getPreferredCity(cityName, matches) {
     const priorityCities = {
       'bacolod': 'NEGROS OCCIDENTAL',
       'san juan': 'NATIONAL CAPITAL REGION',
@@ -315,15 +457,8 @@ class PhilippineLocationIndex {
       'quezon': 'NATIONAL CAPITAL REGION'
     };
 
-    if (priorityCities[cityKey]) {
-      const match = matches.find(m =>
-        m.province.includes(priorityCities[cityKey])
-      );
-      if (match) return match;
-    }
-
-    // Default to first match if no better option
-    return matches[0];
+    const province = priorityCities[this.normalizeKey(cityName)];
+    return (province && matches.find(m => m.province.includes(province))) || null;
   }
 
   /**
@@ -334,6 +469,96 @@ class PhilippineLocationIndex {
     return this.provinceIndex[provinceKey] || null;
   }
 
+  /**
+   * Find region by official name, display name or acronym
+   * Returns { regionCode, region, displayName } or null
+   */
+  findRegion(regionName) {
+    if (!regionName) return null;
+
+    const key = this.normalizeRegionKey(regionName);
+    const acronym = (regionName.match(/\(([A-Za-z-]+)\)\s*$/) || [])[1];
+    const acronymKey = acronym ? this.normalizeRegionKey(acronym) : null;
+
+    for (const [regionCode, regionData] of Object.entries(this.data)) {
+      const displayName = REGION_DISPLAY_NAMES[regionCode] || regionData.region_name;
+      const aliases = [regionData.region_name, displayName, regionCode]
+        .map(alias => this.normalizeRegionKey(alias));
+
+      if (aliases.includes(key) || (acronymKey && aliases.includes(acronymKey))) {
+        return {
+          regionCode,
+          region: regionData.region_name,
+          displayName
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Normalize region names for comparison ("Region IV-A" -> "regioniva")
+   */
+  normalizeRegionKey(text) {
+    return (text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Get the display name for a region code
+   */
+  getRegionDisplayName(regionCode) {
+    if (REGION_DISPLAY_NAMES[regionCode]) {
+      return REGION_DISPLAY_NAMES[regionCode];
+    }
+    return this.data[regionCode] ? this.data[regionCode].region_name : null;
+  }
+
+  /**
+   * Check whether a province name refers to Metro Manila / NCR
+   */
+  isMetroManilaProvince(provinceName) {
+    if (!provinceName) return false;
+    const key = this.normalizeKey(provinceName);
+    return METRO_MANILA_ALIASES.has(key) || key.startsWith('national capital region');
+  }
+
+  /**
+   * Find a location entry by its PSGC code
+   */
+  findByCode(code) {
+    if (!code) return null;
+    return this.codeIndex[code] || null;
+  }
+
+  /**
+   * Get the PSGC codes for an index entry (whose regionCode is the
+   * gazetteer's region key) or for a location that already carries codes
+   * Levels the entry does not resolve to are null
+   */
+  getCodes(entry) {
+    const region = entry && entry.regionCode;
+    return {
+      regionCode: this.regionPsgc[region] || (this.codeIndex[region] ? region : null),
+      provinceCode: (entry && entry.provinceCode) || null,
+      cityCode: (entry && entry.cityCode) || null,
+      barangayCode: (entry && entry.barangayCode) || null
+    };
+  }
+
+  /**
+   * Whether the place a PSGC code names lies inside another code's place
+   * Codes nest by prefix, except that highly urbanized cities are coded
+   * apart from the province the gazetteer files them under
+   */
+  isWithin(code, parentCode) {
+    if (!code || !parentCode || code === parentCode) return false;
+    if (code.startsWith(getPsgcPrefix(parentCode))) return true;
+
+    const entry = this.findByCode(code);
+    return Boolean(entry) && Object.values(this.getCodes(entry)).includes(parentCode);
+  }
+
   /**
    * Validate if a location hierarchy is consistent
    */
@@ -397,5 +622,8 @@ function getLocationIndex() {
 
 module.exports = {
   PhilippineLocationIndex,
-  getLocationIndex
+  getLocationIndex,
+  REGION_DISPLAY_NAMES,
+  GAZETTEER_PATH,
+  PSGC_CODES_PATH
 };
\ No newline at end of file
@@ -4,6 +4,7 @@
  */
 
 const { getLocationIndex } = require('./hierarchical-location-index');
+const { classifyMentionRole, pickPrimaryMention } = require('../utils/mention-roles');
 
 // Configuration
 const config = {
@@ -49,7 +50,11 @@ const STOPWORDS = new Set([
   'same', 'just', 'wala', 'down', 'here', 'there',
   'every', 'sarado', 'may', 'apparently', 'pare',
   'problem', 'issue', 'service', 'happening', 'frustrating',
-  'installed', 'light', 'blinking', 'outage'
+  'installed', 'light', 'blinking', 'outage',
+
+  // Cues that name a place rather than being one ("taga Cavite ako"),
+  // even though Taga and Tiga are barangays too
+  'taga', 'tiga'
 ]);
 
 // Slang indicators that suggest NOT a location
@@ -60,6 +65,67 @@ const SLANG_PATTERNS = [
   /\blol\b/i
 ];
 
+// Names following a role cue: "visited Cebu", "papunta sa Davao", "wala sa Makati"
+const MENTION_CUE_PATTERN = /\b(?:visited|went\s+to|been\s+to|going\s+to|heading\s+to|moving\s+to|not\s+in|not\s+from|(?:galing|papunta|pupunta|uuwi|wala|hindi)\s+(?:(?:ako|kami|na|pa)\s+)*sa)\s+([A-Za-z][A-Za-z\s-]*?)(?=[.,!?;]|\s+(?:but|pero|and|at|last|kahapon|ngayon|since)\b|$)/gi;
+
+// Longest place name (in words) tried when splitting a long candidate
+const MAX_NAME_WORDS = 3;
+
+// Pronouns and particles that never start a place name on their own
+const FILLER_WORDS = new Set([
+  'ako', 'kami', 'kayo', 'sila', 'siya', 'namin', 'natin', 'ang', 'ng', 'sa', 'na', 'pa', 'rin',
+  'din', 'lang', 'pero', 'kasi', 'but', 'and', 'the', 'was', 'visited', 'went', 'last', 'week',
+  'i', "i'm", 'im', 'we', 'our', 'my', 'still', 'also', 'not',
+  // Filipino function words, several of which are also barangay names
+  'wala', 'walang', 'may', 'mayroon', 'meron', 'yung', 'ung', 'nang', 'po', 'ba', 'naman', 'nga',
+  'daw', 'raw', 'hindi', 'di', 'ito', 'yan', 'yun', 'dito', 'diyan', 'dyan', 'doon', 'tayo', 'mga',
+  'sobrang', 'talaga', 'ulit', 'pala'
+]);
+
+// Words that introduce a location rather than being part of one
+const CUE_WORDS = new Set([
+  'taga', 'tiga', 'dito', 'dto', 'rito', 'nasa', 'sa', 'from', 'in', 'at', 'wala', 'hindi',
+  'galing', 'papunta', 'pupunta', 'visited', 'near'
+]);
+
+const LEVEL_FIELDS = ['province', 'city', 'barangay'];
+
+/**
+ * Text a candidate was built from
+ */
+function candidateText(candidate) {
+  return candidate.name || (candidate.parts || []).join(' ');
+}
+
+/**
+ * Number of levels below region a location resolves to
+ */
+function levelDepth(location) {
+  return LEVEL_FIELDS.filter(field => location[field]).length;
+}
+
+/**
+ * True when `a` is the same place as `b` or one of its parents
+ */
+function isSameOrAncestor(a, b) {
+  if (a.region !== b.region) return false;
+  return LEVEL_FIELDS.every(field => !a[field] || a[field] === b[field]);
+}
+
+function isSameLocation(a, b) {
+  return isSameOrAncestor(a, b) && levelDepth(a) === levelDepth(b);
+}
+
+/**
+ * True when two candidates were read from overlapping text
+ */
+function spansOverlap(a, b) {
+  if (typeof a.start !== 'number' || typeof b.start !== 'number') return false;
+  const aEnd = a.start + candidateText(a).length;
+  const bEnd = b.start + candidateText(b).length;
+  return a.start < bEnd && b.start < aEnd;
+}
+
 class HierarchicalLocationParserV2 {
   constructor() {
     this.index = getLocationIndex();
@@ -69,6 +135,15 @@ class HierarchicalLocationParserV2 {
    * Main parsing function
    */
   parseLocation(text) {
+    const detailed = this.parseLocationDetailed(text);
+    return detailed ? detailed.location : null;
+  }
+
+  /**
+   * Parse and keep the match score so callers can judge reliability
+   * Returns { location, score, confidence, ambiguous } or null
+   */
+  parseLocationDetailed(text) {
     if (!text || typeof text !== 'string') {
       return null;
     }
@@ -86,9 +161,39 @@ class HierarchicalLocationParserV2 {
     }
 
     // Find best match using hierarchical validation
-    const location = this.findBestMatch(candidates, text, confidence);
+    const best = this.scoreBestMatch(candidates, text, confidence);
+
+    // Apply minimum confidence threshold
+    if (!best || best.score < config.minConfidence) {
+      return null;
+    }
 
-    return location;
+    return {
+      location: best.location,
+      score: best.score,
+      confidence: Math.min(best.score, 1.0),
+      ambiguous: this.isAmbiguousMatch(best.location, text)
+    };
+  }
+
+  /**
+   * A city-level match is ambiguous when the same name exists in several
+   * provinces (e.g. Burgos, San Jose). A barangay match is ambiguous
+   * unless the text also names its city or province: a barangay name on
+   * its own could be a word that happens to be one.
+   */
+  isAmbiguousMatch(location, text) {
+    if (!location) return false;
+
+    if (location.barangay) {
+      const words = ` ${this.index.normalizeKey(this.preprocessText(text || ''))} `;
+      const parents = [location.city, location.province]
+        .map(name => this.index.normalizeKey(name))
+        .filter(Boolean);
+      return !parents.some(parent => words.includes(` ${parent} `));
+    }
+
+    return Boolean(location.city) && this.index.isAmbiguousCity(location.city);
   }
 
   /**
@@ -154,7 +259,7 @@ class HierarchicalLocationParserV2 {
     const locationPattern = /\blocation\s*(?:is|=|:)\s*([^.,]+)/gi;
     let match;
     while ((match = locationPattern.exec(text)) !== null) {
-      this.parseCandidateString(candidates, match[1]);
+      this.parseCandidateString(candidates, match[1], match.index + match[0].indexOf(match[1]));
     }
 
     // Pattern 2: Barangay + City combinations (IMPROVED)
@@ -175,14 +280,16 @@ class HierarchicalLocationParserV2 {
           candidates.push({
             type: 'barangay',
             name: barangayName,
-            context: match[2] ? match[2].trim() : null
+            context: match[2] ? match[2].trim() : null,
+            start: match.index
           });
         }
         if (match[2]) {
           const cityName = this.cleanCityName(match[2]);
           candidates.push({
             type: 'city',
-            name: cityName
+            name: cityName,
+            start: match.index + match[0].lastIndexOf(match[2])
           });
         }
       }
@@ -195,11 +302,13 @@ class HierarchicalLocationParserV2 {
       if (!/^(?:brgy|barangay)/i.test(match[1])) {
         candidates.push({
           type: 'location',
-          name: match[1].trim()
+          name: match[1].trim(),
+          start: match.index
         });
         candidates.push({
           type: 'location',
-          name: match[2].trim()
+          name: match[2].trim(),
+          start: match.index + match[0].lastIndexOf(match[2])
         });
       }
     }
@@ -211,7 +320,8 @@ class HierarchicalLocationParserV2 {
       if (!this.isStopword(name)) {
         candidates.push({
           type: 'area',
-          name: name
+          name: name,
+          start: match.index
         });
       }
     }
@@ -230,7 +340,9 @@ class HierarchicalLocationParserV2 {
       while ((match = regex.exec(processed)) !== null) {
         candidates.push({
           type: 'location',
-          name: match[1].trim()
+          name: match[1].trim(),
+          // Offset in the preprocessed text; close to the original for mention roles
+          start: match.index + match[0].indexOf(match[1])
         });
       }
     });
@@ -244,7 +356,8 @@ class HierarchicalLocationParserV2 {
       if (words.every(w => !this.isStopword(w) && !SERVICE_NAMES.has(w))) {
         candidates.push({
           type: 'sequence',
-          parts: words
+          parts: words,
+          start: match.index
         });
       }
     }
@@ -254,7 +367,7 @@ class HierarchicalLocationParserV2 {
       // Extract what comes before PHILIPPINES
       const beforePhilippines = text.match(/([^,]+?)\s*,?\s*PHILIPPINES/i);
       if (beforePhilippines) {
-        this.parseCandidateString(candidates, beforePhilippines[1]);
+        this.parseCandidateString(candidates, beforePhilippines[1], beforePhilippines.index);
       }
     }
 
@@ -264,7 +377,7 @@ class HierarchicalLocationParserV2 {
   /**
    * Parse a candidate string into structured candidates
    */
-  parseCandidateString(candidates, str) {
+  parseCandidateString(candidates, str, offset = 0) {
     if (!str) return;
 
     const parts = str.split(/[,\s]+/).filter(p => p.length > 2);
@@ -272,7 +385,8 @@ class HierarchicalLocationParserV2 {
       if (!this.isStopword(part)) {
         candidates.push({
           type: 'location',
-          name: part
+          name: part,
+          start: offset + str.indexOf(part)
         });
       }
     });
@@ -342,106 +456,287 @@ class HierarchicalLocationParserV2 {
    * Find best match using hierarchical validation
    */
   findBestMatch(candidates, fullText, confidence) {
-    const textLower = fullText.toLowerCase();
-    let bestMatch = null;
-    let bestScore = 0;
+    const best = this.scoreBestMatch(candidates, fullText, confidence);
 
-    // Process different candidate types
-    for (const candidate of candidates) {
-      let locationMatch = null;
-      let score = 0;
-
-      if (candidate.type === 'barangay') {
-        // Handle barangay with context
-        const barangayMatch = this.index.findBarangay(
-          candidate.name,
-          candidate.context
-        );
+    // Apply minimum confidence threshold
+    if (!best || best.score < config.minConfidence) {
+      return null;
+    }
 
-        if (barangayMatch) {
-          locationMatch = barangayMatch;
-          score = 0.8; // High score for barangay+city
-        }
-      } else if (candidate.type === 'area') {
-        // Try to match as barangay or city
-        const barangayMatch = this.index.findBarangay(candidate.name);
-        const cityMatch = this.index.findCity(candidate.name);
-
-        if (barangayMatch && barangayMatch.length === 1) {
-          locationMatch = barangayMatch[0];
-          score = 0.6;
-        } else if (cityMatch) {
-          locationMatch = {
-            region: cityMatch.region,
-            province: cityMatch.province,
-            city: cityMatch.city,
-            barangay: ''
-          };
-          score = 0.7;
-        }
-      } else if (candidate.type === 'sequence') {
-        // Try to match as barangay-city-province
-        const [first, second, third] = candidate.parts;
-
-        // Check if it's a valid hierarchy
-        const barangayMatch = this.index.findBarangay(first, second);
-        if (barangayMatch) {
-          locationMatch = barangayMatch;
-          score = 0.7;
-        }
-      } else {
-        // Generic location candidate
-        const name = candidate.name;
-
-        // Try as barangay
-        const barangayMatch = this.index.findBarangay(name);
-        if (barangayMatch && !this.index.isAmbiguousBarangay(name)) {
-          locationMatch = barangayMatch;
-          score = 0.5;
-        }
+    return best.location;
+  }
 
-        // Try as city
-        const cityMatch = this.index.findCity(name);
-        if (cityMatch) {
-          locationMatch = {
-            region: cityMatch.region,
-            province: cityMatch.province,
-            city: cityMatch.city,
-            barangay: ''
-          };
-          score = 0.6;
-        }
+  /**
+   * Score all candidates and return the best { location, score }
+   */
+  scoreBestMatch(candidates, fullText, confidence) {
+    let bestMatch = null;
+    let bestScore = 0;
 
-        // Try as province
-        const provinceMatch = this.index.findProvince(name);
-        if (provinceMatch) {
-          locationMatch = {
-            region: provinceMatch.region,
-            province: provinceMatch.province,
-            city: '',
-            barangay: ''
-          };
-          score = 0.4;
-        }
-      }
+    for (const candidate of candidates) {
+      const resolved = this.resolveCandidate(candidate);
 
       // Apply confidence boost
-      if (locationMatch) {
-        score *= (1 + confidence);
+      if (resolved) {
+        const score = resolved.score * (1 + confidence);
 
         if (score > bestScore) {
           bestScore = score;
-          bestMatch = locationMatch;
+          bestMatch = resolved.location;
         }
       }
     }
 
-    // Apply minimum confidence threshold
-    if (bestScore < config.minConfidence) {
+    if (!bestMatch) {
       return null;
     }
 
-    return bestMatch;
+    return { location: bestMatch, score: bestScore };
+  }
+
+  /**
+   * A barangay entry with PSGC codes in place of the gazetteer region key
+   */
+  withCodes(entry) {
+    return { ...entry, ...this.index.getCodes(entry) };
+  }
+
+  /**
+   * Resolve a single candidate against the index
+   * Returns { location, score } before the context boost, or null
+   */
+  resolveCandidate(candidate) {
+    let locationMatch = null;
+    let score = 0;
+
+    if (candidate.type === 'barangay') {
+      // Handle barangay with context
+      const barangayMatch = this.index.findBarangay(
+        candidate.name,
+        candidate.context
+      );
+
+      if (barangayMatch) {
+        locationMatch = this.withCodes(barangayMatch);
+        score = 0.8; // High score for barangay+city
+      }
+    } else if (candidate.type === 'area') {
+      // Try to match as barangay or city
+      const barangayMatch = this.index.findBarangay(candidate.name);
+      const cityMatch = this.index.findCity(candidate.name);
+
+      if (barangayMatch && barangayMatch.length === 1) {
+        locationMatch = this.withCodes(barangayMatch[0]);
+        score = 0.6;
+      } else if (cityMatch) {
+        locationMatch = {
+          region: cityMatch.region,
+          province: cityMatch.province,
+          city: cityMatch.city,
+          barangay: '',
+          ...this.index.getCodes(cityMatch)
+        };
+        score = 0.7;
+      }
+    } else if (candidate.type === 'sequence') {
+      // Try to match as barangay-city-province
+      const [first, second] = candidate.parts;
+
+      // Check if it's a valid hierarchy
+      const barangayMatch = this.index.findBarangay(first, second);
+      if (barangayMatch) {
+        locationMatch = this.withCodes(barangayMatch);
+        score = 0.7;
+      }
+    } else {
+      // Generic location candidate
+      const name = candidate.name;
+
+      // Try as barangay
+      const barangayMatch = this.index.findBarangay(name);
+      if (barangayMatch && !this.index.isAmbiguousBarangay(name)) {
+        locationMatch = this.withCodes(barangayMatch);
+        score = 0.5;
+      }
+
+      // Try as city
+      const cityMatch = this.index.findCity(name);
+      if (cityMatch) {
+        locationMatch = {
+          region: cityMatch.region,
+          province: cityMatch.province,
+          city: cityMatch.city,
+          barangay: '',
+          ...this.index.getCodes(cityMatch)
+        };
+        score = 0.6;
+      }
+
+      // Try as province ("Quezon City" names the city, not Quezon province)
+      const provinceMatch = cityMatch && /\bcity$/i.test(name.trim())
+        ? null
+        : this.index.findProvince(name);
+      if (provinceMatch) {
+        locationMatch = {
+          region: provinceMatch.region,
+          province: provinceMatch.province,
+          city: '',
+          barangay: '',
+          ...this.index.getCodes(provinceMatch)
+        };
+        score = 0.4;
+      }
+    }
+
+    return locationMatch ? { location: locationMatch, score } : null;
+  }
+
+  /**
+   * Extract every location mentioned in the text, each with a role
+   * (residence, current, visited, destination, negated, mentioned)
+   * Returns { mentions, primary } where primary indexes the user's location
+   */
+  extractMentions(text) {
+    if (!text || typeof text !== 'string') {
+      return { mentions: [], primary: null };
+    }
+
+    const confidence = this.calculateConfidence(text);
+    const candidates = this.extractCandidates(text)
+      .concat(this.extractCueCandidates(text))
+      // "taga marikina ako" is a cue plus a name and "i am in" is no place
+      // at all, not barangay-city sequences
+      .filter(candidate => candidate.type !== 'sequence' ||
+        !(CUE_WORDS.has(candidate.parts[0]) || FILLER_WORDS.has(candidate.parts[0])))
+      .flatMap(candidate => this.splitCandidate(candidate));
+
+    const resolved = [];
+    for (const candidate of candidates) {
+      const match = this.resolveCandidate(candidate);
+      if (!match) continue;
+      // A sequence names its own parent ("lahug cebu city"); "cebu city
+      // walang" matching barangay Cebu in Isabela does not
+      if (candidate.type === 'sequence' && this.isAmbiguousMatch(match.location, candidate.parts.join(' '))) continue;
+
+      const score = match.score * (1 + confidence);
+      if (score < config.minConfidence) continue;
+
+      resolved.push({ ...match, score, candidate });
+    }
+
+    const mentions = this.mergeMentions(resolved)
+      .sort((a, b) => a.candidate.start - b.candidate.start)
+      .map(({ location, score, candidate }) => ({
+        location,
+        role: classifyMentionRole(text, candidate.start),
+        confidence: Math.min(score, 1.0),
+        ambiguous: this.isAmbiguousMatch(location, text),
+        text: candidateText(candidate),
+        start: candidate.start
+      }));
+
+    return { mentions, primary: pickPrimaryMention(mentions) };
+  }
+
+  /**
+   * Names right after role cues ("visited Cebu", "wala sa Makati");
+   * the main patterns only look for the user's own location
+   */
+  extractCueCandidates(text) {
+    const candidates = [];
+    const cuePattern = new RegExp(MENTION_CUE_PATTERN.source, MENTION_CUE_PATTERN.flags);
+    let match;
+
+    while ((match = cuePattern.exec(text)) !== null) {
+      candidates.push({
+        type: 'location',
+        name: match[1].trim(),
+        start: match.index + match[0].lastIndexOf(match[1])
+      });
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Split a long candidate ("Quezon City but I visited Cebu last week")
+   * into the longest word windows that resolve on their own
+   *
+   * A single word that only matches a barangay ("walang" is Walang,
+   * Lambunao) is kept only right after a cue ("sa Lahug"); without a
+   * city around it, it is far more likely an ordinary word.
+   */
+  splitCandidate(candidate) {
+    if (!candidate.name) return [candidate];
+
+    const words = [];
+    const wordPattern = /[A-Za-z][\w'-]*/g;
+    let match;
+    while ((match = wordPattern.exec(candidate.name)) !== null) {
+      words.push({ word: match[0], offset: match.index });
+    }
+
+    if (words.length <= 1 || this.resolveCandidate(candidate)) {
+      return [candidate];
+    }
+
+    const pieces = [];
+    let i = 0;
+    while (i < words.length) {
+      let taken = 0;
+      for (let size = Math.min(MAX_NAME_WORDS, words.length - i); size > 0; size--) {
+        const slice = words.slice(i, i + size);
+        if (size === 1 && (this.isStopword(slice[0].word) || FILLER_WORDS.has(slice[0].word.toLowerCase()))) {
+          continue;
+        }
+
+        const last = slice[slice.length - 1];
+        const piece = {
+          type: candidate.type,
+          name: candidate.name.slice(slice[0].offset, last.offset + last.word.length),
+          start: (candidate.start || 0) + slice[0].offset
+        };
+
+        const resolved = this.resolveCandidate(piece);
+        const previous = words[i - 1];
+        if (resolved && size === 1 && resolved.location.barangay &&
+            !(previous && CUE_WORDS.has(previous.word.toLowerCase()))) {
+          continue;
+        }
+        if (resolved) {
+          pieces.push(piece);
+          taken = size;
+          break;
+        }
+      }
+      i += taken || 1;
+    }
+
+    return pieces;
+  }
+
+  /**
+   * Drop duplicate mentions and mentions covered by a more specific one
+   * ("Caloocan" next to "Brgy. 171, Caloocan"), keeping the earliest text
+   */
+  mergeMentions(resolved) {
+    const kept = [];
+
+    resolved
+      .sort((a, b) => levelDepth(b.location) - levelDepth(a.location) || b.score - a.score)
+      .forEach(entry => {
+        const covering = kept.find(other =>
+          isSameOrAncestor(entry.location, other.location) || spansOverlap(entry.candidate, other.candidate)
+        );
+
+        if (!covering) {
+          kept.push(entry);
+        } else if (isSameLocation(entry.location, covering.location) && entry.candidate.start < covering.candidate.start) {
+          covering.candidate = entry.candidate;
+        }
+      });
+
+    return kept;
   }
 
   /**
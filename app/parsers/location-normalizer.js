@@ -99,8 +99,8 @@ function normalizeBarangay(barangay) {
 function normalizeRegion(region) {
   if (!region || region === 'None') return region;
 
-  // Special handling for NCR
-  if (region.includes('National Capital Region')) {
+  // Special handling for NCR (gazetteer data uses the bare acronym)
+  if (region.includes('National Capital Region') || region.toUpperCase() === 'NCR') {
     return 'National Capital Region (NCR)';
   }
 
@@ -114,8 +114,8 @@ function normalizeRegion(region) {
     }
   }
 
-  // Convert to proper case for other regions
-  return toProperCase(region);
+  // Convert to proper case for other regions, keeping acronyms like "(CAR)"
+  return toProperCase(region).replace(/\(([a-z]+)\)/g, (match, acronym) => `(${acronym.toUpperCase()})`);
 }
 
 /**
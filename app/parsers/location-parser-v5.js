@@ -7,6 +7,20 @@
 
 const { HierarchicalLocationParserV2 } = require('./hierarchical-parser-v2');
 
+// PSGC codes carried alongside the display names
+const CODE_FIELDS = ['regionCode', 'provinceCode', 'cityCode', 'barangayCode'];
+
+/**
+ * Pick the code fields from a location, null when absent
+ */
+function pickCodes(location) {
+  const codes = {};
+  CODE_FIELDS.forEach(field => {
+    codes[field] = (location && location[field]) || null;
+  });
+  return codes;
+}
+
 /**
  * Create empty location object
  */
@@ -15,7 +29,8 @@ function createEmptyLocation() {
     region: 'None',
     province: 'None',
     city: 'None',
-    barangay: 'None'
+    barangay: 'None',
+    ...pickCodes(null)
   };
 }
 
@@ -32,7 +47,8 @@ function normalizeLocationFields(location) {
     region: location.region || 'None',
     province: location.province || 'None',
     city: location.city || 'None',
-    barangay: location.barangay || 'None'
+    barangay: location.barangay || 'None',
+    ...pickCodes(location)
   };
 }
 
@@ -87,6 +103,8 @@ function parseLocation(text) {
 
 // Export functions
 module.exports = {
+  CODE_FIELDS,
+  pickCodes,
   createEmptyLocation,
   normalizeLocationFields,
   hasLocationData,
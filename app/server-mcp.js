@@ -14,9 +14,13 @@ const {
 const {
   createEmptyLocation,
   normalizeLocationFields,
-  hasLocationData
+  hasLocationData,
+  pickCodes
 } = require('./parsers/location-parser-v5');
 const LLMExtractor = require('./utils/llm-extractor');
+const { validateLocation } = require('./utils/gazetteer-validator');
+const { buildProvenance } = require('./utils/provenance');
+const { getDefaultProviderName } = require('./utils/llm-providers');
 
 const SERVER_VERSION = '1.0.0';
 
@@ -26,12 +30,13 @@ const server = new McpServer({
 });
 
 const hierarchicalParser = new HierarchicalLocationParserV2();
-const llmExtractor = new LLMExtractor(process.env.OPENAI_API_KEY);
+// LLM_PROVIDER picks the endpoint; OPENAI_API_KEY is only sent to OpenAI
+const llmExtractor = new LLMExtractor(getDefaultProviderName() === 'openai' ? process.env.OPENAI_API_KEY : null);
 
 function parseWithRuleBased(text) {
   const rawLocation = hierarchicalParser.parseLocation(text);
   const normalized = rawLocation
-    ? normalizeLocation(rawLocation)
+    ? { ...normalizeLocation(rawLocation), ...pickCodes(rawLocation) }
     : createEmptyLocation();
 
   return {
@@ -39,24 +44,31 @@ function parseWithRuleBased(text) {
     location: normalized,
     formatted: formatNormalizedLocation(normalized),
     hasLocation: hasLocationData(normalized),
-    method: rawLocation ? 'rule_based_match' : 'rule_based_no_match'
+    method: rawLocation ? 'rule_based_match' : 'rule_based_no_match',
+    provenance: buildProvenance()
   };
 }
 
 async function parseWithLLM(text) {
   const llmResult = await llmExtractor.extractLocation(text);
   const normalizedFields = normalizeLocationFields(llmResult.location);
-  const normalized = normalizeLocation(normalizedFields);
+  const { location: validated, gazetteer } = validateLocation(normalizedFields);
 
   return {
     text,
-    location: normalized,
-    formatted: formatNormalizedLocation(normalized),
-    hasLocation: hasLocationData(normalized),
+    location: validated,
+    formatted: formatNormalizedLocation(validated),
+    hasLocation: hasLocationData(validated),
     confidence: llmResult.confidence ?? 0,
     method: llmResult.method || 'llm_extracted',
     reasoning: llmResult.reasoning || null,
-    cached: Boolean(llmResult.cached)
+    gazetteer,
+    cached: Boolean(llmResult.cached),
+    provenance: buildProvenance({
+      provider: llmExtractor.provider.name,
+      model: llmExtractor.model,
+      promptVersion: llmExtractor.getPromptVersion('extract')
+    })
   };
 }
 
@@ -65,11 +77,12 @@ server.registerTool(
   {
     title: 'Parse Philippine Location',
     description: 'Extract Philippine region, province, city, and barangay from text.',
-    inputSchema: z.object({
+    // A raw shape: the SDK wraps it in z.object itself
+    inputSchema: {
       text: z.string().min(1, 'text is required'),
       mode: z.enum(['auto', 'v4', 'v5']).default('auto'),
       useLLM: z.boolean().optional().default(true)
-    })
+    }
   },
   async ({ text, mode, useLLM }) => {
     const trimmedText = text.trim();
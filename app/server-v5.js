@@ -23,38 +23,95 @@ const { extractFromCSV } = require('./utils/sheet-parser');
 const { preprocessText, getContextAnalysis } = require('./utils/context-detector');
 const { processBatch, estimateProcessingTime } = require('./utils/batch-processor');
 const { getCacheInstance } = require('./utils/cache-manager');
+const { getJobManager } = require('./utils/job-manager');
+const { DEFAULT_HYBRID_THRESHOLD, extractWithRules, extractMentionsWithRules, isConfidentRuleResult } = require('./utils/rule-based-extractor');
+const { pickPrimaryMention } = require('./utils/mention-roles');
+const { locateSpans } = require('./utils/text-spans');
+const { validateLocation } = require('./utils/gazetteer-validator');
+const { PARSER_VERSION, buildProvenance } = require('./utils/provenance');
+const { getUsageTracker, createUsage, sumUsage, estimateUsage, BATCH_PRICE_FACTOR } = require('./utils/usage-tracker');
+const { SpendBudget, resolveBudget } = require('./utils/spend-budget');
+const { PACK_LIMITS, getDefaultPackSize, chunkPackItems } = require('./utils/packed-extraction');
+const { BulkExtractor } = require('./utils/bulk-extractor');
+const { resolveRouting } = require('./utils/model-routing');
+const { isFailedLLMResult } = require('./utils/llm-output');
+const { getSecondPassRisks, hasSecondPassRisk, getSecondPassValidator, judgeExtraction } = require('./utils/second-pass');
+const { INJECTION_POLICIES, getInjectionPolicy, screenUserText, toInjectionReport } = require('./utils/prompt-injection');
+const { getProvider, getDefaultProviderName, listProviders, isValidProviderKey, canAuthenticate } = require('./utils/llm-providers');
+const { createExtractor } = require('./utils/extractor-registry');
+const { resolveEnsemble } = require('./utils/ensemble-resolver');
+const { getConfidenceCalibration } = require('./utils/confidence-calibration');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
 
+// Extraction modes accepted by the parse endpoints
+const EXTRACTION_MODES = ['llm', 'hybrid', 'multi', 'ensemble'];
+
+// Largest page of results returned by /api/jobs/:id/results
+const MAX_RESULTS_PAGE = 1000;
+
+// Typical completion size per text, used by /api/estimate
+const ESTIMATED_COMPLETION_TOKENS = { extract: 60, mentions: 150, packed: 70 };
+
+// Packed mode: packs sent in parallel per batch
+const PACKS_IN_FLIGHT = 3;
+
+// Calibrated extractor (utils/extractor-registry.js) behind each mode's answer
+const CALIBRATED_MODES = { llm: 'llm', hybrid: 'hybrid', ensemble: 'ensemble' };
+
+// Passes whose answer came from the LLM (recorded in result provenance)
+const LLM_PASSES = ['LLM-First', 'Hybrid-LLM', 'Multi-LLM', 'Ensemble-LLM', 'Error'];
+
+// Shared cache for paid LLM results; extractors key it by model and prompt version
+const cache = getCacheInstance({
+  maxSize: 5000,      // Store up to 5000 results
+  ttl: 86400000       // 24 hours TTL
+});
+
 // Initialize default LLM extractor (fallback for requests without user key)
-const defaultLLMExtractor = new LLMExtractor(process.env.OPENAI_API_KEY);
+// OPENAI_API_KEY is only ever sent to OpenAI, never to another provider
+const defaultLLMExtractor = new LLMExtractor(
+  getDefaultProviderName() === 'openai' ? process.env.OPENAI_API_KEY : null,
+  { cache }
+);
 
 /**
- * Validate OpenAI API key format
+ * Provider named in a request body (`provider`), or the default
+ * Only providers configured on the server can be chosen, never a URL
+ * Returns { error } when the name is unknown
  */
-function validateApiKey(apiKey) {
-  if (!apiKey || typeof apiKey !== 'string') {
-    return false;
+function getRequestProvider(body) {
+  const provider = getProvider(body.provider);
+  if (!provider) {
+    const names = listProviders().map(entry => entry.name);
+    return { error: `Unknown provider "${body.provider}". Expected one of: ${names.join(', ')}` };
   }
-
-  // OpenAI keys start with 'sk-' and are at least 20 characters
-  return apiKey.startsWith('sk-') && apiKey.length >= 20;
+  return provider;
 }
 
 /**
- * Get LLM extractor instance (user-provided key REQUIRED)
+ * Get LLM extractor instance
+ * OpenAI needs the caller's own key; self-hosted providers may need
+ * no key or use one configured on the server.
+ * Options are passed to LLMExtractor (e.g. provider, packSize)
  */
-function getLLMExtractor(userApiKey) {
+function getLLMExtractor(userApiKey, options = {}) {
+  const provider = options.provider || getProvider();
+
   // If user provides a valid key, create instance with it
-  if (userApiKey && validateApiKey(userApiKey)) {
-    console.log('🔑 Using user-provided API key');
-    return new LLMExtractor(userApiKey);
+  if (userApiKey && isValidProviderKey(provider, userApiKey)) {
+    console.log(`🔑 Using user-provided API key (${provider.name})`);
+    return new LLMExtractor(userApiKey, { cache, ...options, provider });
+  }
+
+  if (provider.name !== 'openai' && canAuthenticate(provider, provider.apiKey)) {
+    return new LLMExtractor(null, { cache, ...options, provider });
   }
 
   // NO FALLBACK - Return disabled extractor
   console.log('⚠️ No valid API key provided - LLM features disabled');
-  return new LLMExtractor(null); // Creates disabled extractor
+  return new LLMExtractor(null, { cache, provider }); // Creates disabled extractor
 }
 
 // Configure multer for file uploads
@@ -65,11 +122,11 @@ const upload = multer({
   }
 });
 
-// Initialize cache
-const cache = getCacheInstance({
-  maxSize: 5000,      // Store up to 5000 results
-  ttl: 86400000       // 24 hours TTL
-});
+// Batch and sheet runs are tracked as jobs
+const jobManager = getJobManager();
+
+// Running token and cost totals for /api/status
+const usageTracker = getUsageTracker();
 
 // Middleware
 app.use(cors());
@@ -84,18 +141,27 @@ function formatLocationString(location) {
   return formatNormalizedLocation(location);
 }
 
+/**
+ * Bookkeeping carried from an extractor answer into the result:
+ * cache, usage and retries, plus which model answered and how
+ */
+function getLLMResultDetails(llmResult) {
+  return {
+    cached: !!llmResult.cached,
+    usage: llmResult.usage,
+    retries: llmResult.retries || 0,
+    ...(llmResult.model && { model: llmResult.model, escalated: Boolean(llmResult.escalated) }),
+    ...(llmResult.escalation && { escalation: llmResult.escalation }),
+    ...(llmResult.packed && { packed: llmResult.packed }),
+    ...(llmResult.bulk && { bulk: llmResult.bulk }),
+    ...(llmResult.budgetExceeded && { budgetExceeded: true })
+  };
+}
+
 /**
  * Process text with LLM-first extraction
  */
 async function processLLMFirst(text, useLLM = true, llmExtractor = defaultLLMExtractor) {
-  // Check cache first
-  const cacheKey = cache.generateKey(text, { useLLM });
-  const cachedResult = cache.get(cacheKey);
-  if (cachedResult) {
-    console.log('💾 Cache hit!');
-    return { ...cachedResult, cached: true };
-  }
-
   // Early exit for obvious non-locations
   if (!text || text.trim().length < 5) {
     const result = {
@@ -106,7 +172,6 @@ async function processLLMFirst(text, useLLM = true, llmExtractor = defaultLLMExt
       method: 'early_exit',
       reasoning: 'Text too short to contain location'
     };
-    cache.set(cacheKey, result);
     return result;
   }
 
@@ -121,7 +186,6 @@ async function processLLMFirst(text, useLLM = true, llmExtractor = defaultLLMExt
       method: 'early_exit',
       reasoning: 'Only contains @mentions'
     };
-    cache.set(cacheKey, result);
     return result;
   }
 
@@ -144,21 +208,44 @@ async function processLLMFirst(text, useLLM = true, llmExtractor = defaultLLMExt
 
     // Process the LLM result
     if (llmResult.hasLocation && llmResult.location) {
-      // Normalize the location fields
+      // Normalize the location fields, then snap them to the gazetteer
       const normalizedLocation = normalizeLocationFields(llmResult.location);
+      const { location: validatedLocation, gazetteer } = validateLocation(normalizedLocation);
+
+      if (hasLocationData(validatedLocation)) {
+        // Snapped names can differ from the model's; fall back to its spans
+        const { spans, match } = locateSpans(text, validatedLocation, { hints: llmResult.spans });
+
+        const result = {
+          text,
+          location: validatedLocation,
+          formatted: formatLocationString(validatedLocation),
+          spans,
+          match,
+          confidence: llmResult.confidence,
+          method: llmResult.method || 'llm_extracted',
+          reasoning: llmResult.reasoning,
+          gazetteer,
+          pass: 'LLM-First',
+          ...getLLMResultDetails(llmResult)
+        };
+
+        return result;
+      }
 
+      // Nothing the model returned exists in the gazetteer
       const result = {
         text,
-        location: normalizedLocation,
-        formatted: formatLocationString(normalizedLocation),
-        confidence: llmResult.confidence,
-        method: llmResult.method || 'llm_extracted',
-        reasoning: llmResult.reasoning,
-        pass: 'LLM-First'
+        location: createEmptyLocation(),
+        formatted: formatLocationString(null),
+        confidence: 0,
+        method: 'llm_unverified',
+        reasoning: `${llmResult.reasoning || 'LLM location'} (not found in gazetteer)`,
+        gazetteer,
+        pass: 'LLM-First',
+        ...getLLMResultDetails(llmResult)
       };
 
-      // Cache the result
-      cache.set(cacheKey, result);
       return result;
     }
 
@@ -167,14 +254,15 @@ async function processLLMFirst(text, useLLM = true, llmExtractor = defaultLLMExt
       text,
       location: createEmptyLocation(),
       formatted: formatLocationString(null),
-      confidence: llmResult.confidence || 90,
+      confidence: isFailedLLMResult(llmResult) ? 0 : (llmResult.confidence || 90),
       method: llmResult.method || 'llm_no_location',
       reasoning: llmResult.reasoning || 'No location identified',
-      pass: 'LLM-First'
+      pass: 'LLM-First',
+      ...getLLMResultDetails(llmResult),
+      ...(llmResult.error && { error: llmResult.error }),
+      ...(llmResult.raw !== undefined && { raw: llmResult.raw })
     };
 
-    // Cache the result
-    cache.set(cacheKey, result);
     return result;
 
   } catch (error) {
@@ -192,149 +280,818 @@ async function processLLMFirst(text, useLLM = true, llmExtractor = defaultLLMExt
       pass: 'Error'
     };
 
-    cache.set(cacheKey, result);
     return result;
   }
 }
 
 /**
- * API endpoint to process batch of texts
+ * Process text with rule-first / LLM-fallback extraction
+ * The LLM is only called when the rule-based parsers find nothing,
+ * report low confidence or match an ambiguous name
  */
-app.post('/api/batch-parse', async (req, res) => {
-  try {
-    const { texts, useLLM = true, parallel = true, batchSize = 5, sessionId, apiKey } = req.body;
+async function processHybrid(text, llmExtractor = defaultLLMExtractor, options = {}) {
+  const { useLLM = true, threshold = DEFAULT_HYBRID_THRESHOLD } = options;
+
+  const ruleResult = extractWithRules(text);
+  const ruleLocation = ruleResult.hasLocation
+    ? normalizeLocationFields(ruleResult.location)
+    : createEmptyLocation();
+
+  const buildRuleResult = (reasoning) => ({
+    text,
+    location: ruleLocation,
+    formatted: formatLocationString(ruleResult.hasLocation ? ruleLocation : null),
+    spans: ruleResult.spans || null,
+    match: ruleResult.match || null,
+    confidence: ruleResult.confidence,
+    method: ruleResult.method,
+    reasoning,
+    ambiguous: ruleResult.ambiguous,
+    pass: 'Hybrid-Rules'
+  });
 
-    if (!texts || !Array.isArray(texts)) {
-      return res.status(400).json({ error: 'Texts array is required' });
+  const confident = isConfidentRuleResult(ruleResult, threshold);
+
+  if (confident) {
+    return buildRuleResult(ruleResult.reasoning);
+  }
+
+  // Without an LLM the rule-based answer is the best we have
+  if (!useLLM || !llmExtractor.enabled) {
+    return buildRuleResult(`${ruleResult.reasoning}; LLM fallback unavailable`);
+  }
+
+  console.log(`🔀 Hybrid fallback to LLM (rule confidence ${ruleResult.confidence}${ruleResult.ambiguous ? ', ambiguous' : ''})`);
+  const llmResult = await processLLMFirst(text, useLLM, llmExtractor);
+
+  // Keep the rule-based answer if the LLM call failed or its output was invalid
+  if (isFailedLLMResult(llmResult) && ruleResult.hasLocation) {
+    return {
+      ...buildRuleResult(`${ruleResult.reasoning}; LLM fallback failed`),
+      error: llmResult.error,
+      ...(llmResult.raw !== undefined && { raw: llmResult.raw })
+    };
+  }
+
+  const result = {
+    ...llmResult,
+    pass: 'Hybrid-LLM',
+    ruleBased: {
+      confidence: ruleResult.confidence,
+      ambiguous: ruleResult.ambiguous,
+      location: ruleResult.hasLocation ? ruleLocation : null
     }
+  };
 
-    // Get LLM extractor (user key or default)
-    const llmExtractor = getLLMExtractor(apiKey);
+  return result;
+}
 
-    console.log(`\n📊 Processing ${texts.length} texts...`);
-    console.log('═'.repeat(50));
+/**
+ * Process text into every location mention, each with a role
+ * The primary mention also fills `location` so single-location
+ * consumers (CSV export, frontend) keep working
+ */
+async function processMulti(text, llmExtractor = defaultLLMExtractor, options = {}) {
+  const { useLLM = true } = options;
+
+  let extraction = null;
+  let pass = 'Multi-Rules';
+  let note = '';
+  let cached = false;
+  let usage = null;
+  let retries = 0;
+  let failure = null;
+
+  if (useLLM && llmExtractor.enabled) {
+    console.log('🤖 Multi-location extraction with GPT-4o-mini...');
+    const llmResult = await llmExtractor.extractMentions(text);
+    usage = llmResult.usage || null;
+    retries = llmResult.retries || 0;
+
+    if (isFailedLLMResult(llmResult)) {
+      note = llmResult.method === 'invalid_llm_output' ? '; LLM output failed validation' : '; LLM extraction failed';
+      failure = { error: llmResult.error, ...(llmResult.raw !== undefined && { raw: llmResult.raw }) };
+    } else {
+      const requestedPrimary = llmResult.primary === null ? null : llmResult.mentions[llmResult.primary];
+
+      // Snap every mention to the gazetteer and drop the ones that don't exist
+      const mentions = llmResult.mentions
+        .map(mention => {
+          const { location, gazetteer } = validateLocation(normalizeLocationFields(mention.location));
+          const { spans, match } = locateSpans(text, location, { near: mention.start, hints: mention.spans });
+          const surface = match || mention.match;
+
+          return {
+            ...mention,
+            location,
+            gazetteer,
+            start: surface ? surface.start : null,
+            end: surface ? surface.end : null,
+            spans,
+            match: surface,
+            source: mention
+          };
+        })
+        .filter(mention => hasLocationData(mention.location));
+
+      const kept = mentions.findIndex(mention => mention.source === requestedPrimary);
+      extraction = {
+        mentions: mentions.map(({ source, ...mention }) => mention),
+        primary: kept === -1 ? pickPrimaryMention(mentions) : kept,
+        method: llmResult.method,
+        reasoning: llmResult.reasoning
+      };
+      pass = 'Multi-LLM';
+      cached = !!llmResult.cached;
+    }
+  }
 
-    // Estimate processing time
-    const estimate = estimateProcessingTime(texts, useLLM);
-    console.log(`⏱️ Estimated time: ${estimate.estimatedSeconds}s (${estimate.llmCalls} LLM calls)`);
+  if (!extraction) {
+    const ruleResult = extractMentionsWithRules(text);
+    extraction = {
+      mentions: ruleResult.mentions.map(mention => ({
+        ...mention,
+        location: normalizeLocationFields(mention.location)
+      })),
+      primary: ruleResult.primary,
+      method: ruleResult.method,
+      reasoning: `${ruleResult.reasoning}${note}`
+    };
+  }
 
-    // Send initial progress update if sessionId provided
-    if (sessionId) {
-      sendProgressUpdate(sessionId, {
-        type: 'started',
-        total: texts.length,
-        estimatedTime: estimate.estimatedSeconds
-      });
+  const primaryMention = extraction.primary === null ? null : extraction.mentions[extraction.primary];
+  const result = {
+    text,
+    location: primaryMention ? primaryMention.location : createEmptyLocation(),
+    formatted: formatLocationString(primaryMention ? primaryMention.location : null),
+    confidence: primaryMention ? primaryMention.confidence : 0,
+    method: extraction.method,
+    reasoning: extraction.reasoning,
+    mentions: extraction.mentions,
+    primaryMention: extraction.primary,
+    pass,
+    cached,
+    usage,
+    retries,
+    ...failure
+  };
+
+  return result;
+}
+
+/**
+ * Process text with several extractors and reconcile their answers by
+ * weighted vote, level by level (see utils/ensemble-resolver.js)
+ * The result adds `agreement` (share of vote weight behind each level
+ * and the whole answer) and `dissent` (the answers that lost)
+ */
+async function processEnsemble(text, llmExtractor = defaultLLMExtractor, options = {}) {
+  const { useLLM = true, ensemble = resolveEnsemble() } = options;
+
+  // Members vote with calibrated confidences where a calibration exists
+  const extractor = createExtractor('ensemble', {
+    llmExtractor: useLLM ? llmExtractor : null,
+    ensemble,
+    calibration: getConfidenceCalibration()
+  });
+  if (!extractor.available) {
+    return {
+      text,
+      location: createEmptyLocation(),
+      formatted: formatLocationString(null),
+      confidence: 0,
+      method: 'ensemble_unavailable',
+      reasoning: extractor.unavailableReason,
+      pass: 'Ensemble'
+    };
+  }
+
+  const resolved = await extractor.extract(text);
+  const location = normalizeLocationFields(resolved.location);
+  const { spans, match } = resolved.location ? locateSpans(text, location) : { spans: null, match: null };
+  console.log(`🗳️ Ensemble: ${resolved.supporters.length} of ${resolved.members.length} extractors agree (${resolved.supporters.join(', ') || 'none'})`);
+
+  return {
+    text,
+    location,
+    formatted: formatLocationString(resolved.location ? location : null),
+    spans,
+    match,
+    confidence: resolved.confidence,
+    method: resolved.method,
+    reasoning: `${resolved.supporters.length} of ${resolved.members.length} extractors agree` +
+      (resolved.supporters.length > 0 ? ` (${resolved.supporters.join(', ')})` : ''),
+    agreement: resolved.agreement,
+    dissent: resolved.dissent,
+    ensemble: { members: resolved.members, skipped: resolved.skipped, errors: resolved.errors },
+    usage: resolved.usage || null,
+    pass: resolved.supporters.includes('llm') ? 'Ensemble-LLM' : 'Ensemble'
+  };
+}
+
+/**
+ * Second pass: have LLMValidator check a location extracted from a
+ * text with risky context (location-like @handles, location hashtags,
+ * political figures) and merge its verdict into the result
+ * - confirmed: location kept, confidence capped at the validator's
+ * - corrected: the validator's location, snapped to the gazetteer
+ * - rejected: location cleared
+ * - unavailable: validation failed; result unchanged
+ * The extracted location is kept in `validation.original` whenever it changes
+ */
+async function processSecondPass(text, result, llmExtractor) {
+  const risks = getSecondPassRisks(text);
+  if (risks.length === 0 || !hasLocationData(result.location) || isFailedLLMResult(result)) {
+    return result;
+  }
+
+  const { region, province, city, barangay } = result.location;
+  console.log(`🔎 Second-pass validation (${risks.map(risk => risk.value).join(', ')})`);
+  const validation = await getSecondPassValidator(llmExtractor)
+    .validateLocation(text, { region, province, city, barangay });
+  const { verdict, location } = judgeExtraction(result.location, validation);
+
+  const merged = {
+    ...result,
+    usage: sumUsage([result.usage, validation.usage]),
+    retries: (result.retries || 0) + (validation.retries || 0),
+    validation: {
+      verdict,
+      risks,
+      confidence: validation.confidence,
+      reasoning: validation.reasoning,
+      model: llmExtractor.model,
+      cached: !!validation.cached,
+      ...(verdict !== 'confirmed' && verdict !== 'unavailable' && { original: result.location }),
+      ...(validation.error && { error: validation.error })
     }
+  };
+
+  if (verdict === 'confirmed') {
+    merged.confidence = Math.min(result.confidence, validation.confidence);
+  } else if (verdict === 'corrected') {
+    const { spans, match } = locateSpans(text, location);
+    Object.assign(merged, {
+      location,
+      formatted: formatLocationString(location),
+      spans,
+      match,
+      confidence: validation.confidence,
+      method: 'llm_corrected',
+      reasoning: `${result.reasoning}; second pass: ${validation.reasoning}`
+    });
+  } else if (verdict === 'rejected') {
+    Object.assign(merged, {
+      location: createEmptyLocation(),
+      formatted: formatLocationString(null),
+      spans: null,
+      match: null,
+      confidence: validation.confidence,
+      method: 'llm_rejected',
+      reasoning: `${result.reasoning}; second pass: ${validation.reasoning}`
+    });
+  }
 
-    let results;
-    let startTime = Date.now();
-
-    if (parallel && texts.length > 1) {
-      // Use parallel batch processing
-      console.log(`🚀 Using parallel processing (batch size: ${batchSize})`);
-
-      results = await processBatch(texts, (text) => processLLMFirst(text, useLLM, llmExtractor), {
-        batchSize,
-        useLLM,
-        onProgress: (progress) => {
-          // Send real-time progress updates via SSE if sessionId provided
-          if (sessionId) {
-            const elapsed = Date.now() - startTime;
-            const avgTimePerItem = elapsed / progress.current;
-            const remainingItems = progress.total - progress.current;
-            const estimatedRemaining = Math.round((remainingItems * avgTimePerItem) / 1000);
-
-            sendProgressUpdate(sessionId, {
-              type: 'progress',
-              current: progress.current,
-              total: progress.total,
-              percentage: progress.percentage,
-              estimatedRemaining,
-              currentText: progress.result?.text?.substring(0, 50) + '...',
-              hasLocation: progress.result?.location && hasLocationData(progress.result.location)
-            });
-          }
-
-          if (progress.current % 10 === 0) {
-            console.log(`  Progress: ${progress.percentage}% (${progress.current}/${progress.total})`);
-          }
-        }
+  return merged;
+}
+
+/**
+ * Dispatch text to the requested extraction mode
+ */
+async function processText(text, llmExtractor, options = {}) {
+  const { mode = 'llm', useLLM = true, hybridThreshold, ensemble, validate = false, injectionPolicy = getInjectionPolicy() } = options;
+
+  // Instruction-like comments are flagged, sanitized or kept from the LLM
+  const screening = useLLM && llmExtractor.enabled ? screenUserText(text, injectionPolicy) : null;
+  if (screening) {
+    console.log(`🛡️ Instruction-like text (${screening.signals.map(signal => signal.type).join(', ')}); policy: ${screening.policy}`);
+  }
+  if (screening && screening.policy === 'rules') {
+    const result = await processText(text, llmExtractor, {
+      ...options,
+      mode: ['multi', 'ensemble'].includes(mode) ? mode : 'hybrid',
+      useLLM: false
+    });
+
+    return {
+      ...result,
+      reasoning: `${result.reasoning}; LLM skipped: text contains instructions`,
+      pass: 'Injection-Rules',
+      injection: toInjectionReport(screening)
+    };
+  }
+
+  // Sanitized text keeps its length, so spans still fit the original
+  const llmText = screening ? screening.text : text;
+
+  let result;
+  if (mode === 'hybrid') {
+    result = await processHybrid(llmText, llmExtractor, { useLLM, threshold: hybridThreshold });
+  } else if (mode === 'multi') {
+    result = await processMulti(llmText, llmExtractor, { useLLM });
+  } else if (mode === 'ensemble') {
+    result = await processEnsemble(llmText, llmExtractor, { useLLM, ensemble });
+  } else {
+    result = await processLLMFirst(llmText, useLLM, llmExtractor);
+  }
+
+  if (validate && useLLM && llmExtractor.enabled) {
+    result = await processSecondPass(llmText, result, llmExtractor);
+  }
+
+  return {
+    ...result,
+    text,
+    usage: result.usage || createUsage(),
+    provenance: getResultProvenance(result, llmExtractor, mode),
+    ...getResultCalibration(result, mode),
+    ...(screening && { injection: toInjectionReport(screening) })
+  };
+}
+
+/**
+ * Calibrated probability (0-1) that a found location is right, from
+ * the fitted mapping for the mode's extractor; nothing when the mode
+ * has no mapping or no location was found
+ */
+function getResultCalibration(result, mode) {
+  const extractor = CALIBRATED_MODES[mode];
+  const calibration = getConfidenceCalibration();
+  const probability = extractor && hasLocationData(result.location) ? calibration.calibrate(extractor, result.confidence) : null;
+  if (probability === null) {
+    return {};
+  }
+  return { calibration: { probability, extractor, version: calibration.version } };
+}
+
+/**
+ * Provenance for a result; model and prompt are only recorded when
+ * the answer actually came from the LLM
+ */
+function getResultProvenance(result, llmExtractor, mode) {
+  if (!LLM_PASSES.includes(result.pass)) {
+    return buildProvenance();
+  }
+
+  const kind = mode === 'multi' ? 'mentions' : (result.packed ? 'packed' : 'extract');
+  return buildProvenance({
+    provider: llmExtractor.provider.name,
+    model: result.model || llmExtractor.model,
+    promptVersion: llmExtractor.getPromptVersion(kind)
+  });
+}
+
+/**
+ * Read and validate extraction mode options from a request body
+ * Returns { error } when the options are invalid
+ */
+function getModeOptions(body) {
+  const {
+    mode = 'llm',
+    hybridThreshold = DEFAULT_HYBRID_THRESHOLD,
+    packed = false,
+    packSize,
+    bulk = false,
+    validate = false,
+    injectionPolicy = getInjectionPolicy()
+  } = body;
+
+  if (!EXTRACTION_MODES.includes(mode)) {
+    return { error: `Invalid mode "${mode}". Expected one of: ${EXTRACTION_MODES.join(', ')}` };
+  }
+
+  const threshold = Number(hybridThreshold);
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+    return { error: 'hybridThreshold must be a number between 0 and 100' };
+  }
+
+  // Packed mode: several comments per LLM request (batch runs only)
+  let size = 0;
+  if (packSize !== undefined && packSize !== null) {
+    size = Number(packSize);
+    if (!Number.isInteger(size) || size < 1 || size > PACK_LIMITS.maxSize) {
+      return { error: `packSize must be an integer between 1 and ${PACK_LIMITS.maxSize}` };
+    }
+  } else if (packed) {
+    size = getDefaultPackSize();
+  }
+
+  if (size > 1 && ['multi', 'ensemble'].includes(mode)) {
+    return { error: `Packed requests are not supported in ${mode} mode` };
+  }
+
+  // Bulk mode: one offline Batch API run for the whole job
+  if (bulk && ['multi', 'ensemble'].includes(mode)) {
+    return { error: `Bulk mode is not supported in ${mode} mode` };
+  }
+  if (bulk && size > 1) {
+    return { error: 'Bulk mode cannot be combined with packed requests' };
+  }
+
+  // Second-pass validation of extractions from risky contexts
+  if (typeof validate !== 'boolean') {
+    return { error: 'validate must be true or false' };
+  }
+  if (validate && mode === 'multi') {
+    return { error: 'Second-pass validation is not supported in multi mode' };
+  }
+  if (validate && bulk) {
+    return { error: 'Second-pass validation cannot be combined with bulk mode' };
+  }
+
+  // What happens to comments that contain instructions for the model
+  if (!INJECTION_POLICIES.includes(injectionPolicy)) {
+    return { error: `Invalid injectionPolicy "${injectionPolicy}". Expected one of: ${INJECTION_POLICIES.join(', ')}` };
+  }
+
+  // Escalation to a stronger model; `routing: false` turns it off
+  const routing = resolveRouting(body.routing === undefined ? {} : body.routing);
+  if (routing && routing.error) {
+    return { error: routing.error };
+  }
+
+  // Which extractors vote in ensemble mode, and their weights
+  let ensemble = null;
+  if (mode === 'ensemble') {
+    ensemble = resolveEnsemble(body.ensemble === undefined ? {} : body.ensemble);
+    if (ensemble.error) {
+      return { error: ensemble.error };
+    }
+  }
+
+  return { mode, hybridThreshold: threshold, packSize: size > 1 ? size : 0, bulk: Boolean(bulk), routing, validate, injectionPolicy, ensemble };
+}
+
+/**
+ * Reject bulk mode on endpoints that answer synchronously
+ */
+function rejectSyncBulk(modeOptions, res) {
+  if (!modeOptions.bulk) return false;
+  res.status(400).json({ error: 'Bulk mode can take hours; start it as a job with POST /api/jobs' });
+  return true;
+}
+
+/**
+ * Read spend caps from a request body, merged with server defaults
+ * Returns { error }, or { budget } (null when nothing is capped)
+ */
+function getJobBudget(body) {
+  const limits = resolveBudget(body.budget || {});
+  if (limits.error) {
+    return { error: limits.error };
+  }
+
+  const budget = new SpendBudget(limits);
+  return { budget: budget.isLimited() ? budget : null };
+}
+
+/**
+ * Result for a row that would have needed the LLM after the job's
+ * budget ran out: rule-based parsing, or `skipped_budget`
+ */
+async function processOverBudget(text, llmExtractor, modeOptions, budget) {
+  budget.countRow();
+
+  if (budget.onExceeded === 'skip') {
+    return {
+      text,
+      location: createEmptyLocation(),
+      formatted: formatLocationString(null),
+      confidence: 0,
+      method: 'skipped_budget',
+      reasoning: `Not processed: ${budget.reason}`,
+      pass: 'Budget',
+      usage: createUsage(),
+      provenance: buildProvenance()
+    };
+  }
+
+  const result = await processText(text, llmExtractor, {
+    ...modeOptions,
+    mode: ['multi', 'ensemble'].includes(modeOptions.mode) ? modeOptions.mode : 'hybrid',
+    useLLM: false
+  });
+
+  return {
+    ...result,
+    reasoning: `${result.reasoning}; LLM skipped: ${budget.reason}`,
+    pass: 'Budget-Rules'
+  };
+}
+
+/**
+ * Process one job row; `llmExtractor` is the job's view, which charges
+ * each call it makes to the budget. Rows that find the budget spent
+ * before their first call get the over-budget treatment.
+ */
+async function processBudgetedText(text, llmExtractor, modeOptions, useLLM, budget) {
+  if (!budget || !useLLM || !llmExtractor.enabled || !needsLLMCall(text, llmExtractor, modeOptions)) {
+    return processText(text, llmExtractor, { ...modeOptions, useLLM });
+  }
+
+  if (budget.checkExhausted()) {
+    return processOverBudget(text, llmExtractor, modeOptions, budget);
+  }
+
+  const result = await processText(text, llmExtractor, { ...modeOptions, useLLM });
+  // Another row in flight spent the last of the budget first
+  if (result.budgetExceeded) {
+    return processOverBudget(text, llmExtractor, modeOptions, budget);
+  }
+  return result;
+}
+
+/**
+ * Run texts through the extraction pipeline as part of a job
+ * Stores each result on the job and streams progress to SSE subscribers
+ * `processRow(text)` replaces the default budgeted pipeline (bulk jobs)
+ */
+async function runParseJob(job, texts, llmExtractor, options = {}) {
+  const { modeOptions, useLLM = true } = options;
+  const jobExtractor = llmExtractor.forJob(job);
+  const processRow = options.processRow ||
+    ((text) => processBudgetedText(text, jobExtractor, modeOptions, useLLM, job.budget));
+
+  // Enough rows in flight for several full packs at once
+  const batchSize = llmExtractor.packSize
+    ? Math.max(options.batchSize || 5, llmExtractor.packSize * PACKS_IN_FLIGHT)
+    : options.batchSize || 5;
+
+  job.total = texts.length;
+
+  // Estimate processing time
+  const estimate = estimateProcessingTime(texts, useLLM);
+  console.log(`⏱️ Estimated time: ${estimate.estimatedSeconds}s (${estimate.llmCalls} LLM calls)`);
+
+  jobManager.emit(job.id, {
+    type: 'started',
+    jobId: job.id,
+    total: texts.length,
+    estimatedTime: estimate.estimatedSeconds
+  });
+
+  const startTime = Date.now();
+
+  const results = await processBatch(texts, processRow, {
+    batchSize,
+    useLLM,
+    abortSignal: job.signal,
+    onProgress: (progress) => {
+      jobManager.recordResult(job.id, progress.index, progress.result,
+        Boolean(progress.result?.location && hasLocationData(progress.result.location)));
+
+      // Send real-time progress updates via SSE
+      const elapsed = Date.now() - startTime;
+      const avgTimePerItem = elapsed / progress.current;
+      const remainingItems = progress.total - progress.current;
+      const estimatedRemaining = Math.round((remainingItems * avgTimePerItem) / 1000);
+
+      jobManager.emit(job.id, {
+        type: 'progress',
+        jobId: job.id,
+        current: progress.current,
+        total: progress.total,
+        percentage: progress.percentage,
+        estimatedRemaining,
+        currentText: progress.result?.text?.substring(0, 50) + '...',
+        hasLocation: progress.result?.location && hasLocationData(progress.result.location)
       });
-    } else {
-      // Fallback to sequential processing for single items or if parallel disabled
-      console.log(`📝 Using sequential processing`);
-      results = [];
-
-      for (let i = 0; i < texts.length; i++) {
-        const text = texts[i];
-        console.log(`\n[${i + 1}/${texts.length}] Processing: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`);
-
-        // Send progress update if sessionId provided
-        if (sessionId) {
-          const elapsed = Date.now() - startTime;
-          const avgTimePerItem = i > 0 ? elapsed / i : 1000;
-          const remainingItems = texts.length - i;
-          const estimatedRemaining = Math.round((remainingItems * avgTimePerItem) / 1000);
-
-          sendProgressUpdate(sessionId, {
-            type: 'progress',
-            current: i,
-            total: texts.length,
-            percentage: Math.round((i / texts.length) * 100),
-            estimatedRemaining,
-            currentText: text.substring(0, 50) + '...',
-            hasLocation: false
-          });
-        }
 
-        const result = await processLLMFirst(text, useLLM, llmExtractor);
-        results.push(result);
+      if (progress.current % 10 === 0 || progress.current === texts.length) {
+        console.log(`  Progress: ${progress.percentage}% (${progress.current}/${progress.total})`);
       }
     }
+  });
 
-    // Count successes
-    let successCount = 0;
-    results.forEach(result => {
-      if (hasLocationData(result.location)) {
-        successCount++;
-      }
-    });
+  // Items that threw never reach onProgress
+  results.forEach((result, index) => {
+    if (result) {
+      jobManager.recordResult(job.id, index, result, Boolean(result.location && hasLocationData(result.location)));
+    }
+  });
 
-    const processingTime = Date.now() - startTime;
-    const avgTime = Math.round(processingTime / texts.length);
+  return results;
+}
 
-    console.log('\n═'.repeat(50));
-    console.log(`✨ Processing complete: ${successCount}/${texts.length} with locations`);
-    console.log(`⏱️ Total time: ${processingTime}ms (avg: ${avgTime}ms/item)`);
-    if (parallel) {
-      const sequentialEstimate = texts.length * avgTime;
-      const speedup = (sequentialEstimate / processingTime).toFixed(1);
-      console.log(`🚀 Speedup: ${speedup}x faster than sequential`);
+/**
+ * Run a job through one offline Batch API run
+ * Texts that need the LLM are sent as a batch first; progress events
+ * carry `phase: 'bulk'` and the batch status while it runs. The rows
+ * are then put through the normal pipeline with the batch answers in
+ * place of live calls, so results look like any other job's.
+ */
+async function runBulkJob(job, texts, llmExtractor, options = {}) {
+  const { modeOptions, useLLM = true } = options;
+  const budget = job.budget;
+  const overBudget = new Set();
+  const queued = new Set();
+  const reserved = new Set();
+  let projected = createUsage();
+
+  if (useLLM && llmExtractor.enabled) {
+    for (const text of new Set(texts)) {
+      if (!needsLLMCall(text, llmExtractor, modeOptions)) continue;
+
+      // The batch gets the text the pipeline will ask about (sanitized
+      // under the sanitize policy)
+      const screening = screenUserText(text, modeOptions.injectionPolicy);
+      const llmText = screening ? screening.text : text;
+      if (queued.has(llmText)) continue;
+
+      // A submitted batch can't be stopped halfway, so token and cost
+      // caps are applied to the estimate before anything is sent
+      const cached = Boolean(llmExtractor.cache.get(llmExtractor.getCacheKey('extract', llmText)));
+      if (budget && !cached) {
+        projected = sumUsage([projected, estimateUsage([llmText], {
+          model: llmExtractor.model,
+          buildPrompt: (item) => llmExtractor.buildExtractionPrompt(item),
+          completionTokens: ESTIMATED_COMPLETION_TOKENS.extract,
+          priceFactor: BATCH_PRICE_FACTOR
+        })]);
+        const reason = budget.getOverrun(projected);
+        if (reason && !budget.reason) budget.exhaust(reason);
+        if (!budget.reserve(llmExtractor.model)) {
+          overBudget.add(text);
+          continue;
+        }
+        reserved.add(llmText);
+      }
+      queued.add(llmText);
     }
+  }
 
-    // Send completion notification if sessionId provided
-    if (sessionId) {
-      sendProgressUpdate(sessionId, {
-        type: 'completed',
+  const bulkTexts = Array.from(queued);
+  job.meta.bulk = { requests: bulkTexts.length, batches: [] };
+  const bulkExtractor = new BulkExtractor(llmExtractor);
+  const answers = await bulkExtractor.run(bulkTexts, {
+    signal: job.signal,
+    onStatus: ({ batch, index, count }) => {
+      job.meta.bulk.batches[index] = { id: batch.id, status: batch.status, requestCounts: batch.request_counts };
+
+      const counts = batch.request_counts || {};
+      const done = (counts.completed || 0) + (counts.failed || 0);
+      jobManager.emit(job.id, {
+        type: 'progress',
+        jobId: job.id,
+        phase: 'bulk',
+        batch: { id: batch.id, status: batch.status, index, count },
+        requestCounts: counts,
+        current: 0,
         total: texts.length,
-        successful: successCount,
-        successRate: ((successCount / results.length) * 100).toFixed(1),
-        totalTime: processingTime
+        percentage: counts.total ? Math.round((done / counts.total) * 100) : 0
       });
     }
+  });
+
+  // Cached texts were never reserved, so only the rest are settled
+  if (budget) {
+    reserved.forEach(text => budget.settle(answers.get(text).usage));
+  }
+
+  // Batch answers stand in for the first request to the job's model, so
+  // escalation still runs and charges the job as it goes. Rows repeat;
+  // the batch call is charged to the first of them only
+  const served = new Set();
+  const bulkView = Object.create(llmExtractor.forJob(job));
+  bulkView.extractWithModel = async (text) => {
+    const answer = answers.get(text);
+    if (!answer) {
+      return Object.getPrototypeOf(bulkView).extractWithModel.call(bulkView, text);
+    }
+    if (served.has(text)) {
+      return { ...answer, usage: createUsage(llmExtractor.model), cached: true };
+    }
+    served.add(text);
+    return answer;
+  };
+
+  return runParseJob(job, texts, bulkView, {
+    ...options,
+    processRow: (text) => overBudget.has(text)
+      ? processOverBudget(text, llmExtractor, modeOptions, budget)
+      : processText(text, bulkView, { ...modeOptions, useLLM })
+  });
+}
 
-    res.json({
-      success: true,
-      processed: results.length,
-      successful: successCount,
-      successRate: ((successCount / results.length) * 100).toFixed(1),
-      llmEnabled: llmExtractor.enabled,
-      processingTime,
-      averageTime: avgTime,
-      parallel,
-      results
+/**
+ * Cancel a job when the client of a synchronous request goes away,
+ * so abandoned runs stop making LLM calls
+ */
+function cancelOnDisconnect(res, job) {
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      console.log(`🔌 Client disconnected; cancelling job ${job.id}`);
+      jobManager.cancel(job.id);
+    }
+  });
+}
+
+/**
+ * Options a job runs with, reported in its status
+ */
+function buildJobMeta(llmExtractor, modeOptions) {
+  return {
+    mode: modeOptions.mode,
+    provider: llmExtractor.provider.name,
+    llmEnabled: llmExtractor.enabled,
+    packSize: modeOptions.packSize,
+    escalateModel: llmExtractor.routing ? llmExtractor.routing.escalateModel : null,
+    validate: modeOptions.validate,
+    injectionPolicy: modeOptions.injectionPolicy
+  };
+}
+
+/**
+ * Build the legacy synchronous response body from a finished job
+ */
+function buildJobResponse(job, llmExtractor, modeOptions) {
+  const results = job.results.filter(Boolean);
+  const processingTime = (job.finishedAt || Date.now()) - (job.startedAt || job.createdAt);
+  const successRate = results.length ? ((job.successful / results.length) * 100).toFixed(1) : '0.0';
+
+  console.log('\n' + '═'.repeat(50));
+  console.log(`✨ Processing complete: ${job.successful}/${job.total} with locations`);
+  console.log(`⏱️ Total time: ${processingTime}ms (avg: ${Math.round(processingTime / (job.total || 1))}ms/item)`);
+
+  return {
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    processed: results.length,
+    successful: job.successful,
+    successRate,
+    llmEnabled: llmExtractor.enabled,
+    provider: llmExtractor.provider.name,
+    mode: modeOptions.mode,
+    packSize: modeOptions.packSize,
+    processingTime,
+    averageTime: Math.round(processingTime / (job.total || 1)),
+    usage: job.usage,
+    budget: job.budget ? job.budget.getStatus() : null,
+    results
+  };
+}
+
+/**
+ * API endpoint to process batch of texts
+ * Runs as a job (sessionId labels it) and waits for it
+ */
+app.post('/api/batch-parse', async (req, res) => {
+  try {
+    const { texts, useLLM = true, parallel = true, batchSize = 5, sessionId, apiKey } = req.body;
+
+    if (!texts || !Array.isArray(texts)) {
+      return res.status(400).json({ error: 'Texts array is required' });
+    }
+
+    const modeOptions = getModeOptions(req.body);
+    if (modeOptions.error) {
+      return res.status(400).json({ error: modeOptions.error });
+    }
+    if (rejectSyncBulk(modeOptions, res)) return;
+
+    const { budget, error: budgetError } = getJobBudget(req.body);
+    if (budgetError) {
+      return res.status(400).json({ error: budgetError });
+    }
+
+    const provider = getRequestProvider(req.body);
+    if (provider.error) {
+      return res.status(400).json({ error: provider.error });
+    }
+
+    // Get LLM extractor (user key or default)
+    const llmExtractor = getLLMExtractor(apiKey, { provider, packSize: modeOptions.packSize, routing: modeOptions.routing });
+
+    console.log(`\n📊 Processing ${texts.length} texts...`);
+    console.log('═'.repeat(50));
+
+    const job = jobManager.createJob({
+      label: sessionId,
+      type: 'batch',
+      total: texts.length,
+      meta: buildJobMeta(llmExtractor, modeOptions),
+      budget
     });
+    cancelOnDisconnect(res, job);
+
+    // Sequential processing is a batch size of one
+    const effectiveBatchSize = parallel && texts.length > 1 ? batchSize : 1;
+    console.log(effectiveBatchSize > 1
+      ? `🚀 Using parallel processing (batch size: ${effectiveBatchSize})`
+      : '📝 Using sequential processing');
+
+    await jobManager.run(job.id, () => runParseJob(job, texts, llmExtractor, {
+      modeOptions,
+      useLLM,
+      batchSize: effectiveBatchSize
+    }));
+
+    if (job.status === 'failed') {
+      throw new Error(job.error);
+    }
+
+    res.json({ ...buildJobResponse(job, llmExtractor, modeOptions), parallel });
 
   } catch (error) {
     console.error('Error batch parsing:', error);
@@ -356,13 +1113,25 @@ app.post('/api/parse-text', async (req, res) => {
       return res.status(400).json({ error: 'Text is required' });
     }
 
+    const modeOptions = getModeOptions(req.body);
+    if (modeOptions.error) {
+      return res.status(400).json({ error: modeOptions.error });
+    }
+    if (rejectSyncBulk(modeOptions, res)) return;
+
+    const provider = getRequestProvider(req.body);
+    if (provider.error) {
+      return res.status(400).json({ error: provider.error });
+    }
+
     // Get LLM extractor (user key or default)
-    const llmExtractor = getLLMExtractor(apiKey);
+    const llmExtractor = getLLMExtractor(apiKey, { provider, routing: modeOptions.routing });
 
-    const result = await processLLMFirst(text, useLLM, llmExtractor);
+    const result = await processText(text, llmExtractor, { ...modeOptions, useLLM });
 
     res.json({
       success: true,
+      mode: modeOptions.mode,
       ...result
     });
 
@@ -376,48 +1145,44 @@ app.post('/api/parse-text', async (req, res) => {
 });
 
 /**
- * SSE endpoint for real-time progress updates
+ * Start an SSE response
  */
-app.get('/api/progress-stream/:sessionId', (req, res) => {
-  const { sessionId } = req.params;
-
-  // Set up SSE headers
+function openEventStream(res) {
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
     'Cache-Control': 'no-cache',
     'Connection': 'keep-alive',
     'Access-Control-Allow-Origin': '*'
   });
+}
 
-  // Store the response object for sending updates
-  if (!global.progressStreams) {
-    global.progressStreams = {};
+/**
+ * SSE endpoint for real-time job progress
+ */
+app.get('/api/jobs/:id/events', (req, res) => {
+  if (!jobManager.getJob(req.params.id)) {
+    return res.status(404).json({ error: 'Job not found' });
   }
-  global.progressStreams[sessionId] = res;
 
-  // Send initial connection message
-  res.write(`data: ${JSON.stringify({ type: 'connected', sessionId })}\n\n`);
+  openEventStream(res);
+  const unsubscribe = jobManager.subscribe(req.params.id, res);
 
   // Clean up on client disconnect
-  req.on('close', () => {
-    delete global.progressStreams[sessionId];
-  });
+  req.on('close', unsubscribe);
 });
 
 /**
- * Send progress update to SSE stream
+ * Deprecated: progress for the frontend's sessionId, which is only a
+ * label; the stream may be opened before the job is created and carries
+ * counts, not the job ID or texts
  */
-function sendProgressUpdate(sessionId, data) {
-  const stream = global.progressStreams?.[sessionId];
-  if (stream && !stream.finished) {
-    try {
-      stream.write(`data: ${JSON.stringify(data)}\n\n`);
-    } catch (error) {
-      // Stream might be closed
-      delete global.progressStreams[sessionId];
-    }
-  }
-}
+app.get('/api/progress-stream/:sessionId', (req, res) => {
+  openEventStream(res);
+  const unsubscribe = jobManager.subscribeLabel(req.params.sessionId, res);
+
+  // Clean up on client disconnect
+  req.on('close', unsubscribe);
+});
 
 /**
  * API endpoint to detect Google Sheets tabs
@@ -489,8 +1254,91 @@ app.post('/api/upload-excel', upload.single('file'), async (req, res) => {
   }
 });
 
+/**
+ * Fetch a public Google Sheet and extract the texts to parse
+ * Returns { texts } or { status, body } describing the failure
+ */
+async function fetchSheetTexts({ sheetUrl, columnRange, sheetGid }) {
+  if (!sheetUrl) {
+    return { status: 400, body: { error: 'Sheet URL is required' } };
+  }
+
+  // Extract sheet ID
+  const match = sheetUrl.match(/\/spreadsheets\/d\/([a-zA-Z0-9-_]+)/);
+  if (!match) {
+    return { status: 400, body: { error: 'Invalid Google Sheets URL' } };
+  }
+
+  const sheetId = match[1];
+
+  // Build export URL with optional sheet gid
+  let exportUrl = `https://docs.google.com/spreadsheets/d/${sheetId}/export?format=csv`;
+  if (sheetGid) {
+    exportUrl += `&gid=${sheetGid}`;
+  }
+
+  // Fetch the CSV from Google Sheets
+  const fetch = require('node-fetch');
+
+  let response;
+  try {
+    response = await fetch(exportUrl, {
+      redirect: 'follow',
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; LocationParser/1.0)'
+      },
+      timeout: 30000 // 30 second timeout
+    });
+  } catch (error) {
+    console.error('Fetch error:', error);
+    return { status: 500, body: { error: 'Failed to fetch sheet', details: error.message } };
+  }
+
+  if (!response.ok) {
+    return {
+      status: 400,
+      body: {
+        error: 'Failed to fetch sheet. Make sure it is publicly viewable.',
+        status: response.status
+      }
+    };
+  }
+
+  const csvText = await response.text();
+
+  // Use the sheet parser to extract data based on column range
+  const texts = extractFromCSV(csvText, columnRange || 'B:B');
+
+  if (texts.length === 0) {
+    return {
+      status: 400,
+      body: {
+        error: 'No data found in the specified column range',
+        details: `Column range: ${columnRange || 'B (default)'}`
+      }
+    };
+  }
+
+  console.log(`\n📊 Extracted ${texts.length} texts from column range: ${columnRange || 'B (default)'}`);
+  return { texts };
+}
+
+/**
+ * Determine optimal batch size based on dataset size
+ */
+function getSheetBatchSize(count) {
+  if (count > 200) {
+    return 15; // Larger batch for big datasets
+  }
+  if (count < 50) {
+    return 5; // Smaller batch for small datasets
+  }
+  return 10; // Default for medium datasets
+}
+
 /**
  * API endpoint to process Google Sheets
+ * Runs as a job (sessionId labels it) and waits for it
  */
 app.post('/api/process-google-sheet', async (req, res) => {
   try {
@@ -500,160 +1348,298 @@ app.post('/api/process-google-sheet', async (req, res) => {
       return res.status(400).json({ error: 'Sheet URL is required' });
     }
 
-    // Extract sheet ID
-    const match = sheetUrl.match(/\/spreadsheets\/d\/([a-zA-Z0-9-_]+)/);
-    if (!match) {
-      return res.status(400).json({ error: 'Invalid Google Sheets URL' });
+    const modeOptions = getModeOptions(req.body);
+    if (modeOptions.error) {
+      return res.status(400).json({ error: modeOptions.error });
     }
+    if (rejectSyncBulk(modeOptions, res)) return;
 
-    const sheetId = match[1];
-
-    // Build export URL with optional sheet gid
-    let exportUrl = `https://docs.google.com/spreadsheets/d/${sheetId}/export?format=csv`;
-    if (sheetGid) {
-      exportUrl += `&gid=${sheetGid}`;
+    const { budget, error: budgetError } = getJobBudget(req.body);
+    if (budgetError) {
+      return res.status(400).json({ error: budgetError });
     }
 
-    // Fetch the CSV from Google Sheets
-    const fetch = require('node-fetch');
-
-    let response;
-    try {
-      response = await fetch(exportUrl, {
-        redirect: 'follow',
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; LocationParser/1.0)'
-        },
-        timeout: 30000 // 30 second timeout
-      });
-    } catch (error) {
-      console.error('Fetch error:', error);
-      return res.status(500).json({
-        error: 'Failed to fetch sheet',
-        details: error.message
-      });
+    const sheet = await fetchSheetTexts({ sheetUrl, columnRange, sheetGid });
+    if (!sheet.texts) {
+      return res.status(sheet.status).json(sheet.body);
     }
+    const { texts } = sheet;
 
-    if (!response.ok) {
-      return res.status(400).json({
-        error: 'Failed to fetch sheet. Make sure it is publicly viewable.',
-        status: response.status
-      });
+    const provider = getRequestProvider(req.body);
+    if (provider.error) {
+      return res.status(400).json({ error: provider.error });
     }
 
-    const csvText = await response.text();
+    // Get LLM extractor (user key or default)
+    const llmExtractor = getLLMExtractor(apiKey, { provider, packSize: modeOptions.packSize, routing: modeOptions.routing });
+
+    // Process texts through parallel batch system
+    console.log(`\n📊 Processing Google Sheet with ${texts.length} rows...`);
+    console.log('═'.repeat(50));
 
-    // Use the sheet parser to extract data based on column range
-    const texts = extractFromCSV(csvText, columnRange || 'B:B');
+    const job = jobManager.createJob({
+      label: sessionId,
+      type: 'sheet',
+      total: texts.length,
+      meta: buildJobMeta(llmExtractor, modeOptions),
+      budget
+    });
+    cancelOnDisconnect(res, job);
 
-    if (texts.length === 0) {
-      return res.status(400).json({
-        error: 'No data found in the specified column range',
-        details: `Column range: ${columnRange || 'B (default)'}`
-      });
+    await jobManager.run(job.id, () => runParseJob(job, texts, llmExtractor, {
+      modeOptions,
+      useLLM,
+      batchSize: getSheetBatchSize(texts.length)
+    }));
+
+    if (job.status === 'failed') {
+      throw new Error(job.error);
     }
 
-    console.log(`\n📊 Extracted ${texts.length} texts from column range: ${columnRange || 'B (default)'}`);
+    res.json(buildJobResponse(job, llmExtractor, modeOptions));
 
-    // Get LLM extractor (user key or default)
-    const llmExtractor = getLLMExtractor(apiKey);
+  } catch (error) {
+    console.error('Error processing Google Sheet:', error);
+    res.status(500).json({
+      error: 'Failed to process sheet',
+      details: error.message
+    });
+  }
+});
 
-    // Estimate processing time
-    const estimate = estimateProcessingTime(texts, useLLM);
-    console.log(`⏱️ Estimated time: ${estimate.estimatedSeconds}s`);
+/**
+ * API endpoint to start an asynchronous parse job
+ * Body: { texts } or { sheetUrl, columnRange, sheetGid }, plus the
+ * usual useLLM / apiKey / mode options; `bulk: true` sends the LLM
+ * rows through the Batch API. Returns 202 with the job ID.
+ */
+app.post('/api/jobs', (req, res) => {
+  const { texts, sheetUrl, columnRange, sheetGid, useLLM = true, batchSize, apiKey } = req.body;
 
-    // Send initial progress update
-    sendProgressUpdate(sessionId, {
-      type: 'started',
-      total: texts.length,
-      estimatedTime: estimate.estimatedSeconds
-    });
+  if (!Array.isArray(texts) && !sheetUrl) {
+    return res.status(400).json({ error: 'Either a texts array or a sheetUrl is required' });
+  }
 
-    // Process texts through parallel batch system
-    console.log(`\n📊 Processing Google Sheet with ${texts.length} rows...`);
-    console.log('═'.repeat(50));
+  if (sheetUrl && !/\/spreadsheets\/d\/([a-zA-Z0-9-_]+)/.test(sheetUrl)) {
+    return res.status(400).json({ error: 'Invalid Google Sheets URL' });
+  }
 
-    const startTime = Date.now();
+  const modeOptions = getModeOptions(req.body);
+  if (modeOptions.error) {
+    return res.status(400).json({ error: modeOptions.error });
+  }
+
+  const { budget, error: budgetError } = getJobBudget(req.body);
+  if (budgetError) {
+    return res.status(400).json({ error: budgetError });
+  }
+
+  const provider = getRequestProvider(req.body);
+  if (provider.error) {
+    return res.status(400).json({ error: provider.error });
+  }
+
+  // The memory transport answers batch lines with live calls, so it works with any provider
+  if (modeOptions.bulk && !provider.batch && process.env.BULK_TRANSPORT !== 'memory') {
+    return res.status(400).json({ error: `Provider "${provider.name}" does not support the Batch API needed for bulk mode` });
+  }
+
+  const llmExtractor = getLLMExtractor(apiKey, { provider, packSize: modeOptions.packSize, routing: modeOptions.routing });
+  const job = jobManager.createJob({
+    type: Array.isArray(texts) ? 'batch' : 'sheet',
+    total: Array.isArray(texts) ? texts.length : null,
+    meta: { ...buildJobMeta(llmExtractor, modeOptions), bulk: modeOptions.bulk },
+    budget
+  });
 
-    // Determine optimal batch size based on dataset size
-    let batchSize = 10; // Default for medium datasets
-    if (texts.length > 200) {
-      batchSize = 15; // Larger batch for big datasets
-    } else if (texts.length < 50) {
-      batchSize = 5; // Smaller batch for small datasets
+  // Not awaited: the client polls or follows the event stream
+  jobManager.run(job.id, async () => {
+    let jobTexts = texts;
+    if (!Array.isArray(jobTexts)) {
+      const sheet = await fetchSheetTexts({ sheetUrl, columnRange, sheetGid });
+      if (!sheet.texts) {
+        throw new Error(sheet.body.error);
+      }
+      jobTexts = sheet.texts;
     }
 
-    // Use parallel processing for better performance
-    const results = await processBatch(texts, (text) => processLLMFirst(text, useLLM, llmExtractor), {
-      batchSize,
+    const runJob = modeOptions.bulk ? runBulkJob : runParseJob;
+    return runJob(job, jobTexts, llmExtractor, {
+      modeOptions,
       useLLM,
-      onProgress: (progress) => {
-        // Send real-time progress updates via SSE
-        const elapsed = Date.now() - startTime;
-        const avgTimePerItem = elapsed / progress.current;
-        const remainingItems = progress.total - progress.current;
-        const estimatedRemaining = Math.round((remainingItems * avgTimePerItem) / 1000);
-
-        sendProgressUpdate(sessionId, {
-          type: 'progress',
-          current: progress.current,
-          total: progress.total,
-          percentage: progress.percentage,
-          estimatedRemaining,
-          currentText: progress.result?.text?.substring(0, 50) + '...',
-          hasLocation: progress.result?.location && hasLocationData(progress.result.location)
-        });
-
-        if (progress.current % 10 === 0 || progress.current === texts.length) {
-          console.log(`  Progress: ${progress.percentage}% (${progress.current}/${progress.total})`);
-        }
-      }
+      batchSize: batchSize || getSheetBatchSize(jobTexts.length)
     });
+  });
 
-    // Count successes
-    let successCount = 0;
-    results.forEach(result => {
-      if (hasLocationData(result.location)) {
-        successCount++;
-      }
-    });
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    ...jobManager.getStatus(job.id),
+    links: {
+      status: `/api/jobs/${job.id}`,
+      results: `/api/jobs/${job.id}/results`,
+      events: `/api/jobs/${job.id}/events`
+    }
+  });
+});
+
+/**
+ * Whether a text would reach the LLM in the given mode
+ * Mirrors the early exits of processLLMFirst / processHybrid
+ */
+function needsLLMCall(text, llmExtractor, modeOptions) {
+  if (!text || text.trim().length < 5 || /^@\w+(\s+@\w+)*$/.test(text.trim())) {
+    return false;
+  }
+  if (llmExtractor.shouldSkipLLM(text)) {
+    return false;
+  }
+  const screening = screenUserText(text, modeOptions.injectionPolicy);
+  if (screening && screening.policy === 'rules') {
+    return false;
+  }
+  if (modeOptions.validate && hasSecondPassRisk(text)) {
+    return true;
+  }
+  if (modeOptions.mode === 'hybrid') {
+    return !isConfidentRuleResult(extractWithRules(text), modeOptions.hybridThreshold);
+  }
+  if (modeOptions.mode === 'ensemble') {
+    return modeOptions.ensemble.extractors.includes('llm');
+  }
+  return true;
+}
+
+/**
+ * API endpoint to predict token usage and cost before a run
+ * Body: { texts } or { sheetUrl, columnRange, sheetGid }, plus mode,
+ * useLLM, provider and an optional model to price against (defaults
+ * to the provider's model). No API key needed.
+ */
+app.post('/api/estimate', async (req, res) => {
+  try {
+    const { texts, sheetUrl, columnRange, sheetGid, useLLM = true } = req.body;
 
-    const processingTime = Date.now() - startTime;
-    const avgTime = Math.round(processingTime / texts.length);
+    const provider = getRequestProvider(req.body);
+    if (provider.error) {
+      return res.status(400).json({ error: provider.error });
+    }
+    const model = req.body.model || provider.model;
 
-    console.log('\n═'.repeat(50));
-    console.log(`✨ Sheet processing complete: ${successCount}/${texts.length} with locations`);
-    console.log(`⏱️ Total time: ${processingTime}ms (avg: ${avgTime}ms/item)`);
+    if (!Array.isArray(texts) && !sheetUrl) {
+      return res.status(400).json({ error: 'Either a texts array or a sheetUrl is required' });
+    }
 
-    // Send completion notification
-    sendProgressUpdate(sessionId, {
-      type: 'completed',
-      total: texts.length,
-      successful: successCount,
-      successRate: ((successCount / results.length) * 100).toFixed(1),
-      totalTime: processingTime
+    const modeOptions = getModeOptions(req.body);
+    if (modeOptions.error) {
+      return res.status(400).json({ error: modeOptions.error });
+    }
+
+    const limits = resolveBudget(req.body.budget || {});
+    if (limits.error) {
+      return res.status(400).json({ error: limits.error });
+    }
+
+    let estimateTexts = texts;
+    if (!Array.isArray(estimateTexts)) {
+      const sheet = await fetchSheetTexts({ sheetUrl, columnRange, sheetGid });
+      if (!sheet.texts) {
+        return res.status(sheet.status).json(sheet.body);
+      }
+      estimateTexts = sheet.texts;
+    }
+
+    const kind = modeOptions.mode === 'multi' ? 'mentions' : (modeOptions.packSize ? 'packed' : 'extract');
+    const prompts = {
+      extract: (text) => defaultLLMExtractor.buildExtractionPrompt(text),
+      mentions: (text) => defaultLLMExtractor.buildMentionsPrompt(text),
+      packed: (pack) => defaultLLMExtractor.buildPackedPrompt(pack)
+    };
+    const usage = estimateUsage(estimateTexts, {
+      model,
+      buildPrompt: prompts[kind],
+      needsLLM: (text) => useLLM && needsLLMCall(text, defaultLLMExtractor, modeOptions),
+      completionTokens: ESTIMATED_COMPLETION_TOKENS[kind],
+      packTexts: kind === 'packed'
+        ? (texts) => chunkPackItems(texts.map((text, index) => ({ id: String(index + 1), text })), modeOptions.packSize)
+        : null,
+      priceFactor: modeOptions.bulk ? BATCH_PRICE_FACTOR : 1
     });
 
+    const exceeds = [
+      limits.maxLLMCalls !== null && usage.calls > limits.maxLLMCalls && 'maxLLMCalls',
+      limits.maxTokens !== null && usage.totalTokens > limits.maxTokens && 'maxTokens',
+      limits.maxCostUsd !== null && usage.costUsd !== null && usage.costUsd > limits.maxCostUsd && 'maxCostUsd'
+    ].filter(Boolean);
+
     res.json({
       success: true,
-      processed: results.length,
-      successful: successCount,
-      successRate: ((successCount / results.length) * 100).toFixed(1),
-      llmEnabled: llmExtractor.enabled,
-      processingTime,
-      averageTime: avgTime,
-      results
+      mode: modeOptions.mode,
+      bulk: modeOptions.bulk,
+      texts: estimateTexts.length,
+      usage,
+      budget: { ...limits, exceeds },
+      note: 'Token counts are approximate; texts already in the cache will cost nothing',
+      estimatedTime: estimateProcessingTime(estimateTexts, useLLM).estimatedSeconds
     });
 
   } catch (error) {
-    console.error('Error processing Google Sheet:', error);
+    console.error('Error estimating cost:', error);
     res.status(500).json({
-      error: 'Failed to process sheet',
+      error: 'Failed to estimate cost',
       details: error.message
     });
   }
 });
 
+/**
+ * API endpoint for job status and progress
+ */
+app.get('/api/jobs/:id', (req, res) => {
+  const status = jobManager.getStatus(req.params.id);
+  if (!status) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json({ success: true, ...status });
+});
+
+/**
+ * API endpoint to page through job results (?offset=0&limit=100)
+ * Available while the job is still running
+ */
+app.get('/api/jobs/:id/results', (req, res) => {
+  const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: 'offset must be a non-negative integer' });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RESULTS_PAGE) {
+    return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_RESULTS_PAGE}` });
+  }
+
+  const page = jobManager.getResults(req.params.id, { offset, limit });
+  if (!page) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json({ success: true, ...page });
+});
+
+/**
+ * API endpoint to cancel a job
+ * Rows already processed stay available through /results
+ */
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = jobManager.cancel(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json({ success: true, ...jobManager.getStatus(job.id) });
+});
+
 /**
  * API endpoint to validate extracted locations
  */
@@ -665,17 +1651,22 @@ app.post('/api/validate', async (req, res) => {
       return res.status(400).json({ error: 'Text is required' });
     }
 
+    const provider = getRequestProvider(req.body);
+    if (provider.error) {
+      return res.status(400).json({ error: provider.error });
+    }
+
     // Get LLM extractor (user key or default)
-    const llmExtractor = getLLMExtractor(apiKey);
+    const llmExtractor = getLLMExtractor(apiKey, { provider });
 
     if (!llmExtractor.enabled) {
       return res.status(400).json({
         error: 'LLM validation not available',
-        details: 'OpenAI API key not configured'
+        details: `${provider.name} API key not configured`
       });
     }
 
-    const validation = await llmExtractor.validateLocation(text, location);
+    const validation = await getSecondPassValidator(llmExtractor).validateLocation(text, location);
 
     res.json({
       success: true,
@@ -697,16 +1688,39 @@ app.post('/api/validate', async (req, res) => {
 app.get('/api/status', (req, res) => {
   res.json({
     status: 'ok',
-    version: '5.0',
+    version: PARSER_VERSION,
     parser: 'location-parser-v5',
     features: {
       conservativeExtraction: true,
       llmValidation: defaultLLMExtractor.enabled,
       twoPassSystem: true,
+      gazetteerValidation: true,
+      extractionModes: EXTRACTION_MODES,
+      hybridThreshold: DEFAULT_HYBRID_THRESHOLD,
       blacklistEnabled: true,
+      asyncJobs: true,
+      llmProviders: true,
+      modelRouting: true,
+      gazetteerGrounding: defaultLLMExtractor.grounding,
+      fewShotExamples: defaultLLMExtractor.fewShot ? defaultLLMExtractor.fewShot.size : 0,
+      promptInjectionPolicy: getInjectionPolicy(),
       userProvidedApiKey: true // Indicate support for user-provided keys
     },
-    cache: defaultLLMExtractor.getCacheStats()
+    provenance: buildProvenance({
+      provider: defaultLLMExtractor.provider.name,
+      model: defaultLLMExtractor.model,
+      promptVersion: defaultLLMExtractor.getPromptVersion('extract')
+    }),
+    providers: {
+      default: getDefaultProviderName(),
+      available: listProviders()
+    },
+    routing: resolveRouting({}),
+    calibration: { version: getConfidenceCalibration().version, extractors: getConfidenceCalibration().extractors },
+    cache: defaultLLMExtractor.getCacheStats(),
+    resultCache: cache.getStats(),
+    usage: usageTracker.getStats(),
+    jobs: jobManager.getStats()
   });
 });
 
@@ -716,7 +1730,7 @@ app.get('/api/status', (req, res) => {
 app.get('/api/health', (req, res) => {
   res.json({
     status: 'ok',
-    version: '5.0',
+    version: PARSER_VERSION,
     llmEnabled: defaultLLMExtractor.enabled,
     supportsUserApiKey: true
   });
@@ -736,14 +1750,21 @@ app.listen(PORT, () => {
   console.log(`\nMode: BRING YOUR OWN API KEY`);
   console.log(`  ⚠️  Users MUST provide their own OpenAI API key`);
   console.log(`  ⚠️  Server fallback key is DISABLED`);
+  console.log(`  Default LLM provider: ${defaultLLMExtractor.provider.name} (${defaultLLMExtractor.model}); choose per request with "provider"`);
   console.log(`\nFeatures:`);
   console.log(`  - LLM-First extraction system (GPT-4o-mini)`);
   console.log(`  - Per-user API key support`);
   console.log(`  - Direct location extraction with cascading inference`);
+  console.log(`  - Hybrid mode (mode: 'hybrid'): rule-based first, LLM fallback`);
+  console.log(`  - Multi-location mode (mode: 'multi'): every mention with its role`);
+  console.log(`  - Ensemble mode (mode: 'ensemble'): weighted vote across the parsers`);
+  console.log(`  - Result cache: ${cache.getStats().backend} backend (${cache.getStats().size} entries)`);
   console.log(`\nAPI endpoints:`);
   console.log(`  - POST /api/batch-parse`);
   console.log(`  - POST /api/parse-text`);
   console.log(`  - POST /api/process-google-sheet`);
+  console.log(`  - POST /api/jobs, GET /api/jobs/:id[/results|/events], DELETE /api/jobs/:id`);
+  console.log(`  - POST /api/estimate`);
   console.log(`  - POST /api/validate`);
   console.log(`  - GET /api/status`);
 });
\ No newline at end of file
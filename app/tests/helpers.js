@@ -0,0 +1,50 @@
+/**
+ * Shared harness for the script-style tests
+ * Each test file runs in its own process, so the counts are per file.
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`  ❌ ${name}${detail ? ` (${detail})` : ''}`);
+  }
+}
+
+function printHeader(title) {
+  console.log('='.repeat(80));
+  console.log(title);
+  console.log('='.repeat(80));
+}
+
+/**
+ * Print the counts and fail the process if any check failed
+ */
+function printSummary() {
+  console.log('\n' + '='.repeat(80));
+  console.log(`Passed: ${passed}  Failed: ${failed}`);
+  console.log('='.repeat(80));
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+/**
+ * Run an async test body between the header and the summary; a crash fails
+ * the process
+ */
+function runTests(title, run) {
+  printHeader(title);
+  return Promise.resolve()
+    .then(run)
+    .then(printSummary)
+    .catch(error => {
+      console.error(`❌ ${title} crashed:`, error);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { check, printHeader, printSummary, runTests };
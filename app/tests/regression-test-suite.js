@@ -1,6 +1,10 @@
 /**
  * Comprehensive Regression Test Suite for Philippine Location Parser
  * Tests both false positive prevention and legitimate location detection
+ *
+ * The runners read these cases from data/gold-corpus.jsonl, which was
+ * converted from this list (utils/convert-regression-to-gold.js); add new
+ * cases to the corpus.
  */
 
 const regressionTests = [
@@ -341,8 +345,9 @@ const regressionTests = [
 module.exports = {
   regressionTests,
 
-  // Helper to run tests
-  runRegressionTests: function(parseLocationFn) {
+  // Helper to run tests; a case passes on its expected answer or any
+  // of its acceptable ones
+  runRegressionTests: function(parseLocationFn, tests = regressionTests) {
     const results = {
       passed: 0,
       failed: 0,
@@ -353,7 +358,7 @@ module.exports = {
 
     const failures = [];
 
-    regressionTests.forEach((test, index) => {
+    tests.forEach((test, index) => {
       const result = parseLocationFn(test.text);
       let passed = false;
 
@@ -385,10 +390,10 @@ module.exports = {
         // Should find location
         if (result !== null) {
           // Check if key fields match
-          const matches =
-            (!test.expected.barangay || result.barangay === test.expected.barangay) &&
-            (!test.expected.city || result.city === test.expected.city) &&
-            (!test.expected.province || result.province === test.expected.province);
+          const matches = [test.expected, ...(test.acceptable || [])].some(expected =>
+            (!expected.barangay || result.barangay === expected.barangay) &&
+            (!expected.city || result.city === expected.city) &&
+            (!expected.province || result.province === expected.province));
 
           if (matches) {
             passed = true;
@@ -421,7 +426,7 @@ module.exports = {
     });
 
     results.failures = failures;
-    results.total = regressionTests.length;
+    results.total = tests.length;
     results.accuracy = (results.passed / results.total * 100).toFixed(1);
 
     return results;
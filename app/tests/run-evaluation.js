@@ -0,0 +1,126 @@
+/**
+ * Evaluate extractors against a labeled dataset
+ * Writes evaluation.json and evaluation.html to the output directory
+ *
+ * Run: node tests/run-evaluation.js [--extractors v2,hybrid] [--dataset file.json|.jsonl]
+ *                                   [--out reports/evaluation] [--worst 20]
+ * Defaults: every extractor (unavailable ones are listed as not run),
+ * the gold corpus (data/gold-corpus.jsonl), reports/evaluation, 20 worst
+ * failures.
+ * llm and hybrid need OPENAI_API_KEY (or LLM_FIXTURES=replay); ensemble
+ * runs the members set by ENSEMBLE_EXTRACTORS that are available.
+ * Extractors with a confidence calibration are scored on it as well.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const LLMExtractor = require('../utils/llm-extractor');
+const { getDefaultProviderName } = require('../utils/llm-providers');
+const { PARSER_VERSION } = require('../utils/provenance');
+const { EXTRACTOR_NAMES, createExtractor } = require('../utils/extractor-registry');
+const { DEFAULT_GOLD_CORPUS_PATH } = require('../utils/gold-corpus');
+const { resolveEnsemble } = require('../utils/ensemble-resolver');
+const { getConfidenceCalibration } = require('../utils/confidence-calibration');
+const { LEVELS, evaluateExtractor, loadEvaluationCases, renderHtmlReport } = require('../utils/evaluation');
+
+const DEFAULT_OUT_DIR = path.join(__dirname, '..', 'reports', 'evaluation');
+
+function parseArgs(argv) {
+  const args = { extractors: EXTRACTOR_NAMES, dataset: null, out: DEFAULT_OUT_DIR, worst: 20 };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = argv[i + 1];
+    if (value === undefined || value.startsWith('--')) {
+      throw new Error(`${flag} needs a value`);
+    }
+    i++;
+
+    if (flag === '--extractors') {
+      args.extractors = value.split(',').map(name => name.trim()).filter(Boolean);
+      const unknown = args.extractors.filter(name => !EXTRACTOR_NAMES.includes(name));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown extractor(s) ${unknown.join(', ')}; expected ${EXTRACTOR_NAMES.join(', ')}`);
+      }
+    } else if (flag === '--dataset') {
+      args.dataset = path.resolve(value);
+    } else if (flag === '--out') {
+      args.out = path.resolve(value);
+    } else if (flag === '--worst') {
+      args.worst = Number(value);
+      if (!Number.isInteger(args.worst) || args.worst < 0) {
+        throw new Error('--worst must be a non-negative integer');
+      }
+    } else {
+      throw new Error(`Unknown option ${flag}`);
+    }
+  }
+  return args;
+}
+
+function percent(value) {
+  return `${(value * 100).toFixed(1)}%`.padStart(7);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const datasetPath = args.dataset || DEFAULT_GOLD_CORPUS_PATH;
+  const cases = loadEvaluationCases(datasetPath);
+  const datasetName = path.basename(datasetPath);
+
+  // OPENAI_API_KEY is only sent to OpenAI, as in the servers
+  const llmExtractor = new LLMExtractor(getDefaultProviderName() === 'openai' ? process.env.OPENAI_API_KEY : null);
+  // Members and weights from ENSEMBLE_EXTRACTORS / ENSEMBLE_WEIGHTS
+  const ensemble = resolveEnsemble();
+  if (ensemble.error) {
+    throw new Error(ensemble.error);
+  }
+
+  console.log('='.repeat(80));
+  console.log('LOCATION PARSER EVALUATION');
+  console.log('='.repeat(80));
+  console.log(`Dataset: ${datasetName} (${cases.length} cases)`);
+
+  const results = [];
+  for (const name of args.extractors) {
+    const extractor = createExtractor(name, { llmExtractor, ensemble, calibration: getConfidenceCalibration() });
+    if (!extractor.available) {
+      console.log(`\n⚠️ ${name}: not run (${extractor.unavailableReason})`);
+    } else {
+      console.log(`\n🔎 ${name}: ${extractor.label}`);
+    }
+    results.push(await evaluateExtractor(extractor, cases, { worst: args.worst }));
+  }
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    parserVersion: PARSER_VERSION,
+    dataset: { name: datasetName, cases: cases.length },
+    extractors: results
+  };
+
+  console.log('\n' + '='.repeat(80));
+  console.log(`${'Extractor'.padEnd(10)}${'Exact'.padStart(7)}${'Credit'.padStart(7)}${LEVELS.map(level => `${level} F1`.padStart(14)).join('')}`);
+  results.filter(result => result.available).forEach(result => {
+    console.log(`${result.name.padEnd(10)}${percent(result.summary.exactMatch)}${percent(result.summary.partialCredit)}` +
+      LEVELS.map(level => percent(result.levels[level].f1).padStart(14)).join(''));
+  });
+
+  fs.mkdirSync(args.out, { recursive: true });
+  const jsonPath = path.join(args.out, 'evaluation.json');
+  const htmlPath = path.join(args.out, 'evaluation.html');
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2) + '\n');
+  fs.writeFileSync(htmlPath, renderHtmlReport(report));
+
+  console.log('='.repeat(80));
+  console.log(`📦 Report: ${jsonPath}`);
+  console.log(`📦 Report: ${htmlPath}`);
+}
+
+main().catch(error => {
+  console.error(`❌ Evaluation failed: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -2,16 +2,19 @@
  * Run regression tests against the improved parser
  */
 
-const { regressionTests, runRegressionTests } = require('./regression-test-suite');
+const { runRegressionTests } = require('./regression-test-suite');
+const { loadGoldCorpus, toRegressionTest } = require('../utils/gold-corpus');
 const { parseLocation } = require('../parsers/hierarchical-parser-v2');
 
+const regressionTests = loadGoldCorpus().map(toRegressionTest);
+
 console.log('='.repeat(80));
 console.log('REGRESSION TEST SUITE - IMPROVED PARSER V2');
 console.log('='.repeat(80));
 console.log(`Total test cases: ${regressionTests.length}`);
 console.log('');
 
-const results = runRegressionTests(parseLocation);
+const results = runRegressionTests(parseLocation, regressionTests);
 
 // Summary
 console.log('='.repeat(80));
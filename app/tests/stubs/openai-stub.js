@@ -0,0 +1,203 @@
+/**
+ * Local OpenAI Stub Server
+ * Answers POST /v1/chat/completions without a network or API key so
+ * retry, budget and parsing behaviour can be tested. Responses are
+ * taken from a script in order; once it runs out, every call gets the
+ * default success reply.
+ *
+ * Script entries:
+ *   { status: 429, headers: { 'retry-after': '1' } }  - an error reply
+ *   { content: { hasLocation: true, ... } }            - a success reply
+ *   { content: (body) => ..., finishReason: 'length' } - built per request
+ *
+ * Packed prompts get one default entry per comment id unless the
+ * script says otherwise.
+ *
+ * The files and batches endpoints are emulated too (see
+ * MemoryBatchTransport); each batch line is answered from the same
+ * script, and each status poll moves a batch one step along.
+ *
+ * CLI: node tests/stubs/openai-stub.js [port] [number of 429s first]
+ *   then point the server at it with OPENAI_BASE_URL=http://localhost:<port>/v1
+ */
+
+const http = require('http');
+const { MemoryBatchTransport } = require('../../utils/batch-transports');
+
+const DEFAULT_CONTENT = {
+  hasLocation: true,
+  confidence: 90,
+  location: { region: 'NCR', province: 'Metro Manila', city: 'Pasig', barangay: 'None' },
+  reasoning: 'Stub reply'
+};
+
+function errorBody(status) {
+  const type = status === 429 ? 'rate_limit_exceeded' : 'server_error';
+  return { error: { message: `Stubbed ${status}`, type, code: type } };
+}
+
+/**
+ * Comments of a packed prompt, or null for a single-text prompt
+ */
+function getPackedItems(body) {
+  const prompt = body.messages && body.messages[0] && body.messages[0].content;
+  const match = typeof prompt === 'string' && prompt.match(/Comments \(JSON array[^\n]*\n(\[[\s\S]*?\n\])/);
+  if (!match) return null;
+
+  try {
+    return JSON.parse(match[1]);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Default reply: DEFAULT_CONTENT, once per comment for packed prompts
+ */
+function defaultContent(body) {
+  const items = getPackedItems(body);
+  if (!items) return DEFAULT_CONTENT;
+
+  return { results: items.map(item => ({ id: item.id, ...DEFAULT_CONTENT })) };
+}
+
+function completionBody(content, model, finishReason = 'stop') {
+  return {
+    id: `chatcmpl-stub-${Date.now()}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [{
+      index: 0,
+      finish_reason: finishReason,
+      message: { role: 'assistant', content: typeof content === 'string' ? content : JSON.stringify(content) }
+    }],
+    usage: { prompt_tokens: 1000, completion_tokens: 50, total_tokens: 1050 }
+  };
+}
+
+/**
+ * File content of a multipart upload (the `file` field)
+ */
+function getUploadedFile(req, raw) {
+  const boundary = (req.headers['content-type'] || '').match(/boundary=(?:"([^"]+)"|([^;]+))/);
+  if (!boundary) return null;
+
+  const part = raw.split(`--${boundary[1] || boundary[2]}`)
+    .find(section => /name="file"/.test(section));
+  if (!part) return null;
+
+  const start = part.indexOf('\r\n\r\n');
+  return part.slice(start + 4).replace(/\r\n$/, '');
+}
+
+/**
+ * Start the stub; resolves with { url, port, requests, close() }
+ * `requests` records each call's time, headers and parsed body; batch lines are
+ * recorded with method 'BATCH'
+ */
+function startOpenAIStub(options = {}) {
+  const { port = 0, script = [], content = defaultContent } = options;
+  const queue = [...script];
+  const requests = [];
+
+  // Next scripted reply for a chat completion request body
+  const answer = (body) => {
+    const step = queue.length ? queue.shift() : {};
+    const status = step.status || 200;
+    const reply = step.content || content;
+
+    return {
+      status,
+      headers: step.headers || {},
+      body: status === 200
+        ? completionBody(typeof reply === 'function' ? reply(body) : reply, body.model || 'gpt-4o-mini', step.finishReason)
+        : errorBody(status)
+    };
+  };
+
+  const batches = new MemoryBatchTransport({
+    respond: (body, line) => {
+      requests.push({ at: Date.now(), method: 'BATCH', url: line.url, body });
+      const reply = answer(body);
+      return { status_code: reply.status, body: reply.body };
+    }
+  });
+
+  // Files and batches endpoints; resolves with a reply, or null for other routes
+  const routeBatchApi = async (req, raw, body) => {
+    const url = req.url.replace(/\?.*$/, '');
+    let match;
+
+    if (req.method === 'POST' && url === '/v1/files') {
+      return { status: 200, body: await batches.uploadFile('upload.jsonl', getUploadedFile(req, raw) || '') };
+    }
+    if (req.method === 'GET' && (match = url.match(/^\/v1\/files\/([^/]+)\/content$/))) {
+      return { status: 200, raw: await batches.getFileContent(match[1]) };
+    }
+    if (req.method === 'POST' && url === '/v1/batches') {
+      return { status: 200, body: await batches.createBatch(body.input_file_id, body.metadata) };
+    }
+    if (req.method === 'GET' && (match = url.match(/^\/v1\/batches\/([^/]+)$/))) {
+      return { status: 200, body: await batches.getBatch(match[1]) };
+    }
+    if (req.method === 'POST' && (match = url.match(/^\/v1\/batches\/([^/]+)\/cancel$/))) {
+      return { status: 200, body: await batches.cancelBatch(match[1]) };
+    }
+    return null;
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', async () => {
+      let body = {};
+      try {
+        body = JSON.parse(raw || '{}');
+      } catch (error) {
+        // Recorded as-is below
+      }
+      requests.push({ at: Date.now(), method: req.method, url: req.url, headers: req.headers, body });
+
+      let reply;
+      try {
+        reply = await routeBatchApi(req, raw, body) || answer(body);
+      } catch (error) {
+        reply = { status: 404, body: { error: { message: error.message, type: 'invalid_request_error' } } };
+      }
+
+      if (reply.raw !== undefined) {
+        res.writeHead(reply.status, { 'content-type': 'application/octet-stream' });
+        res.end(reply.raw);
+        return;
+      }
+
+      res.writeHead(reply.status, { 'content-type': 'application/json', ...(reply.headers || {}) });
+      res.end(JSON.stringify(reply.body));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(port, () => {
+      const actualPort = server.address().port;
+      resolve({
+        url: `http://localhost:${actualPort}/v1`,
+        port: actualPort,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { startOpenAIStub, getPackedItems, DEFAULT_CONTENT };
+
+if (require.main === module) {
+  const port = Number(process.argv[2]) || 3999;
+  const failures = Number(process.argv[3]) || 0;
+  const script = Array.from({ length: failures }, () => ({ status: 429, headers: { 'retry-after': '1' } }));
+
+  startOpenAIStub({ port, script }).then(stub => {
+    console.log(`🧪 OpenAI stub listening at ${stub.url} (${failures} x 429 first)`);
+  });
+}
@@ -0,0 +1,102 @@
+/**
+ * Offline bulk extraction (Batch API) against the local stub
+ * Run: node tests/test-bulk-extraction.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startOpenAIStub } = require('./stubs/openai-stub');
+const LLMExtractor = require('../utils/llm-extractor');
+const { BulkExtractor } = require('../utils/bulk-extractor');
+const { OpenAIBatchTransport, MemoryBatchTransport } = require('../utils/batch-transports');
+const { CacheManager } = require('../utils/cache-manager');
+const { sumUsage, estimateCost } = require('../utils/usage-tracker');
+const { check, runTests } = require('./helpers');
+
+const API_KEY = 'sk-test-0000000000000000000000';
+const TEXTS = [
+  'walang internet dito sa Pasig since morning',
+  'no signal here in Pasig City kanina pa',
+  '@globe',
+  'Pasig area down pa rin ang fiber namin',
+  'walang internet dito sa Pasig since morning'
+];
+
+function createBulk(stub, cache, dir) {
+  const extractor = new LLMExtractor(API_KEY, { cache, retry: { maxAttempts: 1 } });
+  extractor.openai.baseURL = stub.url;
+  return new BulkExtractor(extractor, {
+    transport: new OpenAIBatchTransport(extractor.openai),
+    pollIntervalMs: 5,
+    dir
+  });
+}
+
+async function run() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bulk-test-'));
+  const cache = new CacheManager();
+
+  console.log('\n5 texts (one duplicate, one pre-filtered) through the stub Batch API:');
+  let stub = await startOpenAIStub();
+  let bulk = createBulk(stub, cache, dir);
+  const statuses = [];
+  let results = await bulk.run(TEXTS, { onStatus: ({ batch }) => statuses.push(batch.status) });
+
+  const batchLines = stub.requests.filter(request => request.method === 'BATCH');
+  check('3 batch lines for 3 distinct texts', batchLines.length === 3, `${batchLines.length}`);
+  check('no live chat completions', !stub.requests.some(request => request.url.endsWith('/chat/completions') && request.method === 'POST'));
+  check('status polled to completion', statuses[0] === 'validating' && statuses[statuses.length - 1] === 'completed',
+    statuses.join(' -> '));
+  check('every text has a result', TEXTS.every(text => results.has(text)));
+
+  const pasig = results.get(TEXTS[0]);
+  check('standard result shape', pasig.method === 'llm_extracted' && pasig.location.city === 'Pasig' &&
+    pasig.spans && pasig.spans.city.text === 'Pasig');
+  check('result names its batch', pasig.bulk && /^batch_/.test(pasig.bulk.batchId));
+  check('pre-filtered text not sent', results.get('@globe').method === 'pre-filtered');
+  check('usage billed at batch price', pasig.usage.calls === 1 &&
+    pasig.usage.costUsd === estimateCost('gpt-4o-mini', 1000, 50) / 2, JSON.stringify(pasig.usage));
+
+  const input = fs.readdirSync(dir).find(name => name.endsWith('-input.jsonl'));
+  const lines = fs.readFileSync(path.join(dir, input), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  check('input file in Batch API format', lines.length === 3 && lines[0].method === 'POST' &&
+    lines[0].url === '/v1/chat/completions' && lines[0].body.messages[0].content.includes(TEXTS[0]));
+  await stub.close();
+
+  console.log('\nSecond run reuses the cache:');
+  stub = await startOpenAIStub();
+  bulk = createBulk(stub, cache, dir);
+  results = await bulk.run(TEXTS.slice(0, 2));
+  check('nothing submitted', stub.requests.length === 0, `${stub.requests.length}`);
+  check('results marked cached with zero usage', results.get(TEXTS[1]).cached === true &&
+    sumUsage(Array.from(results.values()).map(result => result.usage)).calls === 0);
+  await stub.close();
+
+  console.log('\nFailed batch lines:');
+  stub = await startOpenAIStub({ script: [{ status: 500 }] });
+  bulk = createBulk(stub, new CacheManager(), dir);
+  results = await bulk.run(TEXTS.slice(0, 2));
+  const outcomes = Array.from(results.values()).map(result => result.method).sort();
+  check('one error result, one extracted', outcomes.join(',') === 'error,llm_extracted', outcomes.join(','));
+  check('error result carries the message', Array.from(results.values()).some(result => /Stubbed 500/.test(result.error || '')));
+  await stub.close();
+
+  console.log('\nCancelling a running batch:');
+  const transport = new MemoryBatchTransport({ respond: () => ({ status_code: 200, body: {} }) });
+  const extractor = new LLMExtractor(API_KEY, { cache: new CacheManager() });
+  bulk = new BulkExtractor(extractor, { transport, pollIntervalMs: 60000, dir });
+  const controller = new AbortController();
+  const pending = bulk.run(TEXTS.slice(0, 1), {
+    signal: controller.signal,
+    onStatus: () => setImmediate(() => controller.abort())
+  });
+  const error = await pending.then(() => null, caught => caught);
+  const [record] = Array.from(transport.batches.values());
+  check('run rejects on abort', Boolean(error));
+  check('batch cancelled', record.batch.status === 'cancelling', record.batch.status);
+
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+runTests('BULK EXTRACTION TESTS', run);
@@ -0,0 +1,89 @@
+/**
+ * File-backed cache: reloading, expiry and recovering a torn log
+ * Run: node tests/test-cache-stores.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileStore } = require('../utils/cache-stores');
+const { CacheManager, getEnvOptions } = require('../utils/cache-manager');
+const { check, runTests } = require('./helpers');
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function readLines(filePath) {
+  return fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
+}
+
+async function run() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-stores-'));
+  try {
+    console.log('\nReload:');
+    const filePath = path.join(dir, 'reload.jsonl');
+    const first = new CacheManager({ backend: 'file', filePath });
+    first.set('a', { city: 'Pasig' });
+    first.set('b', { city: 'Cebu City' });
+    first.set('c', { city: 'Davao City' });
+    first.remove('b');
+    const reloaded = new CacheManager({ backend: 'file', filePath });
+    check('entries survive a restart', reloaded.get('c') && reloaded.get('c').city === 'Davao City' &&
+      reloaded.get('a').city === 'Pasig');
+    check('deletions survive a restart', reloaded.get('b') === null);
+    check('latest write wins', (() => {
+      reloaded.set('c', { city: 'Tagum' });
+      return new CacheManager({ backend: 'file', filePath }).get('c').city === 'Tagum';
+    })());
+    check('write order kept for LRU', JSON.stringify([...new FileStore({ filePath }).keys()]) === JSON.stringify(['a', 'c']),
+      JSON.stringify([...new FileStore({ filePath }).keys()]));
+
+    console.log('\nExpiry:');
+    const expiryPath = path.join(dir, 'expiry.jsonl');
+    const noErrors = new CacheManager({ backend: 'file', filePath: expiryPath });
+    check('errors not written by default', noErrors.set('failed', { method: 'error' }) === false &&
+      (!fs.existsSync(expiryPath) || readLines(expiryPath).length === 0));
+    const withErrors = new CacheManager({ backend: 'file', filePath: expiryPath, errorTTL: 50 });
+    withErrors.set('failed', { method: 'error' });
+    withErrors.set('good', { method: 'llm_extracted' });
+    check('errors kept for errorTTL', new CacheManager({ backend: 'file', filePath: expiryPath, errorTTL: 50 }).get('failed') !== null);
+    await sleep(80);
+    const later = new CacheManager({ backend: 'file', filePath: expiryPath, errorTTL: 50 });
+    check('expired errors dropped on load', later.get('failed') === null && later.get('good') !== null);
+    check('the drop is written back', ![...new FileStore({ filePath: expiryPath }).keys()].includes('failed') &&
+      readLines(expiryPath).some(line => JSON.parse(line).deleted));
+
+    console.log('\nSettings:');
+    const rejects = options => {
+      try {
+        new CacheManager(options);
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    };
+    check('CACHE_TTL_MS=0 is refused, not read as the default', /positive/.test(rejects(getEnvOptions({ CACHE_TTL_MS: '0' }))),
+      JSON.stringify(getEnvOptions({ CACHE_TTL_MS: '0' })));
+    check('negative ttl refused', Boolean(rejects({ ttl: -1 })));
+    check('negative errorTTL refused', Boolean(rejects({ errorTTL: -5 })));
+    check('unset ttl falls back to the default', new CacheManager().ttl === 3600000 && new CacheManager({ ttl: 5000 }).ttl === 5000);
+
+    console.log('\nTorn last line:');
+    const tornPath = path.join(dir, 'torn.jsonl');
+    const entry = value => ({ value, timestamp: Date.now(), ttl: 3600000 });
+    fs.writeFileSync(tornPath, `${JSON.stringify({ key: 'a', entry: entry('Pasig') })}\n{"key":"b","entr`);
+    const torn = new CacheManager({ backend: 'file', filePath: tornPath });
+    check('readable lines kept', torn.get('a') === 'Pasig' && torn.get('b') === null);
+    check('log rewritten without the torn line', readLines(tornPath).length === 1 &&
+      fs.readFileSync(tornPath, 'utf8').endsWith('\n'));
+    torn.set('b', 'Cebu City');
+    const recovered = new CacheManager({ backend: 'file', filePath: tornPath });
+    check('next write lands on a line of its own', recovered.get('a') === 'Pasig' && recovered.get('b') === 'Cebu City' &&
+      readLines(tornPath).every(line => JSON.parse(line)));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+runTests('CACHE STORE TESTS', run);
@@ -0,0 +1,183 @@
+/**
+ * Confidence calibration: fitting, applying, the artifact and its use
+ * Run: node tests/test-calibration.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createExtractor } = require('../utils/extractor-registry');
+const { ENSEMBLE_DEFAULTS } = require('../utils/ensemble-resolver');
+const { evaluateExtractor } = require('../utils/evaluation');
+const { check, runTests } = require('./helpers');
+const {
+  CALIBRATION_SCHEMA_VERSION,
+  splitCases,
+  toCalibrationSamples,
+  fitIsotonic,
+  fitPlatt,
+  applyMapping,
+  measureCalibration,
+  fitExtractor,
+  buildCalibrationArtifact,
+  ConfidenceCalibration,
+  loadCalibration
+} = require('../utils/confidence-calibration');
+
+/**
+ * Samples where answers above `cutoff` are right `highRate` of the time
+ * and the rest `lowRate`
+ */
+function makeSamples({ cutoff = 70, lowRate = 0.2, highRate = 0.9, perStep = 40 } = {}) {
+  const samples = [];
+  for (let confidence = 40; confidence <= 100; confidence += 10) {
+    const rate = confidence > cutoff ? highRate : lowRate;
+    for (let i = 0; i < perStep; i++) {
+      samples.push({ confidence, correct: i < Math.round(rate * perStep) });
+    }
+  }
+  return samples;
+}
+
+function isNonDecreasing(values) {
+  return values.every((value, i) => i === 0 || value >= values[i - 1]);
+}
+
+async function run() {
+  console.log('\nFitting:');
+  const overconfident = makeSamples().map(sample => ({ ...sample, confidence: 95 }));
+  const samples = makeSamples();
+  const heldOut = makeSamples({ perStep: 20 });
+  const isotonic = fitIsotonic(samples);
+  check('isotonic points rise with confidence', isNonDecreasing(isotonic.points.map(([, p]) => p)) && isNonDecreasing(isotonic.points.map(([x]) => x)),
+    JSON.stringify(isotonic.points));
+  check('isotonic tracks the observed rates', Math.abs(applyMapping(isotonic, 50) - 0.2) < 0.05 && Math.abs(applyMapping(isotonic, 95) - 0.9) < 0.05,
+    `${applyMapping(isotonic, 50)} / ${applyMapping(isotonic, 95)}`);
+  const reversed = fitIsotonic([{ confidence: 90, correct: false }, { confidence: 90, correct: false }, { confidence: 40, correct: true }]);
+  check('decreasing rates are pooled into one point', reversed.points.length === 1 && reversed.points[0][1] > 0 && reversed.points[0][1] < 1,
+    JSON.stringify(reversed.points));
+  check('smoothed rates stay monotone', isNonDecreasing(fitIsotonic([
+    { confidence: 10, correct: false }, { confidence: 20, correct: false }, { confidence: 20, correct: false },
+    { confidence: 20, correct: false }, { confidence: 30, correct: true }
+  ]).points.map(([, p]) => p)));
+
+  const platt = fitPlatt(samples);
+  check('Platt curve rises with confidence', platt.a > 0 && applyMapping(platt, 95) > applyMapping(platt, 50), JSON.stringify(platt));
+  check('Platt curve near the rates', applyMapping(platt, 40) < 0.35 && applyMapping(platt, 100) > 0.75,
+    `${applyMapping(platt, 40)} / ${applyMapping(platt, 100)}`);
+  check('probabilities stay inside 0-1', [isotonic, platt].every(mapping =>
+    [-20, 0, 55, 100, 250].every(value => applyMapping(mapping, value) >= 0 && applyMapping(mapping, value) <= 1)));
+
+  const metrics = measureCalibration(overconfident, fitIsotonic(overconfident));
+  check('calibration lowers Brier and ECE for an overconfident extractor',
+    metrics.brier.calibrated < metrics.brier.raw && metrics.ece.calibrated < metrics.ece.raw, JSON.stringify(metrics));
+  check('too few samples: no mapping, with the reason', fitExtractor(samples.slice(0, 5), heldOut).entry === null &&
+    /only 5/.test(fitExtractor(samples.slice(0, 5), heldOut).reason));
+  check('too few held-out samples: no mapping', /only 3 held-out/.test(fitExtractor(samples, heldOut.slice(0, 3)).reason));
+  check('one confidence value: no mapping', /1 distinct/.test(fitExtractor(overconfident, heldOut).reason));
+  const falling = [40, 60, 90].flatMap((confidence, step) =>
+    Array.from({ length: 10 }, (_, i) => ({ confidence, correct: i < 10 - step * 5 })));
+  check('a fit that collapses to one point is refused', /single point/.test(fitExtractor(falling, heldOut).reason));
+  const errors = [() => fitExtractor(samples), () => fitExtractor(samples, heldOut, { method: 'histogram' })].map(fit => {
+    try {
+      fit();
+      return null;
+    } catch (error) {
+      return error;
+    }
+  });
+  check('held-out samples required', errors[0] && /held-out/.test(errors[0].message));
+  check('unknown method rejected', errors[1] && /isotonic, platt/.test(errors[1].message));
+  const fitted = fitExtractor(samples, heldOut).entry;
+  check('scored on the held-out samples', fitted.samples === samples.length && fitted.heldOut === heldOut.length &&
+    fitted.brier.calibrated === measureCalibration(heldOut, fitted.mapping).brier.calibrated);
+
+  const cases = Array.from({ length: 200 }, (_, i) => ({ id: `case-${i}`, text: `text ${i}` }));
+  const split = splitCases(cases, 0.3);
+  check('cases split by id, the same way every run', split.train.length + split.heldOut.length === cases.length &&
+    split.heldOut.length > 40 && split.heldOut.length < 80 && !split.heldOut.some(testCase => split.train.includes(testCase)) &&
+    JSON.stringify(splitCases(cases, 0.3)) === JSON.stringify(split), String(split.heldOut.length));
+
+  console.log('\nArtifact:');
+  const entry = fitted;
+  const artifact = buildCalibrationArtifact({ extractors: { v2: entry }, method: 'isotonic', dataset: { name: 'unit', cases: samples.length } });
+  check('artifact is versioned by its mappings', artifact.schemaVersion === CALIBRATION_SCHEMA_VERSION && /^[0-9a-f]{12}$/.test(artifact.version) &&
+    artifact.version === buildCalibrationArtifact({ extractors: { v2: entry }, method: 'isotonic', dataset: {} }).version &&
+    artifact.version !== buildCalibrationArtifact({ extractors: { v2: fitExtractor(samples, heldOut, { method: 'platt' }).entry }, method: 'platt', dataset: {} }).version);
+
+  const calibration = new ConfidenceCalibration(artifact);
+  check('runtime calibrates known extractors only', calibration.calibrate('v2', 95) === applyMapping(entry.mapping, 95) &&
+    calibration.calibrate('llm', 95) === null && calibration.calibrate('v2', null) === null);
+  check('empty calibration is a no-op', new ConfidenceCalibration().calibrate('v2', 80) === null && new ConfidenceCalibration().version === null);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calibration-'));
+  try {
+    const good = path.join(dir, 'good.json');
+    fs.writeFileSync(good, JSON.stringify(artifact));
+    check('artifact loads from disk', loadCalibration(good).version === artifact.version);
+
+    const bad = path.join(dir, 'bad.json');
+    fs.writeFileSync(bad, JSON.stringify({ ...artifact, schemaVersion: 99 }));
+    let schemaError = null;
+    try {
+      loadCalibration(bad);
+    } catch (error) {
+      schemaError = error;
+    }
+    check('unknown schema rejected', schemaError && /schema 99/.test(schemaError.message));
+
+    const flat = path.join(dir, 'flat.json');
+    fs.writeFileSync(flat, JSON.stringify({ ...artifact, extractors: { v2: { ...entry, mapping: { method: 'isotonic', points: [[93, 0.41]] } } } }));
+    check('single-point mapping rejected', (() => {
+      try {
+        loadCalibration(flat);
+        return false;
+      } catch (error) {
+        return /no valid mapping/.test(error.message);
+      }
+    })());
+
+    const loaded = file => {
+      const env = { ...process.env };
+      delete env.CONFIDENCE_CALIBRATION_FILE;
+      if (file) env.CONFIDENCE_CALIBRATION_FILE = file;
+      const child = spawnSync(process.execPath, ['-e',
+        'process.stdout.write(String(require("./utils/confidence-calibration").getConfidenceCalibration().version))'],
+      { cwd: path.join(__dirname, '..'), encoding: 'utf8', timeout: 60000, env });
+      return child.stdout.split('\n').pop();
+    };
+    check('nothing loaded unless a file is named', loaded(null) === 'null' && loaded(good) === artifact.version);
+
+    const out = path.join(dir, 'fitted.json');
+    const cli = spawnSync(process.execPath, [path.join(__dirname, '..', 'utils', 'fit-calibration.js'), '--extractors', 'v2', '--method', 'platt',
+      '--out', out], { encoding: 'utf8', timeout: 120000, env: { ...process.env, OPENAI_API_KEY: '' } });
+    check('CLI refuses to fit the small gold corpus', cli.status !== 0 && /nothing written/.test(cli.stderr) && !fs.existsSync(out),
+      cli.stderr.slice(-300));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log('\nUse:');
+  const v2 = createExtractor('v2', { calibration });
+  const answer = await v2.extract('Here in Cebu City, Lahug area');
+  check('registry answers carry the probability', v2.calibrated && answer.probability === calibration.calibrate('v2', answer.confidence),
+    JSON.stringify(answer).slice(0, 200));
+  const nothing = await v2.extract('Same here');
+  check('no location, no probability', nothing.location === null && nothing.probability === null);
+
+  const report = await evaluateExtractor(v2, [{ text: 'Here in Cebu City, Lahug area', expected: answer.location }]);
+  check('evaluation reports calibrated Brier and ECE', report.calibration.samples === 1 && report.calibration.brier.calibrated !== null);
+  check('samples read from scored cases', toCalibrationSamples([
+    { predicted: answer.location, confidence: 90, probability: 0.4, exact: true },
+    { predicted: null, confidence: 95, exact: false },
+    { predicted: answer.location, confidence: null, exact: false }
+  ]).length === 1);
+
+  const lowV2 = new ConfidenceCalibration({ extractors: { v2: { mapping: { method: 'isotonic', points: [[0, 0.01], [100, 0.1]] } } } });
+  const ensemble = createExtractor('ensemble', { calibration: lowV2, ensemble: { extractors: ['v2', 'v3'], weights: ENSEMBLE_DEFAULTS.weights } });
+  const voted = await ensemble.extract('Here in Cebu City, Lahug area');
+  check('ensemble members vote with calibrated confidence', voted.location && voted.confidence < 100, JSON.stringify(voted.agreement));
+}
+
+runTests('CONFIDENCE CALIBRATION TESTS', run);
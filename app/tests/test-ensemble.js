@@ -0,0 +1,98 @@
+/**
+ * Ensemble resolver: level-by-level weighted voting, agreement and dissent
+ * Run: node tests/test-ensemble.js
+ */
+
+const { createExtractor, toDisplayLocation } = require('../utils/extractor-registry');
+const { ENSEMBLE_DEFAULTS, resolveEnsemble, resolveVotes, createEnsemble } = require('../utils/ensemble-resolver');
+const { check, runTests } = require('./helpers');
+
+const CEBU_CITY = toDisplayLocation({ city: 'CEBU CITY', province: 'CEBU', region: 'REGION VII' });
+const LAHUG = toDisplayLocation({ barangay: 'LAHUG', city: 'CEBU CITY', province: 'CEBU', region: 'REGION VII' });
+const MANDAUE = toDisplayLocation({ city: 'Mandaue City', province: 'Cebu', region: 'Central Visayas' });
+const QUEZON_CITY = toDisplayLocation({ barangay: 'Krus na Ligas', city: 'Quezon City', region: 'NCR' });
+
+function vote(extractor, location, confidence, weight = 1) {
+  return { extractor, weight, location, confidence, method: 'test' };
+}
+
+/**
+ * Registry-shaped extractor with a fixed answer
+ */
+function fixedExtractor(name, answer, available = true) {
+  return {
+    name,
+    available,
+    unavailableReason: available ? null : 'no data',
+    extract: async () => {
+      if (answer instanceof Error) throw answer;
+      return answer;
+    }
+  };
+}
+
+async function run() {
+  console.log('\nVoting:');
+  check('test locations carry codes', CEBU_CITY.cityCode && MANDAUE.cityCode && LAHUG.barangayCode && QUEZON_CITY.cityCode,
+    JSON.stringify([CEBU_CITY, MANDAUE, LAHUG, QUEZON_CITY].map(location => location && location.cityCode)));
+
+  const split = resolveVotes([vote('v2', CEBU_CITY, 80), vote('v3', CEBU_CITY, 80), vote('llm', MANDAUE, 90, 1.5)]);
+  check('heavier answer wins the city', split.location.city === CEBU_CITY.city && split.location.cityCode === CEBU_CITY.cityCode);
+  check('agreement per level', split.agreement.levels.region === 1 && split.agreement.levels.province === 1 &&
+    split.agreement.levels.city === Number((1.6 / 2.95).toFixed(4)) && split.agreement.levels.barangay === null, JSON.stringify(split.agreement));
+  check('dissent lists the losing answer and where it split off', split.dissent.length === 1 && split.dissent[0].extractor === 'llm' &&
+    split.dissent[0].level === 'city' && split.dissent[0].location.city === MANDAUE.city && split.dissent[0].confidence === 90);
+  check('confidence scaled by agreement', split.confidence === Math.round(80 * split.agreement.overall) && split.confidence < 80, String(split.confidence));
+
+  const weighted = resolveVotes([vote('v2', CEBU_CITY, 80), vote('v3', CEBU_CITY, 80), vote('llm', MANDAUE, 90, 3)]);
+  check('weights change the outcome', weighted.location.city === MANDAUE.city && weighted.supporters.join(',') === 'llm');
+
+  const deeper = resolveVotes([vote('v2', CEBU_CITY, 90), vote('v3', LAHUG, 70)]);
+  check('a barangay named by one voter is kept when the rest are silent', deeper.location.barangay === LAHUG.barangay &&
+    deeper.agreement.levels.barangay === 1 && deeper.agreement.overall === 1 && deeper.dissent.length === 0);
+
+  const pruned = resolveVotes([vote('v2', CEBU_CITY, 80), vote('v3', CEBU_CITY, 80), vote('enhanced', QUEZON_CITY, 95)]);
+  check('a contradicting answer drops out of deeper levels', pruned.location.city === CEBU_CITY.city && pruned.location.barangay === 'None' &&
+    pruned.dissent[0].extractor === 'enhanced' && pruned.dissent[0].level === 'region', JSON.stringify(pruned.location));
+
+  const none = resolveVotes([vote('v2', null, null), vote('v3', null, null), vote('v4', null, null), vote('llm', CEBU_CITY, 90, 1.5)]);
+  check('no location wins when it outweighs the answers', none.location === null && none.dissent[0].extractor === 'llm' &&
+    none.dissent[0].level === null && none.agreement.presence === Number((1.5 / 2.85).toFixed(4)));
+  check('a tie means no location', resolveVotes([vote('v2', null, 80), vote('v3', CEBU_CITY, 80)]).location === null);
+  check('parsers without a confidence count at half weight', resolveVotes([vote('v2', CEBU_CITY, null), vote('v3', MANDAUE, 60)]).location.city === MANDAUE.city);
+  const empty = resolveVotes([]);
+  check('no votes: no location, no agreement', empty.location === null && empty.agreement.overall === null && empty.confidence === 0);
+
+  console.log('\nOptions:');
+  const defaults = resolveEnsemble({}, {});
+  check('defaults: the five extractors', defaults.extractors.join(',') === 'v2,v3,v4,enhanced,llm' && defaults.weights.llm === ENSEMBLE_DEFAULTS.weights.llm);
+  const configured = resolveEnsemble({ weights: { v2: 2 } }, { extractors: ['v2', 'llm', 'v2'], weights: { llm: 3 } });
+  check('request and server settings merge', configured.extractors.join(',') === 'v2,llm' && configured.weights.v2 === 2 && configured.weights.llm === 3);
+  check('unknown extractor rejected', /Unknown ensemble extractor/.test(resolveEnsemble({ extractors: ['v2', 'hybrid'] }, {}).error));
+  check('bad weight rejected', /non-negative number/.test(resolveEnsemble({ weights: { v2: -1 } }, {}).error) &&
+    /unknown extractor/.test(resolveEnsemble({ weights: { v9: 1 } }, {}).error));
+  check('empty list rejected', /non-empty list/.test(resolveEnsemble({ extractors: [] }, {}).error));
+
+  console.log('\nMembers:');
+  const usage = { calls: 1, promptTokens: 100, completionTokens: 20, totalTokens: 120, costUsd: 0.0001, model: 'gpt-4o-mini' };
+  const ensemble = createEnsemble([
+    fixedExtractor('v2', { location: CEBU_CITY, confidence: 80, method: 'rule_based' }),
+    fixedExtractor('v3', new Error('parser crashed')),
+    fixedExtractor('v4', null, false),
+    fixedExtractor('llm', { location: CEBU_CITY, confidence: 90, method: 'llm_extracted', usage })
+  ], ENSEMBLE_DEFAULTS.weights);
+  const result = await ensemble.extract('Cebu City');
+  check('unavailable members skipped', ensemble.members.join(',') === 'v2,v3,llm' && result.skipped[0].extractor === 'v4');
+  check('a crashing member is an error, not a vote', result.errors.length === 1 && result.errors[0].extractor === 'v3' &&
+    result.supporters.join(',') === 'v2,llm' && result.agreement.overall === 1);
+  check('LLM usage carried over', result.usage && result.usage.calls === 1 && result.method === 'ensemble');
+
+  const registry = createExtractor('ensemble', { ensemble: { extractors: ['v2', 'v3'], weights: ENSEMBLE_DEFAULTS.weights } });
+  const real = await registry.extract('Here in Cebu City, Lahug area');
+  check('registry ensemble runs the real parsers', registry.available && real.location && /Cebu City/i.test(real.location.city) &&
+    real.members.join(',') === 'v2,v3', JSON.stringify(real).slice(0, 300));
+  const llmOnly = createExtractor('ensemble', { llmExtractor: null, ensemble: { extractors: ['llm'], weights: ENSEMBLE_DEFAULTS.weights } });
+  check('ensemble with no available member is unavailable', !llmOnly.available && /None of the ensemble extractors/.test(llmOnly.unavailableReason));
+}
+
+runTests('ENSEMBLE RESOLVER TESTS', run);
@@ -0,0 +1,141 @@
+/**
+ * Evaluation harness: level keys, partial credit, metrics and reports
+ * Run: node tests/test-evaluation.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createExtractor } = require('../utils/extractor-registry');
+const { check, runTests } = require('./helpers');
+const {
+  getLevelKeys,
+  keyCovers,
+  getPartialCredit,
+  scoreCase,
+  evaluateExtractor,
+  loadEvaluationCases,
+  renderHtmlReport
+} = require('../utils/evaluation');
+
+const CEBU_CITY = { city: 'CEBU CITY', province: 'CEBU', region: 'REGION VII' };
+const LAHUG = { barangay: 'LAHUG', ...CEBU_CITY };
+const MANDAUE = { city: 'Mandaue City', province: 'Cebu', region: 'Central Visayas' };
+const QUEZON_CITY = { city: 'QUEZON CITY', province: 'NATIONAL CAPITAL REGION - SECOND DISTRICT', region: 'NCR' };
+
+/**
+ * Extractor answering from a fixed text -> prediction table
+ */
+function createTableExtractor(table) {
+  return {
+    name: 'table',
+    label: 'Fixed answers',
+    kind: 'rules',
+    available: true,
+    extract: async (text) => {
+      if (text === 'boom') throw new Error('parser crashed');
+      return table[text] || { location: null, confidence: null, method: 'rule_based_no_match' };
+    }
+  };
+}
+
+async function run() {
+  console.log('\nLevel keys:');
+  const gold = getLevelKeys(LAHUG);
+  check('gold levels resolve to codes', gold.region === '0700000000' && gold.city === '0730600000' && gold.barangay === '0730600041', JSON.stringify(gold));
+  const display = getLevelKeys({ region: 'Central Visayas', province: 'Cebu', city: 'Cebu City', barangay: 'None' });
+  check('display names and gazetteer names compare equal', display.city === gold.city && display.barangay === null);
+  check('codes nest', keyCovers('0730600041', '0730600000') && keyCovers('0730600000', '0700000000') && !keyCovers('0702200000', '0730600000') &&
+    !keyCovers('1381200000', '0700000000'));
+  check('independent city inside the province it is filed under', keyCovers('0730600000', '0702200000') && keyCovers('0730600041', '0702200000'));
+
+  console.log('\nPartial credit:');
+  check('right city, barangay missing: 3 of 4', getPartialCredit(gold, getLevelKeys(CEBU_CITY)) === 0.75);
+  check('neighbouring city: region and province only', getPartialCredit(getLevelKeys(CEBU_CITY), getLevelKeys({ city: 'Mandaue City', province: 'Cebu' })) === 2 / 3);
+  check('city alone still covers its parents', getPartialCredit(getLevelKeys(CEBU_CITY), getLevelKeys({ city: 'Cebu City', province: 'Cebu' })) === 1);
+  check('no gold location: full credit only for no answer',
+    getPartialCredit(getLevelKeys(null), getLevelKeys(null)) === 1 && getPartialCredit(getLevelKeys(null), gold) === 0);
+
+  console.log('\nScoring:');
+  const wrongCity = scoreCase({ text: 'x', expected: CEBU_CITY }, { location: MANDAUE, confidence: 90 });
+  check('wrong city marked per level', wrongCity.levels.region === 'correct' && wrongCity.levels.city === 'wrong' && wrongCity.levels.barangay === null && !wrongCity.exact);
+  const deeper = scoreCase({ text: 'x', expected: CEBU_CITY }, { location: LAHUG });
+  check('unlabeled barangay is spurious but credit stays full', deeper.levels.barangay === 'spurious' && deeper.partialCredit === 1 && !deeper.exact);
+
+  const cases = [
+    { id: 'a', text: 'taga Lahug', expected: LAHUG, category: 'Barangay' },
+    { id: 'b', text: 'Cebu City here', expected: CEBU_CITY, category: 'City' },
+    { id: 'c', text: 'QC area', expected: QUEZON_CITY, category: 'City' },
+    { id: 'd', text: 'Same here', expected: null, category: 'Generic' },
+    { id: 'e', text: 'Still down', expected: null, category: 'Generic' },
+    { id: 'f', text: 'boom', expected: CEBU_CITY, category: 'City' }
+  ];
+  const extractor = createTableExtractor({
+    'taga Lahug': { location: LAHUG, confidence: 80 },
+    'Cebu City here': { location: MANDAUE, confidence: 95 },
+    'QC area': { location: { city: 'Quezon City', province: 'Bukidnon', region: 'Region X' }, confidence: 100 },
+    'Still down': { location: CEBU_CITY, confidence: 40 }
+  });
+  const report = await evaluateExtractor(extractor, cases, { worst: 3 });
+
+  check('precision and recall per level', report.levels.city.tp === 1 && report.levels.city.fp === 3 && report.levels.city.fn === 3 &&
+    report.levels.city.precision === 0.25 && report.levels.city.recall === 0.25, JSON.stringify(report.levels.city));
+  check('region level credits the right region', report.levels.region.tp === 2);
+  check('summary counts', report.summary.cases === 6 && report.summary.exactMatch === Number((2 / 6).toFixed(4)) &&
+    report.summary.falsePositives === 1 && report.summary.falseNegatives === 1 && report.summary.errors === 1, JSON.stringify(report.summary));
+  const ncr = report.confusion.matrix['National Capital Region (NCR)'];
+  check('confusion by region', ncr && ncr['Northern Mindanao'] === 1 && report.confusion.matrix['(none)']['Central Visayas'] === 1,
+    JSON.stringify(report.confusion.matrix));
+  check('worst failures: zero credit first, most confident first',
+    report.worst.length === 3 && report.worst.map(entry => entry.text).join(' | ') === 'QC area | Still down | boom',
+    report.worst.map(entry => entry.text).join(' | '));
+  check('category breakdown', report.byCategory.Generic.cases === 2 && report.byCategory.Generic.exact === 1);
+
+  console.log('\nExtractors:');
+  const v2 = await evaluateExtractor(createExtractor('v2'), [
+    { text: 'dito sa Lahug, Cebu City', expected: CEBU_CITY },
+    { text: 'Same here', expected: null }
+  ]);
+  check('v2 runs through the registry', v2.available && v2.summary.exactMatch === 1 && v2.levels.city.tp === 1, JSON.stringify(v2.summary));
+  const llm = await evaluateExtractor(createExtractor('llm', { llmExtractor: null }), cases);
+  check('unavailable extractor reported, not run', llm.available === false && /API key/.test(llm.unavailableReason) && !llm.summary);
+  let unknownError = null;
+  try {
+    createExtractor('v9');
+  } catch (error) {
+    unknownError = error;
+  }
+  check('unknown extractor rejected', unknownError && /expected one of/.test(unknownError.message));
+
+  console.log('\nReports:');
+  const html = renderHtmlReport({
+    generatedAt: 'now',
+    parserVersion: 'test',
+    dataset: { name: 'unit', cases: cases.length },
+    extractors: [{ ...report, worst: [{ ...report.worst[0], text: '<script>alert(1)</script>' }] }, llm]
+  });
+  check('HTML has the tables', html.includes('<h3>Per level</h3>') && html.includes('Confusion by region') && html.includes('Worst failures'));
+  check('HTML escapes comment text', !html.includes('<script>') && html.includes('&lt;script&gt;'));
+  check('HTML lists skipped extractors', /Not run: No LLM API key/.test(html));
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evaluation-'));
+  try {
+    const datasetPath = path.join(dir, 'cases.jsonl');
+    fs.writeFileSync(datasetPath, cases.slice(0, 4).map(testCase => JSON.stringify(testCase)).join('\n') + '\n');
+    check('JSONL dataset loaded', loadEvaluationCases(datasetPath).length === 4);
+
+    const outDir = path.join(dir, 'out');
+    const cli = spawnSync(process.execPath, [path.join(__dirname, 'run-evaluation.js'), '--extractors', 'v2', '--dataset', datasetPath, '--out', outDir],
+      { encoding: 'utf8', timeout: 120000, env: { ...process.env, OPENAI_API_KEY: '' } });
+    const written = fs.existsSync(path.join(outDir, 'evaluation.json')) && JSON.parse(fs.readFileSync(path.join(outDir, 'evaluation.json'), 'utf8'));
+    check('CLI writes JSON and HTML', cli.status === 0 && written && written.extractors[0].name === 'v2' &&
+      fs.existsSync(path.join(outDir, 'evaluation.html')), cli.stderr.slice(-300));
+    const bad = spawnSync(process.execPath, [path.join(__dirname, 'run-evaluation.js'), '--extractors', 'v9'], { encoding: 'utf8', timeout: 60000 });
+    check('CLI rejects unknown extractors', bad.status === 1 && /Unknown extractor/.test(bad.stderr), bad.stderr);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+runTests('EVALUATION HARNESS TESTS', run);
@@ -0,0 +1,104 @@
+/**
+ * Few-shot example selection for the extraction prompt
+ * Run: node tests/test-few-shot.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startOpenAIStub } = require('./stubs/openai-stub');
+const LLMExtractor = require('../utils/llm-extractor');
+const { CacheManager } = require('../utils/cache-manager');
+const { check, runTests } = require('./helpers');
+const {
+  DEFAULT_EXAMPLES,
+  FewShotSelector,
+  parseFewShotCorpus,
+  loadFewShotExamples,
+  createFewShotSelector
+} = require('../utils/few-shot-selector');
+
+const API_KEY = 'sk-testtesttesttesttesttest';
+
+const answer = (city, province, region) => ({
+  hasLocation: true,
+  confidence: 90,
+  location: { region, province, city, barangay: 'None' },
+  reasoning: `${city} mentioned`
+});
+
+const CORPUS = [
+  { text: 'diri sa Mandaue wala gihapon internet', output: answer('Mandaue City', 'Cebu', 'Central Visayas') },
+  { text: 'taga Bacoor Cavite ako, walang net', output: answer('Bacoor City', 'Cavite', 'CALABARZON') },
+  { text: 'PLDT fiber red LOS dito sa Marikina', output: answer('Marikina City', 'Metro Manila', 'National Capital Region (NCR)') },
+  { text: 'Same here po', output: { hasLocation: false, confidence: 100, location: null, reasoning: 'No location' } },
+  { text: 'dito sa Davao City mabagal', output: answer('Davao City', 'Davao del Sur', 'Davao Region') }
+];
+
+function createExtractor(options = {}) {
+  return new LLMExtractor(API_KEY, { cache: new CacheManager(), retry: { maxAttempts: 1 }, routing: null, grounding: false, ...options });
+}
+
+async function run() {
+  console.log('\nCorpus:');
+  const bundled = loadFewShotExamples();
+  check('bundled corpus loads without skipped lines',
+    bundled && bundled.length === fs.readFileSync(path.join(__dirname, '..', 'data', 'few-shot-examples.jsonl'), 'utf8').trim().split('\n').length);
+  check('bundled corpus has negative examples', bundled.some(example => !example.output.hasLocation));
+  const parsed = parseFewShotCorpus([
+    JSON.stringify(CORPUS[0]),
+    '{not json',
+    JSON.stringify({ text: 'dito sa Pasig', output: { hasLocation: true, confidence: 90, location: null } }),
+    '',
+    JSON.stringify({ output: CORPUS[0].output })
+  ].join('\n'));
+  check('invalid lines skipped', parsed.length === 1 && parsed[0].text === CORPUS[0].text, String(parsed.length));
+  check('missing file gives no corpus', loadFewShotExamples(path.join(os.tmpdir(), 'no-such-few-shot.jsonl')) === null);
+
+  console.log('\nSelection:');
+  const selector = new FewShotSelector(CORPUS, { k: 2 });
+  const bisaya = selector.select('diri sa Lapu-Lapu wala gihapon signal');
+  check('most similar example first', bisaya[0].text === CORPUS[0].text, bisaya.map(example => example.text).join(' | '));
+  check('k examples returned', bisaya.length === 2);
+  check('a negative example is always kept', bisaya.some(example => !example.output.hasLocation));
+  const isp = selector.select('PLDT fiber LOS blinking red', 1);
+  check('k of 1 still keeps the negative', isp.length === 1 && !isp[0].output.hasLocation);
+  check('ISP vocabulary ranks its example first',
+    new FewShotSelector(CORPUS, { minNegatives: 0 }).select('PLDT fiber LOS blinking red', 1)[0].text === CORPUS[2].text);
+  check('selection is deterministic',
+    JSON.stringify(selector.select('walang net sa Cavite')) === JSON.stringify(selector.select('walang net sa Cavite')));
+  check('version tracks the corpus', selector.version !== new FewShotSelector(CORPUS.slice(1), { k: 2 }).version);
+
+  const file = path.join(os.tmpdir(), `few-shot-${process.pid}.jsonl`);
+  fs.writeFileSync(file, CORPUS.map(example => JSON.stringify(example)).join('\n'));
+  try {
+    check('selector built from a corpus file', createFewShotSelector({ filePath: file, k: 3 }).size === CORPUS.length);
+    check('k of 0 turns selection off', createFewShotSelector({ filePath: file, k: 0 }) === null);
+  } finally {
+    fs.unlinkSync(file);
+  }
+
+  console.log('\nPrompts:');
+  const extractor = createExtractor({ fewShot: selector });
+  const prompt = extractor.buildExtractionPrompt('diri sa Lapu-Lapu wala gihapon signal');
+  check('prompt uses the selected examples',
+    prompt.includes(`Input: "${CORPUS[0].text}"`) && !prompt.includes(CORPUS[4].text) && !prompt.includes(DEFAULT_EXAMPLES[0].text));
+  check('examples keep the answer format', /Output: \{"hasLocation": true, "confidence": 90, "location": \{"region": "Central Visayas"/.test(prompt));
+  const builtIn = createExtractor({ fewShot: null });
+  check('no selector keeps the built-in examples', DEFAULT_EXAMPLES.every(example => builtIn.buildExtractionPrompt('x').includes(example.text)));
+  check('prompt version tracks the corpus', extractor.getPromptVersion('extract') !== builtIn.getPromptVersion('extract') &&
+    extractor.getPromptVersion('mentions') === builtIn.getPromptVersion('mentions'));
+
+  console.log('\nRequests:');
+  const stub = await startOpenAIStub();
+  extractor.openai.baseURL = stub.url;
+  try {
+    await extractor.extractLocation('taga Imus Cavite walang net');
+    const sent = stub.requests[0].body.messages[0].content;
+    check('closest example sent to the model', sent.includes(`Input: "${CORPUS[1].text}"`));
+  } finally {
+    await stub.close();
+  }
+}
+
+runTests('FEW-SHOT SELECTION TESTS', run);
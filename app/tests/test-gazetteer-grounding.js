@@ -0,0 +1,64 @@
+/**
+ * Gazetteer candidates in LLM prompts
+ * Run: node tests/test-gazetteer-grounding.js
+ */
+
+const { startOpenAIStub } = require('./stubs/openai-stub');
+const LLMExtractor = require('../utils/llm-extractor');
+const { CacheManager } = require('../utils/cache-manager');
+const { findGazetteerCandidates, formatCandidateLines } = require('../utils/gazetteer-candidates');
+const { check, runTests } = require('./helpers');
+
+const API_KEY = 'sk-testtesttesttesttesttest';
+
+function createExtractor(options = {}) {
+  return new LLMExtractor(API_KEY, { cache: new CacheManager(), retry: { maxAttempts: 1 }, routing: null, ...options });
+}
+
+async function run() {
+  console.log('\nCandidates:');
+  const [burgos] = findGazetteerCandidates('dto sa Burgos wala pa rin');
+  check('ambiguous municipality lists its real places', burgos && burgos.level === 'city' && burgos.total === 6 && burgos.places.length === 5,
+    JSON.stringify(burgos));
+  check('places carry full hierarchies', burgos.places.every(place => place.province !== 'None' && place.region !== 'None'));
+
+  const sanJose = findGazetteerCandidates('brownout na naman sa San Jose, Batangas').find(candidate => candidate.text === 'San Jose');
+  check('province in the text ranks its municipality first', sanJose && sanJose.places[0].province === 'Batangas', JSON.stringify(sanJose && sanJose.places[0]));
+
+  const poblacion = findGazetteerCandidates('Poblacion, Makati walang signal').find(candidate => candidate.level === 'barangay');
+  check('common barangay narrowed by the city in the text', poblacion && poblacion.total > 100 && poblacion.places[0].city === 'Makati City',
+    JSON.stringify(poblacion && poblacion.places[0]));
+
+  const marked = findGazetteerCandidates('Brgy. 171, North Caloocan');
+  check('numbered barangay found when marked', marked.some(candidate => candidate.level === 'barangay' && candidate.places.some(place => place.city === 'Caloocan City')));
+  check('bare numbers ignored', findGazetteerCandidates('171 na araw walang internet').length === 0);
+  check('mentions, hashtags and function words ignored', findGazetteerCandidates('@enjoyGLOBE #AlterBacolod walang signal taga').length === 0);
+  check('QC lists Quezon City first', findGazetteerCandidates('dito sa QC')[0].places[0].province === 'Metro Manila');
+  check('lines note how many more places exist', /\.\.\.and 1 more$/.test(formatCandidateLines([burgos])[0]));
+
+  console.log('\nPrompts:');
+  const extractor = createExtractor({ grounding: true });
+  const prompt = extractor.buildExtractionPrompt('dto sa Burgos wala pa rin');
+  check('extraction prompt lists candidates', /GAZETTEER CANDIDATES/.test(prompt) && /Burgos, Ilocos Norte/.test(prompt));
+  check('no section without a place name', !/GAZETTEER CANDIDATES/.test(extractor.buildExtractionPrompt('no internet since morning')));
+  check('mentions prompt lists candidates', /GAZETTEER CANDIDATES/.test(extractor.buildMentionsPrompt('taga Lahug ako')));
+  const packed = extractor.buildPackedPrompt([{ id: '1', text: 'dto sa Burgos' }, { id: '2', text: 'no internet' }]);
+  check('packed prompt lists candidates per comment', /"candidates": \[/.test(packed) && (packed.match(/"candidates": \[/g) || []).length === 1);
+
+  const ungrounded = createExtractor({ grounding: false });
+  check('grounding can be turned off', !/GAZETTEER CANDIDATES/.test(ungrounded.buildExtractionPrompt('dto sa Burgos wala pa rin')));
+  check('prompt version tracks grounding', extractor.getPromptVersion('extract') !== ungrounded.getPromptVersion('extract'));
+
+  console.log('\nRequests:');
+  const stub = await startOpenAIStub();
+  extractor.openai.baseURL = stub.url;
+  try {
+    await extractor.extractLocation('brownout na naman sa San Jose, Batangas');
+    const sent = stub.requests[0].body.messages[0].content;
+    check('candidates sent to the model', /San Jose, Batangas, CALABARZON/.test(sent));
+  } finally {
+    await stub.close();
+  }
+}
+
+runTests('GAZETTEER GROUNDING TESTS', run);
@@ -0,0 +1,57 @@
+/**
+ * Gazetteer validation of LLM output: snapping, filling and rejecting
+ * Run: node tests/test-gazetteer-validator.js
+ */
+
+const { validateLocation, lookupCodes } = require('../utils/gazetteer-validator');
+const { check, runTests } = require('./helpers');
+
+async function run() {
+  console.log('\nMetro Manila:');
+  const manila = validateLocation({ city: 'Manila' });
+  check('Manila is the NCR city', manila.gazetteer.status === 'verified' && manila.location.city === 'Manila City' &&
+    manila.location.province === 'Metro Manila' && manila.location.cityCode === '1380600000', JSON.stringify(manila));
+
+  const tondo = validateLocation({ city: 'Manila', barangay: 'Tondo', province: 'Metro Manila' });
+  check('Tondo, Manila stays in NCR', tondo.location.city === 'Tondo' && tondo.location.province === 'Metro Manila' &&
+    tondo.location.cityCode === '1380601000' && tondo.gazetteer.hallucinated.length === 0, JSON.stringify(tondo));
+
+  const district = validateLocation({ city: 'Tondo' });
+  check('Tondo alone is the Manila district', district.gazetteer.status === 'verified' &&
+    district.location.regionCode === '1300000000', JSON.stringify(district.location));
+
+  const quezonCity = validateLocation({ city: 'Quezon City', barangay: 'Commonwealth', province: 'Metro Manila' });
+  check('Quezon City barangay verified in NCR', quezonCity.gazetteer.status === 'verified' &&
+    quezonCity.location.barangayCode === '1381300022', JSON.stringify(quezonCity.location));
+
+  console.log('\nWrong province:');
+  const makati = validateLocation({ city: 'Makati', province: 'Cebu' });
+  check('city outside the given province is rejected, not moved', makati.gazetteer.status === 'partial' &&
+    makati.gazetteer.hallucinated.includes('city') && makati.location.city === 'None' && makati.location.province === 'Cebu',
+  JSON.stringify(makati));
+
+  const lahug = validateLocation({ city: 'Mandaue City', barangay: 'Lahug', province: 'Cebu' });
+  check('barangay outside the given city is rejected', lahug.gazetteer.hallucinated.includes('barangay') &&
+    lahug.location.city === 'Mandaue City' && lahug.location.barangay === 'None', JSON.stringify(lahug.location));
+
+  console.log('\nAmbiguous names:');
+  const sanJose = validateLocation({ city: 'San Jose' });
+  check('shared city name is not placed anywhere', sanJose.gazetteer.status === 'ambiguous' && sanJose.gazetteer.ambiguous &&
+    sanJose.location.city === 'San Jose' && sanJose.location.province === 'None' && sanJose.location.cityCode === null,
+  JSON.stringify(sanJose));
+
+  const batangas = validateLocation({ city: 'San Jose', province: 'Batangas' });
+  check('the province tells them apart', batangas.gazetteer.status === 'verified' && batangas.location.cityCode !== null,
+    JSON.stringify(batangas.location));
+  check('ambiguous locations have no codes', lookupCodes({ city: 'San Jose' }).cityCode === null);
+
+  console.log('\nProvince only:');
+  const cebu = validateLocation({ province: 'Cebu' });
+  check('province code carried through', cebu.location.provinceCode === '0702200000' && cebu.location.regionCode === '0700000000',
+    JSON.stringify(cebu.location));
+  const metro = validateLocation({ province: 'Metro Manila' });
+  check('Metro Manila is the NCR region', metro.gazetteer.status === 'verified' && metro.location.regionCode === '1300000000' &&
+    metro.location.provinceCode === null, JSON.stringify(metro.location));
+}
+
+runTests('GAZETTEER VALIDATOR TESTS', run);
@@ -0,0 +1,106 @@
+/**
+ * Gold corpus: schema, loader, converter and the runners' case shapes
+ * Run: node tests/test-gold-corpus.js
+ */
+
+const { regressionTests, runRegressionTests } = require('./regression-test-suite');
+const {
+  parseGoldCorpus,
+  loadGoldCorpus,
+  getPrimaryMention,
+  toEvaluationCase,
+  toRegressionTest
+} = require('../utils/gold-corpus');
+const { guessLanguage, regressionTestToGold } = require('../utils/convert-regression-to-gold');
+const { scoreCase } = require('../utils/evaluation');
+const { check, printHeader, printSummary } = require('./helpers');
+
+const LAHUG_TEXT = 'Taga Lahug, Cebu City ako';
+
+/**
+ * A valid record to break one field at a time
+ */
+function sampleRecord(overrides = {}, mentionOverrides = {}) {
+  return {
+    id: 'sample-001',
+    text: LAHUG_TEXT,
+    language: 'taglish',
+    source: 'test',
+    mentions: [{
+      span: { start: 5, end: 21, text: 'Lahug, Cebu City' },
+      role: 'residence',
+      primary: true,
+      location: { region: 'REGION VII', province: 'CEBU', city: 'CEBU CITY', barangay: 'LAHUG' },
+      codes: { regionCode: '0700000000', provinceCode: '0702200000', cityCode: '0730600000', barangayCode: '0730600041' },
+      ...mentionOverrides
+    }],
+    ...overrides
+  };
+}
+
+function sameLevels(a, b) {
+  const sorted = (answer) => answer && JSON.stringify(Object.keys(answer).sort().map(level => [level, answer[level]]));
+  return sorted(a) === sorted(b);
+}
+
+function errorsFor(...records) {
+  return parseGoldCorpus(records.map(record => JSON.stringify(record)).join('\n')).errors;
+}
+
+printHeader('GOLD CORPUS TESTS');
+
+console.log('\nShipped corpus:');
+const corpus = loadGoldCorpus();
+check('loads every regression case', corpus.length === regressionTests.length, `${corpus.length} records`);
+check('one primary per located record', corpus.filter(getPrimaryMention).length === regressionTests.filter(test => test.expected).length);
+check('ids are unique', new Set(corpus.map(record => record.id)).size === corpus.length);
+
+console.log('\nSchema:');
+const { records, errors } = parseGoldCorpus(JSON.stringify(sampleRecord()) + '\n\n');
+check('valid record accepted with defaults', errors.length === 0 && records[0].mentions[0].acceptable.length === 0, JSON.stringify(errors));
+check('span must match the text', /does not match/.test((errorsFor(sampleRecord({}, { span: { start: 0, end: 5, text: 'Lahug' } }))[0] || {}).message));
+check('codes must nest', /is not inside 0702200000/.test((errorsFor(sampleRecord({}, {
+  codes: { regionCode: '0700000000', provinceCode: '0702200000', cityCode: '1381200000', barangayCode: null }
+}))[0] || {}).message));
+check('codes must be PSGC codes', /10-digit PSGC/.test((errorsFor(sampleRecord({}, {
+  codes: { regionCode: '07', provinceCode: null, cityCode: null, barangayCode: null }
+}))[0] || {}).message));
+const second = sampleRecord().mentions[0];
+check('exactly one primary', /exactly one mention must be primary/.test((errorsFor(sampleRecord({ mentions: [second, second] }))[0] || {}).message));
+check('negated mention cannot be primary', /cannot be primary/.test((errorsFor(sampleRecord({}, { role: 'negated' }))[0] || {}).message));
+check('unknown language rejected', /language/.test((errorsFor(sampleRecord({ language: 'fr' }))[0] || {}).message));
+const duplicate = errorsFor(sampleRecord(), sampleRecord());
+check('duplicate ids reported with their line', duplicate.length === 1 && duplicate[0].line === 2 && /duplicate id/.test(duplicate[0].message));
+check('bad JSON reported, not thrown', /not JSON/.test((parseGoldCorpus('{oops').errors[0] || {}).message));
+
+console.log('\nCase shapes:');
+const acceptable = { location: { region: 'REGION VII', province: 'CEBU', city: 'MANDAUE CITY', barangay: null }, codes: { cityCode: '0731300000' } };
+const record = parseGoldCorpus(JSON.stringify(sampleRecord({}, { acceptable: [acceptable] }))).records[0];
+const evaluationCase = toEvaluationCase(record);
+check('evaluation case carries codes and "None" levels', evaluationCase.expected.cityCode === '0730600000' &&
+  evaluationCase.acceptable[0].barangay === 'None' && evaluationCase.language === 'taglish');
+const regressionCase = toRegressionTest(record);
+check('regression case names levels only', regressionCase.expected.city === 'CEBU CITY' && !('cityCode' in regressionCase.expected) &&
+  regressionCase.acceptable[0].city === 'MANDAUE CITY' && !('barangay' in regressionCase.acceptable[0]));
+check('no mentions means no location', toRegressionTest(sampleRecord({ mentions: [] })).expected === null &&
+  toEvaluationCase(sampleRecord({ mentions: [] })).expected === null);
+
+const mandaue = { location: { region: 'Central Visayas', province: 'Cebu', city: 'Mandaue City', barangay: 'None' }, confidence: 90 };
+const scored = scoreCase(evaluationCase, mandaue);
+check('evaluation credits an acceptable answer', scored.exact && scored.matchedAcceptable === 0, JSON.stringify(scored.levels));
+const regression = runRegressionTests(() => ({ region: 'REGION VII', province: 'CEBU', city: 'MANDAUE CITY' }), [regressionCase]);
+check('regression run passes an acceptable answer', regression.passed === 1 && regression.total === 1);
+
+console.log('\nConverter:');
+const converted = regressionTests.map(regressionTestToGold);
+const roundTrip = converted.map(toRegressionTest);
+check('round-trips the regression suite', roundTrip.every((test, i) =>
+  test.text === regressionTests[i].text && test.category === regressionTests[i].category &&
+  sameLevels(test.expected, regressionTests[i].expected)));
+check('converted records validate', parseGoldCorpus(converted.map(item => JSON.stringify(item)).join('\n')).errors.length === 0);
+check('every labeled location gets a span', converted.flatMap(item => item.mentions).every(mention => mention.span));
+check('language guesses', guessLanguage('Same here') === 'en' && guessLanguage('Taga Lahug ako') === 'tl' &&
+  guessLanguage('Wala gyud internet diri') === 'ceb' && guessLanguage('Wala pa rin internet dito') === 'taglish' &&
+  guessLanguage('Lahug, Cebu City') === 'other');
+
+printSummary();
@@ -0,0 +1,89 @@
+/**
+ * Record/replay LLM fixtures
+ * Records against the local stub, then replays with the stub shut down
+ * Run: node tests/test-llm-fixtures.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startOpenAIStub } = require('./stubs/openai-stub');
+const LLMExtractor = require('../utils/llm-extractor');
+const LLMValidator = require('../utils/llm-validator');
+const { CacheManager } = require('../utils/cache-manager');
+const { getFixtureOptions, getFixtureKey, createFixtureFetch } = require('../utils/llm-fixtures');
+const { check, runTests } = require('./helpers');
+
+const API_KEY = 'sk-testtesttesttesttesttest';
+const TEXT = 'walang internet dito sa Pasig since morning';
+const LOCATION = { region: 'NCR', province: 'Metro Manila', city: 'Pasig', barangay: 'None' };
+
+function createExtractor(options = {}) {
+  return new LLMExtractor(API_KEY, { cache: new CacheManager(), retry: { maxAttempts: 2, baseDelayMs: 1 }, routing: null, ...options });
+}
+
+async function run() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+  try {
+    await runChecks(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+    delete process.env.LLM_FIXTURES;
+  }
+}
+
+async function runChecks(dir) {
+  console.log('\nOptions:');
+  check('off unless asked for', getFixtureOptions({}) === null && getFixtureOptions({ LLM_FIXTURES: 'yes' }) === null);
+  check('mode and directory read', getFixtureOptions({ LLM_FIXTURES: 'Replay', LLM_FIXTURES_DIR: dir }).dir === dir);
+  const body = { model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'x' }], temperature: 0.1 };
+  check('key is model plus prompt hash', /^gpt-4o-mini-[0-9a-f]{12}$/.test(getFixtureKey(body)) &&
+    getFixtureKey(body) === getFixtureKey({ ...body, temperature: 0.5, max_tokens: 10 }) &&
+    getFixtureKey(body) !== getFixtureKey({ ...body, model: 'gpt-4o' }));
+
+  const passedThrough = [];
+  const fixtureFetch = createFixtureFetch({ mode: 'replay', dir }, async (url) => {
+    passedThrough.push(String(url));
+    return new Response('{}', { status: 200 });
+  });
+  await fixtureFetch('http://localhost/v1/batches/batch_1', { method: 'GET' });
+  check('other endpoints pass through', passedThrough.length === 1);
+
+  console.log('\nRecord:');
+  const stub = await startOpenAIStub();
+  process.env.OPENAI_BASE_URL = stub.url;
+  process.env.LLM_FIXTURES = 'record';
+  process.env.LLM_FIXTURES_DIR = dir;
+
+  let recorded;
+  let validation;
+  try {
+    recorded = await createExtractor().extractLocation(TEXT);
+    validation = await new LLMValidator(API_KEY, { cache: new CacheManager() }).validateLocation(TEXT, LOCATION);
+  } finally {
+    await stub.close();
+  }
+
+  const files = fs.readdirSync(dir);
+  check('one fixture per prompt', files.length === 2 && files.every(file => /^gpt-4o-mini-[0-9a-f]{12}\.json$/.test(file)), files.join(', '));
+  const fixture = JSON.parse(fs.readFileSync(path.join(dir, files[0]), 'utf8'));
+  check('fixture keeps the request and the reply', fixture.request.messages.length === 1 && fixture.response.status === 200 &&
+    fixture.response.body.choices[0].message.content.length > 0);
+
+  console.log('\nReplay (stub shut down):');
+  process.env.LLM_FIXTURES = 'replay';
+  const replayed = await createExtractor().extractLocation(TEXT);
+  check('answer served from the fixture', replayed.method === 'llm_extracted' && replayed.location.city === recorded.location.city &&
+    replayed.confidence === recorded.confidence, replayed.error);
+  check('usage replayed too', replayed.usage.calls === 1 && replayed.usage.totalTokens === recorded.usage.totalTokens);
+  const revalidated = await new LLMValidator(API_KEY, { cache: new CacheManager() }).validateLocation(TEXT, LOCATION);
+  check('validator replays as well', revalidated.method === 'llm_validated' && revalidated.confidence === validation.confidence);
+
+  const missing = await createExtractor().extractLocation('brownout sa Marikina kagabi pa');
+  check('missing fixture reported, not retried', missing.method === 'error' && /No LLM fixture/.test(missing.error) && missing.retries === 0,
+    `${missing.method}: ${missing.error}`);
+  const reworded = await createExtractor({ grounding: false }).extractLocation(TEXT);
+  check('a different prompt needs its own recording', reworded.method === 'error');
+}
+
+runTests('LLM FIXTURE TESTS', run);
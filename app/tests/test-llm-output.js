@@ -0,0 +1,101 @@
+/**
+ * Schema validation and repair of LLM replies against the local stub
+ * Run: node tests/test-llm-output.js
+ */
+
+const { startOpenAIStub, DEFAULT_CONTENT } = require('./stubs/openai-stub');
+const LLMExtractor = require('../utils/llm-extractor');
+const { CacheManager } = require('../utils/cache-manager');
+const { parseLLMOutput, repairTruncatedJson, InvalidLLMOutputError } = require('../utils/llm-output');
+const { resolveRouting } = require('../utils/model-routing');
+const { check, runTests } = require('./helpers');
+
+const API_KEY = 'sk-testtesttesttesttesttest';
+const TEXT = 'walang internet dito sa Pasig since morning';
+const TRUNCATED = JSON.stringify(DEFAULT_CONTENT).replace(/"reasoning":.*$/, '"reasoning": "The user says they are in Pas');
+const NOT_AN_ANSWER = JSON.stringify({ hasLocation: 'yes', confidence: 'high', location: null });
+
+function createExtractor(options = {}) {
+  return new LLMExtractor(API_KEY, { cache: new CacheManager(), retry: { maxAttempts: 1 }, routing: null, ...options });
+}
+
+function rejects(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function run() {
+  console.log('\nSchema:');
+  const clamped = parseLLMOutput('extract', JSON.stringify({ ...DEFAULT_CONTENT, confidence: 150 }));
+  check('confidence clamped to 100', clamped.confidence === 100);
+  check('numeric strings accepted', parseLLMOutput('extract', JSON.stringify({ ...DEFAULT_CONTENT, confidence: '85' })).confidence === 85);
+  const sparse = parseLLMOutput('extract', JSON.stringify({ ...DEFAULT_CONTENT, location: { city: 'Pasig', barangay: null } }));
+  check('missing levels become None', sparse.location.region === 'None' && sparse.location.barangay === 'None');
+  const missing = rejects(() => parseLLMOutput('extract', JSON.stringify({ hasLocation: true, confidence: 90, location: null })));
+  check('hasLocation without a location rejected', missing instanceof InvalidLLMOutputError && /location/.test(missing.message));
+  check('raw reply kept on the error', rejects(() => parseLLMOutput('extract', NOT_AN_ANSWER)).raw === NOT_AN_ANSWER);
+  const closed = repairTruncatedJson(TRUNCATED);
+  check('truncated reasoning closed up', closed && closed.location.city === 'Pasig' && /Pas$/.test(closed.reasoning));
+  check('truncated key cut back', repairTruncatedJson('{"hasLocation": false, "confidence": 100, "reas').confidence === 100);
+
+  const stub = await startOpenAIStub({
+    script: [
+      { content: TRUNCATED, finishReason: 'length' },
+      { content: NOT_AN_ANSWER },
+      { content: DEFAULT_CONTENT },
+      { content: NOT_AN_ANSWER },
+      { content: 'Sorry, I cannot help with that.' },
+      { content: { mentions: [{ text: 'Pasig', role: 'current' }], primary: 0 } },
+      { content: NOT_AN_ANSWER }
+    ]
+  });
+  process.env.OPENAI_BASE_URL = stub.url;
+
+  try {
+    await runChecks(stub);
+  } finally {
+    await stub.close();
+  }
+}
+
+async function runChecks(stub) {
+  console.log('\nTruncated reply:');
+  const extractor = createExtractor();
+  const repaired = await extractor.extractLocation(TEXT);
+  check('repaired locally without a re-ask', repaired.method === 'llm_extracted' && stub.requests.length === 1, repaired.error);
+  const format = stub.requests[0].body.response_format;
+  check('OpenAI gets a strict JSON schema', format && format.type === 'json_schema' && format.json_schema.strict === true);
+
+  console.log('\nInvalid reply, then a valid one:');
+  const reasked = await extractor.extractLocation('brownout sa Pasig kagabi pa');
+  const reask = stub.requests[2].body;
+  check('re-asked once and accepted', reasked.method === 'llm_extracted' && stub.requests.length === 3);
+  check('re-ask quotes the bad reply and the problem',
+    reask.messages.length === 3 && reask.messages[1].content === NOT_AN_ANSWER && /hasLocation/.test(reask.messages[2].content));
+  check('usage covers both calls', reasked.usage.calls === 2, JSON.stringify(reasked.usage));
+
+  console.log('\nInvalid twice:');
+  const text = 'mabagal internet sa Pasig';
+  const invalid = await extractor.extractLocation(text);
+  check('reported as invalid_llm_output', invalid.method === 'invalid_llm_output' && invalid.hasLocation === false, invalid.method);
+  check('last raw reply attached', invalid.raw === 'Sorry, I cannot help with that.', invalid.raw);
+  check('tokens still reported', invalid.usage && invalid.usage.calls === 2);
+  check('not cached', extractor.cache.get(extractor.getCacheKey('extract', text)) === null);
+
+  console.log('\nMentions:');
+  const mentions = await createExtractor({ repairAttempts: 0 }).extractMentions('dito sa Pasig walang signal');
+  check('mention without a location is invalid', mentions.method === 'invalid_llm_output' && mentions.mentions.length === 0);
+  check('no re-ask with repairAttempts 0', stub.requests.length === 6);
+
+  console.log('\nRouting:');
+  const routed = createExtractor({ repairAttempts: 0, model: 'gpt-4o-mini', routing: resolveRouting({ escalateModel: 'gpt-4o' }, {}) });
+  const escalated = await routed.extractLocation('lagi nawawala signal sa Pasig');
+  check('invalid output escalates to the stronger model',
+    escalated.escalated === true && escalated.escalation.reasons.includes('invalid_output') && escalated.method === 'llm_extracted');
+}
+
+runTests('LLM OUTPUT VALIDATION TESTS', run);
@@ -0,0 +1,91 @@
+/**
+ * LLM provider layer against the local stub
+ * Run: node tests/test-llm-providers.js
+ */
+
+const { startOpenAIStub, DEFAULT_CONTENT } = require('./stubs/openai-stub');
+const LLMExtractor = require('../utils/llm-extractor');
+const { CacheManager } = require('../utils/cache-manager');
+const { setProviders, getProvider, isValidProviderKey, parseJsonReply } = require('../utils/llm-providers');
+const { check, runTests } = require('./helpers');
+
+const TEXT = 'walang internet dito sa Pasig since morning';
+// Something a private server might answer with
+const LEAKY_REPLY = 'HTTP/1.1 200 OK admin-token=12345';
+
+async function run() {
+  const stub = await startOpenAIStub({
+    script: [{ content: '```json\n' + JSON.stringify(DEFAULT_CONTENT) + '\n```' }, {}, { content: LEAKY_REPLY }, { content: LEAKY_REPLY }]
+  });
+
+  check('local presets off until configured', getProvider('ollama') === null && getProvider('llamacpp') === null);
+
+  setProviders({
+    local: { baseURL: stub.url, model: 'qwen2.5-7b', authScheme: 'none', jsonMode: false },
+    proxy: { baseURL: stub.url, model: 'gpt-4o-mini', authScheme: 'api-key' },
+    debug: { baseURL: stub.url, model: 'qwen2.5-7b', authScheme: 'none', exposeRaw: true },
+    ollama: {}
+  });
+
+  console.log('\nKeys:');
+  check('OpenAI keys need the sk- prefix', !isValidProviderKey(getProvider('openai'), 'local-token-1234567890') &&
+    isValidProviderKey(getProvider('openai'), 'sk-testtesttesttesttesttest'));
+  check('other providers take any key', isValidProviderKey(getProvider('proxy'), 'azure-key'));
+  check('built-ins kept alongside configured providers', Boolean(getProvider('openai')) && getProvider('local').model === 'qwen2.5-7b');
+  check('named preset filled in', getProvider('ollama').baseURL === 'http://localhost:11434/v1' && getProvider('llamacpp') === null);
+
+  console.log('\nSelf-hosted endpoint without auth or JSON mode:');
+  const local = new LLMExtractor(null, { provider: 'local', cache: new CacheManager(), retry: { maxAttempts: 1 } });
+  check('enabled without a key', local.enabled);
+  const result = await local.extractLocation(TEXT);
+  const [request] = stub.requests;
+  check('fenced JSON reply parsed', result.method === 'llm_extracted' && result.location.city === 'Pasig', result.error);
+  check('provider model sent', request.body.model === 'qwen2.5-7b');
+  check('no response_format without JSON mode', request.body.response_format === undefined);
+  check('no Authorization header', request.headers.authorization === undefined, request.headers.authorization);
+
+  console.log('\napi-key auth scheme:');
+  const proxy = new LLMExtractor('azure-key', { provider: 'proxy', cache: new CacheManager(), retry: { maxAttempts: 1 } });
+  await proxy.extractLocation(TEXT);
+  const last = stub.requests[stub.requests.length - 1];
+  check('key sent in api-key header', last.headers['api-key'] === 'azure-key' && last.headers.authorization === undefined);
+  check('JSON mode on by default', last.body.response_format && last.body.response_format.type === 'json_object');
+  check('cache keys differ by provider', local.getCacheKey('extract', TEXT) !== new LLMExtractor(null, { provider: 'ollama' }).getCacheKey('extract', TEXT));
+
+  console.log('\nInvalid replies:');
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = (...args) => warnings.push(args.join(' '));
+  let hidden;
+  try {
+    hidden = await new LLMExtractor(null, { provider: 'local', cache: new CacheManager(), retry: { maxAttempts: 1 }, repairAttempts: 0 })
+      .extractLocation(`${TEXT} hidden`);
+  } finally {
+    console.warn = warn;
+  }
+  check('local reply not echoed', stub.requests.length === 3 && hidden.method === 'invalid_llm_output' && hidden.raw === undefined &&
+    hidden.error === 'local reply failed validation' && !JSON.stringify(hidden).includes('admin-token'), JSON.stringify(hidden));
+  check('withheld reply goes to the server log', warnings.some(line => line.includes('local reply withheld') && line.includes(LEAKY_REPLY)),
+    JSON.stringify(warnings));
+  const shown = await new LLMExtractor(null, { provider: 'debug', cache: new CacheManager(), retry: { maxAttempts: 1 }, repairAttempts: 0 })
+    .extractLocation(`${TEXT} shown`);
+  check('exposeRaw opts a provider in', stub.requests.length === 4 && shown.method === 'invalid_llm_output' &&
+    shown.raw === LEAKY_REPLY && shown.error !== 'debug reply failed validation', JSON.stringify(shown));
+
+  console.log('\nErrors:');
+  let error = null;
+  try {
+    new LLMExtractor(null, { provider: 'nope' });
+  } catch (caught) {
+    error = caught;
+  }
+  check('unknown provider rejected', error && /Unknown LLM provider/.test(error.message));
+  check('prose around JSON tolerated', parseJsonReply('Here you go: {"hasLocation": false} Hope it helps').hasLocation === false);
+  check('non-JSON still throws', (() => {
+    try { parseJsonReply('no idea'); return false; } catch (caught) { return true; }
+  })());
+
+  await stub.close();
+}
+
+runTests('LLM PROVIDER TESTS', run);
@@ -0,0 +1,84 @@
+/**
+ * Retry behaviour of OpenAI calls against the local stub server
+ * Run: node tests/test-llm-retries.js
+ */
+
+const { startOpenAIStub } = require('./stubs/openai-stub');
+const { parseResetDuration, getServerDelay, isRetryableError, getBackoffDelay } = require('../utils/llm-retry');
+const LLMExtractor = require('../utils/llm-extractor');
+const { CacheManager } = require('../utils/cache-manager');
+const { check, runTests } = require('./helpers');
+
+const TEXT = 'walang internet dito sa Pasig since morning';
+const API_KEY = 'sk-test-0000000000000000000000';
+
+function createExtractor(stub, retry) {
+  const extractor = new LLMExtractor(API_KEY, { cache: new CacheManager(), retry });
+  extractor.openai.baseURL = stub.url;
+  return extractor;
+}
+
+async function run() {
+  console.log('\nHeader parsing:');
+  check('parses "6m0s"', parseResetDuration('6m0s') === 360000);
+  check('parses "250ms"', parseResetDuration('250ms') === 250);
+  check('Retry-After seconds', getServerDelay({ headers: { 'retry-after': '2' } }) === 2000);
+  check('retry-after-ms wins', getServerDelay({ headers: { 'retry-after-ms': '150', 'retry-after': '2' } }) === 150);
+  check('exhausted token window', getServerDelay({
+    headers: { 'x-ratelimit-remaining-tokens': '0', 'x-ratelimit-reset-tokens': '1.5s' }
+  }) === 1500);
+  check('no hint -> null', getServerDelay({ headers: {} }) === null);
+  check('429 is retryable', isRetryableError({ status: 429 }));
+  check('insufficient_quota is not', !isRetryableError({ status: 429, code: 'insufficient_quota' }));
+  check('400 is not', !isRetryableError({ status: 400 }));
+  const delay = getBackoffDelay(3, { baseDelayMs: 100, maxDelayMs: 1000 });
+  check('backoff is jittered within [200, 400]', delay >= 200 && delay <= 400, `${delay}ms`);
+
+  console.log('\nTwo 429s, then success:');
+  let stub = await startOpenAIStub({
+    script: [
+      { status: 429, headers: { 'retry-after-ms': '50' } },
+      { status: 429, headers: { 'retry-after': '0' } }
+    ]
+  });
+  let result = await createExtractor(stub, { maxAttempts: 4, baseDelayMs: 10 }).extractLocation(TEXT);
+  check('result is extracted', result.method === 'llm_extracted', result.method);
+  check('reports 2 retries', result.retries === 2, `retries=${result.retries}`);
+  check('made 3 requests', stub.requests.length === 3, `${stub.requests.length}`);
+  check('honoured retry-after-ms', stub.requests[1].at - stub.requests[0].at >= 45);
+  await stub.close();
+
+  console.log('\nPersistent 503 with maxAttempts=3:');
+  stub = await startOpenAIStub({ script: Array.from({ length: 5 }, () => ({ status: 503 })) });
+  result = await createExtractor(stub, { maxAttempts: 3, baseDelayMs: 10 }).extractLocation(TEXT);
+  check('falls back to error', result.method === 'error', result.method);
+  check('reports 2 retries', result.retries === 2, `retries=${result.retries}`);
+  check('stopped after 3 requests', stub.requests.length === 3, `${stub.requests.length}`);
+  await stub.close();
+
+  console.log('\nRetry-After over maxDelayMs:');
+  stub = await startOpenAIStub({ script: [{ status: 429, headers: { 'retry-after': '60' } }] });
+  result = await createExtractor(stub, { maxAttempts: 4, baseDelayMs: 10, maxDelayMs: 1000 }).extractLocation(TEXT);
+  check('gives up instead of retrying early', result.method === 'error' && result.retries === 0 && stub.requests.length === 1,
+    `${result.method}, ${stub.requests.length} requests`);
+  await stub.close();
+
+  console.log('\nCancelled job:');
+  stub = await startOpenAIStub({ script: [{ status: 429, headers: { 'retry-after-ms': '10000' } }] });
+  const controller = new AbortController();
+  const started = Date.now();
+  setTimeout(() => controller.abort(), 100);
+  result = await createExtractor(stub, { maxAttempts: 4, baseDelayMs: 10 }).forJob({ signal: controller.signal }).extractLocation(TEXT);
+  check('cancelling ends the retry wait', result.method === 'error' && Date.now() - started < 5000 && stub.requests.length === 1,
+    `${result.method} after ${Date.now() - started}ms`);
+  await stub.close();
+
+  console.log('\nNon-retryable 400:');
+  stub = await startOpenAIStub({ script: [{ status: 400 }] });
+  result = await createExtractor(stub, { maxAttempts: 4, baseDelayMs: 10 }).extractLocation(TEXT);
+  check('no retries', result.method === 'error' && result.retries === 0, `retries=${result.retries}`);
+  check('made 1 request', stub.requests.length === 1, `${stub.requests.length}`);
+  await stub.close();
+}
+
+runTests('LLM RETRY TESTS', run);
@@ -0,0 +1,76 @@
+/**
+ * PSGC codes: the bundled table, lookups and nesting
+ * Run: node tests/test-location-codes.js
+ */
+
+const { getLocationIndex, PSGC_CODES_PATH } = require('../parsers/hierarchical-location-index');
+const { HierarchicalLocationParserV2 } = require('../parsers/hierarchical-parser-v2');
+const { extractWithRules } = require('../utils/rule-based-extractor');
+const { validateLocation } = require('../utils/gazetteer-validator');
+const { check, runTests } = require('./helpers');
+
+/**
+ * Every code in the table, walked level by level
+ */
+function collectCodes(table) {
+  const codes = [];
+  Object.values(table.regions).forEach(region => {
+    codes.push(region.code);
+    Object.values(region.provinces).forEach(province => {
+      codes.push(province.code, province.cityCode);
+      Object.values(province.cities).forEach(city => {
+        codes.push(city.code, ...Object.values(city.barangays));
+      });
+    });
+  });
+  return codes.filter(Boolean);
+}
+
+async function run() {
+  console.log('\nTable:');
+  const table = require(PSGC_CODES_PATH);
+  const codes = collectCodes(table);
+  check('records its PSA source', /PSGC/.test(table.source) && Boolean(table.publication));
+  check('every code has 10 digits', codes.every(code => /^\d{10}$/.test(code)), codes.find(code => !/^\d{10}$/.test(code)));
+  const counts = {};
+  codes.forEach(code => { counts[code] = (counts[code] || 0) + 1; });
+  check('no code is given to two entries', Object.values(counts).every(count => count === 1),
+    Object.keys(counts).filter(code => counts[code] > 1).slice(0, 5).join(','));
+  check('nearly every barangay matched', codes.length > 43000, String(codes.length));
+
+  console.log('\nLookups:');
+  const index = getLocationIndex();
+  const lahug = index.findBarangay('Lahug', 'Cebu City');
+  check('barangay carries official codes', lahug.barangayCode === '0730600041' && lahug.cityCode === '0730600000' &&
+    lahug.provinceCode === '0702200000', JSON.stringify(lahug));
+  check('region code translated from the gazetteer key', index.getCodes(lahug).regionCode === '0700000000' && lahug.regionCode === '07');
+  const quezonCity = index.findCity('Quezon City');
+  check('NCR city has no province code', quezonCity.cityCode === '1381300000' && quezonCity.provinceCode === null);
+  check('codes lead back to their entries', index.findByCode('1381300000') === quezonCity && index.findByCode('0700000000').regionCode === '07' &&
+    index.findByCode('07-02-17') === null);
+  check('locations that already carry codes keep them', JSON.stringify(index.getCodes(index.getCodes(lahug))) === JSON.stringify(index.getCodes(lahug)));
+
+  console.log('\nNesting:');
+  check('barangay inside its city, province and region', index.isWithin('0730600041', '0730600000') &&
+    index.isWithin('0730600041', '0702200000') && index.isWithin('0730600041', '0700000000'));
+  check('independent city inside the province it is filed under', index.isWithin('0730600000', '0702200000'));
+  check('not inside another region, itself or its own child', !index.isWithin('1381300000', '0700000000') &&
+    !index.isWithin('1000000000', '1300000000') && !index.isWithin('0730600000', '0730600000') && !index.isWithin('0702200000', '0730600000'));
+
+  console.log('\nResults:');
+  const caloocan = extractWithRules('Brgy. 171, North Caloocan. Hehe.');
+  check('rule-based results carry PSGC codes', caloocan.location && caloocan.location.barangayCode === '1380100171' &&
+    caloocan.location.regionCode === '1300000000', JSON.stringify(caloocan.location));
+  const parser = new HierarchicalLocationParserV2();
+  const parsedLahug = parser.parseLocation('Brgy Lahug, Cebu City');
+  check('parsed barangays carry PSGC codes, not the gazetteer key', parsedLahug && parsedLahug.regionCode === '0700000000' &&
+    parsedLahug.barangayCode === '0730600041', JSON.stringify(parsedLahug));
+  const parsed171 = parser.parseLocation('Brgy 171, Caloocan City');
+  check('NCR barangay region code is PSGC', parsed171 && parsed171.regionCode === '1300000000' &&
+    parsed171.barangayCode === '1380100171', JSON.stringify(parsed171));
+  check('the index entry is left alone', index.findBarangay('Lahug', 'Cebu City').regionCode === '07');
+  const { location: cebu } = validateLocation({ city: 'Mandaue City', province: 'Cebu' });
+  check('validated locations carry PSGC codes', cebu.cityCode === '0731300000' && cebu.provinceCode === '0702200000');
+}
+
+runTests('LOCATION CODE TESTS', run);
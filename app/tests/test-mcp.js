@@ -0,0 +1,72 @@
+/**
+ * MCP server: parse_location over an in-memory transport
+ * v5 requests go to the local stub, so no network is needed
+ * Run: node tests/test-mcp.js
+ */
+
+const { startOpenAIStub } = require('./stubs/openai-stub');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { check, runTests } = require('./helpers');
+
+const API_KEY = 'sk-testtesttesttesttesttest';
+
+async function parseLocation(client, args) {
+  const result = await client.callTool({ name: 'parse_location', arguments: args });
+  const text = result.content[0].text;
+  return { isError: Boolean(result.isError), text, body: result.isError ? null : JSON.parse(text) };
+}
+
+async function run() {
+  const stub = await startOpenAIStub();
+  // server-mcp builds its extractor when required
+  process.env.OPENAI_BASE_URL = stub.url;
+  process.env.OPENAI_API_KEY = API_KEY;
+  process.env.LLM_PROVIDER = 'openai';
+  const { server } = require('../server-mcp');
+
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const client = new Client({ name: 'test-mcp', version: '1.0.0' });
+
+  try {
+    await server.connect(serverTransport);
+    await client.connect(clientTransport);
+
+    console.log('\nTools:');
+    const { tools } = await client.listTools();
+    const tool = tools.find(entry => entry.name === 'parse_location');
+    check('parse_location listed', Boolean(tool));
+    check('input schema has text, mode and useLLM', tool && ['text', 'mode', 'useLLM'].every(key => key in tool.inputSchema.properties),
+      tool && JSON.stringify(tool.inputSchema));
+
+    console.log('\nparse_location:');
+    const v5 = await parseLocation(client, { text: 'walang internet dito sa Pasig since morning', mode: 'v5' });
+    check('v5 answers from the LLM', !v5.isError && v5.body.mode === 'v5' && v5.body.method === 'llm_extracted' &&
+      /Pasig/.test(v5.body.location.city), v5.text.slice(0, 200));
+    check('v5 request reached the stub', stub.requests.length === 1);
+    check('v5 result carries provenance', v5.body && v5.body.provenance.model === 'gpt-4o-mini' && Boolean(v5.body.provenance.promptVersion));
+
+    const auto = await parseLocation(client, { text: 'walang internet dito sa Pasig since morning' });
+    check('auto picks v5 with a key', !auto.isError && auto.body.mode === 'v5' && auto.body.requestedMode === 'auto');
+    check('repeat answered from the cache', auto.body && auto.body.cached === true && stub.requests.length === 1);
+
+    const v4 = await parseLocation(client, { text: 'no signal in Taguig City', mode: 'v4' });
+    check('v4 is rule-based', !v4.isError && v4.body.mode === 'v4' && v4.body.method.startsWith('rule_based') && stub.requests.length === 1);
+    const barangay = await parseLocation(client, { text: 'Brgy Lahug, Cebu City', mode: 'v4' });
+    check('v4 barangay hit carries PSGC codes', barangay.body && barangay.body.location.regionCode === '0700000000' &&
+      barangay.body.location.barangayCode === '0730600041', barangay.text.slice(0, 300));
+    const noLLM = await parseLocation(client, { text: 'no signal in Taguig City', useLLM: false });
+    check('auto falls back to v4 without the LLM', !noLLM.isError && noLLM.body.mode === 'v4');
+
+    const refused = await parseLocation(client, { text: 'dito sa Pasig', mode: 'v5', useLLM: false });
+    check('v5 with useLLM=false is an error', refused.isError && /useLLM=false/.test(refused.text), refused.text);
+    const blank = await parseLocation(client, { text: '   ' });
+    check('blank text is an error', blank.isError && /must not be empty/.test(blank.text), blank.text);
+  } finally {
+    await client.close();
+    await server.close();
+    await stub.close();
+  }
+}
+
+runTests('MCP SERVER TESTS', run);
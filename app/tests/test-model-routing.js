@@ -0,0 +1,97 @@
+/**
+ * Confidence-based model routing against the local stub
+ * Run: node tests/test-model-routing.js
+ */
+
+const { startOpenAIStub, DEFAULT_CONTENT } = require('./stubs/openai-stub');
+const LLMExtractor = require('../utils/llm-extractor');
+const { CacheManager } = require('../utils/cache-manager');
+const { resolveRouting, getEscalationReasons } = require('../utils/model-routing');
+const { check, runTests } = require('./helpers');
+
+const API_KEY = 'sk-testtesttesttesttesttest';
+const CHEAP = 'gpt-4o-mini';
+const STRONG = 'gpt-4o';
+
+// The cheap model is unsure about water and signal complaints; the strong one never is
+const UNSURE = /walang tubig|mahina signal/;
+
+function replyByModel(body) {
+  const prompt = body.messages.map(message => message.content).join('\n');
+  if (body.model === STRONG) {
+    return { ...DEFAULT_CONTENT, confidence: 95, reasoning: 'Strong model' };
+  }
+  if (prompt.includes('San Jose')) {
+    return {
+      ...DEFAULT_CONTENT,
+      location: { region: 'CALABARZON', province: 'Batangas', city: 'San Jose', barangay: 'None' }
+    };
+  }
+  return { ...DEFAULT_CONTENT, confidence: UNSURE.test(prompt) ? 50 : 90 };
+}
+
+function createExtractor(routing) {
+  return new LLMExtractor(API_KEY, {
+    model: CHEAP,
+    cache: new CacheManager(),
+    retry: { maxAttempts: 1 },
+    routing: resolveRouting(routing, {})
+  });
+}
+
+async function run() {
+  const stub = await startOpenAIStub({ content: replyByModel });
+  process.env.OPENAI_BASE_URL = stub.url;
+
+  try {
+    await runChecks(stub);
+  } finally {
+    await stub.close();
+  }
+}
+
+async function runChecks(stub) {
+  console.log('\nOptions:');
+  check('no escalation model means no routing', resolveRouting({}, {}) === null);
+  check('routing: false turns it off', resolveRouting(false, { escalateModel: STRONG }) === null);
+  check('bad threshold rejected', Boolean(resolveRouting({ escalateModel: STRONG, minConfidence: 150 }, {}).error));
+  check('request overrides server defaults',
+    resolveRouting({ minConfidence: 40 }, { escalateModel: STRONG, minConfidence: 80 }).minConfidence === 40);
+  check('non-LLM results never escalate',
+    getEscalationReasons('x', { method: 'pre_filtered', confidence: 0 }, resolveRouting({ escalateModel: STRONG }, {})).length === 0);
+
+  console.log('\nConfident answer stays on the cheap model:');
+  const extractor = createExtractor({ escalateModel: STRONG });
+  const confident = await extractor.extractLocation('walang internet dito sa Pasig since morning');
+  check('model recorded', confident.model === CHEAP && confident.escalated === false, confident.model);
+  check('one request made', stub.requests.length === 1);
+
+  console.log('\nLow confidence escalates:');
+  const unsure = await extractor.extractLocation('walang tubig sa amin since morning');
+  const models = stub.requests.slice(1).map(request => request.body.model);
+  check('cheap model asked first, then the strong one', models.join(',') === `${CHEAP},${STRONG}`, models.join(','));
+  check('strong answer returned', unsure.model === STRONG && unsure.escalated === true && unsure.confidence === 95);
+  check('reason and first confidence recorded',
+    unsure.escalation.reasons.includes('low_confidence') && unsure.escalation.from === CHEAP && unsure.escalation.firstConfidence === 50);
+  check('usage covers both calls', unsure.usage.calls === 2, JSON.stringify(unsure.usage));
+
+  const again = await extractor.extractLocation('walang tubig sa amin since morning');
+  check('repeat served from both caches', again.cached === true && again.escalated === true && stub.requests.length === 3);
+
+  console.log('\nAmbiguous municipality escalates:');
+  const ambiguous = await extractor.extractLocation('brownout na naman sa San Jose');
+  check('San Jose without a province escalates',
+    ambiguous.escalated === true && ambiguous.escalation.reasons.includes('ambiguous_city'), JSON.stringify(ambiguous.escalation));
+  const settled = await extractor.extractLocation('brownout na naman sa San Jose, Batangas');
+  check('San Jose with its province does not', settled.escalated === false, JSON.stringify(settled.escalation));
+
+  console.log('\nPer-request thresholds:');
+  const lenient = createExtractor({ escalateModel: STRONG, minConfidence: 40 });
+  const kept = await lenient.extractLocation('mahina signal dito sa amin');
+  check('minConfidence 40 keeps a 50% answer', kept.model === CHEAP && kept.escalated === false);
+  const unrouted = new LLMExtractor(API_KEY, { model: CHEAP, cache: new CacheManager(), retry: { maxAttempts: 1 }, routing: null });
+  const plain = await unrouted.extractLocation('mahina signal dito sa bahay');
+  check('routing off never escalates', plain.model === CHEAP && plain.escalated === false);
+}
+
+runTests('MODEL ROUTING TESTS', run);
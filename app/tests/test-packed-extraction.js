@@ -0,0 +1,76 @@
+/**
+ * Packed extraction (several comments per request) against the local stub
+ * Run: node tests/test-packed-extraction.js
+ */
+
+const { startOpenAIStub, getPackedItems, DEFAULT_CONTENT } = require('./stubs/openai-stub');
+const LLMExtractor = require('../utils/llm-extractor');
+const { CacheManager } = require('../utils/cache-manager');
+const { sumUsage } = require('../utils/usage-tracker');
+const { check, runTests } = require('./helpers');
+
+const API_KEY = 'sk-test-0000000000000000000000';
+const TEXTS = [
+  'walang internet dito sa Pasig since morning',
+  'no signal here in Pasig City kanina pa',
+  'Pasig area down pa rin ang fiber namin',
+  'dto sa Pasig wala pa rin hanggang ngayon',
+  'same here sa Pasig, 3 days na',
+  'Pasig din po, walang connection',
+  'taga Pasig kami, wala pa rin po'
+];
+
+function createExtractor(stub, packSize) {
+  const extractor = new LLMExtractor(API_KEY, { cache: new CacheManager(), packSize, retry: { maxAttempts: 1 } });
+  extractor.openai.baseURL = stub.url;
+  return extractor;
+}
+
+async function run() {
+  console.log('\n7 texts, pack size 5:');
+  let stub = await startOpenAIStub();
+  let results = await createExtractor(stub, 5).batchExtract(TEXTS, 2);
+  check('every text extracted', results.every(result => result.method === 'llm_extracted'));
+  check('2 requests instead of 7', stub.requests.length === 2, `${stub.requests.length}`);
+  check('pack sizes reported', results[0].packed.size === 5 && results[6].packed.size === 2);
+  const usage = sumUsage(results.map(result => result.usage));
+  check('usage sums to the 2 calls', usage.calls === 2 && usage.promptTokens === 2000 && usage.completionTokens === 100,
+    JSON.stringify(usage));
+  check('spans attached', results[0].spans && results[0].spans.city && results[0].spans.city.text === 'Pasig');
+  await stub.close();
+
+  console.log('\nOne entry dropped, one malformed:');
+  stub = await startOpenAIStub({
+    script: [{
+      content: (body) => ({
+        results: getPackedItems(body)
+          .filter(item => item.id !== '2')
+          .map(item => (item.id === '3' ? { id: '3', hasLocation: 'maybe' } : { id: item.id, ...DEFAULT_CONTENT }))
+      })
+    }]
+  });
+  results = await createExtractor(stub, 5).batchExtract(TEXTS.slice(0, 5), 1);
+  check('all 5 still extracted', results.every(result => result.method === 'llm_extracted'));
+  check('2 single-item fallbacks', stub.requests.length === 3, `${stub.requests.length}`);
+  check('fallbacks are not marked packed', !results[1].packed && !results[2].packed && results[0].packed);
+  check('fallback usage includes its pack share', results[1].usage.calls === 1 && results[1].usage.promptTokens > 1000);
+  await stub.close();
+
+  console.log('\nReply cut off at max_tokens:');
+  stub = await startOpenAIStub({ script: [{ finishReason: 'length', content: '{"results": [{"id": "1"' }] });
+  results = await createExtractor(stub, 4).batchExtract(TEXTS.slice(0, 4), 1);
+  check('all 4 extracted after split', results.every(result => result.method === 'llm_extracted'));
+  check('split into two packs of 2', stub.requests.length === 3 && results[0].packed.size === 2, `${stub.requests.length}`);
+  await stub.close();
+
+  console.log('\nCached texts skip the request:');
+  stub = await startOpenAIStub();
+  const extractor = createExtractor(stub, 5);
+  await extractor.batchExtract(TEXTS.slice(0, 3), 1);
+  results = await extractor.batchExtract(TEXTS.slice(0, 4), 1);
+  check('3 cache hits', results.filter(result => result.cached).length === 3);
+  check('1 more request for the new text', stub.requests.length === 2, `${stub.requests.length}`);
+  await stub.close();
+}
+
+runTests('PACKED EXTRACTION TESTS', run);
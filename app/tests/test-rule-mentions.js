@@ -0,0 +1,54 @@
+/**
+ * Rule-based multi-location extraction: roles, negation and the primary
+ * mention, plus texts whose filler words must not become places
+ * Run: node tests/test-rule-mentions.js
+ */
+
+const { extractMentionsWithRules } = require('../utils/rule-based-extractor');
+const { check, runTests } = require('./helpers');
+
+function describe(result) {
+  return JSON.stringify(result.mentions.map(mention =>
+    `${mention.role}:${mention.location.barangay}/${mention.location.city}/${mention.location.province}`));
+}
+
+function find(result, role, city) {
+  return result.mentions.find(mention => mention.role === role && mention.location.city === city);
+}
+
+async function run() {
+  console.log('\nRoles:');
+  const trip = extractMentionsWithRules("I'm from Quezon City but I visited Cebu last week");
+  check('sample row 1 has two mentions', trip.mentions.length === 2, describe(trip));
+  check('Quezon City is the residence', Boolean(find(trip, 'residence', 'Quezon City')), describe(trip));
+  check('Cebu was visited', trip.mentions.some(mention => mention.role === 'visited' && mention.location.province === 'Cebu'),
+    describe(trip));
+  check('residence is primary', trip.primary !== null && trip.mentions[trip.primary].role === 'residence');
+  check('spans point into the text', trip.mentions.every(mention =>
+    mention.match && mention.match.text === "I'm from Quezon City but I visited Cebu last week".slice(mention.start, mention.end)));
+
+  console.log('\nNegation:');
+  const tagalog = extractMentionsWithRules('wala sa Makati, dito ako sa Pasig');
+  check('"wala sa Makati" is negated', Boolean(find(tagalog, 'negated', 'Makati City')), describe(tagalog));
+  check('"dito ako sa Pasig" is current and primary', tagalog.primary !== null &&
+    tagalog.mentions[tagalog.primary].location.city === 'Pasig City' && tagalog.mentions[tagalog.primary].role === 'current',
+    describe(tagalog));
+  const english = extractMentionsWithRules('not in Cebu, I am in Davao City');
+  check('"not in Cebu" is negated', english.mentions.some(mention => mention.role === 'negated' && mention.location.province === 'Cebu'),
+    describe(english));
+  check('Davao City is primary', english.primary !== null && english.mentions[english.primary].location.city === 'Davao City',
+    describe(english));
+  check('no place read from "I am in"', english.mentions.length === 2, describe(english));
+
+  console.log('\nFiller words:');
+  const caloocan = extractMentionsWithRules('Brgy 171, Caloocan City walang net');
+  check('"walang" is not a barangay', caloocan.mentions.length === 1 &&
+    caloocan.mentions[0].location.barangay === 'Barangay 171', describe(caloocan));
+  const davao = extractMentionsWithRules('I am in Davao City');
+  check('"I am in Davao City" names Davao City only', davao.mentions.length === 1 &&
+    davao.mentions[0].location.city === 'Davao City', describe(davao));
+  const none = extractMentionsWithRules('walang net na naman po talaga');
+  check('no place, no mentions', !none.hasLocation && none.primary === null, describe(none));
+}
+
+runTests('RULE-BASED MENTION TESTS', run);
@@ -0,0 +1,82 @@
+/**
+ * Second-pass validation of risky extractions against the local stub
+ * Run: node tests/test-second-pass.js
+ */
+
+const { startOpenAIStub, DEFAULT_CONTENT } = require('./stubs/openai-stub');
+const LLMExtractor = require('../utils/llm-extractor');
+const { CacheManager } = require('../utils/cache-manager');
+const { getSecondPassRisks, hasSecondPassRisk, getSecondPassValidator, judgeExtraction } = require('../utils/second-pass');
+const { check, runTests } = require('./helpers');
+
+const API_KEY = 'sk-testtesttesttesttesttest';
+
+const BACOLOD = { region: 'Western Visayas', province: 'Negros Occidental', city: 'Bacolod City', barangay: 'None' };
+const PASIG = { region: 'National Capital Region (NCR)', province: 'Metro Manila', city: 'Pasig City', barangay: 'None' };
+
+const validated = (answer) => ({ method: 'llm_validated', confidence: 90, reasoning: '', ...answer });
+
+// The validator rejects the hashtag text and answers Pasig for everything else
+function replyByText(body) {
+  const prompt = body.messages[0].content;
+  if (prompt.includes('Text: "#AlterBacolod')) {
+    return { hasLocation: false, confidence: 95, location: null, reasoning: 'Hashtag, not a location' };
+  }
+  return { ...DEFAULT_CONTENT, confidence: 85 };
+}
+
+function createExtractor(options = {}) {
+  return new LLMExtractor(API_KEY, { cache: new CacheManager(), retry: { maxAttempts: 1 }, routing: null, ...options });
+}
+
+async function run() {
+  console.log('\nRisks:');
+  check('location-like handle', getSecondPassRisks('@bongbongmarcos walang internet dito sa Pasig')[0].type === 'mention');
+  check('location hashtag', getSecondPassRisks('#AlterBacolod sobrang bagal')[0].type === 'hashtag');
+  check('political figure', getSecondPassRisks('Bongbong Marcos ayusin nyo, taga Cebu ako')[0].type === 'political');
+  check('plain complaint has no risk', !hasSecondPassRisk('dito sa Pasig walang net'));
+
+  console.log('\nVerdicts:');
+  check('same place confirmed',
+    judgeExtraction(PASIG, validated({ hasLocation: true, location: { city: 'Pasig', province: null } })).verdict === 'confirmed');
+  const corrected = judgeExtraction(BACOLOD, validated({ hasLocation: true, location: { city: 'Pasig', province: 'Metro Manila' } }));
+  check('different place corrected to the gazetteer entry', corrected.verdict === 'corrected' && corrected.location.cityCode === '1381200000',
+    JSON.stringify(corrected));
+  check('no location rejected', judgeExtraction(BACOLOD, validated({ hasLocation: false, location: null })).verdict === 'rejected');
+  check('unknown place keeps the extraction',
+    judgeExtraction(PASIG, validated({ hasLocation: true, location: { city: 'Atlantis' } })).verdict === 'confirmed');
+  check('failed validation is unavailable',
+    judgeExtraction(PASIG, { method: 'fallback', hasLocation: true, location: PASIG }).verdict === 'unavailable');
+
+  const stub = await startOpenAIStub({ content: replyByText });
+  process.env.OPENAI_BASE_URL = stub.url;
+
+  try {
+    await runChecks(stub);
+  } finally {
+    await stub.close();
+  }
+}
+
+async function runChecks(stub) {
+  console.log('\nValidator:');
+  const extractor = createExtractor({ model: 'gpt-4o-mini' });
+  const validator = getSecondPassValidator(extractor);
+  check('one validator per extractor', getSecondPassValidator(extractor) === validator);
+  check('validator shares the extractor model and cache', validator.model === 'gpt-4o-mini' && validator.cache === extractor.cache);
+  check('disabled extractor gives a disabled validator', getSecondPassValidator(new LLMExtractor(null, { provider: 'openai' })).enabled === false);
+
+  const text = '#AlterBacolod sobrang bagal ng internet';
+  const rejected = await validator.validateLocation(text, BACOLOD);
+  const prompt = stub.requests[0].body.messages[0].content;
+  check('validator asked with the context warnings', /Found hashtags: #AlterBacolod/.test(prompt) && /Bacolod City/.test(prompt));
+  check('hashtag extraction rejected', judgeExtraction(BACOLOD, rejected).verdict === 'rejected' && rejected.usage.calls === 1);
+
+  const again = await validator.validateLocation(text, BACOLOD);
+  check('repeat served from the cache', again.cached === true && stub.requests.length === 1);
+
+  const confirmed = await validator.validateLocation('@bongbongmarcos walang internet dito sa Pasig', PASIG);
+  check('handle with a real location confirmed', judgeExtraction(PASIG, confirmed).verdict === 'confirmed', confirmed.method);
+}
+
+runTests('SECOND-PASS VALIDATION TESTS', run);
@@ -0,0 +1,262 @@
+/**
+ * server-v5 end to end, offline
+ * Starts the server against the local stub and drives the HTTP API,
+ * including the SSE progress stream; nothing goes over the network
+ * Run: node tests/test-server-v5.js
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { startOpenAIStub } = require('./stubs/openai-stub');
+const { buildCalibrationArtifact } = require('../utils/confidence-calibration');
+const { check, runTests } = require('./helpers');
+
+const API_KEY = 'sk-testtesttesttesttesttest';
+const REQUEST_TIMEOUT_MS = 30000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start server-v5 on a free port, pointed at the stub
+ */
+async function startServer(stubUrl, calibrationFile) {
+  const port = await getFreePort();
+  const output = [];
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server-v5.js')], {
+    cwd: path.join(__dirname, '..'),
+    env: {
+      ...process.env,
+      PORT: String(port),
+      OPENAI_API_KEY: '',
+      OPENAI_BASE_URL: stubUrl,
+      LLM_PROVIDER: 'openai',
+      LLM_FIXTURES: '',
+      CACHE_BACKEND: 'memory',
+      CONFIDENCE_CALIBRATION_FILE: calibrationFile,
+      BULK_POLL_INTERVAL_MS: '10',
+      BULK_DIR: path.join(path.dirname(calibrationFile), 'bulk')
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.stdout.on('data', chunk => output.push(chunk));
+  child.stderr.on('data', chunk => output.push(chunk));
+
+  const url = `http://localhost:${port}`;
+  const deadline = Date.now() + 60000;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) break;
+    try {
+      const res = await fetch(`${url}/api/health`, { signal: AbortSignal.timeout(1000) });
+      if (res.ok) return { url, child, output };
+    } catch (error) {
+      // Not listening yet
+    }
+    await sleep(250);
+  }
+
+  child.kill();
+  throw new Error(`server-v5 did not start:\n${Buffer.concat(output).toString().slice(-2000)}`);
+}
+
+async function request(url, method = 'GET', body) {
+  const res = await fetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+/**
+ * Open an SSE stream and collect its events until `done(event)` holds
+ * Resolves once the stream is open; `events` settles with the list
+ */
+async function followEvents(url, done) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  const res = await fetch(url, { signal: controller.signal });
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+
+  const events = (async () => {
+    const received = [];
+    let buffer = '';
+    try {
+      while (true) {
+        const { value, done: ended } = await reader.read();
+        if (ended) break;
+        buffer += decoder.decode(value, { stream: true });
+        const frames = buffer.split('\n\n');
+        buffer = frames.pop();
+        for (const frame of frames) {
+          if (!frame.startsWith('data: ')) continue;
+          const event = JSON.parse(frame.slice(6));
+          received.push(event);
+          if (done(event)) return received;
+        }
+      }
+    } catch (error) {
+      if (!controller.signal.aborted) throw error;
+    } finally {
+      clearTimeout(timer);
+      controller.abort();
+    }
+    return received;
+  })();
+
+  return { contentType: res.headers.get('content-type'), events };
+}
+
+const isFinished = event => ['completed', 'failed', 'cancelled'].includes(event.type);
+
+async function run() {
+  const stub = await startOpenAIStub();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-v5-'));
+  const calibrationFile = path.join(dir, 'calibration.json');
+  fs.writeFileSync(calibrationFile, JSON.stringify(buildCalibrationArtifact({
+    extractors: { ensemble: { samples: 40, positives: 20, heldOut: 20, mapping: { method: 'isotonic', points: [[30, 0.3], [90, 0.8]] } } },
+    method: 'isotonic',
+    dataset: { name: 'unit' }
+  })));
+  let server;
+  try {
+    server = await startServer(stub.url, calibrationFile);
+    await runChecks(server.url, stub);
+  } catch (error) {
+    check(error.message, false);
+  } finally {
+    if (server) server.child.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+    await stub.close();
+  }
+}
+
+async function runChecks(url, stub) {
+  console.log('\nStatus:');
+  const health = await request(`${url}/api/health`);
+  check('health: no server key, user keys supported', health.body.status === 'ok' && health.body.llmEnabled === false && health.body.supportsUserApiKey);
+  const status = await request(`${url}/api/status`);
+  check('status lists modes and provenance', status.body.features.extractionModes.includes('hybrid') && Boolean(status.body.provenance.promptVersion));
+
+  console.log('\nSingle text:');
+  const llm = await request(`${url}/api/parse-text`, 'POST', { text: 'walang internet dito sa Pasig since morning', apiKey: API_KEY });
+  check('LLM-first answer from the stub', llm.status === 200 && llm.body.pass === 'LLM-First' && /Pasig/.test(llm.body.location.city),
+    JSON.stringify(llm.body).slice(0, 200));
+  check('provenance and usage recorded', llm.body.provenance.model === 'gpt-4o-mini' && llm.body.usage.calls === 1);
+  const again = await request(`${url}/api/parse-text`, 'POST', { text: 'walang internet dito sa Pasig since morning', apiKey: API_KEY });
+  check('repeat answered from the cache', again.body.cached === true && stub.requests.length === 1, `${stub.requests.length} requests`);
+  const rules = await request(`${url}/api/parse-text`, 'POST', { text: 'no signal in Taguig City', useLLM: false });
+  check('rule-based without a key', rules.status === 200 && stub.requests.length === 1 && !rules.body.error);
+  const invalid = await request(`${url}/api/parse-text`, 'POST', { text: 'dito sa Pasig', mode: 'bogus' });
+  check('bad mode rejected', invalid.status === 400);
+  const ensemble = await request(`${url}/api/parse-text`, 'POST', { text: 'brownout dito sa Pasig City kahapon', mode: 'ensemble', apiKey: API_KEY });
+  check('ensemble votes with the LLM and the parsers', ensemble.status === 200 && ensemble.body.pass === 'Ensemble-LLM' &&
+    /Pasig/.test(ensemble.body.location.city) && ensemble.body.ensemble.members.includes('v2') && ensemble.body.usage.calls === 1 &&
+    ensemble.body.agreement.overall > 0 && Array.isArray(ensemble.body.dissent), JSON.stringify(ensemble.body).slice(0, 300));
+  check('calibrated probability attached', status.body.calibration.extractors.includes('ensemble') &&
+    ensemble.body.calibration.extractor === 'ensemble' &&
+    ensemble.body.calibration.probability > 0 && ensemble.body.calibration.probability < 1 &&
+    ensemble.body.calibration.version === status.body.calibration.version, JSON.stringify(ensemble.body.calibration));
+  const badEnsemble = await request(`${url}/api/parse-text`, 'POST', { text: 'dito sa Pasig', mode: 'ensemble', ensemble: { extractors: ['v9'] } });
+  check('unknown ensemble extractor rejected', badEnsemble.status === 400 && /v9/.test(badEnsemble.body.error));
+
+  console.log('\nHybrid:');
+  const callsBefore = stub.requests.length;
+  const accepted = await request(`${url}/api/parse-text`, 'POST', { text: 'Brgy Lahug, Cebu City walang signal', mode: 'hybrid', apiKey: API_KEY });
+  check('confident rule answer skips the LLM', accepted.body.pass === 'Hybrid-Rules' && /Cebu/.test(accepted.body.location.city) &&
+    stub.requests.length === callsBefore, JSON.stringify(accepted.body).slice(0, 200));
+  for (const text of ['Taga Davao City ako', 'taga Cavite ako', 'Taga Bulacan kami', 'dito sa Guadalupe Nuevo']) {
+    const fallback = await request(`${url}/api/parse-text`, 'POST', { text, mode: 'hybrid', apiKey: API_KEY });
+    const ruleBased = fallback.body.ruleBased || {};
+    check(`"${text}" falls back to the LLM`, fallback.body.pass === 'Hybrid-LLM' &&
+      !(ruleBased.location && /Pinukpuk/.test(ruleBased.location.city)), JSON.stringify(fallback.body).slice(0, 200));
+  }
+
+  console.log('\nBatch with SSE progress:');
+  const sessionId = `offline-${Date.now()}`;
+  const texts = ['brownout sa Marikina', 'walang net sa Cainta Rizal', 'mabagal internet sa Antipolo', 'no signal Tanay'];
+  // Opened first, the way the frontend does it
+  const stream = await followEvents(`${url}/api/progress-stream/${sessionId}`, isFinished);
+  const batch = await request(`${url}/api/batch-parse`, 'POST', { texts, sessionId, apiKey: API_KEY, batchSize: 2 });
+  const events = await stream.events;
+  check('stream is text/event-stream', /text\/event-stream/.test(stream.contentType));
+  check('batch answered every text', batch.status === 200 && batch.body.results.length === texts.length,
+    JSON.stringify(batch.body).slice(0, 200));
+  const types = events.map(event => event.type);
+  check('connected, started, progress per text, completed',
+    types[0] === 'connected' && types.includes('started') && types.filter(type => type === 'progress').length === texts.length &&
+    types[types.length - 1] === 'completed', types.join(','));
+  const last = events.filter(event => event.type === 'progress').pop();
+  check('progress reaches 100%', last && last.current === texts.length && Number(last.percentage) === 100);
+  check('sessionId labels a random job ID', /^[0-9a-f-]{36}$/.test(batch.body.jobId) &&
+    (await request(`${url}/api/jobs/${sessionId}`)).status === 404, batch.body.jobId);
+  check('label stream carries no job ID or text', events.every(event => !event.jobId && !event.id && !event.currentText) &&
+    events.every(event => event.sessionId === sessionId), JSON.stringify(events[events.length - 1]).slice(0, 200));
+
+  console.log('\nBudget:');
+  const budgetCalls = stub.requests.length;
+  const capped = await request(`${url}/api/batch-parse`, 'POST', {
+    texts: ['brownout sa Pateros', 'walang tubig sa Navotas', 'no signal sa Malabon'],
+    apiKey: API_KEY,
+    budget: { maxLLMCalls: 2 }
+  });
+  const budget = capped.body.budget || {};
+  check('call cap holds across the batch', capped.status === 200 && stub.requests.length - budgetCalls === 2 &&
+    budget.spent.calls === 2 && budget.exhausted && budget.fallbackRows === 1, JSON.stringify(budget));
+
+  console.log('\nAsync job:');
+  const created = await request(`${url}/api/jobs`, 'POST', { texts, mode: 'hybrid', apiKey: API_KEY });
+  check('job accepted', created.status === 202 && Boolean(created.body.jobId) && created.body.links.events.endsWith('/events'));
+  const jobEvents = await (await followEvents(`${url}${created.body.links.events}`,
+    event => isFinished(event) || (event.type === 'status' && ['completed', 'failed'].includes(event.status)))).events;
+  check('job events end with its outcome', jobEvents.length >= 2 && jobEvents[0].type === 'connected',
+    jobEvents.map(event => event.type).join(','));
+  const job = await request(`${url}${created.body.links.status}`);
+  check('job completed', job.body.status === 'completed', job.body.error);
+  const page = await request(`${url}${created.body.links.results}?limit=2`);
+  check('results paged', page.body.results.length === 2 && page.body.total === texts.length, JSON.stringify(page.body).slice(0, 200));
+  const missing = await request(`${url}/api/jobs/no-such-job`);
+  check('unknown job is a 404', missing.status === 404);
+
+  console.log('\nBulk job:');
+  const bulkCalls = stub.requests.length;
+  const bulk = await request(`${url}/api/jobs`, 'POST', {
+    texts: ['brownout sa Pateros ngayon'],
+    mode: 'llm',
+    bulk: true,
+    apiKey: API_KEY,
+    routing: { escalateModel: 'gpt-4o', minConfidence: 95 },
+    budget: { maxLLMCalls: 5 }
+  });
+  await (await followEvents(`${url}${bulk.body.links.events}`,
+    event => isFinished(event) || (event.type === 'status' && ['completed', 'failed'].includes(event.status)))).events;
+  const bulkJob = await request(`${url}${bulk.body.links.status}`);
+  const bulkRows = (await request(`${url}${bulk.body.links.results}`)).body.results || [];
+  const bulkModels = stub.requests.slice(bulkCalls)
+    .filter(entry => entry.body && entry.body.model).map(entry => entry.body.model);
+  check('bulk answers are escalated', bulkJob.body.status === 'completed' && bulkRows.length === 1 &&
+    bulkRows.every(row => row.escalated && row.model === 'gpt-4o'), JSON.stringify(bulkRows).slice(0, 300));
+  check('one batch line and one escalation sent', JSON.stringify(bulkModels) === JSON.stringify(['gpt-4o-mini', 'gpt-4o']),
+    JSON.stringify(bulkModels));
+  check('the batch line and the escalation are both charged', bulkJob.body.budget && bulkJob.body.budget.spent.calls === 2,
+    JSON.stringify(bulkJob.body.budget));
+}
+
+runTests('SERVER V5 OFFLINE TESTS', run);
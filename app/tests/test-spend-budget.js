@@ -0,0 +1,101 @@
+/**
+ * Job spend caps: reservations, unpriced models and every call the
+ * extractor makes, against the local stub
+ * Run: node tests/test-spend-budget.js
+ */
+
+const { startOpenAIStub, DEFAULT_CONTENT } = require('./stubs/openai-stub');
+const LLMExtractor = require('../utils/llm-extractor');
+const { CacheManager } = require('../utils/cache-manager');
+const { resolveRouting } = require('../utils/model-routing');
+const { getSecondPassValidator } = require('../utils/second-pass');
+const { fromResponseUsage } = require('../utils/usage-tracker');
+const { SpendBudget, BudgetExceededError, resolveBudget, chargeCall } = require('../utils/spend-budget');
+const { check, runTests } = require('./helpers');
+
+const API_KEY = 'sk-testtesttesttesttesttest';
+const CHEAP = 'gpt-4o-mini';
+const STRONG = 'gpt-4o';
+
+let replyInvalid = false;
+
+// The cheap model is never sure, so every answer is escalated
+function unsure(body) {
+  if (replyInvalid) return 'not json';
+  return { ...DEFAULT_CONTENT, confidence: body.model === STRONG ? 95 : 40 };
+}
+
+function createExtractor(options = {}) {
+  return new LLMExtractor(API_KEY, {
+    model: CHEAP,
+    cache: new CacheManager(),
+    retry: { maxAttempts: 1 },
+    routing: null,
+    ...options
+  });
+}
+
+async function run() {
+  console.log('\nLimits:');
+  check('tighter of request and server cap wins', resolveBudget({ maxLLMCalls: 5 }, { maxLLMCalls: 3 }).maxLLMCalls === 3);
+  check('negative cap rejected', Boolean(resolveBudget({ maxTokens: -1 }, {}).error));
+
+  const budget = new SpendBudget({ maxLLMCalls: 2 });
+  check('reservations in flight count against the call cap', budget.reserve(CHEAP) && budget.reserve(CHEAP) && !budget.reserve(CHEAP) &&
+    /maxLLMCalls/.test(budget.reason));
+
+  const unpriced = new SpendBudget({ maxCostUsd: 1 });
+  check('cost cap refuses calls to an unpriced model', !unpriced.reserve('qwen2.5-7b') && /no price/.test(unpriced.reason), unpriced.reason);
+  const settled = new SpendBudget({ maxCostUsd: 1 });
+  settled.reserve(CHEAP);
+  settled.settle(fromResponseUsage('qwen2.5-7b', { prompt_tokens: 10, completion_tokens: 5 }));
+  check('unpriced usage exhausts a cost cap', settled.getStatus().exhausted && /no price/.test(settled.reason), settled.reason);
+  check('unpriced estimates overrun a cost cap', /no price/.test(new SpendBudget({ maxCostUsd: 1 }).getOverrun(
+    fromResponseUsage('qwen2.5-7b', { prompt_tokens: 10, completion_tokens: 5 }))));
+  check('calls cap alone allows unpriced models', new SpendBudget({ maxLLMCalls: 1 }).reserve('qwen2.5-7b'));
+
+  let thrown = null;
+  try {
+    await chargeCall(budget, CHEAP, async () => ({ usage: null }));
+  } catch (error) {
+    thrown = error;
+  }
+  check('spent budget refuses the call', thrown instanceof BudgetExceededError && /Budget exhausted/.test(thrown.message));
+
+  const stub = await startOpenAIStub({ content: unsure });
+  process.env.OPENAI_BASE_URL = stub.url;
+  try {
+    console.log('\nEvery call is charged:');
+    const routed = createExtractor({ routing: resolveRouting({ escalateModel: STRONG, minConfidence: 60 }, {}) });
+    const capped = new SpendBudget({ maxLLMCalls: 2 });
+    const job = routed.forJob({ budget: capped });
+    const results = await Promise.all(['walang tubig sa Pasig', 'walang tubig sa Marikina', 'walang tubig sa Taguig']
+      .map(text => job.extractLocation(text)));
+    check('escalations count against the call cap', stub.requests.length === 2 && capped.spent.calls === 2,
+      `${stub.requests.length} requests, ${capped.spent.calls} charged`);
+    check('rows past the cap are refused, not sent', results.filter(result => result.budgetExceeded).length >= 1,
+      JSON.stringify(results.map(result => result.method)));
+    check('the shared extractor stays uncharged', routed.job === null && createExtractor().job === null);
+
+    stub.requests.length = 0;
+    replyInvalid = true;
+    const repairs = new SpendBudget({ maxLLMCalls: 1 });
+    const repaired = await createExtractor({ repairAttempts: 1 }).forJob({ budget: repairs }).extractLocation('brownout sa Pasig City');
+    check('repair re-asks count against the call cap', stub.requests.length === 1 && repaired.budgetExceeded &&
+      repaired.usage && repaired.usage.calls === 1, JSON.stringify(repaired).slice(0, 200));
+    replyInvalid = false;
+
+    stub.requests.length = 0;
+    const secondPass = new SpendBudget({ maxLLMCalls: 1 });
+    const view = createExtractor().forJob({ budget: secondPass });
+    await view.extractLocation('walang internet sa San Jose');
+    const validation = await getSecondPassValidator(view).validateLocation('walang internet sa San Jose',
+      { region: 'NCR', province: 'Metro Manila', city: 'Pasig', barangay: 'None' });
+    check('second passes count against the call cap', stub.requests.length === 1 && validation.method !== 'llm_validated',
+      `${stub.requests.length} requests, ${validation.method}`);
+  } finally {
+    await stub.close();
+  }
+}
+
+runTests('SPEND BUDGET TESTS', run);
@@ -0,0 +1,29 @@
+/**
+ * Text spans: where each level of a location appears in the original text
+ * Run: node tests/test-text-spans.js
+ */
+
+const { findSpan, locateSpans } = require('../utils/text-spans');
+const { check, runTests } = require('./helpers');
+
+async function run() {
+  console.log('\nNames inside longer names:');
+  const metro = locateSpans('Metro Manila traffic, nasa Manila ako', { city: 'Manila', province: 'Metro Manila' });
+  check('city is the standalone "Manila"', metro.spans.city && metro.spans.city.start === 27, JSON.stringify(metro.spans.city));
+  check('province keeps "Metro Manila"', metro.spans.province && metro.spans.province.start === 0 &&
+    metro.spans.province.text === 'Metro Manila', JSON.stringify(metro.spans.province));
+  const only = locateSpans('Metro Manila traffic', { city: 'Manila', province: 'Metro Manila' });
+  check('a city only named inside the province gets no span', only.spans.city === null && only.spans.province.start === 0,
+    JSON.stringify(only.spans));
+  const quezon = locateSpans('brownout sa Quezon City, Quezon', { city: 'Quezon City', province: 'Quezon' });
+  check('province found after the city that contains it', quezon.spans.city.start === 12 && quezon.spans.province.start === 25,
+    JSON.stringify(quezon.spans));
+
+  console.log('\nMatching:');
+  check('whole words only', findSpan('Pasigan sa Pasig', 'Pasig').start === 11);
+  check('aliases and mentions', findSpan('@qc_updates walang kuryente sa QC', 'Quezon City', { level: 'city' }).start === 31);
+  check('hashtags may hide a name', findSpan('#AlterBacolod', 'Bacolod').start === 6);
+  check('cue phrase starts the match', locateSpans('dto sa Pasig', { city: 'Pasig' }).match.text === 'dto sa Pasig');
+}
+
+runTests('TEXT SPAN TESTS', run);
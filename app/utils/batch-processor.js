@@ -52,6 +52,7 @@ async function processBatch(texts, processFn, options = {}) {
             current: processedCount,
             total: totalTexts,
             percentage: Math.round((processedCount / totalTexts) * 100),
+            index: itemIndex,
             result
           });
         }
@@ -100,7 +101,7 @@ async function processBatch(texts, processFn, options = {}) {
   const totalTime = Date.now() - startTime;
   const avgTime = Math.round(totalTime / totalTexts);
 
-  console.log('\n═'.repeat(50));
+  console.log('\n' + '═'.repeat(50));
   console.log(`✨ Batch processing complete!`);
   console.log(`  Total: ${totalTexts} texts`);
   console.log(`  Time: ${totalTime}ms (avg: ${avgTime}ms/item)`);
@@ -0,0 +1,202 @@
+/**
+ * Transports for Offline Bulk Extraction
+ * A transport speaks the OpenAI Batch API: it stores JSONL files and
+ * runs batches over them. BulkExtractor owns the JSONL format and the
+ * polling; transports only move files and batch objects around.
+ *
+ * Transport interface (async):
+ *   uploadFile(filename, content) -> { id }
+ *   createBatch(inputFileId, metadata) -> batch
+ *   getBatch(batchId) -> batch
+ *   cancelBatch(batchId) -> batch
+ *   getFileContent(fileId) -> string
+ *
+ * Batch objects follow the API: { id, status, output_file_id,
+ * error_file_id, request_counts: { total, completed, failed } }
+ */
+
+const crypto = require('crypto');
+const { toFile } = require('openai');
+
+const BATCH_ENDPOINT = '/v1/chat/completions';
+const COMPLETION_WINDOW = '24h';
+
+/**
+ * The real Batch API through the OpenAI SDK
+ */
+class OpenAIBatchTransport {
+  constructor(openai) {
+    this.name = 'openai';
+    this.openai = openai;
+  }
+
+  async uploadFile(filename, content) {
+    const file = await toFile(Buffer.from(content, 'utf8'), filename, { type: 'application/jsonl' });
+    return this.openai.files.create({ file, purpose: 'batch' });
+  }
+
+  createBatch(inputFileId, metadata = {}) {
+    return this.openai.batches.create({
+      input_file_id: inputFileId,
+      endpoint: BATCH_ENDPOINT,
+      completion_window: COMPLETION_WINDOW,
+      metadata
+    });
+  }
+
+  getBatch(batchId) {
+    return this.openai.batches.retrieve(batchId);
+  }
+
+  cancelBatch(batchId) {
+    return this.openai.batches.cancel(batchId);
+  }
+
+  async getFileContent(fileId) {
+    const response = await this.openai.files.content(fileId);
+    return response.text();
+  }
+}
+
+/**
+ * In-process stand-in for the files and batches endpoints
+ * Each getBatch() moves a batch one status along (validating ->
+ * in_progress -> finalizing -> completed), so polling code runs the
+ * same path it does against OpenAI. `respond(body, line)` answers one
+ * request line with { status_code, body }.
+ */
+class MemoryBatchTransport {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.respond = options.respond || (() => ({ status_code: 500, body: { error: { message: 'No responder configured' } } }));
+    this.files = new Map();
+    this.batches = new Map();
+  }
+
+  async uploadFile(filename, content) {
+    const id = `file-${crypto.randomUUID()}`;
+    this.files.set(id, { id, filename, content });
+    return { id, filename, purpose: 'batch', bytes: Buffer.byteLength(content) };
+  }
+
+  async createBatch(inputFileId, metadata = {}) {
+    const input = this.files.get(inputFileId);
+    if (!input) {
+      throw new Error(`No such file: ${inputFileId}`);
+    }
+
+    const lines = input.content.split('\n').filter(line => line.trim());
+    const batch = {
+      id: `batch_${crypto.randomUUID()}`,
+      object: 'batch',
+      endpoint: BATCH_ENDPOINT,
+      input_file_id: inputFileId,
+      completion_window: COMPLETION_WINDOW,
+      status: 'validating',
+      output_file_id: null,
+      error_file_id: null,
+      created_at: Math.floor(Date.now() / 1000),
+      request_counts: { total: lines.length, completed: 0, failed: 0 },
+      metadata
+    };
+
+    this.batches.set(batch.id, { batch, lines });
+    return { ...batch };
+  }
+
+  async getBatch(batchId) {
+    const record = this.getRecord(batchId);
+    const { batch } = record;
+
+    if (batch.status === 'validating') {
+      batch.status = 'in_progress';
+    } else if (batch.status === 'in_progress') {
+      batch.status = 'finalizing';
+    } else if (batch.status === 'finalizing') {
+      await this.finish(record, 'completed');
+    } else if (batch.status === 'cancelling') {
+      await this.finish(record, 'cancelled');
+    }
+
+    return { ...batch, request_counts: { ...batch.request_counts } };
+  }
+
+  async cancelBatch(batchId) {
+    const { batch } = this.getRecord(batchId);
+    if (!['completed', 'failed', 'expired', 'cancelled'].includes(batch.status)) {
+      batch.status = 'cancelling';
+    }
+    return { ...batch };
+  }
+
+  async getFileContent(fileId) {
+    const file = this.files.get(fileId);
+    if (!file) {
+      throw new Error(`No such file: ${fileId}`);
+    }
+    return file.content;
+  }
+
+  getRecord(batchId) {
+    const record = this.batches.get(batchId);
+    if (!record) {
+      throw new Error(`No such batch: ${batchId}`);
+    }
+    return record;
+  }
+
+  /**
+   * Answer every line (none when cancelled) and write the output and
+   * error files the way the API does
+   */
+  async finish(record, status) {
+    const { batch, lines } = record;
+    const output = [];
+    const errors = [];
+
+    if (status === 'completed') {
+      for (const line of lines) {
+        const request = JSON.parse(line);
+        const response = await this.respond(request.body, request);
+        const entry = {
+          id: `batch_req_${crypto.randomUUID()}`,
+          custom_id: request.custom_id,
+          response: { status_code: response.status_code, request_id: crypto.randomUUID(), body: response.body },
+          error: null
+        };
+        (response.status_code === 200 ? output : errors).push(JSON.stringify(entry));
+      }
+    }
+
+    batch.request_counts.completed = output.length;
+    batch.request_counts.failed = errors.length;
+    if (output.length) {
+      batch.output_file_id = (await this.uploadFile(`${batch.id}_output.jsonl`, output.join('\n') + '\n')).id;
+    }
+    if (errors.length) {
+      batch.error_file_id = (await this.uploadFile(`${batch.id}_error.jsonl`, errors.join('\n') + '\n')).id;
+    }
+    batch.status = status;
+  }
+}
+
+/**
+ * Build a transport from a name
+ */
+function createTransport(name = 'openai', options = {}) {
+  switch (name) {
+    case 'openai':
+      return new OpenAIBatchTransport(options.openai);
+    case 'memory':
+      return new MemoryBatchTransport(options);
+    default:
+      throw new Error(`Unknown batch transport "${name}". Expected one of: openai, memory`);
+  }
+}
+
+module.exports = {
+  BATCH_ENDPOINT,
+  OpenAIBatchTransport,
+  MemoryBatchTransport,
+  createTransport
+};
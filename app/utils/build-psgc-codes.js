@@ -0,0 +1,221 @@
+/**
+ * Build the PSGC code table for the bundled gazetteer
+ * Run: node utils/build-psgc-codes.js <PSGC-Publication-Datafile.xlsx> [output.json]
+ *
+ * Reads the PSA's PSGC publication datafile (the "PSGC" sheet, published
+ * quarterly at psa.gov.ph/classification/psgc) and matches its rows to
+ * the 2019 gazetteer entries by name under the matched parent. Writes
+ * data/psgc-codes.json, keyed by the gazetteer's own names:
+ *
+ *   { "source": "...", "publication": "30 September 2022",
+ *     "regions": { "07": { "code": "0700000000", "provinces": {
+ *       "CEBU": { "code": "0702200000", "cities": {
+ *         "CEBU CITY": { "code": "0730600000", "barangays": { "LAHUG (POB.)": "0730600045" } } } } } } } }
+ *
+ * Entries with no PSGC counterpart (NCR's districts, places renamed,
+ * merged or moved since 2019) are null. The gazetteer files Manila as a
+ * province whose "cities" are its districts; that entry also carries
+ * the City of Manila's code as `cityCode`. The unmatched names are listed
+ * at the end so they can be checked by hand.
+ */
+
+const XLSX = require('xlsx');
+const fs = require('fs');
+const path = require('path');
+const { GAZETTEER_PATH, PSGC_CODES_PATH } = require('../parsers/hierarchical-location-index');
+
+// Gazetteer region keys -> PSGC region prefix
+const REGION_PREFIXES = {
+  '01': '01', '02': '02', '03': '03', '4A': '04', '4B': '17', '05': '05',
+  '06': '06', '07': '07', '08': '08', '09': '09', '10': '10', '11': '11',
+  '12': '12', '13': '16', 'NCR': '13', 'CAR': '14', 'BARMM': '19'
+};
+
+// Gazetteer names the PSGC spells differently or has renamed since 2019
+const PROVINCE_ALIASES = {
+  'compostela valley': 'davao de oro',
+  'davao': 'davao del norte'
+};
+
+const CITY_ALIASES = {
+  'ozamis': 'ozamiz',
+  'jetafe': 'getafe',
+  'cordoba': 'cordova',
+  'pinamungahan': 'pinamungajan',
+  'mataas na kahoy': 'mataasnakahoy',
+  'pres carlos p garcia': 'president carlos p garcia'
+};
+
+/**
+ * Comparison key shared by both sides: no accents, parentheticals,
+ * "City of" or punctuation; common abbreviations spelled out
+ */
+function nameKey(name) {
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ')
+    .trim()
+    .replace(/\bsto\.?(?=\s)/g, 'santo')
+    .replace(/\bsta\.?(?=\s)/g, 'santa')
+    .replace(/\bgen\.?(?=\s)/g, 'general')
+    .replace(/^city of\s+/, '')
+    .replace(/\s+city$/, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Rows of the PSGC sheet as { code, name, level }
+ */
+function readPsgcRows(filePath) {
+  const workbook = XLSX.readFile(filePath);
+  const sheet = workbook.Sheets.PSGC;
+  if (!sheet) {
+    throw new Error(`${filePath}: no "PSGC" sheet; expected the PSA publication datafile`);
+  }
+
+  const metadata = XLSX.utils.sheet_to_json(workbook.Sheets.Metadata || {}, { header: 1 });
+  const published = metadata.find(row => /publication date/i.test(row[0] || ''));
+
+  const rows = XLSX.utils.sheet_to_json(sheet, { header: 1 })
+    .slice(1)
+    .filter(row => /^\d{10}$/.test(String(row[0] || '').trim()) && row[3])
+    .map(row => ({ code: String(row[0]).trim(), name: String(row[1]).trim(), level: row[3] }));
+
+  return { rows, publication: published ? published[1] : null };
+}
+
+/**
+ * Pair gazetteer names with rows by key; each row is used once
+ * Returns Map(name -> row)
+ */
+function matchNames(names, rows, aliases = {}) {
+  const byKey = new Map();
+  const add = (key, row) => {
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(row);
+  };
+  rows.forEach(row => add(nameKey(row.name), row));
+  // "Tondo I/II" is the gazetteer's "TONDO"; only used when nothing matches exactly
+  rows.forEach(row => add(`~${nameKey(row.name).replace(/(\s+(i|ii|iii|iv))+$/, '')}`, row));
+
+  const matched = new Map();
+  const taken = new Set();
+  const take = key => {
+    const candidates = (byKey.get(key) || []).filter(row => !taken.has(row));
+    if (candidates.length === 0) return null;
+    taken.add(candidates[0]);
+    return candidates[0];
+  };
+  names.forEach(name => {
+    const key = aliases[nameKey(name)] || nameKey(name);
+    const row = take(key) || take(`~${key}`);
+    if (row) matched.set(name, row);
+  });
+  return matched;
+}
+
+function main() {
+  const [input, output = PSGC_CODES_PATH] = process.argv.slice(2);
+  if (!input) {
+    throw new Error('Usage: node utils/build-psgc-codes.js <PSGC-Publication-Datafile.xlsx> [output.json]');
+  }
+
+  const gazetteer = JSON.parse(fs.readFileSync(GAZETTEER_PATH, 'utf8'));
+  const { rows, publication } = readPsgcRows(input);
+  const unmatched = { provinces: [], cities: [], barangays: [] };
+  const counts = { provinces: 0, cities: 0, barangays: 0 };
+  const regions = {};
+
+  for (const [regionKey, regionData] of Object.entries(gazetteer)) {
+    const prefix = REGION_PREFIXES[regionKey];
+    const regionRows = rows.filter(row => row.code.startsWith(prefix));
+    const provinceNames = Object.keys(regionData.province_list);
+    const provinceMatches = matchNames(provinceNames, regionRows.filter(row => row.level === 'Prov'), PROVINCE_ALIASES);
+    const cityRows = regionRows.filter(row => ['City', 'Mun', 'SubMun'].includes(row.level));
+    const usedCities = new Set();
+    // Rows under a matched province belong to that province only
+    const claimed = new Set([...provinceMatches.values()].map(row => row.code.slice(0, 5)));
+
+    const provinces = {};
+    provinceNames.forEach(provinceName => {
+      const provinceRow = provinceMatches.get(provinceName) || null;
+      counts.provinces++;
+      if (!provinceRow && regionKey !== 'NCR') unmatched.provinces.push(`${regionKey} / ${provinceName}`);
+
+      // Cities under the province's code first; highly urbanized and
+      // independent cities have codes of their own within the region
+      const cityNames = Object.keys(regionData.province_list[provinceName].municipality_list);
+      const free = rows => rows.filter(row => !usedCities.has(row.code));
+      const inProvince = provinceRow ? free(cityRows).filter(row => row.code.startsWith(provinceRow.code.slice(0, 5))) : [];
+      const cityMatches = matchNames(cityNames, inProvince, CITY_ALIASES);
+      matchNames(cityNames.filter(name => !cityMatches.has(name)), free(cityRows).filter(row => !claimed.has(row.code.slice(0, 5))), CITY_ALIASES)
+        .forEach((row, name) => cityMatches.set(name, row));
+
+      const cities = {};
+      cityNames.forEach(cityName => {
+        const cityRow = cityMatches.get(cityName) || null;
+        counts.cities++;
+        if (cityRow) {
+          usedCities.add(cityRow.code);
+        } else {
+          unmatched.cities.push(`${provinceName} / ${cityName}`);
+        }
+
+        const barangayNames = regionData.province_list[provinceName].municipality_list[cityName].barangay_list;
+        const barangayRows = cityRow
+          ? regionRows.filter(row => row.level === 'Bgy' && row.code.startsWith(cityRow.code.slice(0, 7)))
+          : [];
+        const barangayMatches = matchNames(barangayNames, barangayRows);
+
+        const barangays = {};
+        barangayNames.forEach(barangayName => {
+          const barangayRow = barangayMatches.get(barangayName) || null;
+          counts.barangays++;
+          if (!barangayRow) unmatched.barangays.push(`${cityName} / ${barangayName}`);
+          barangays[barangayName] = barangayRow ? barangayRow.code : null;
+        });
+
+        cities[cityName] = { code: cityRow ? cityRow.code : null, barangays };
+      });
+
+      provinces[provinceName] = { code: provinceRow ? provinceRow.code : null, cities };
+
+      // Districts (sub-municipalities) stand for their city
+      const districts = [...cityMatches.values()];
+      if (districts.length > 0 && districts.every(row => row.level === 'SubMun')) {
+        const city = cityRows.find(row => row.level === 'City' && row.code === `${districts[0].code.slice(0, 5)}00000`);
+        provinces[provinceName].cityCode = city ? city.code : null;
+      }
+    });
+
+    regions[regionKey] = { code: `${prefix}00000000`, provinces };
+  }
+
+  const table = {
+    source: path.basename(input),
+    publication,
+    regions
+  };
+  fs.writeFileSync(output, JSON.stringify(table) + '\n');
+
+  console.log(`📦 PSGC codes from ${table.source} (${publication || 'undated'}): ${output}`);
+  Object.keys(counts).forEach(level => {
+    console.log(`   ${level}: ${counts[level] - unmatched[level].length}/${counts[level]} matched`);
+  });
+  Object.entries(unmatched).forEach(([level, names]) => {
+    if (names.length === 0) return;
+    console.log(`\n⚠️ Unmatched ${level} (${names.length}):`);
+    names.slice(0, 50).forEach(name => console.log(`   ${name}`));
+    if (names.length > 50) console.log(`   ... and ${names.length - 50} more`);
+  });
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,213 @@
+/**
+ * Offline Bulk Extraction through the OpenAI Batch API
+ * Writes one extraction request per text to a JSONL file, submits it
+ * as a batch, polls until the batch finishes and turns the output back
+ * into the same results LLMExtractor.extractLocation returns. Answers
+ * go into the shared cache under the normal extraction keys, so later
+ * live runs reuse them. Batch requests cost half as much but may take
+ * up to 24 hours; nothing falls back to live calls.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createTransport } = require('./batch-transports');
+const { BATCH_PRICE_FACTOR, createUsage, fromResponseUsage } = require('./usage-tracker');
+const { sleep } = require('./llm-retry');
+const { InvalidLLMOutputError, isFailedLLMResult } = require('./llm-output');
+
+const BULK_LIMITS = {
+  maxRequests: 50000,      // Batch API limit per input file
+  pollIntervalMs: 30000
+};
+
+// Batch statuses after which nothing more will happen
+const FINAL_STATUSES = ['completed', 'failed', 'expired', 'cancelled'];
+
+/**
+ * Transport named by BULK_TRANSPORT ('openai' unless set)
+ * The memory transport answers each request with a live chat
+ * completion, so the whole flow can run against a local stub server
+ */
+function getDefaultTransport(llmExtractor) {
+  const name = process.env.BULK_TRANSPORT || 'openai';
+  return createTransport(name, {
+    openai: llmExtractor.openai,
+    respond: async (body) => {
+      try {
+        return { status_code: 200, body: await llmExtractor.openai.chat.completions.create(body) };
+      } catch (error) {
+        return { status_code: error.status || 500, body: { error: { message: error.message } } };
+      }
+    }
+  });
+}
+
+class BulkExtractor {
+  /**
+   * Options:
+   * - transport: Batch API transport (see batch-transports)
+   * - pollIntervalMs: time between status checks (BULK_POLL_INTERVAL_MS)
+   * - dir: where input and output JSONL files are kept (BULK_DIR)
+   */
+  constructor(llmExtractor, options = {}) {
+    this.extractor = llmExtractor;
+    this.transport = options.transport || (llmExtractor.enabled ? getDefaultTransport(llmExtractor) : null);
+    this.pollIntervalMs = options.pollIntervalMs ??
+      (Number(process.env.BULK_POLL_INTERVAL_MS) || BULK_LIMITS.pollIntervalMs);
+    this.dir = path.resolve(options.dir || process.env.BULK_DIR || path.join(__dirname, '..', 'data', 'bulk'));
+  }
+
+  /**
+   * Extract locations for `texts` in one or more batches
+   * Resolves with a Map of text -> result. Pre-filtered and cached texts
+   * are answered without being sent.
+   *
+   * Options: signal (cancels the batch), onStatus({ batch, index, count })
+   */
+  async run(texts, options = {}) {
+    const { signal = null, onStatus = null } = options;
+    const results = new Map();
+    const pending = new Map();   // cache key -> texts that normalize to it
+
+    for (const text of new Set(texts)) {
+      const cacheKey = this.extractor.getCacheKey('extract', text);
+      if (!this.extractor.enabled || this.extractor.shouldSkipLLM(text) || this.extractor.cache.get(cacheKey)) {
+        // Answered locally: disabled, pre-filtered or cached (never escalated)
+        const answer = await this.extractor.extractWithModel(text);
+        results.set(text, answer.method === 'llm_extracted' ? { ...answer, model: this.extractor.model } : answer);
+      } else if (pending.has(cacheKey)) {
+        pending.get(cacheKey).push(text);
+      } else {
+        pending.set(cacheKey, [text]);
+      }
+    }
+
+    const requests = Array.from(pending, ([cacheKey, group]) => ({ cacheKey, texts: group }));
+    const chunks = [];
+    for (let i = 0; i < requests.length; i += BULK_LIMITS.maxRequests) {
+      chunks.push(requests.slice(i, i + BULK_LIMITS.maxRequests));
+    }
+
+    for (let index = 0; index < chunks.length; index++) {
+      const answers = await this.runBatch(chunks[index], {
+        signal,
+        onStatus: onStatus && ((batch) => onStatus({ batch, index, count: chunks.length }))
+      });
+
+      chunks[index].forEach(request => {
+        const [first, ...duplicates] = request.texts;
+        const answer = answers.get(request.cacheKey);
+        results.set(first, answer);
+
+        // Texts differing only in case or spacing share one request,
+        // whose cost is counted once
+        duplicates.forEach(text => results.set(text, isFailedLLMResult(answer) ? answer : this.extractor.attachSpans(text, {
+          ...answer,
+          usage: createUsage(this.extractor.model),
+          cached: true
+        })));
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Submit one batch and wait for it; resolves with a Map of cache key -> result
+   */
+  async runBatch(requests, { signal, onStatus }) {
+    const runId = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}`;
+    const lines = requests.map((request, index) => JSON.stringify({
+      custom_id: String(index),
+      method: 'POST',
+      url: '/v1/chat/completions',
+      body: this.extractor.buildCompletionRequest(this.extractor.buildExtractionPrompt(request.texts[0]))
+    }));
+    const content = lines.join('\n') + '\n';
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(path.join(this.dir, `${runId}-input.jsonl`), content);
+
+    const file = await this.transport.uploadFile(`${runId}-input.jsonl`, content);
+    let batch = await this.transport.createBatch(file.id, { source: 'philippine-location-parser', run: runId });
+    console.log(`📬 Submitted batch ${batch.id} with ${requests.length} requests`);
+    if (onStatus) onStatus(batch);
+
+    try {
+      while (!FINAL_STATUSES.includes(batch.status)) {
+        await sleep(this.pollIntervalMs, signal);
+        batch = await this.transport.getBatch(batch.id);
+        if (onStatus) onStatus(batch);
+      }
+    } catch (error) {
+      if (signal && signal.aborted) {
+        console.log(`🛑 Cancelling batch ${batch.id}`);
+        await this.transport.cancelBatch(batch.id).catch(cancelError =>
+          console.error(`Failed to cancel batch ${batch.id}:`, cancelError.message));
+      }
+      throw error;
+    }
+
+    console.log(`📭 Batch ${batch.id} ${batch.status}: ${batch.request_counts.completed} completed, ${batch.request_counts.failed} failed`);
+
+    const entries = new Map();
+    for (const fileId of [batch.output_file_id, batch.error_file_id].filter(Boolean)) {
+      const output = await this.transport.getFileContent(fileId);
+      fs.appendFileSync(path.join(this.dir, `${runId}-output.jsonl`), output);
+      output.split('\n').filter(line => line.trim()).forEach(line => {
+        const entry = JSON.parse(line);
+        entries.set(entry.custom_id, entry);
+      });
+    }
+
+    const answers = new Map();
+    requests.forEach((request, index) => {
+      answers.set(request.cacheKey, this.parseEntry(request, entries.get(String(index)), batch));
+    });
+    return answers;
+  }
+
+  /**
+   * Turn one output line into a result, caching successful answers
+   */
+  parseEntry(request, entry, batch) {
+    const text = request.texts[0];
+    const response = entry && entry.response;
+
+    if (!response || response.status_code !== 200) {
+      const message = (entry && entry.error && entry.error.message) ||
+        (response && response.body && response.body.error && response.body.error.message) ||
+        `No answer in batch ${batch.id} (${batch.status})`;
+      return { ...this.extractor.buildErrorResult(new Error(message)), bulk: { batchId: batch.id } };
+    }
+
+    // Paid for even if the answer turns out to be unusable
+    const usage = fromResponseUsage(this.extractor.model, response.body.usage, BATCH_PRICE_FACTOR);
+    this.extractor.usageTracker.record(usage);
+
+    try {
+      const choice = response.body.choices[0];
+      const answer = this.extractor.parseExtraction(choice.message.content, choice.finish_reason);
+      this.extractor.cache.set(request.cacheKey, answer);
+      return this.extractor.attachSpans(text, {
+        ...answer,
+        usage,
+        retries: 0,
+        model: this.extractor.model,
+        bulk: { batchId: batch.id }
+      });
+    } catch (error) {
+      // Batch answers aren't re-asked; they're reported as they came back
+      const failed = error instanceof InvalidLLMOutputError
+        ? this.extractor.buildInvalidOutputResult(error)
+        : this.extractor.buildErrorResult(error);
+      return { ...failed, usage, bulk: { batchId: batch.id } };
+    }
+  }
+}
+
+module.exports = {
+  BULK_LIMITS,
+  BulkExtractor
+};
@@ -1,21 +1,58 @@
 /**
  * Cache Manager for Location Parser
- * Provides persistent caching with LRU eviction
+ * Provides caching with LRU eviction over a pluggable store
+ * (in-memory, or an on-disk file that survives redeploys)
  */
 
 const crypto = require('crypto');
+const { createStore } = require('./cache-stores');
+
+// Text normalization applied before hashing unless a caller overrides it
+const DEFAULT_NORMALIZATION = { trim: true, lowercase: true, collapseWhitespace: true };
+
+/**
+ * Apply normalization options to text before it is hashed
+ */
+function normalizeCacheText(text, normalization = DEFAULT_NORMALIZATION) {
+  let normalized = typeof text === 'string' ? text : JSON.stringify(text);
+  if (normalization.collapseWhitespace) normalized = normalized.replace(/\s+/g, ' ');
+  if (normalization.trim) normalized = normalized.trim();
+  if (normalization.lowercase) normalized = normalized.toLowerCase();
+  return normalized;
+}
+
+/**
+ * Default policy: failed extractions are not worth keeping
+ */
+function isErrorResult(value) {
+  return Boolean(value) && (value.method === 'error' || value.method === 'invalid_llm_output');
+}
 
 class CacheManager {
   constructor(options = {}) {
     this.maxSize = options.maxSize || 1000;     // Max items in cache
-    this.ttl = options.ttl || 3600000;          // 1 hour default TTL
-    this.cache = new Map();
-    this.accessOrder = [];
+    this.ttl = options.ttl ?? 3600000;          // 1 hour default TTL
+    this.errorTTL = options.errorTTL ?? 0;      // 0 = never cache error results
+    if (!(this.ttl > 0)) {
+      throw new Error(`Cache ttl must be a positive number of milliseconds, got ${this.ttl}`);
+    }
+    if (!(this.errorTTL >= 0)) {
+      throw new Error(`Cache errorTTL must be 0 or more milliseconds, got ${this.errorTTL}`);
+    }
+    this.isError = options.isError || isErrorResult;
+    this.store = options.store || createStore(options.backend, { filePath: options.filePath });
+
+    // LRU order; most recently used last. Rebuilt from the store so a
+    // persistent backend keeps its order across restarts.
+    this.accessOrder = new Set(this.store.keys());
     this.stats = {
       hits: 0,
       misses: 0,
-      evictions: 0
+      evictions: 0,
+      skippedErrors: 0
     };
+
+    this.cleanExpired();
   }
 
   /**
@@ -26,11 +63,23 @@ class CacheManager {
     return crypto.createHash('md5').update(data).digest('hex');
   }
 
+  /**
+   * Build a versioned key for one cache scope (e.g. "llm:extract")
+   * Everything that can change the answer belongs in `parts`: model,
+   * prompt version, request options. The normalization options are
+   * part of the key too, so changing them never reuses old entries.
+   */
+  buildKey(scope, text, parts = {}) {
+    const { normalization = DEFAULT_NORMALIZATION, ...rest } = parts;
+    const hash = this.generateKey(normalizeCacheText(text, normalization), { scope, normalization, ...rest });
+    return `${scope}:${hash}`;
+  }
+
   /**
    * Get item from cache
    */
   get(key) {
-    const item = this.cache.get(key);
+    const item = this.store.get(key);
 
     if (!item) {
       this.stats.misses++;
@@ -38,18 +87,15 @@ class CacheManager {
     }
 
     // Check if expired
-    if (Date.now() - item.timestamp > this.ttl) {
-      this.cache.delete(key);
+    if (this.isExpired(item)) {
+      this.remove(key);
       this.stats.misses++;
       return null;
     }
 
     // Update access order (LRU)
-    const index = this.accessOrder.indexOf(key);
-    if (index > -1) {
-      this.accessOrder.splice(index, 1);
-    }
-    this.accessOrder.push(key);
+    this.accessOrder.delete(key);
+    this.accessOrder.add(key);
 
     this.stats.hits++;
     return item.value;
@@ -57,43 +103,86 @@ class CacheManager {
 
   /**
    * Set item in cache
+   * Error results get `errorTTL` instead of the normal TTL; with the
+   * default of 0 they are not stored, so an outage can't poison the
+   * cache and an earlier good result is kept
    */
-  set(key, value) {
+  set(key, value, ttl = null) {
+    const entryTTL = ttl !== null ? ttl : (this.isError(value) ? this.errorTTL : this.ttl);
+    if (entryTTL <= 0) {
+      this.stats.skippedErrors++;
+      return false;
+    }
+
     // Check if we need to evict
-    if (this.cache.size >= this.maxSize && !this.cache.has(key)) {
+    if (this.store.size >= this.maxSize && !this.store.get(key)) {
       this.evictLRU();
     }
 
-    this.cache.set(key, {
+    this.store.set(key, {
       value,
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      ttl: entryTTL
     });
 
     // Update access order
-    const index = this.accessOrder.indexOf(key);
-    if (index > -1) {
-      this.accessOrder.splice(index, 1);
-    }
-    this.accessOrder.push(key);
+    this.accessOrder.delete(key);
+    this.accessOrder.add(key);
+    return true;
+  }
+
+  /**
+   * Check an entry against its own TTL
+   */
+  isExpired(item) {
+    return Date.now() - item.timestamp > (item.ttl || this.ttl);
+  }
+
+  /**
+   * Remove one entry
+   */
+  remove(key) {
+    this.store.delete(key);
+    this.accessOrder.delete(key);
   }
 
   /**
    * Evict least recently used item
    */
   evictLRU() {
-    if (this.accessOrder.length === 0) return;
+    const lruKey = this.accessOrder.values().next().value;
+    if (lruKey === undefined) return;
 
-    const lruKey = this.accessOrder.shift();
-    this.cache.delete(lruKey);
+    this.remove(lruKey);
     this.stats.evictions++;
   }
 
   /**
-   * Clear cache
+   * Clear cache, or only the entries of one scope
+   */
+  clear(scope = null) {
+    if (!scope) {
+      this.store.clear();
+      this.accessOrder.clear();
+      return;
+    }
+
+    for (const key of Array.from(this.store.keys())) {
+      if (key.startsWith(`${scope}:`)) {
+        this.remove(key);
+      }
+    }
+  }
+
+  /**
+   * Number of entries in one scope
    */
-  clear() {
-    this.cache.clear();
-    this.accessOrder = [];
+  countScope(scope) {
+    let count = 0;
+    for (const key of this.store.keys()) {
+      if (key.startsWith(`${scope}:`)) count++;
+    }
+    return count;
   }
 
   /**
@@ -104,11 +193,14 @@ class CacheManager {
     const hitRate = total > 0 ? ((this.stats.hits / total) * 100).toFixed(1) : 0;
 
     return {
-      size: this.cache.size,
+      backend: this.store.name || 'custom',
+      size: this.store.size,
       maxSize: this.maxSize,
       hits: this.stats.hits,
       misses: this.stats.misses,
       evictions: this.stats.evictions,
+      skippedErrors: this.stats.skippedErrors,
+      errorTTL: this.errorTTL,
       hitRate: `${hitRate}%`
     };
   }
@@ -117,16 +209,12 @@ class CacheManager {
    * Clean expired entries
    */
   cleanExpired() {
-    const now = Date.now();
     let cleaned = 0;
 
-    for (const [key, item] of this.cache.entries()) {
-      if (now - item.timestamp > this.ttl) {
-        this.cache.delete(key);
-        const index = this.accessOrder.indexOf(key);
-        if (index > -1) {
-          this.accessOrder.splice(index, 1);
-        }
+    for (const key of Array.from(this.store.keys())) {
+      const item = this.store.get(key);
+      if (item && this.isExpired(item)) {
+        this.remove(key);
         cleaned++;
       }
     }
@@ -135,25 +223,48 @@ class CacheManager {
   }
 }
 
+/**
+ * Read cache settings from the environment
+ *   CACHE_BACKEND=memory|file   CACHE_FILE=path
+ *   CACHE_TTL_MS, CACHE_MAX_SIZE, CACHE_ERROR_TTL_MS
+ */
+function getEnvOptions(env = process.env) {
+  const options = {};
+  const number = (value) => (value !== undefined && value !== '' && Number.isFinite(Number(value)) ? Number(value) : undefined);
+
+  if (env.CACHE_BACKEND) options.backend = env.CACHE_BACKEND;
+  if (env.CACHE_FILE) options.filePath = env.CACHE_FILE;
+  if (number(env.CACHE_TTL_MS) !== undefined) options.ttl = number(env.CACHE_TTL_MS);
+  if (number(env.CACHE_MAX_SIZE) !== undefined) options.maxSize = number(env.CACHE_MAX_SIZE);
+  if (number(env.CACHE_ERROR_TTL_MS) !== undefined) options.errorTTL = number(env.CACHE_ERROR_TTL_MS);
+
+  return options;
+}
+
 // Singleton instance
 let instance = null;
 
 /**
  * Get or create cache instance
+ * Environment settings override the defaults passed in code
  */
-function getCacheInstance(options) {
+function getCacheInstance(options = {}) {
   if (!instance) {
-    instance = new CacheManager(options);
+    instance = new CacheManager({ ...options, ...getEnvOptions() });
 
     // Periodic cleanup
+    // Clean every 5 minutes; don't keep the process alive for it
     setInterval(() => {
       instance.cleanExpired();
-    }, 300000); // Clean every 5 minutes
+    }, 300000).unref();
   }
   return instance;
 }
 
 module.exports = {
   CacheManager,
-  getCacheInstance
-};
\ No newline at end of file
+  getCacheInstance,
+  getEnvOptions,
+  normalizeCacheText,
+  DEFAULT_NORMALIZATION
+};
@@ -0,0 +1,167 @@
+/**
+ * Storage Backends for CacheManager
+ * A store holds { value, timestamp, ttl } entries by key. CacheManager
+ * owns expiry and LRU policy; stores only keep the data.
+ *
+ * Store interface (synchronous, like the Map it replaces):
+ *   get(key) -> entry | undefined
+ *   set(key, entry)
+ *   delete(key)
+ *   clear()
+ *   keys() -> iterator of keys, oldest first
+ *   size   -> number of entries
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * In-process store; lost on restart (the original behaviour)
+ */
+class MemoryStore {
+  constructor() {
+    this.name = 'memory';
+    this.entries = new Map();
+  }
+
+  get(key) {
+    return this.entries.get(key);
+  }
+
+  set(key, entry) {
+    this.entries.set(key, entry);
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  keys() {
+    return this.entries.keys();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * Append-only JSON-lines file, replayed into memory on startup
+ * Every write is appended synchronously, so a crash or redeploy loses
+ * nothing that was already paid for. The log is rewritten once it
+ * holds more than `compactRatio` times as many lines as live entries.
+ */
+class FileStore extends MemoryStore {
+  constructor(options = {}) {
+    super();
+    this.name = 'file';
+    this.filePath = path.resolve(options.filePath || path.join(__dirname, '..', 'data', 'cache', 'results-cache.jsonl'));
+    this.compactRatio = options.compactRatio || 2;
+    this.lineCount = 0;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.load();
+  }
+
+  /**
+   * Replay the log into memory
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    let skipped = 0;
+
+    lines.forEach(line => {
+      if (!line.trim()) return;
+      this.lineCount++;
+
+      try {
+        const record = JSON.parse(line);
+        if (record.deleted) {
+          this.entries.delete(record.key);
+        } else {
+          // Re-insert so Map order follows the latest write
+          this.entries.delete(record.key);
+          this.entries.set(record.key, record.entry);
+        }
+      } catch (error) {
+        // A torn final line from a crash; the rest of the log is fine
+        skipped++;
+      }
+    });
+
+    console.log(`💾 Loaded ${this.entries.size} cached results from ${this.filePath}${skipped ? ` (${skipped} unreadable lines skipped)` : ''}`);
+
+    // Rewrite so the next append doesn't land on a torn line
+    if (skipped > 0) {
+      this.compact();
+    }
+  }
+
+  append(record) {
+    fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+    this.lineCount++;
+
+    if (this.lineCount > Math.max(100, this.entries.size * this.compactRatio)) {
+      this.compact();
+    }
+  }
+
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.append({ key, entry });
+  }
+
+  delete(key) {
+    if (!this.entries.has(key)) return;
+    this.entries.delete(key);
+    this.append({ key, deleted: true });
+  }
+
+  clear() {
+    this.entries.clear();
+    fs.writeFileSync(this.filePath, '');
+    this.lineCount = 0;
+  }
+
+  /**
+   * Rewrite the log with live entries only
+   */
+  compact() {
+    const tmpPath = `${this.filePath}.tmp`;
+    const lines = [];
+    for (const [key, entry] of this.entries) {
+      lines.push(JSON.stringify({ key, entry }));
+    }
+
+    fs.writeFileSync(tmpPath, lines.length ? lines.join('\n') + '\n' : '');
+    fs.renameSync(tmpPath, this.filePath);
+    this.lineCount = lines.length;
+  }
+}
+
+/**
+ * Build a store from a backend name
+ */
+function createStore(backend = 'memory', options = {}) {
+  switch (backend) {
+    case 'memory':
+      return new MemoryStore();
+    case 'file':
+      return new FileStore(options);
+    default:
+      throw new Error(`Unknown cache backend "${backend}". Expected one of: memory, file`);
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  FileStore,
+  createStore
+};
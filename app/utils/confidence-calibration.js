@@ -0,0 +1,395 @@
+/**
+ * Confidence Calibration
+ * Extractors report confidence on their own scales (v2's 0-1 match
+ * score, the LLM's self-declared 0-100, the matcher's ad hoc bonuses),
+ * so 80 from one doesn't mean 80 from another. A calibration maps each
+ * extractor's confidence to the probability, measured on labeled data,
+ * that a location it returns is exactly right.
+ *
+ * The mappings are fitted by utils/fit-calibration.js on part of a
+ * labeled dataset, scored on the held-out rest, and stored as a versioned
+ * artifact:
+ *   { schemaVersion, version, createdAt, parserVersion, gazetteerVersion,
+ *     dataset: { name, cases, train, heldOut }, method,
+ *     extractors: { v2: { samples, positives, heldOut, mapping, brier, ece }, ... },
+ *     skipped: { enhanced: "reason", ... } }
+ * `brier` and `ece` are measured on the held-out samples. A mapping is
+ * isotonic ({ method, points: [[confidence, probability], ...] }) or
+ * Platt ({ method, a, b }: probability = 1 / (1 + e^-(a * confidence / 100 + b))).
+ *
+ * No artifact is bundled: a calibration only applies when
+ * CONFIDENCE_CALIBRATION_FILE points at one fitted on your own data.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hashContent } = require('./provenance');
+
+const CALIBRATION_SCHEMA_VERSION = 1;
+
+const CALIBRATION_METHODS = ['isotonic', 'platt'];
+
+// Where fit-calibration.js writes by default; ignored by git and only
+// loaded when CONFIDENCE_CALIBRATION_FILE names it
+const DEFAULT_CALIBRATION_PATH = path.join(__dirname, '..', 'data', 'confidence-calibration.json');
+
+// Fewer located answers than this, in either split, and an extractor stays uncalibrated
+const MIN_CALIBRATION_SAMPLES = 10;
+
+// Fewer distinct confidences than this can't show how accuracy varies with confidence
+const MIN_DISTINCT_CONFIDENCES = 3;
+
+// Share of cases held out to score the fitted mappings
+const HOLDOUT_FRACTION = 0.3;
+
+// Bins for the expected calibration error
+const ECE_BINS = 10;
+
+function round(value) {
+  return Number(value.toFixed(4));
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Samples from scored evaluation cases (see evaluation.js): every case
+ * where the extractor returned a location with a confidence
+ * Returns [{ confidence, probability, correct }]
+ */
+function toCalibrationSamples(scoredCases) {
+  return scoredCases
+    .filter(result => result.predicted && typeof result.confidence === 'number')
+    .map(result => ({
+      confidence: clamp(result.confidence, 0, 100),
+      probability: result.probability ?? null,
+      correct: Boolean(result.exact)
+    }));
+}
+
+/**
+ * Split cases into { train, heldOut }; a case lands on the same side
+ * every run, chosen by a hash of its id (or text)
+ */
+function splitCases(cases, fraction = HOLDOUT_FRACTION) {
+  const train = [];
+  const heldOut = [];
+  cases.forEach(testCase => {
+    const hash = parseInt(hashContent(testCase.id || testCase.text).slice(0, 8), 16) / 0xffffffff;
+    (hash < fraction ? heldOut : train).push(testCase);
+  });
+  return { train, heldOut };
+}
+
+/**
+ * Isotonic regression by pool-adjacent-violators
+ * Each pooled block becomes one point at its mean confidence; its rate
+ * is smoothed ((correct + 1) / (n + 2)) so a small block never claims 0
+ * or 1, then held non-decreasing, which smoothing alone doesn't guarantee
+ */
+function fitIsotonic(samples) {
+  const blocks = [];
+  [...samples]
+    .sort((a, b) => a.confidence - b.confidence)
+    .forEach(sample => {
+      const last = blocks[blocks.length - 1];
+      if (last && last.maxConfidence === sample.confidence) {
+        last.n++;
+        last.correct += sample.correct ? 1 : 0;
+        last.confidenceSum += sample.confidence;
+      } else {
+        blocks.push({ n: 1, correct: sample.correct ? 1 : 0, confidenceSum: sample.confidence, maxConfidence: sample.confidence });
+      }
+
+      // Merge backwards while the rates decrease
+      while (blocks.length > 1) {
+        const [prev, curr] = blocks.slice(-2);
+        if (prev.correct / prev.n <= curr.correct / curr.n) break;
+        blocks.splice(-2, 2, {
+          n: prev.n + curr.n,
+          correct: prev.correct + curr.correct,
+          confidenceSum: prev.confidenceSum + curr.confidenceSum,
+          maxConfidence: curr.maxConfidence
+        });
+      }
+    });
+
+  let floor = 0;
+  return {
+    method: 'isotonic',
+    points: blocks.map(block => {
+      floor = Math.max(floor, (block.correct + 1) / (block.n + 2));
+      return [round(block.confidenceSum / block.n), round(floor)];
+    })
+  };
+}
+
+/**
+ * Platt scaling: a logistic curve over confidence / 100, fitted by
+ * Newton's method on Platt's smoothed targets
+ */
+function fitPlatt(samples) {
+  const positives = samples.filter(sample => sample.correct).length;
+  const negatives = samples.length - positives;
+  const high = (positives + 1) / (positives + 2);
+  const low = 1 / (negatives + 2);
+  const data = samples.map(sample => ({ x: sample.confidence / 100, t: sample.correct ? high : low }));
+
+  let a = 0;
+  let b = Math.log((positives + 1) / (negatives + 1));
+  for (let iteration = 0; iteration < 100; iteration++) {
+    let ga = 0;
+    let gb = 0;
+    let haa = 1e-6;
+    let hab = 0;
+    let hbb = 1e-6;
+    data.forEach(({ x, t }) => {
+      const p = 1 / (1 + Math.exp(-(a * x + b)));
+      const w = p * (1 - p);
+      ga += (p - t) * x;
+      gb += p - t;
+      haa += w * x * x;
+      hab += w * x;
+      hbb += w;
+    });
+
+    const det = haa * hbb - hab * hab;
+    if (det <= 0) break;
+    const da = (hbb * ga - hab * gb) / det;
+    const db = (haa * gb - hab * ga) / det;
+    a -= da;
+    b -= db;
+    if (Math.abs(da) < 1e-8 && Math.abs(db) < 1e-8) break;
+  }
+
+  return { method: 'platt', a: round(a), b: round(b) };
+}
+
+/**
+ * Probability (0-1) for a raw confidence under a mapping
+ * Isotonic mappings interpolate between points and stay flat past the ends
+ */
+function applyMapping(mapping, confidence) {
+  const value = clamp(confidence, 0, 100);
+
+  if (mapping.method === 'platt') {
+    return round(1 / (1 + Math.exp(-(mapping.a * value / 100 + mapping.b))));
+  }
+
+  const { points } = mapping;
+  if (value <= points[0][0]) return points[0][1];
+  if (value >= points[points.length - 1][0]) return points[points.length - 1][1];
+
+  const upper = points.findIndex(([x]) => x >= value);
+  const [x0, y0] = points[upper - 1];
+  const [x1, y1] = points[upper];
+  return round(y0 + (y1 - y0) * (value - x0) / (x1 - x0));
+}
+
+/**
+ * Mean squared error of the probabilities (lower is better)
+ */
+function brierScore(samples, toProbability) {
+  if (samples.length === 0) return null;
+  const total = samples.reduce((sum, sample) => sum + (toProbability(sample) - (sample.correct ? 1 : 0)) ** 2, 0);
+  return round(total / samples.length);
+}
+
+/**
+ * Expected calibration error: the gap between stated probability and
+ * observed accuracy, averaged over equal-width bins by sample count
+ */
+function expectedCalibrationError(samples, toProbability) {
+  if (samples.length === 0) return null;
+
+  const bins = Array.from({ length: ECE_BINS }, () => ({ n: 0, probability: 0, correct: 0 }));
+  samples.forEach(sample => {
+    const probability = toProbability(sample);
+    const bin = bins[Math.min(Math.floor(probability * ECE_BINS), ECE_BINS - 1)];
+    bin.n++;
+    bin.probability += probability;
+    bin.correct += sample.correct ? 1 : 0;
+  });
+
+  const gap = bins
+    .filter(bin => bin.n > 0)
+    .reduce((sum, bin) => sum + Math.abs(bin.probability - bin.correct) / samples.length, 0);
+  return round(gap);
+}
+
+/**
+ * How well raw confidence (read as a percentage) and calibrated
+ * probability predict correctness; calibrated figures come from the
+ * mapping, else from the samples' own probabilities, else are null
+ */
+function measureCalibration(samples, mapping = null) {
+  const raw = sample => sample.confidence / 100;
+  const calibrated = mapping ? sample => applyMapping(mapping, sample.confidence)
+    : samples.length > 0 && samples.every(sample => typeof sample.probability === 'number') ? sample => sample.probability
+      : null;
+  return {
+    brier: { raw: brierScore(samples, raw), calibrated: calibrated ? brierScore(samples, calibrated) : null },
+    ece: { raw: expectedCalibrationError(samples, raw), calibrated: calibrated ? expectedCalibrationError(samples, calibrated) : null }
+  };
+}
+
+/**
+ * Fit one extractor's mapping on `samples` and score it on `heldOut`;
+ * null (with the reason) when either split is too small, the
+ * confidences barely vary, or the fit collapses to a single value that
+ * would erase the extractor's own ranking
+ */
+function fitExtractor(samples, heldOut, { method = 'isotonic', minSamples = MIN_CALIBRATION_SAMPLES } = {}) {
+  if (!CALIBRATION_METHODS.includes(method)) {
+    throw new Error(`Unknown calibration method "${method}"; expected one of ${CALIBRATION_METHODS.join(', ')}`);
+  }
+  if (!Array.isArray(heldOut)) {
+    throw new Error('A calibration needs held-out samples to be scored on');
+  }
+  if (samples.length < minSamples) {
+    return { entry: null, reason: `only ${samples.length} located answers with a confidence (need ${minSamples})` };
+  }
+  if (heldOut.length < minSamples) {
+    return { entry: null, reason: `only ${heldOut.length} held-out answers with a confidence (need ${minSamples})` };
+  }
+  const distinct = new Set(samples.map(sample => sample.confidence)).size;
+  if (distinct < MIN_DISTINCT_CONFIDENCES) {
+    return { entry: null, reason: `only ${distinct} distinct confidence values (need ${MIN_DISTINCT_CONFIDENCES})` };
+  }
+
+  const mapping = method === 'platt' ? fitPlatt(samples) : fitIsotonic(samples);
+  if (mapping.method === 'isotonic' && mapping.points.length < 2) {
+    return { entry: null, reason: 'isotonic fit collapsed to a single point' };
+  }
+
+  return {
+    entry: {
+      samples: samples.length,
+      positives: samples.filter(sample => sample.correct).length,
+      heldOut: heldOut.length,
+      mapping,
+      ...measureCalibration(heldOut, mapping)
+    }
+  };
+}
+
+/**
+ * Assemble the artifact; the version is a hash of the mappings, so
+ * refitting on the same data keeps it
+ */
+function buildCalibrationArtifact({ extractors, skipped = {}, method, dataset, parserVersion = null, gazetteerVersion = null }) {
+  const mappings = Object.fromEntries(Object.entries(extractors).map(([name, entry]) => [name, entry.mapping]));
+  return {
+    schemaVersion: CALIBRATION_SCHEMA_VERSION,
+    version: hashContent(JSON.stringify({ method, mappings })),
+    createdAt: new Date().toISOString(),
+    parserVersion,
+    gazetteerVersion,
+    dataset,
+    method,
+    extractors,
+    skipped
+  };
+}
+
+/**
+ * Runtime view of an artifact
+ */
+class ConfidenceCalibration {
+  constructor(artifact = null) {
+    this.artifact = artifact;
+    this.version = artifact ? artifact.version : null;
+  }
+
+  has(extractor) {
+    return Boolean(this.artifact && this.artifact.extractors[extractor]);
+  }
+
+  get extractors() {
+    return this.artifact ? Object.keys(this.artifact.extractors) : [];
+  }
+
+  /**
+   * Probability (0-1) that the extractor's answer is right, or null
+   * when it has no mapping or no confidence
+   */
+  calibrate(extractor, confidence) {
+    if (!this.has(extractor) || typeof confidence !== 'number' || !Number.isFinite(confidence)) {
+      return null;
+    }
+    return applyMapping(this.artifact.extractors[extractor].mapping, confidence);
+  }
+}
+
+/**
+ * Read and check an artifact file
+ */
+function loadCalibration(filePath) {
+  const artifact = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (artifact.schemaVersion !== CALIBRATION_SCHEMA_VERSION) {
+    throw new Error(`${filePath}: calibration schema ${artifact.schemaVersion} is not supported (expected ${CALIBRATION_SCHEMA_VERSION})`);
+  }
+
+  Object.entries(artifact.extractors || {}).forEach(([name, entry]) => {
+    const mapping = entry && entry.mapping;
+    const valid = mapping && (mapping.method === 'platt'
+      ? Number.isFinite(mapping.a) && Number.isFinite(mapping.b)
+      : mapping.method === 'isotonic' && Array.isArray(mapping.points) && mapping.points.length >= 2);
+    if (!valid) {
+      throw new Error(`${filePath}: calibration for ${name} has no valid mapping`);
+    }
+  });
+
+  return new ConfidenceCalibration(artifact);
+}
+
+let instance = null;
+
+/**
+ * Shared calibration from CONFIDENCE_CALIBRATION_FILE; without one,
+ * nothing is calibrated
+ */
+function getConfidenceCalibration() {
+  if (!instance) {
+    const filePath = process.env.CONFIDENCE_CALIBRATION_FILE
+      ? path.resolve(process.env.CONFIDENCE_CALIBRATION_FILE)
+      : null;
+
+    if (!filePath) {
+      instance = new ConfidenceCalibration();
+    } else if (!fs.existsSync(filePath)) {
+      console.warn(`⚠️ Confidence calibration not loaded: ${filePath} does not exist`);
+      instance = new ConfidenceCalibration();
+    } else {
+      try {
+        instance = loadCalibration(filePath);
+        console.log(`📏 Confidence calibration ${instance.version} (${instance.extractors.join(', ')})`);
+      } catch (error) {
+        console.warn(`⚠️ Confidence calibration not loaded: ${error.message}`);
+        instance = new ConfidenceCalibration();
+      }
+    }
+  }
+  return instance;
+}
+
+module.exports = {
+  CALIBRATION_SCHEMA_VERSION,
+  CALIBRATION_METHODS,
+  DEFAULT_CALIBRATION_PATH,
+  MIN_CALIBRATION_SAMPLES,
+  MIN_DISTINCT_CONFIDENCES,
+  HOLDOUT_FRACTION,
+  splitCases,
+  toCalibrationSamples,
+  fitIsotonic,
+  fitPlatt,
+  applyMapping,
+  measureCalibration,
+  fitExtractor,
+  buildCalibrationArtifact,
+  ConfidenceCalibration,
+  loadCalibration,
+  getConfidenceCalibration
+};
@@ -0,0 +1,135 @@
+/**
+ * Convert the regression suite (tests/regression-test-suite.js) to the
+ * gold corpus format (see gold-corpus.js)
+ * Run: node utils/convert-regression-to-gold.js [output.jsonl]
+ *
+ * Codes are looked up in the gazetteer, spans and roles are located
+ * with the same helpers the parsers use, and the language is guessed
+ * from function words. Check the output before hand-editing the corpus.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { regressionTests } = require('../tests/regression-test-suite');
+const { normalizeLocationFields, pickCodes } = require('../parsers/location-parser-v5');
+const { validateLocation } = require('./gazetteer-validator');
+const { locateSpans } = require('./text-spans');
+const { classifyMentionRole } = require('./mention-roles');
+const { DEFAULT_GOLD_CORPUS_PATH, parseGoldCorpus } = require('./gold-corpus');
+
+const LEVELS = ['region', 'province', 'city', 'barangay'];
+
+const LANGUAGE_WORDS = {
+  ceb: ['gyud', 'amoa', 'nabalik', 'diri', 'karon', 'unsa', 'ato', 'ug', 'naa'],
+  tl: ['ang', 'ng', 'sa', 'namin', 'dito', 'taga', 'ako', 'kami', 'kahapon', 'pa', 'wala', 'walang', 'kwenta', 'naka', 'na', 'po', 'mo', 'naman'],
+  en: ['the', 'is', 'we', 'have', 'no', 'same', 'here', 'just', 'about', 'internet', 'connection', 'down', 'from', 'location', 'near',
+    'its', 'been', 'days', 'now', 'today', 'got', 'installed', 'there', 'outage', 'for', 'what', 'happening', 'so', 'since', 'still',
+    'problem', 'every', 'weekend', 'asking', 'service', 'terrible', 'apparently', 'issue', 'light', 'blinking', 'in', 'mine']
+};
+
+/**
+ * First guess at the language: Bisaya words win, Tagalog plus English
+ * is Taglish, place names alone are "other"
+ */
+function guessLanguage(text) {
+  const words = new Set(String(text).toLowerCase().match(/[a-z']+/g) || []);
+  const has = (language) => LANGUAGE_WORDS[language].some(word => words.has(word));
+
+  if (has('ceb')) return 'ceb';
+  if (has('tl')) return has('en') ? 'taglish' : 'tl';
+  return has('en') ? 'en' : 'other';
+}
+
+/**
+ * Gazetteer codes for the levels a label names; none when the label
+ * doesn't verify, so a guessed code never ends up in the gold data
+ */
+function lookupGoldCodes(expected) {
+  const { location, gazetteer } = validateLocation(normalizeLocationFields(expected));
+  const codes = pickCodes(null);
+  if (!['verified', 'partial'].includes(gazetteer.status)) return codes;
+
+  LEVELS.forEach(level => {
+    if (expected[level]) codes[`${level}Code`] = location[`${level}Code`] || null;
+  });
+  return codes;
+}
+
+/**
+ * Where the labeled location is written: the union of its level spans
+ */
+function locateMention(text, expected) {
+  const found = Object.values(locateSpans(text, expected).spans).filter(Boolean);
+  if (found.length === 0) return null;
+
+  const start = Math.min(...found.map(span => span.start));
+  const end = Math.max(...found.map(span => span.end));
+  return { start, end, text: text.slice(start, end) };
+}
+
+/**
+ * One regression test as a gold record
+ */
+function regressionTestToGold(test, index) {
+  const record = {
+    id: `reg-${String(index + 1).padStart(3, '0')}`,
+    text: test.text,
+    language: guessLanguage(test.text),
+    source: 'regression-test-suite',
+    category: test.category,
+    ...(test.reason && { notes: test.reason }),
+    mentions: []
+  };
+
+  if (test.expected) {
+    const location = {};
+    LEVELS.forEach(level => {
+      location[level] = test.expected[level] || null;
+    });
+
+    const span = locateMention(test.text, test.expected);
+    const role = span ? classifyMentionRole(test.text, span.start) : 'mentioned';
+
+    record.mentions.push({
+      span,
+      role: role === 'negated' ? 'mentioned' : role,
+      primary: true,
+      location,
+      codes: lookupGoldCodes(test.expected),
+      acceptable: []
+    });
+  }
+
+  return record;
+}
+
+function main() {
+  const outputPath = path.resolve(process.argv[2] || DEFAULT_GOLD_CORPUS_PATH);
+  const records = regressionTests.map(regressionTestToGold);
+  const content = records.map(record => JSON.stringify(record)).join('\n') + '\n';
+
+  const { errors } = parseGoldCorpus(content, path.basename(outputPath));
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(`❌ ${error.message}`));
+    process.exitCode = 1;
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, content);
+
+  const mentions = records.flatMap(record => record.mentions);
+  console.log(`Converted ${records.length} regression tests (${mentions.length} with a location)`);
+  console.log(`- without a located span: ${mentions.filter(mention => !mention.span).length}`);
+  console.log(`- without a city or barangay code: ${mentions.filter(mention => (mention.location.city && !mention.codes.cityCode) || (mention.location.barangay && !mention.codes.barangayCode)).length}`);
+  console.log(`\nData saved to: ${outputPath}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  guessLanguage,
+  regressionTestToGold
+};
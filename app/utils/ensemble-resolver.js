@@ -0,0 +1,271 @@
+/**
+ * Ensemble Resolver
+ * Runs several extractors on the same text and reconciles their answers
+ * level by level (region, then province, city, barangay) with weighted
+ * voting. A vote weighs its extractor's weight times its confidence, or
+ * its calibrated probability when the extractor has a calibration.
+ * Calibration measures how often a returned place is right, not whether
+ * the text names one, so "location or not" is voted on raw confidence.
+ * At each level the heaviest answer wins, and answers that contradict
+ * it drop out of the deeper levels, so the result is always one
+ * consistent hierarchy. Extractors that don't name a level abstain.
+ *
+ * The result carries the share of vote weight behind each level and
+ * behind the whole answer (`agreement`), the answers that lost
+ * (`dissent`), and a confidence scaled by the overall agreement.
+ */
+
+const { LEVELS, getLevelKeys, keyCovers } = require('./evaluation');
+const { sumUsage } = require('./usage-tracker');
+
+// The five extractors the ensemble can run ("hybrid" is itself a mix of two)
+const ENSEMBLE_MEMBERS = ['v2', 'v3', 'v4', 'enhanced', 'llm'];
+
+const ENSEMBLE_DEFAULTS = {
+  extractors: ENSEMBLE_MEMBERS,
+  weights: { v2: 1, v3: 1, v4: 1, enhanced: 1, llm: 1.5 }
+};
+
+// Confidence assumed for parsers that don't report one
+const DEFAULT_VOTE_CONFIDENCE = 50;
+
+function parseExtractorList(value) {
+  return String(value).split(',').map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Server-wide ensemble defaults from the environment
+ * ENSEMBLE_EXTRACTORS=v2,v3,llm  ENSEMBLE_WEIGHTS=llm:2,v2:1
+ */
+function getEnvEnsemble() {
+  const env = process.env;
+  const ensemble = {};
+
+  if (env.ENSEMBLE_EXTRACTORS) ensemble.extractors = parseExtractorList(env.ENSEMBLE_EXTRACTORS);
+  if (env.ENSEMBLE_WEIGHTS) {
+    ensemble.weights = Object.fromEntries(parseExtractorList(env.ENSEMBLE_WEIGHTS).map(pair => {
+      const [name, weight] = pair.split(':').map(part => part.trim());
+      return [name, Number(weight)];
+    }));
+  }
+
+  return ensemble;
+}
+
+/**
+ * Combine request ensemble options with server defaults
+ * Returns { extractors, weights }, or { error } when the options are invalid
+ */
+function resolveEnsemble(requested = {}, defaults = getEnvEnsemble()) {
+  if (requested === null || typeof requested !== 'object' || Array.isArray(requested)) {
+    return { error: 'ensemble must be an object' };
+  }
+
+  const extractors = requested.extractors !== undefined ? requested.extractors : (defaults.extractors || ENSEMBLE_DEFAULTS.extractors);
+  if (!Array.isArray(extractors) || extractors.length === 0) {
+    return { error: 'ensemble.extractors must be a non-empty list' };
+  }
+  const unknown = extractors.filter(name => !ENSEMBLE_MEMBERS.includes(name));
+  if (unknown.length > 0) {
+    return { error: `Unknown ensemble extractor(s) ${unknown.join(', ')}; expected ${ENSEMBLE_MEMBERS.join(', ')}` };
+  }
+
+  const weights = { ...ENSEMBLE_DEFAULTS.weights, ...defaults.weights, ...requested.weights };
+  for (const [name, weight] of Object.entries(weights)) {
+    if (!ENSEMBLE_MEMBERS.includes(name)) {
+      return { error: `ensemble.weights has an unknown extractor "${name}"` };
+    }
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      return { error: `ensemble.weights.${name} must be a non-negative number` };
+    }
+  }
+
+  return { extractors: [...new Set(extractors)], weights };
+}
+
+/**
+ * Whether a vote agrees with the winning key at a level
+ * A vote that doesn't name the level agrees unless a deeper code of
+ * its own lies outside the winner
+ */
+function agreesAt(keys, level, winner) {
+  if (keys[level]) return keys[level] === winner;
+  if (winner.startsWith('name:')) return true;
+
+  return LEVELS.slice(LEVELS.indexOf(level) + 1)
+    .every(deeper => !keys[deeper] || keys[deeper].startsWith('name:') || keyCovers(keys[deeper], winner));
+}
+
+function sumWeights(votes, field = 'weight') {
+  return votes.reduce((total, vote) => total + vote[field], 0);
+}
+
+function share(part, whole) {
+  return whole > 0 ? Number((part / whole).toFixed(4)) : null;
+}
+
+/**
+ * Average confidence of the votes behind the answer, by vote weight
+ */
+function averageConfidence(votes) {
+  const total = sumWeights(votes);
+  if (total === 0) return 0;
+  return votes.reduce((sum, vote) => sum + vote.weight * vote.confidence, 0) / total;
+}
+
+function toDissent(vote, level) {
+  return {
+    extractor: vote.extractor,
+    location: vote.location,
+    confidence: vote.rawConfidence,
+    method: vote.method,
+    // First level where the answer differs; null when it disagrees on whether there is a location
+    level
+  };
+}
+
+/**
+ * Reconcile member answers into one result
+ * answers: [{ extractor, weight, location, confidence, probability?, method }]
+ * where location is a display location with codes, or null for "no location"
+ */
+function resolveVotes(answers) {
+  const votes = answers.map(answer => {
+    const raw = typeof answer.confidence === 'number' ? answer.confidence : DEFAULT_VOTE_CONFIDENCE;
+    const confidence = typeof answer.probability === 'number' ? answer.probability * 100 : raw;
+    return {
+      ...answer,
+      rawConfidence: answer.confidence ?? null,
+      confidence,
+      weight: answer.weight * confidence / 100,
+      presenceWeight: answer.weight * raw / 100,
+      keys: getLevelKeys(answer.location)
+    };
+  });
+
+  const located = votes.filter(vote => LEVELS.some(level => vote.keys[level]));
+  const empty = votes.filter(vote => !located.includes(vote));
+  const total = sumWeights(votes, 'presenceWeight');
+  const levels = { region: null, province: null, city: null, barangay: null };
+
+  // Ties go to "no location"
+  if (total === 0 || sumWeights(located, 'presenceWeight') <= sumWeights(empty, 'presenceWeight')) {
+    const presence = share(sumWeights(empty, 'presenceWeight'), total);
+    return {
+      location: null,
+      confidence: Math.round(averageConfidence(empty) * (presence || 0)),
+      agreement: { overall: presence, presence, levels },
+      supporters: empty.map(vote => vote.extractor),
+      dissent: located.map(vote => toDissent(vote, null))
+    };
+  }
+
+  const location = {
+    ...Object.fromEntries(LEVELS.map(level => [level, 'None'])),
+    ...Object.fromEntries(LEVELS.map(level => [`${level}Code`, null]))
+  };
+  const dissentAt = new Map();
+  let pool = located;
+
+  LEVELS.forEach(level => {
+    const naming = pool.filter(vote => vote.keys[level]);
+    if (naming.length === 0) return;
+
+    const tally = new Map();
+    naming.forEach(vote => {
+      const entry = tally.get(vote.keys[level]) || { weight: 0, votes: [] };
+      entry.weight += vote.weight;
+      entry.votes.push(vote);
+      tally.set(vote.keys[level], entry);
+    });
+
+    // Heaviest key wins; ties keep the first member's answer
+    const [winner, { weight, votes: backers }] = [...tally.entries()]
+      .reduce((best, entry) => (entry[1].weight > best[1].weight ? entry : best));
+
+    const source = backers.reduce((best, vote) => (vote.weight > best.weight ? vote : best));
+    location[level] = source.location[level];
+    location[`${level}Code`] = source.location[`${level}Code`] || null;
+    levels[level] = share(weight, sumWeights(naming));
+
+    pool = pool.filter(vote => {
+      if (agreesAt(vote.keys, level, winner)) return true;
+      dissentAt.set(vote, level);
+      return false;
+    });
+  });
+
+  // Share of the located weight behind the answer, times the share that found a location
+  const presence = share(sumWeights(located, 'presenceWeight'), total);
+  const locatedWeight = sumWeights(located);
+  const overall = locatedWeight > 0 ? Number((presence * sumWeights(pool) / locatedWeight).toFixed(4)) : 0;
+  return {
+    location,
+    confidence: Math.round(averageConfidence(pool) * overall),
+    agreement: { overall, presence, levels },
+    supporters: pool.map(vote => vote.extractor),
+    dissent: [
+      ...located.filter(vote => dissentAt.has(vote)).map(vote => toDissent(vote, dissentAt.get(vote))),
+      ...empty.map(vote => toDissent(vote, null))
+    ]
+  };
+}
+
+/**
+ * Ensemble over registry extractors (see extractor-registry.js)
+ * Members that are unavailable, throw or report an error don't vote;
+ * they are listed in `skipped` and `errors`
+ * Returns { members, skipped, extract(text) }
+ */
+function createEnsemble(extractors, weights = ENSEMBLE_DEFAULTS.weights) {
+  const members = extractors.filter(extractor => extractor.available);
+  const skipped = extractors
+    .filter(extractor => !extractor.available)
+    .map(extractor => ({ extractor: extractor.name, reason: extractor.unavailableReason }));
+
+  async function extract(text) {
+    const outcomes = await Promise.all(members.map(async member => {
+      try {
+        return { member, result: await member.extract(text) };
+      } catch (error) {
+        return { member, result: { location: null, confidence: null, method: 'error', error: error.message } };
+      }
+    }));
+
+    const errors = outcomes
+      .filter(({ result }) => result.error)
+      .map(({ member, result }) => ({ extractor: member.name, error: result.error }));
+    const answers = outcomes
+      .filter(({ result }) => !result.error)
+      .map(({ member, result }) => ({
+        extractor: member.name,
+        weight: weights[member.name] ?? 1,
+        location: result.location,
+        confidence: result.confidence,
+        probability: result.probability ?? null,
+        method: result.method
+      }));
+
+    const resolved = resolveVotes(answers);
+    const usage = outcomes.map(({ result }) => result.usage).filter(Boolean);
+    return {
+      ...resolved,
+      method: answers.length > 0 ? 'ensemble' : 'ensemble_no_votes',
+      members: members.map(member => member.name),
+      skipped,
+      errors,
+      ...(usage.length > 0 && { usage: sumUsage(usage) })
+    };
+  }
+
+  return { members: members.map(member => member.name), skipped, extract };
+}
+
+module.exports = {
+  ENSEMBLE_MEMBERS,
+  ENSEMBLE_DEFAULTS,
+  getEnvEnsemble,
+  resolveEnsemble,
+  resolveVotes,
+  createEnsemble
+};
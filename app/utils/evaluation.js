@@ -0,0 +1,399 @@
+/**
+ * Evaluation Harness
+ * Scores an extractor (see extractor-registry) against labeled texts:
+ * - precision / recall / F1 per level (region, province, city, barangay)
+ * - hierarchy-aware partial credit: a gold level counts as found when the
+ *   prediction names it or names something inside it (Mandaue for gold
+ *   Cebu City still gets region and province)
+ * - confusion by region, and the worst failures
+ * Levels are compared by PSGC code, falling back to the normalized
+ * name when a level doesn't resolve to a code.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getLocationIndex } = require('../parsers/hierarchical-location-index');
+const { normalizeLocationFields, hasLocationData } = require('../parsers/location-parser-v5');
+const { validateLocation } = require('./gazetteer-validator');
+const { DEFAULT_GOLD_CORPUS_PATH, loadGoldCorpus, toEvaluationCase } = require('./gold-corpus');
+const { toCalibrationSamples, measureCalibration } = require('./confidence-calibration');
+
+const LEVELS = ['region', 'province', 'city', 'barangay'];
+
+const NO_REGION = '(none)';
+
+function isMissing(value) {
+  return !value || typeof value !== 'string' || value.trim() === '' || value.trim().toLowerCase() === 'none';
+}
+
+/**
+ * Comparison key per level: the PSGC code, else "name:<key>" of the
+ * gazetteer's name for it (NCR's districts have no province code, so
+ * they compare as "Metro Manila"), else of the name as given
+ * Levels the location doesn't name are null
+ */
+function getLevelKeys(location) {
+  const keys = { region: null, province: null, city: null, barangay: null };
+  if (!location || !hasLocationData(location)) return keys;
+
+  const index = getLocationIndex();
+  const fields = normalizeLocationFields(location);
+  const { location: snapped } = validateLocation(fields);
+
+  LEVELS.forEach(level => {
+    if (isMissing(fields[level])) return;
+    const code = fields[`${level}Code`] || snapped[`${level}Code`];
+    const name = isMissing(snapped[level]) ? fields[level] : snapped[level];
+    keys[level] = code || `name:${index.normalizeKey(name)}`;
+  });
+  return keys;
+}
+
+/**
+ * Whether a predicted key names the gold level or a place inside it
+ * Codes nest: "0730600000" (Cebu City) is inside "0702200000" (Cebu) and "0700000000"
+ */
+function keyCovers(predKey, goldKey) {
+  if (!predKey || !goldKey) return false;
+  if (predKey === goldKey) return true;
+  return !goldKey.startsWith('name:') && !predKey.startsWith('name:') && getLocationIndex().isWithin(predKey, goldKey);
+}
+
+/**
+ * Per-level outcome: correct, wrong, missed, spurious, or null when
+ * neither side names the level
+ */
+function compareLevels(goldKeys, predKeys) {
+  const outcome = {};
+  LEVELS.forEach(level => {
+    const gold = goldKeys[level];
+    const pred = predKeys[level];
+    outcome[level] = !gold && !pred ? null
+      : !pred ? 'missed'
+        : !gold ? 'spurious'
+          : gold === pred ? 'correct' : 'wrong';
+  });
+  return outcome;
+}
+
+/**
+ * Share of gold levels the prediction covers (0-1)
+ * A text with no gold location scores 1 only if nothing was predicted
+ */
+function getPartialCredit(goldKeys, predKeys) {
+  const goldLevels = LEVELS.filter(level => goldKeys[level]);
+  const predicted = LEVELS.map(level => predKeys[level]).filter(Boolean);
+
+  if (goldLevels.length === 0) {
+    return predicted.length === 0 ? 1 : 0;
+  }
+
+  const covered = goldLevels.filter(level => predicted.some(key => keyCovers(key, goldKeys[level])));
+  return covered.length / goldLevels.length;
+}
+
+/**
+ * Region label for the confusion table, taken from the region level or
+ * from the code of any deeper level
+ */
+function getRegionLabel(keys) {
+  const code = LEVELS.map(level => keys[level]).find(key => key && !key.startsWith('name:'));
+  if (!code) return keys.region ? keys.region.slice(5) : NO_REGION;
+
+  const index = getLocationIndex();
+  const region = index.findByCode(`${code.slice(0, 2)}00000000`);
+  return region ? index.getRegionDisplayName(region.regionCode) : code;
+}
+
+function ratio(numerator, denominator) {
+  return denominator ? Number((numerator / denominator).toFixed(4)) : 0;
+}
+
+function toLevelMetrics({ tp, fp, fn }) {
+  const precision = ratio(tp, tp + fp);
+  const recall = ratio(tp, tp + fn);
+  const f1 = precision + recall ? Number(((2 * precision * recall) / (precision + recall)).toFixed(4)) : 0;
+  return { tp, fp, fn, precision, recall, f1 };
+}
+
+/**
+ * Score one labeled case against a prediction
+ * With `acceptable` answers (ambiguous mentions), the prediction is
+ * scored against whichever gold answer it matches best
+ */
+function scoreCase(testCase, prediction) {
+  const predKeys = getLevelKeys(prediction.location);
+  const answers = [testCase.expected || null, ...(testCase.acceptable || [])];
+
+  const best = answers
+    .map((answer, index) => {
+      const goldKeys = getLevelKeys(answer);
+      const levels = compareLevels(goldKeys, predKeys);
+      return {
+        answer,
+        index,
+        goldKeys,
+        levels,
+        exact: LEVELS.every(level => levels[level] === null || levels[level] === 'correct'),
+        partialCredit: getPartialCredit(goldKeys, predKeys)
+      };
+    })
+    .sort((a, b) => (b.exact - a.exact) || (b.partialCredit - a.partialCredit) || (a.index - b.index))[0];
+
+  return {
+    id: testCase.id,
+    text: testCase.text,
+    category: testCase.category || 'Uncategorized',
+    expected: best.answer,
+    ...(best.index > 0 && { matchedAcceptable: best.index - 1 }),
+    predicted: prediction.location || null,
+    confidence: prediction.confidence ?? null,
+    ...(typeof prediction.probability === 'number' && { probability: prediction.probability }),
+    method: prediction.method || null,
+    ...(prediction.error && { error: prediction.error }),
+    levels: best.levels,
+    exact: best.exact,
+    partialCredit: Number(best.partialCredit.toFixed(4)),
+    goldRegion: getRegionLabel(best.goldKeys),
+    predictedRegion: getRegionLabel(predKeys)
+  };
+}
+
+/**
+ * Aggregate scored cases into the extractor's report
+ * worst: how many failures to list (lowest credit, then most confident)
+ */
+function summarizeCases(scored, { worst = 20 } = {}) {
+  const counts = {};
+  LEVELS.forEach(level => {
+    counts[level] = { tp: 0, fp: 0, fn: 0 };
+  });
+
+  const confusion = {};
+  const byCategory = {};
+  let falsePositives = 0;
+  let falseNegatives = 0;
+
+  scored.forEach(result => {
+    LEVELS.forEach(level => {
+      const outcome = result.levels[level];
+      if (outcome === 'correct') counts[level].tp++;
+      if (outcome === 'wrong' || outcome === 'spurious') counts[level].fp++;
+      if (outcome === 'wrong' || outcome === 'missed') counts[level].fn++;
+    });
+
+    const goldEmpty = !hasLocationData(result.expected);
+    const predEmpty = !hasLocationData(result.predicted);
+    if (goldEmpty && !predEmpty) falsePositives++;
+    if (!goldEmpty && predEmpty) falseNegatives++;
+
+    confusion[result.goldRegion] = confusion[result.goldRegion] || {};
+    confusion[result.goldRegion][result.predictedRegion] = (confusion[result.goldRegion][result.predictedRegion] || 0) + 1;
+
+    const category = byCategory[result.category] || (byCategory[result.category] = { cases: 0, exact: 0, partialCredit: 0 });
+    category.cases++;
+    category.exact += result.exact ? 1 : 0;
+    category.partialCredit += result.partialCredit;
+  });
+
+  Object.values(byCategory).forEach(category => {
+    category.partialCredit = ratio(category.partialCredit, category.cases);
+  });
+
+  const levels = {};
+  LEVELS.forEach(level => {
+    levels[level] = toLevelMetrics(counts[level]);
+  });
+
+  const failures = scored
+    .filter(result => !result.exact)
+    .sort((a, b) => (a.partialCredit - b.partialCredit) || ((b.confidence ?? -1) - (a.confidence ?? -1)));
+
+  const samples = toCalibrationSamples(scored);
+
+  const labels = Array.from(new Set(scored.flatMap(result => [result.goldRegion, result.predictedRegion])))
+    .sort((a, b) => (a === NO_REGION) - (b === NO_REGION) || a.localeCompare(b));
+
+  return {
+    summary: {
+      cases: scored.length,
+      exactMatch: ratio(scored.filter(result => result.exact).length, scored.length),
+      partialCredit: ratio(scored.reduce((sum, result) => sum + result.partialCredit, 0), scored.length),
+      falsePositives,
+      falseNegatives,
+      errors: scored.filter(result => result.error).length
+    },
+    levels,
+    confusion: { labels, matrix: confusion },
+    byCategory,
+    // How well confidence predicts an exact match, over located answers
+    calibration: { samples: samples.length, ...measureCalibration(samples) },
+    worst: failures.slice(0, worst)
+  };
+}
+
+/**
+ * Run an extractor over the cases and score it
+ * Extractor errors are scored as "nothing found" and counted
+ */
+async function evaluateExtractor(extractor, cases, options = {}) {
+  const meta = {
+    name: extractor.name,
+    label: extractor.label,
+    kind: extractor.kind,
+    available: extractor.available
+  };
+  if (!extractor.available) {
+    return { ...meta, unavailableReason: extractor.unavailableReason };
+  }
+
+  const startedAt = Date.now();
+  const scored = [];
+  for (const testCase of cases) {
+    let prediction;
+    try {
+      prediction = await extractor.extract(testCase.text);
+    } catch (error) {
+      prediction = { location: null, confidence: null, method: 'error', error: error.message };
+    }
+    scored.push(scoreCase(testCase, prediction));
+    if (options.onProgress) options.onProgress(scored.length, cases.length);
+  }
+
+  return {
+    ...meta,
+    durationMs: Date.now() - startedAt,
+    ...summarizeCases(scored, options),
+    ...(options.includeCases && { cases: scored })
+  };
+}
+
+/**
+ * Labeled cases from a gold corpus (see gold-corpus.js), or from a
+ * .json array / .jsonl file of { id?, text, expected, category? }
+ * records (expected null = no location)
+ */
+function loadEvaluationCases(filePath = DEFAULT_GOLD_CORPUS_PATH) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const records = path.extname(filePath).toLowerCase() === '.jsonl'
+    ? content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+    : JSON.parse(content);
+
+  if (Array.isArray(records) && records.some(record => record && Array.isArray(record.mentions))) {
+    return loadGoldCorpus(filePath).map(toEvaluationCase);
+  }
+
+  if (!Array.isArray(records)) {
+    throw new Error(`${filePath}: expected an array of labeled cases`);
+  }
+  return records.map((record, i) => {
+    if (!record || typeof record.text !== 'string') {
+      throw new Error(`${filePath}: case ${i + 1} has no text`);
+    }
+    return { id: record.id || String(i + 1), text: record.text, expected: record.expected || null, category: record.category };
+  });
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+function percent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+function formatLocationCell(location) {
+  if (!hasLocationData(location)) return '<em>none</em>';
+  return LEVELS.slice().reverse().map(level => location[level]).filter(value => !isMissing(value)).map(escapeHtml).join(', ');
+}
+
+function renderExtractorSection(result) {
+  if (!result.available) {
+    return `<section><h2>${escapeHtml(result.name)} <small>${escapeHtml(result.label)}</small></h2><p class="muted">Not run: ${escapeHtml(result.unavailableReason)}</p></section>`;
+  }
+
+  const levelRows = LEVELS.map(level => {
+    const metrics = result.levels[level];
+    return `<tr><td>${level}</td><td>${percent(metrics.precision)}</td><td>${percent(metrics.recall)}</td><td>${percent(metrics.f1)}</td><td>${metrics.tp}</td><td>${metrics.fp}</td><td>${metrics.fn}</td></tr>`;
+  }).join('');
+
+  const { labels, matrix } = result.confusion;
+  const confusionRows = labels.map(gold => `<tr><th>${escapeHtml(gold)}</th>${labels.map(pred => {
+    const count = (matrix[gold] && matrix[gold][pred]) || 0;
+    return `<td class="${count ? (gold === pred ? 'hit' : 'miss') : ''}">${count || ''}</td>`;
+  }).join('')}</tr>`).join('');
+
+  const categoryRows = Object.entries(result.byCategory).map(([category, stats]) =>
+    `<tr><td>${escapeHtml(category)}</td><td>${stats.cases}</td><td>${percent(stats.exact / stats.cases)}</td><td>${percent(stats.partialCredit)}</td></tr>`
+  ).join('');
+
+  const worstRows = result.worst.map(failure => `<tr><td>${escapeHtml(failure.text)}</td><td>${formatLocationCell(failure.expected)}</td><td>${formatLocationCell(failure.predicted)}</td><td>${LEVELS.map(level => failure.levels[level] ? `${level}: ${failure.levels[level]}` : '').filter(Boolean).join('<br>')}</td><td>${percent(failure.partialCredit)}</td><td>${failure.confidence ?? ''}</td></tr>`).join('');
+
+  const { calibration } = result;
+  const calibrationLine = calibration && calibration.samples > 0
+    ? `<p>Confidence over ${calibration.samples} located answers: Brier ${calibration.brier.raw} raw` +
+      `${calibration.brier.calibrated === null ? '' : `, ${calibration.brier.calibrated} calibrated`} &middot; ` +
+      `ECE ${calibration.ece.raw} raw${calibration.ece.calibrated === null ? '' : `, ${calibration.ece.calibrated} calibrated`}</p>\n`
+    : '';
+
+  return `<section>
+<h2>${escapeHtml(result.name)} <small>${escapeHtml(result.label)}</small></h2>
+<p>Exact match ${percent(result.summary.exactMatch)} &middot; partial credit ${percent(result.summary.partialCredit)} &middot; ${result.summary.falsePositives} false positives &middot; ${result.summary.falseNegatives} false negatives &middot; ${result.summary.errors} errors &middot; ${result.durationMs} ms</p>
+${calibrationLine}<h3>Per level</h3>
+<table><tr><th>Level</th><th>Precision</th><th>Recall</th><th>F1</th><th>TP</th><th>FP</th><th>FN</th></tr>${levelRows}</table>
+<h3>Confusion by region <small>(rows: gold, columns: predicted)</small></h3>
+<table class="confusion"><tr><th></th>${labels.map(label => `<th>${escapeHtml(label)}</th>`).join('')}</tr>${confusionRows}</table>
+<h3>By category</h3>
+<table><tr><th>Category</th><th>Cases</th><th>Exact</th><th>Partial credit</th></tr>${categoryRows}</table>
+<h3>Worst failures</h3>
+<table><tr><th>Text</th><th>Expected</th><th>Predicted</th><th>Levels</th><th>Credit</th><th>Confidence</th></tr>${worstRows}</table>
+</section>`;
+}
+
+/**
+ * Static HTML page for an evaluation report (no scripts, no external assets)
+ */
+function renderHtmlReport(report) {
+  const ran = report.extractors.filter(result => result.available);
+  const overviewRows = ran.map(result => `<tr><td>${escapeHtml(result.name)}</td><td>${percent(result.summary.exactMatch)}</td><td>${percent(result.summary.partialCredit)}</td>${LEVELS.map(level => `<td>${percent(result.levels[level].f1)}</td>`).join('')}</tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Location Parser Evaluation - ${escapeHtml(report.dataset.name)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; margin: 0.5rem 0 1.5rem; }
+th, td { border: 1px solid #ccc; padding: 0.3rem 0.6rem; text-align: left; vertical-align: top; }
+th { background: #f3f3f3; }
+.confusion td { text-align: center; min-width: 2rem; }
+.hit { background: #d8f0d8; }
+.miss { background: #f6d6d6; }
+.muted, small { color: #777; font-weight: normal; }
+section { border-top: 2px solid #ddd; margin-top: 2rem; }
+</style>
+</head>
+<body>
+<h1>Location Parser Evaluation</h1>
+<p class="muted">Dataset: ${escapeHtml(report.dataset.name)} (${report.dataset.cases} cases) &middot; generated ${escapeHtml(report.generatedAt)} &middot; parser ${escapeHtml(report.parserVersion)}</p>
+<h2>Overview</h2>
+<table><tr><th>Extractor</th><th>Exact</th><th>Partial credit</th>${LEVELS.map(level => `<th>${level} F1</th>`).join('')}</tr>${overviewRows}</table>
+${report.extractors.map(renderExtractorSection).join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  LEVELS,
+  getLevelKeys,
+  keyCovers,
+  compareLevels,
+  getPartialCredit,
+  scoreCase,
+  summarizeCases,
+  evaluateExtractor,
+  loadEvaluationCases,
+  renderHtmlReport
+};
@@ -0,0 +1,223 @@
+/**
+ * Extractor Registry
+ * Every location extractor in the repo behind one interface, so tools
+ * (the evaluation harness, the ensemble) can run any of them on the same texts:
+ *   extract(text) -> { location, confidence, method }
+ * `location` is a display location with codes, or null when nothing
+ * was found; `confidence` is 0-100, or null for parsers that don't
+ * report one. Parsers whose data files are missing are reported as
+ * unavailable instead of failing on require. With a calibration (see
+ * confidence-calibration.js) answers also carry `probability` (0-1).
+ */
+
+const path = require('path');
+const { HierarchicalLocationParserV2 } = require('../parsers/hierarchical-parser-v2');
+const { getLocationIndex } = require('../parsers/hierarchical-location-index');
+const { normalizeLocation } = require('../parsers/location-normalizer');
+const { normalizeLocationFields, hasLocationData } = require('../parsers/location-parser-v5');
+const { validateLocation, lookupCodes } = require('./gazetteer-validator');
+const {
+  DEFAULT_HYBRID_THRESHOLD,
+  extractWithRules,
+  isConfidentRuleResult,
+  getOptionalEnhancedMatcher
+} = require('./rule-based-extractor');
+const { isFailedLLMResult } = require('./llm-output');
+const { ENSEMBLE_DEFAULTS, createEnsemble } = require('./ensemble-resolver');
+
+const APP_ROOT = path.join(__dirname, '..');
+
+const EXTRACTORS = {
+  v2: { label: 'HierarchicalLocationParserV2', kind: 'rules' },
+  v3: { label: 'hierarchical-parser-v3', kind: 'rules' },
+  v4: { label: 'location-parser-v4', kind: 'rules' },
+  enhanced: { label: 'EnhancedLocationMatcher', kind: 'rules' },
+  llm: { label: 'LLMExtractor (LLM-first)', kind: 'llm' },
+  hybrid: { label: 'Hybrid (rules, LLM fallback)', kind: 'llm' },
+  ensemble: { label: 'Ensemble (weighted vote)', kind: 'ensemble' }
+};
+
+const EXTRACTOR_NAMES = Object.keys(EXTRACTORS);
+
+/**
+ * Raw parser output (any casing, codes or not) as a display location
+ */
+function toDisplayLocation(raw) {
+  if (!raw) return null;
+
+  const normalized = normalizeLocation({
+    region: raw.region || 'None',
+    province: raw.province || 'None',
+    city: raw.city || raw.municipality || 'None',
+    barangay: raw.barangay || 'None'
+  });
+  const location = normalizeLocationFields(normalized);
+
+  if (!hasLocationData(location)) return null;
+  const codes = raw.regionCode ? getLocationIndex().getCodes(raw) : lookupCodes(location);
+  return { ...location, ...codes };
+}
+
+function toConfidence(value) {
+  return typeof value === 'number' ? Math.round(Math.min(value, 1) * 100) : null;
+}
+
+/**
+ * Parser modules are required on first use; v3's and v4's data may not
+ * be bundled. Errors name files relative to the app, never where it is
+ * installed.
+ */
+function loadParser(modulePath) {
+  try {
+    return { parser: require(modulePath) };
+  } catch (error) {
+    return { error: error.message.split('\n')[0].split(`${APP_ROOT}${path.sep}`).join('') };
+  }
+}
+
+/**
+ * LLMExtractor answer snapped to the gazetteer, as the v5 server does
+ */
+async function extractWithLLM(llmExtractor, text) {
+  const llmResult = await llmExtractor.extractLocation(text);
+  const usage = llmResult.usage ? { usage: llmResult.usage } : {};
+  if (isFailedLLMResult(llmResult)) {
+    return { location: null, confidence: null, method: llmResult.method, error: llmResult.error, ...usage };
+  }
+  if (!llmResult.hasLocation || !llmResult.location) {
+    return { location: null, confidence: llmResult.confidence ?? null, method: llmResult.method || 'llm_no_location', ...usage };
+  }
+
+  const { location } = validateLocation(normalizeLocationFields(llmResult.location));
+  return {
+    location: hasLocationData(location) ? location : null,
+    confidence: llmResult.confidence ?? null,
+    method: hasLocationData(location) ? llmResult.method || 'llm_extracted' : 'llm_unverified',
+    ...usage
+  };
+}
+
+function buildExtractor(name, options) {
+  const { llmExtractor = null, hybridThreshold = DEFAULT_HYBRID_THRESHOLD, ensemble = ENSEMBLE_DEFAULTS } = options;
+
+  switch (name) {
+    case 'v2': {
+      const parser = new HierarchicalLocationParserV2();
+      return {
+        extract: async (text) => {
+          const detailed = parser.parseLocationDetailed(text);
+          return {
+            location: detailed ? toDisplayLocation(detailed.location) : null,
+            confidence: detailed ? toConfidence(detailed.confidence) : null,
+            method: detailed ? 'rule_based' : 'rule_based_no_match'
+          };
+        }
+      };
+    }
+
+    case 'v3':
+    case 'v4': {
+      const { parser, error } = loadParser(name === 'v3' ? '../parsers/hierarchical-parser-v3' : '../parsers/location-parser-v4');
+      if (error) return { unavailable: error };
+      return {
+        extract: async (text) => {
+          const raw = parser.parseLocation(text);
+          return {
+            location: toDisplayLocation(raw),
+            confidence: raw ? toConfidence(raw.confidence) : null,
+            method: raw ? 'rule_based' : 'rule_based_no_match'
+          };
+        }
+      };
+    }
+
+    case 'enhanced': {
+      const matcher = getOptionalEnhancedMatcher();
+      if (!matcher) {
+        return { unavailable: 'Excel location index (data/philippines-locations-excel.json) is not available' };
+      }
+      return {
+        extract: async (text) => {
+          const match = matcher.findLocationWithBoundaries(text);
+          return {
+            location: toDisplayLocation(match),
+            confidence: match ? toConfidence(match.confidence) : null,
+            method: match ? 'rule_based' : 'rule_based_no_match'
+          };
+        }
+      };
+    }
+
+    case 'llm':
+    case 'hybrid':
+      if (!llmExtractor || !llmExtractor.enabled) {
+        return { unavailable: 'No LLM API key configured' };
+      }
+      if (name === 'llm') {
+        return { extract: (text) => extractWithLLM(llmExtractor, text) };
+      }
+      return {
+        extract: async (text) => {
+          const ruleResult = extractWithRules(text);
+          if (isConfidentRuleResult(ruleResult, hybridThreshold)) {
+            return { location: ruleResult.location, confidence: ruleResult.confidence, method: ruleResult.method };
+          }
+          const llmResult = await extractWithLLM(llmExtractor, text);
+          // Same fallback as the server: keep the rules' answer when the LLM call failed
+          if (llmResult.error && ruleResult.hasLocation) {
+            return { location: ruleResult.location, confidence: ruleResult.confidence, method: ruleResult.method, error: llmResult.error };
+          }
+          return llmResult;
+        }
+      };
+
+    case 'ensemble': {
+      const members = ensemble.extractors.map(member => createExtractor(member, options));
+      const built = createEnsemble(members, ensemble.weights);
+      if (built.members.length === 0) {
+        return { unavailable: `None of the ensemble extractors is available (${ensemble.extractors.join(', ')})` };
+      }
+      return { extract: built.extract, members: built.members };
+    }
+
+    default:
+      throw new Error(`Unknown extractor "${name}"; expected one of ${EXTRACTOR_NAMES.join(', ')}`);
+  }
+}
+
+/**
+ * Create an extractor by name
+ * Options: llmExtractor (needed by llm and hybrid), hybridThreshold,
+ * ensemble ({ extractors, weights } from resolveEnsemble), calibration
+ * (a ConfidenceCalibration; ensemble members vote with it too)
+ * Returns { name, label, kind, available, unavailableReason, extract },
+ * plus `members` (the available ones) for the ensemble
+ */
+function createExtractor(name, options = {}) {
+  const built = buildExtractor(name, options);
+  const { calibration = null } = options;
+
+  const extract = built.extract && calibration && calibration.has(name)
+    ? async (text) => {
+      const result = await built.extract(text);
+      return { ...result, probability: result.location ? calibration.calibrate(name, result.confidence) : null };
+    }
+    : built.extract;
+
+  return {
+    name,
+    ...EXTRACTORS[name],
+    available: !built.unavailable,
+    unavailableReason: built.unavailable || null,
+    calibrated: Boolean(calibration && calibration.has(name)),
+    ...(built.members && { members: built.members }),
+    extract: extract || null
+  };
+}
+
+module.exports = {
+  EXTRACTORS,
+  EXTRACTOR_NAMES,
+  toDisplayLocation,
+  createExtractor
+};
@@ -0,0 +1,290 @@
+/**
+ * Few-Shot Example Selection
+ * Picks the labeled examples most similar to a text from a local JSONL
+ * corpus (data/few-shot-examples.jsonl) for the extraction prompt.
+ * Similarity is character n-gram TF-IDF with cosine scoring: offline,
+ * no embeddings, and tolerant of the spelling variants of Taglish and
+ * Bisaya comments ("dto sa", "d2 sa", "dito sa"). Teams tune the
+ * extractor to their own dialect or ISP vocabulary by adding lines to
+ * the corpus.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hashContent } = require('./provenance');
+const { OUTPUT_SCHEMAS } = require('./llm-output');
+
+const DEFAULT_CORPUS_PATH = path.join(__dirname, '..', 'data', 'few-shot-examples.jsonl');
+
+const FEW_SHOT_DEFAULTS = {
+  k: 5,              // Examples per prompt
+  minNgram: 3,       // Shortest character n-gram
+  maxNgram: 5,       // Longest character n-gram
+  minNegatives: 1    // No-location examples always included
+};
+
+// Built-in examples, used when no corpus is available
+const DEFAULT_EXAMPLES = [
+  {
+    text: 'dito sa QC walang internet',
+    output: { hasLocation: true, confidence: 95, location: { region: 'National Capital Region (NCR)', province: 'Metro Manila', city: 'Quezon City', barangay: 'None' }, reasoning: 'QC is Quezon City in Metro Manila' }
+  },
+  {
+    text: 'Brgy. 171, North Caloocan. Hehe.',
+    output: { hasLocation: true, confidence: 100, location: { region: 'National Capital Region (NCR)', province: 'Metro Manila', city: 'Caloocan City', barangay: '171' }, reasoning: 'Explicit barangay and city mention' }
+  },
+  {
+    text: '@enjoyGLOBE fix your service!',
+    output: { hasLocation: false, confidence: 100, location: null, reasoning: 'Only contains company mention, no user location' }
+  },
+  {
+    text: 'dto sa Burgos wala pa rin',
+    output: { hasLocation: true, confidence: 85, location: { region: 'Cagayan Valley', province: 'Isabela', city: 'Burgos', barangay: 'None' }, reasoning: 'Burgos municipality in Isabela based on context' }
+  },
+  {
+    text: 'area Rizal since yesterday',
+    output: { hasLocation: true, confidence: 90, location: { region: 'CALABARZON', province: 'Rizal', city: 'None', barangay: 'None' }, reasoning: 'Rizal province mentioned' }
+  }
+];
+
+/**
+ * Lowercased text with whitespace collapsed and padded, so n-grams
+ * also mark the start and end of words
+ */
+function normalizeText(text) {
+  return ` ${String(text || '').toLowerCase().replace(/\s+/g, ' ').trim()} `;
+}
+
+/**
+ * Character n-gram counts of a text
+ */
+function countNgrams(text, minNgram, maxNgram) {
+  const normalized = normalizeText(text);
+  const counts = new Map();
+
+  for (let size = minNgram; size <= maxNgram; size++) {
+    for (let i = 0; i + size <= normalized.length; i++) {
+      const gram = normalized.slice(i, i + size);
+      counts.set(gram, (counts.get(gram) || 0) + 1);
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Parse a JSONL corpus; lines that aren't valid examples are skipped
+ * with a warning naming the line
+ * Each line is { text, output } where output is an extraction answer
+ */
+function parseFewShotCorpus(content, source = 'few-shot corpus') {
+  const examples = [];
+
+  String(content || '').split('\n').forEach((line, i) => {
+    if (!line.trim()) return;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      console.warn(`⚠️ ${source}:${i + 1} is not JSON (${error.message}); skipped`);
+      return;
+    }
+
+    if (!entry || typeof entry.text !== 'string' || !entry.text.trim()) {
+      console.warn(`⚠️ ${source}:${i + 1} has no "text"; skipped`);
+      return;
+    }
+
+    const output = OUTPUT_SCHEMAS.extract.safeParse(entry.output);
+    if (!output.success) {
+      const issue = output.error.issues[0];
+      console.warn(`⚠️ ${source}:${i + 1} "output" is not an extraction answer (${issue.path.join('.') || 'output'}: ${issue.message}); skipped`);
+      return;
+    }
+
+    examples.push({ text: entry.text, output: output.data });
+  });
+
+  return examples;
+}
+
+/**
+ * Load a JSONL corpus file; null when the file doesn't exist
+ */
+function loadFewShotExamples(filePath = DEFAULT_CORPUS_PATH) {
+  if (!fs.existsSync(filePath)) return null;
+  return parseFewShotCorpus(fs.readFileSync(filePath, 'utf8'), path.basename(filePath));
+}
+
+class FewShotSelector {
+  /**
+   * `examples` are { text, output }; options override FEW_SHOT_DEFAULTS
+   */
+  constructor(examples, options = {}) {
+    this.options = { ...FEW_SHOT_DEFAULTS, ...options };
+    this.examples = examples;
+    // Changes whenever the corpus or the selection settings do
+    this.version = hashContent(JSON.stringify([this.options, examples]));
+
+    const documents = examples.map(example =>
+      countNgrams(example.text, this.options.minNgram, this.options.maxNgram));
+
+    const documentFrequency = new Map();
+    documents.forEach(counts => {
+      counts.forEach((count, gram) => documentFrequency.set(gram, (documentFrequency.get(gram) || 0) + 1));
+    });
+
+    // Smoothed IDF: n-grams shared by every example still count a little
+    this.idf = new Map();
+    documentFrequency.forEach((frequency, gram) => {
+      this.idf.set(gram, Math.log((examples.length + 1) / (frequency + 1)) + 1);
+    });
+
+    this.vectors = documents.map(counts => this.toVector(counts));
+  }
+
+  get size() {
+    return this.examples.length;
+  }
+
+  /**
+   * Unit-length TF-IDF vector; n-grams unseen in the corpus are dropped
+   */
+  toVector(counts) {
+    const vector = new Map();
+    let norm = 0;
+
+    counts.forEach((count, gram) => {
+      const idf = this.idf.get(gram);
+      if (!idf) return;
+      const weight = count * idf;
+      vector.set(gram, weight);
+      norm += weight * weight;
+    });
+
+    norm = Math.sqrt(norm);
+    if (norm > 0) vector.forEach((weight, gram) => vector.set(gram, weight / norm));
+    return vector;
+  }
+
+  /**
+   * Cosine similarity of a text to every example, in corpus order
+   */
+  score(text) {
+    const query = this.toVector(countNgrams(text, this.options.minNgram, this.options.maxNgram));
+
+    return this.vectors.map(vector => {
+      let dot = 0;
+      query.forEach((weight, gram) => {
+        const other = vector.get(gram);
+        if (other) dot += weight * other;
+      });
+      return dot;
+    });
+  }
+
+  /**
+   * The k examples most similar to a text, most similar first
+   * At least `minNegatives` no-location examples are kept so the model
+   * always sees what a null answer looks like; ties keep corpus order.
+   */
+  select(text, k = this.options.k) {
+    const scores = this.score(text);
+    const ranked = this.examples
+      .map((example, position) => ({ example, position, score: scores[position] }))
+      .sort((a, b) => b.score - a.score || a.position - b.position);
+
+    const isNegative = entry => !entry.example.output.hasLocation;
+    let chosen = ranked.slice(0, k);
+    const negatives = chosen.filter(isNegative);
+    const missing = Math.min(this.options.minNegatives, k) - negatives.length;
+
+    if (missing > 0) {
+      // Swap the least similar location examples for the best negatives
+      const extra = ranked.slice(k).filter(isNegative).slice(0, missing);
+      const positives = chosen.filter(entry => !isNegative(entry));
+      chosen = positives.slice(0, positives.length - extra.length)
+        .concat(negatives, extra)
+        .sort((a, b) => b.score - a.score || a.position - b.position);
+    }
+
+    return chosen.map(entry => entry.example);
+  }
+}
+
+/**
+ * Selector settings from the environment
+ * LLM_FEW_SHOT_FILE: corpus path (defaults to data/few-shot-examples.jsonl)
+ * LLM_FEW_SHOT_K: examples per prompt (0 keeps the built-in examples)
+ */
+function getEnvFewShotOptions(env = process.env) {
+  const k = Number(env.LLM_FEW_SHOT_K);
+  return {
+    filePath: env.LLM_FEW_SHOT_FILE ? path.resolve(env.LLM_FEW_SHOT_FILE) : DEFAULT_CORPUS_PATH,
+    k: Number.isInteger(k) && k >= 0 ? k : FEW_SHOT_DEFAULTS.k
+  };
+}
+
+/**
+ * Selector over a corpus file, or null when selection is off, the file
+ * is missing or it holds no valid examples
+ */
+function createFewShotSelector(options = getEnvFewShotOptions()) {
+  if (options.k === 0) return null;
+
+  const examples = loadFewShotExamples(options.filePath);
+  if (!examples || examples.length === 0) {
+    if (options.filePath !== DEFAULT_CORPUS_PATH) {
+      console.warn(`⚠️ No few-shot examples in ${options.filePath}; using the built-in examples`);
+    }
+    return null;
+  }
+
+  return new FewShotSelector(examples, { k: options.k });
+}
+
+// Singleton instance
+let selectorInstance;
+
+function getFewShotSelector() {
+  if (selectorInstance === undefined) {
+    selectorInstance = createFewShotSelector();
+    if (selectorInstance) {
+      console.log(`📚 Few-shot corpus loaded: ${selectorInstance.size} examples`);
+    }
+  }
+  return selectorInstance;
+}
+
+/**
+ * One-line JSON spaced like the prompt's hand-written examples
+ */
+function toInlineJson(value) {
+  if (Array.isArray(value)) return `[${value.map(toInlineJson).join(', ')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}: ${toInlineJson(item)}`).join(', ')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Prompt lines for a list of examples
+ */
+function formatExamples(examples) {
+  return examples
+    .map(example => `Input: ${JSON.stringify(example.text)}\nOutput: ${toInlineJson(example.output)}`)
+    .join('\n\n');
+}
+
+module.exports = {
+  FEW_SHOT_DEFAULTS,
+  DEFAULT_EXAMPLES,
+  FewShotSelector,
+  parseFewShotCorpus,
+  loadFewShotExamples,
+  getEnvFewShotOptions,
+  createFewShotSelector,
+  getFewShotSelector,
+  formatExamples
+};
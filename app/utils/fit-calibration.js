@@ -0,0 +1,164 @@
+/**
+ * Fit confidence calibrations from labeled data (see confidence-calibration.js)
+ * Run: node utils/fit-calibration.js [--extractors v2,v3,llm] [--dataset file.jsonl]
+ *                                    [--method isotonic|platt] [--min-samples 10]
+ *                                    [--holdout 0.3] [--out data/confidence-calibration.json]
+ * Defaults: every extractor, the gold corpus, isotonic, 30% of cases
+ * held out. Mappings are fitted on the rest and scored on the held-out
+ * cases. The ensemble is fitted last, its members voting with the
+ * calibrations just fitted, as they do at runtime. Nothing is written
+ * when no extractor could be calibrated; the bundled gold corpus is far
+ * too small to calibrate on.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const LLMExtractor = require('./llm-extractor');
+const { getDefaultProviderName } = require('./llm-providers');
+const { PARSER_VERSION, getGazetteerVersion } = require('./provenance');
+const { EXTRACTOR_NAMES, createExtractor } = require('./extractor-registry');
+const { resolveEnsemble } = require('./ensemble-resolver');
+const { DEFAULT_GOLD_CORPUS_PATH } = require('./gold-corpus');
+const { evaluateExtractor, loadEvaluationCases } = require('./evaluation');
+const {
+  CALIBRATION_METHODS,
+  DEFAULT_CALIBRATION_PATH,
+  MIN_CALIBRATION_SAMPLES,
+  HOLDOUT_FRACTION,
+  splitCases,
+  toCalibrationSamples,
+  fitExtractor,
+  buildCalibrationArtifact,
+  ConfidenceCalibration
+} = require('./confidence-calibration');
+
+function parseArgs(argv) {
+  const args = {
+    extractors: EXTRACTOR_NAMES,
+    dataset: DEFAULT_GOLD_CORPUS_PATH,
+    method: 'isotonic',
+    minSamples: MIN_CALIBRATION_SAMPLES,
+    holdout: HOLDOUT_FRACTION,
+    out: DEFAULT_CALIBRATION_PATH
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = argv[i + 1];
+    if (value === undefined || value.startsWith('--')) {
+      throw new Error(`${flag} needs a value`);
+    }
+    i++;
+
+    if (flag === '--extractors') {
+      args.extractors = value.split(',').map(name => name.trim()).filter(Boolean);
+      const unknown = args.extractors.filter(name => !EXTRACTOR_NAMES.includes(name));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown extractor(s) ${unknown.join(', ')}; expected ${EXTRACTOR_NAMES.join(', ')}`);
+      }
+    } else if (flag === '--dataset') {
+      args.dataset = path.resolve(value);
+    } else if (flag === '--method') {
+      if (!CALIBRATION_METHODS.includes(value)) {
+        throw new Error(`--method must be one of ${CALIBRATION_METHODS.join(', ')}`);
+      }
+      args.method = value;
+    } else if (flag === '--min-samples') {
+      args.minSamples = Number(value);
+      if (!Number.isInteger(args.minSamples) || args.minSamples < 2) {
+        throw new Error('--min-samples must be an integer of at least 2');
+      }
+    } else if (flag === '--holdout') {
+      args.holdout = Number(value);
+      if (!(args.holdout > 0 && args.holdout < 1)) {
+        throw new Error('--holdout must be a fraction between 0 and 1');
+      }
+    } else if (flag === '--out') {
+      args.out = path.resolve(value);
+    } else {
+      throw new Error(`Unknown option ${flag}`);
+    }
+  }
+  return args;
+}
+
+function pickWeights(weights, names) {
+  return Object.fromEntries(names.map(name => [name, weights[name] ?? 1]));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const cases = loadEvaluationCases(args.dataset);
+  const split = splitCases(cases, args.holdout);
+
+  // OPENAI_API_KEY is only sent to OpenAI, as in the servers
+  const llmExtractor = new LLMExtractor(getDefaultProviderName() === 'openai' ? process.env.OPENAI_API_KEY : null);
+  const ensemble = resolveEnsemble();
+  if (ensemble.error) {
+    throw new Error(ensemble.error);
+  }
+
+  console.log('='.repeat(80));
+  console.log('CONFIDENCE CALIBRATION');
+  console.log('='.repeat(80));
+  console.log(`Dataset: ${path.basename(args.dataset)} (${split.train.length} cases to fit, ${split.heldOut.length} held out), method: ${args.method}`);
+
+  const names = [...args.extractors.filter(name => name !== 'ensemble'), ...args.extractors.filter(name => name === 'ensemble')];
+  const fitted = {};
+  const skipped = {};
+
+  for (const name of names) {
+    const calibration = new ConfidenceCalibration({ extractors: fitted });
+    const extractor = createExtractor(name, { llmExtractor, ensemble, calibration });
+    if (!extractor.available) {
+      skipped[name] = extractor.unavailableReason;
+      console.log(`\n⚠️ ${name}: not run (${extractor.unavailableReason})`);
+      continue;
+    }
+
+    console.log(`\n🔎 ${name}: ${extractor.label}`);
+    const options = { includeCases: true, worst: 0 };
+    const train = toCalibrationSamples((await evaluateExtractor(extractor, split.train, options)).cases);
+    const heldOut = toCalibrationSamples((await evaluateExtractor(extractor, split.heldOut, options)).cases);
+    const { entry, reason } = fitExtractor(train, heldOut, { method: args.method, minSamples: args.minSamples });
+    if (!entry) {
+      skipped[name] = reason;
+      console.log(`⚠️ ${name}: not calibrated (${reason})`);
+      continue;
+    }
+
+    // Record the members that voted, not the ones that were asked for
+    fitted[name] = name === 'ensemble'
+      ? { ...entry, ensemble: { extractors: extractor.members, weights: pickWeights(ensemble.weights, extractor.members) } }
+      : entry;
+    console.log(`   ${entry.samples} samples, ${entry.positives} correct; held out ${entry.heldOut}: ` +
+      `Brier ${entry.brier.raw} -> ${entry.brier.calibrated}, ECE ${entry.ece.raw} -> ${entry.ece.calibrated}`);
+  }
+
+  if (Object.keys(fitted).length === 0) {
+    throw new Error(`No extractor could be calibrated on ${path.basename(args.dataset)}; nothing written`);
+  }
+
+  const artifact = buildCalibrationArtifact({
+    extractors: fitted,
+    skipped,
+    method: args.method,
+    dataset: { name: path.basename(args.dataset), cases: cases.length, train: split.train.length, heldOut: split.heldOut.length },
+    parserVersion: PARSER_VERSION,
+    gazetteerVersion: getGazetteerVersion()
+  });
+
+  fs.mkdirSync(path.dirname(args.out), { recursive: true });
+  fs.writeFileSync(args.out, JSON.stringify(artifact, null, 2) + '\n');
+
+  console.log('\n' + '='.repeat(80));
+  console.log(`Calibrated: ${Object.keys(fitted).join(', ') || 'none'}`);
+  console.log(`📦 Calibration ${artifact.version}: ${args.out}`);
+}
+
+main().catch(error => {
+  console.error(`❌ Calibration failed: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,236 @@
+/**
+ * Gazetteer Candidates for LLM Prompts
+ * Looks up the words of a comment in the location index and lists the
+ * real places they could mean, with full hierarchies, so the model picks
+ * among real entries instead of recalling Philippine geography on its
+ * own. Matters most for names shared by many places ("San Jose",
+ * "Poblacion", "Burgos").
+ */
+
+const { getLocationIndex } = require('../parsers/hierarchical-location-index');
+const { toDisplayLocation } = require('./gazetteer-validator');
+const { FILIPINO_FUNCTION_WORDS, ENGLISH_FALSE_POSITIVES } = require('./false-positive-filter');
+const { toProperCase } = require('../parsers/location-normalizer');
+
+const GROUNDING_LIMITS = {
+  maxNgram: 4,           // Longest place name tried, in words
+  maxNames: 6,           // Matched names listed per text
+  maxPlacesPerName: 5,   // Places listed per name and level
+  maxPlaces: 20          // Places listed per text
+};
+
+const LEVEL_LABELS = {
+  province: 'province',
+  city: 'city/municipality',
+  barangay: 'barangay'
+};
+
+const BARANGAY_MARKER = /^(?:brgy|bgy|barangay)\.?$/i;
+
+// Words that point at a location without being one ("taga" is also a barangay)
+const CONTEXT_WORDS = new Set(['taga', 'galing', 'nasa', 'area', 'near', 'around', 'city', 'town', 'province', 'brgy', 'bgy', 'barangay']);
+
+/**
+ * Whether gazetteer grounding is on (LLM_GROUNDING, default on)
+ */
+function isGroundingEnabled() {
+  return process.env.LLM_GROUNDING !== 'false';
+}
+
+/**
+ * Words of a comment with @mentions, #hashtags and links removed
+ */
+function tokenize(text) {
+  const cleaned = String(text || '')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/[@#][\w.]+/g, ' ');
+  return cleaned.match(/[\p{L}\p{N}]+(?:['.-][\p{L}\p{N}]+)*/gu) || [];
+}
+
+/**
+ * Whether a word sequence is worth a lookup
+ */
+function isLookupCandidate(words, key) {
+  if (!key) return false;
+  if (words.length === 1) {
+    const word = words[0].toLowerCase();
+    if (FILIPINO_FUNCTION_WORDS.has(word) || ENGLISH_FALSE_POSITIVES.has(word) || CONTEXT_WORDS.has(word)) return false;
+  }
+  // Bare numbers are only barangays when the text says so ("Brgy 171")
+  if (/^\d+$/.test(key) && !BARANGAY_MARKER.test(words[0])) return false;
+  return true;
+}
+
+/**
+ * Longest-first scan of the text against the province, city and
+ * barangay indexes; each word belongs to at most one match
+ */
+function findNameMatches(index, words, maxNgram) {
+  const matches = [];
+
+  for (let start = 0; start < words.length;) {
+    let match = null;
+
+    for (let size = Math.min(maxNgram, words.length - start); size > 0 && !match; size--) {
+      const slice = words.slice(start, start + size);
+      const key = index.normalizeKey(slice.join(' '));
+      if (!isLookupCandidate(slice, key)) continue;
+
+      const province = index.provinceIndex[key] || null;
+      const cities = dedupe(index.cityIndex[key] || []);
+      // Two-letter keys are only trusted as city aliases ("QC")
+      const barangays = key.length >= 3 ? index.barangayIndex[key] || [] : [];
+
+      if (province || cities.length || barangays.length) {
+        match = {
+          text: slice.join(' '),
+          size,
+          marked: BARANGAY_MARKER.test(slice[0]) || (start > 0 && BARANGAY_MARKER.test(words[start - 1])),
+          province,
+          cities,
+          barangays
+        };
+      }
+    }
+
+    if (match) {
+      matches.push(match);
+      start += match.size;
+    } else {
+      start++;
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Alias keys can point at the same entries more than once
+ */
+function dedupe(entries) {
+  return Array.from(new Set(entries));
+}
+
+/**
+ * Provinces and cities the text itself pins down; used to rank the
+ * places an ambiguous name could be
+ */
+function getTextContext(matches) {
+  const provinceCodes = new Set();
+  const cityCodes = new Set();
+
+  matches.forEach(match => {
+    if (match.province) provinceCodes.add(match.province.provinceCode);
+    if (match.cities.length === 1) {
+      cityCodes.add(match.cities[0].cityCode);
+      provinceCodes.add(match.cities[0].provinceCode);
+    }
+  });
+
+  return { provinceCodes, cityCodes };
+}
+
+function contextRank(entry, context) {
+  if (entry.cityCode && context.cityCodes.has(entry.cityCode) && entry.barangay) return 0;
+  if (context.provinceCodes.has(entry.provinceCode)) return 1;
+  return 2;
+}
+
+/**
+ * Without context, cities and Metro Manila come before same-named
+ * municipalities ("QC" is Quezon City before Quezon, Bukidnon)
+ */
+function prominence(entry) {
+  return entry.regionCode === 'NCR' || /\bCITY\b/.test(entry.city || '') ? 0 : 1;
+}
+
+/**
+ * Display names for a gazetteer entry
+ * Municipalities keep their own name; the display normalizer would turn
+ * Quezon, Bukidnon into "Quezon City"
+ */
+function toPlace(index, entry) {
+  const { region, province, city, barangay } = toDisplayLocation(index, entry);
+  const isCity = entry.regionCode === 'NCR' || /\bCITY\b/.test(entry.city || '');
+  return {
+    region,
+    province,
+    city: entry.city && !isCity ? toProperCase(entry.city) : city,
+    barangay
+  };
+}
+
+/**
+ * Short "Barangay, City, Province, Region" line for a place
+ */
+function describePlace(place) {
+  return ['barangay', 'city', 'province', 'region']
+    .map(level => place[level])
+    .filter(value => value && value !== 'None')
+    .join(', ');
+}
+
+/**
+ * Real places the words of a text could refer to
+ * Returns [{ text, level, total, places: [{ region, province, city, barangay }] }]
+ * with places in the text's own province or city listed first
+ */
+function findGazetteerCandidates(text, limits = {}) {
+  const options = { ...GROUNDING_LIMITS, ...limits };
+  const index = getLocationIndex();
+  const matches = findNameMatches(index, tokenize(text), options.maxNgram);
+  const context = getTextContext(matches);
+  const candidates = [];
+  let budget = options.maxPlaces;
+
+  const addLevel = (match, level, entries) => {
+    if (entries.length === 0 || budget <= 0) return;
+
+    const ranked = entries
+      .map((entry, position) => ({ entry, position, rank: contextRank(entry, context), prominence: prominence(entry) }))
+      .sort((a, b) => a.rank - b.rank || a.prominence - b.prominence || a.position - b.position);
+    const shown = ranked.slice(0, Math.min(options.maxPlacesPerName, budget));
+    budget -= shown.length;
+
+    candidates.push({
+      text: match.text,
+      level,
+      total: entries.length,
+      places: shown.map(({ entry }) => toPlace(index, entry))
+    });
+  };
+
+  matches.slice(0, options.maxNames).forEach(match => {
+    addLevel(match, 'province', match.province ? [match.province] : []);
+    addLevel(match, 'city', match.cities);
+
+    // A name that is also a city or province is rarely a barangay; list
+    // barangays only when marked as one or inside a place the text names
+    const barangays = match.province || match.cities.length
+      ? match.barangays.filter(entry => match.marked || contextRank(entry, context) === 0)
+      : match.barangays;
+    addLevel(match, 'barangay', barangays);
+  });
+
+  return candidates;
+}
+
+/**
+ * One prompt line per candidate name and level
+ */
+function formatCandidateLines(candidates) {
+  return candidates.map(candidate => {
+    const more = candidate.total - candidate.places.length;
+    const count = candidate.total > 1 ? ` (${candidate.total} places)` : '';
+    return `"${candidate.text}" as ${LEVEL_LABELS[candidate.level]}${count}: ` +
+      candidate.places.map(describePlace).join(' | ') +
+      (more > 0 ? ` | ...and ${more} more` : '');
+  });
+}
+
+module.exports = {
+  GROUNDING_LIMITS,
+  isGroundingEnabled,
+  findGazetteerCandidates,
+  formatCandidateLines
+};
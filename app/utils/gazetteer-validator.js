@@ -0,0 +1,299 @@
+/**
+ * Gazetteer Validator for LLM Output
+ * Checks LLM-produced hierarchies against the bundled 2019 database,
+ * snaps names to real entries and fills missing parent levels
+ */
+
+const { getLocationIndex } = require('../parsers/hierarchical-location-index');
+const { normalizeLocation, normalizeBarangay } = require('../parsers/location-normalizer');
+const { pickCodes } = require('../parsers/location-parser-v5');
+
+const LEVELS = ['region', 'province', 'city', 'barangay'];
+
+/**
+ * Treat "None", null and empty strings as missing
+ */
+function isMissing(value) {
+  return !value || typeof value !== 'string' || value.trim() === '' || value.trim().toLowerCase() === 'none';
+}
+
+/**
+ * Check whether the LLM's province agrees with a gazetteer entry
+ */
+function provinceAgrees(index, givenProvince, entry) {
+  if (isMissing(givenProvince)) return true;
+
+  if (index.isMetroManilaProvince(givenProvince)) {
+    return entry.regionCode === 'NCR';
+  }
+
+  const givenKey = index.normalizeKey(givenProvince);
+  const entryKey = index.normalizeKey(entry.province);
+  return givenKey === entryKey || entryKey.includes(givenKey);
+}
+
+/**
+ * Check whether the LLM's region agrees with a gazetteer entry
+ */
+function regionAgrees(index, givenRegion, entry) {
+  if (isMissing(givenRegion)) return true;
+
+  const region = index.findRegion(givenRegion);
+  return Boolean(region) && region.regionCode === entry.regionCode;
+}
+
+/**
+ * Resolve a city within the given province
+ *
+ * Returns null when the name is unknown, { conflict } when it only exists
+ * in other provinces, { candidates } when several places share it and
+ * nothing tells them apart, otherwise { entry }
+ */
+function resolveCity(index, cityName, provinceName) {
+  const candidates = index.cityIndex[index.normalizeKey(cityName)] ||
+    [index.findCity(cityName)].filter(Boolean);
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const inProvince = candidates.filter(candidate => provinceAgrees(index, provinceName, candidate));
+  if (inProvince.length === 0) {
+    return { conflict: true };
+  }
+  if (inProvince.length === 1) {
+    return { entry: inProvince[0] };
+  }
+
+  // "San Jose City" names the component city, not the municipalities
+  const cities = /\bcity\b/i.test(cityName) ? inProvince.filter(candidate => /\bCITY\b/.test(candidate.city)) : [];
+  if (cities.length === 1) {
+    return { entry: cities[0] };
+  }
+
+  const preferred = index.getPreferredCity(cityName, inProvince);
+  return preferred ? { entry: preferred } : { candidates: inProvince };
+}
+
+/**
+ * Resolve a barangay within the resolved city (or its candidates) and the
+ * given province; same result shape as resolveCity
+ *
+ * Manila's districts are cities in the database, so a district given as
+ * the barangay ("Tondo, Manila") resolves to the district itself.
+ */
+function resolveBarangay(index, barangayName, cityResult, provinceName) {
+  const city = cityResult && cityResult.entry;
+  if (city && city.districts) {
+    const district = index.findManilaDistrict(barangayName);
+    if (district) return { entry: { ...district, barangay: null }, district: true };
+  }
+
+  const matches = index.barangayIndex[index.normalizeKey(barangayName)] || [];
+  if (matches.length === 0) {
+    return null;
+  }
+
+  const cities = city ? [city] : (cityResult && cityResult.candidates) || null;
+  const inCity = cities
+    ? matches.filter(match => cities.some(candidate => candidate.province === match.province &&
+      (candidate.city === match.city || (candidate.districts || []).includes(match.city))))
+    : matches;
+  const inProvince = inCity.filter(match => provinceAgrees(index, provinceName, match));
+
+  if (inProvince.length === 0) {
+    return { conflict: true };
+  }
+  return inProvince.length === 1 ? { entry: inProvince[0] } : { candidates: inProvince };
+}
+
+/**
+ * Convert a gazetteer entry to the display format used in results
+ */
+function toDisplayLocation(index, entry) {
+  // "LAHUG (POB.)" -> "LAHUG"; the normalizer would turn it into plain "Poblacion"
+  const barangay = entry.barangay ? entry.barangay.replace(/\s*\(POB\.\)\s*$/i, '') : null;
+
+  const normalized = normalizeLocation({
+    region: 'None',
+    province: entry.province || 'None',
+    city: entry.city || 'None',
+    barangay: barangay || 'None'
+  });
+
+  return {
+    region: entry.regionCode ? index.getRegionDisplayName(entry.regionCode) : 'None',
+    province: entry.regionCode === 'NCR' && entry.province ? 'Metro Manila' : (normalized.province || 'None'),
+    city: normalized.city || 'None',
+    barangay: normalized.barangay || 'None',
+    ...index.getCodes(entry)
+  };
+}
+
+/**
+ * Validate an LLM location against the gazetteer
+ *
+ * Returns the snapped location plus a report:
+ * - status: 'verified' | 'corrected' | 'ambiguous' | 'partial' | 'unverified' | 'empty'
+ * - verified / corrected / filled / hallucinated: arrays of level names
+ * - ambiguous: a city or barangay name several places share; its parent
+ *   levels are left as given rather than guessed
+ * - original: the location exactly as the LLM returned it
+ *
+ * A city or barangay that exists only outside the province the LLM gave
+ * counts as hallucinated; it is never swapped for a same-named place
+ * elsewhere.
+ */
+function validateLocation(location) {
+  const original = {
+    region: location && !isMissing(location.region) ? location.region : 'None',
+    province: location && !isMissing(location.province) ? location.province : 'None',
+    city: location && !isMissing(location.city) ? location.city : 'None',
+    barangay: location && !isMissing(location.barangay) ? location.barangay : 'None'
+  };
+
+  const report = {
+    status: 'empty',
+    verified: [],
+    corrected: [],
+    filled: [],
+    hallucinated: [],
+    ambiguous: false,
+    original
+  };
+
+  if (LEVELS.every(level => isMissing(original[level]))) {
+    return { location: { ...original, ...pickCodes(null) }, gazetteer: report };
+  }
+
+  const index = getLocationIndex();
+  let entry = null;
+  let cityResult = null;
+  let unresolvedCity = null;
+  let unresolvedBarangay = null;
+
+  // City is the anchor level: it is what users mention most often
+  if (!isMissing(original.city)) {
+    cityResult = resolveCity(index, original.city, original.province);
+    if (cityResult && cityResult.entry) {
+      entry = { ...cityResult.entry, barangay: null };
+    } else if (cityResult && cityResult.candidates) {
+      // Real city name shared by several provinces; keep it but don't guess
+      unresolvedCity = normalizeLocation({ city: original.city }).city;
+      report.ambiguous = true;
+    } else {
+      report.hallucinated.push('city');
+    }
+  }
+
+  if (!isMissing(original.barangay)) {
+    const barangayResult = resolveBarangay(index, original.barangay, cityResult, original.province);
+    if (barangayResult && barangayResult.entry) {
+      entry = { ...barangayResult.entry };
+      unresolvedCity = null;
+      if (barangayResult.district) {
+        report.corrected.push('barangay');
+      }
+    } else if (barangayResult && barangayResult.candidates) {
+      unresolvedBarangay = normalizeBarangay(original.barangay);
+      report.ambiguous = true;
+    } else {
+      report.hallucinated.push('barangay');
+    }
+  }
+
+  if (!entry && !isMissing(original.province)) {
+    const provinceMatch = index.isMetroManilaProvince(original.province)
+      ? { province: 'NATIONAL CAPITAL REGION', regionCode: 'NCR', provinceCode: null }
+      : index.findProvince(original.province);
+
+    if (provinceMatch) {
+      entry = {
+        province: provinceMatch.province,
+        regionCode: provinceMatch.regionCode,
+        provinceCode: provinceMatch.provinceCode,
+        city: null,
+        barangay: null
+      };
+    } else {
+      report.hallucinated.push('province');
+    }
+  }
+
+  if (!entry && !isMissing(original.region)) {
+    const regionMatch = index.findRegion(original.region);
+    if (regionMatch) {
+      entry = { regionCode: regionMatch.regionCode, province: null, city: null, barangay: null };
+    } else {
+      report.hallucinated.push('region');
+    }
+  }
+
+  if (!entry) {
+    report.status = unresolvedCity || unresolvedBarangay ? 'ambiguous' : 'unverified';
+    return {
+      location: {
+        region: 'None',
+        province: 'None',
+        city: unresolvedCity || 'None',
+        barangay: unresolvedBarangay || 'None',
+        ...pickCodes(null)
+      },
+      gazetteer: report
+    };
+  }
+
+  const snapped = toDisplayLocation(index, entry);
+  if (unresolvedCity) {
+    snapped.city = unresolvedCity;
+    snapped.cityCode = null;
+  }
+  if (unresolvedBarangay) {
+    snapped.barangay = unresolvedBarangay;
+    snapped.barangayCode = null;
+  }
+
+  if (!isMissing(original.region) && !regionAgrees(index, original.region, entry)) {
+    report.corrected.push('region');
+  }
+
+  LEVELS.forEach(level => {
+    if (isMissing(snapped[level]) || report.corrected.includes(level)) return;
+    if ((level === 'city' && unresolvedCity) || (level === 'barangay' && unresolvedBarangay)) return;
+    if (isMissing(original[level])) {
+      report.filled.push(level);
+    } else if (!report.hallucinated.includes(level)) {
+      report.verified.push(level);
+    }
+  });
+
+  if (report.hallucinated.length > 0) {
+    report.status = 'partial';
+  } else if (report.ambiguous) {
+    report.status = 'ambiguous';
+  } else if (report.corrected.length > 0) {
+    report.status = 'corrected';
+  } else {
+    report.status = 'verified';
+  }
+
+  return { location: snapped, gazetteer: report };
+}
+
+/**
+ * Look up codes for a display location, e.g. from a parser that does not
+ * carry them. Levels that don't verify against the gazetteer stay null.
+ */
+function lookupCodes(location) {
+  const { location: snapped, gazetteer } = validateLocation(location);
+  if (gazetteer.status !== 'verified') {
+    return pickCodes(null);
+  }
+  return pickCodes(snapped);
+}
+
+module.exports = {
+  validateLocation,
+  lookupCodes,
+  toDisplayLocation
+};
@@ -0,0 +1,224 @@
+/**
+ * Gold Corpus
+ * Annotated comments for evaluation and regression runs, one JSON
+ * record per line (data/gold-corpus.jsonl):
+ *
+ *   { "id": "sample-001", "text": "Taga Lahug, Cebu City ako",
+ *     "language": "taglish", "source": "regression-test-suite",
+ *     "category": "Barangay+City", "notes": "...",
+ *     "mentions": [{
+ *       "span": { "start": 5, "end": 21, "text": "Lahug, Cebu City" },
+ *       "role": "residence", "primary": true,
+ *       "location": { "region": "REGION VII", "province": "CEBU", "city": "CEBU CITY", "barangay": "LAHUG" },
+ *       "codes": { "regionCode": "0700000000", "provinceCode": "0702200000", "cityCode": "0730600000", "barangayCode": "0730600041" },
+ *       "acceptable": [{ "location": { ... }, "codes": { ... } }]
+ *     }] }
+ *
+ * No mentions means the text has no location. Levels the annotation
+ * doesn't name are null. `acceptable` lists other answers that count as
+ * correct for an ambiguous mention. Exactly one mention is primary
+ * (the commenter's own location); it is what single-location runs score.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { z } = require('zod');
+const { MENTION_ROLES } = require('./mention-roles');
+const { CODE_FIELDS } = require('../parsers/location-parser-v5');
+const { getLocationIndex } = require('../parsers/hierarchical-location-index');
+
+const GOLD_LANGUAGES = ['en', 'tl', 'ceb', 'taglish', 'other'];
+
+const DEFAULT_GOLD_CORPUS_PATH = path.join(__dirname, '..', 'data', 'gold-corpus.jsonl');
+
+const LEVELS = ['region', 'province', 'city', 'barangay'];
+
+const levelName = z.string().trim().min(1).nullable().optional().transform(value => value ?? null);
+const code = z.string().trim().regex(/^\d{10}$/, 'expected a 10-digit PSGC code').nullable().optional().transform(value => value ?? null);
+
+const GoldLocationSchema = z.object({
+  region: levelName,
+  province: levelName,
+  city: levelName,
+  barangay: levelName
+}).refine(location => LEVELS.some(level => location[level]), 'location must name at least one level');
+
+const GoldCodesSchema = z.object({
+  regionCode: code,
+  provinceCode: code,
+  cityCode: code,
+  barangayCode: code
+}).optional().transform(codes => codes || { regionCode: null, provinceCode: null, cityCode: null, barangayCode: null });
+
+const GoldAnswerSchema = z.object({
+  location: GoldLocationSchema,
+  codes: GoldCodesSchema
+});
+
+const GoldMentionSchema = GoldAnswerSchema.extend({
+  span: z.object({
+    start: z.number().int().min(0),
+    end: z.number().int().min(1),
+    text: z.string().min(1)
+  }).nullable().optional().transform(value => value ?? null),
+  role: z.enum(MENTION_ROLES).optional().default('mentioned'),
+  primary: z.boolean().optional().default(false),
+  acceptable: z.array(GoldAnswerSchema).optional().default([])
+});
+
+const GoldRecordSchema = z.object({
+  id: z.string().trim().min(1),
+  text: z.string().min(1),
+  language: z.enum(GOLD_LANGUAGES),
+  source: z.string().trim().min(1),
+  category: z.string().optional(),
+  notes: z.string().optional(),
+  mentions: z.array(GoldMentionSchema)
+}).superRefine(checkRecord);
+
+/**
+ * Checks across fields: spans match the text, codes nest, one primary
+ */
+function checkRecord(record, context) {
+  const issue = (pathParts, message) => context.addIssue({ code: z.ZodIssueCode.custom, path: pathParts, message });
+
+  record.mentions.forEach((mention, i) => {
+    const { span } = mention;
+    if (span && (span.end <= span.start || span.end > record.text.length || record.text.slice(span.start, span.end) !== span.text)) {
+      issue(['mentions', i, 'span'], `span ${span.start}-${span.end} does not match "${span.text}" in the text`);
+    }
+
+    [mention, ...mention.acceptable].forEach((answer, j) => {
+      const codes = CODE_FIELDS.map(field => answer.codes[field]);
+      codes.forEach((value, level) => {
+        const parent = codes.slice(0, level).filter(Boolean).pop();
+        if (value && parent && !getLocationIndex().isWithin(value, parent)) {
+          issue(['mentions', i, ...(j > 0 ? ['acceptable', j - 1] : []), 'codes', CODE_FIELDS[level]], `${value} is not inside ${parent}`);
+        }
+      });
+    });
+
+    if (mention.primary && mention.role === 'negated') {
+      issue(['mentions', i, 'primary'], 'a negated mention cannot be primary');
+    }
+  });
+
+  const primaries = record.mentions.filter(mention => mention.primary).length;
+  if (record.mentions.length > 0 && primaries !== 1) {
+    issue(['mentions'], `exactly one mention must be primary (found ${primaries})`);
+  }
+}
+
+/**
+ * Validate corpus text
+ * Returns { records, errors: [{ line, id, message }] }; invalid lines
+ * are left out of records
+ */
+function parseGoldCorpus(content, source = 'gold corpus') {
+  const records = [];
+  const errors = [];
+  const seen = new Set();
+
+  String(content || '').split('\n').forEach((line, i) => {
+    if (!line.trim()) return;
+
+    let raw;
+    try {
+      raw = JSON.parse(line);
+    } catch (error) {
+      errors.push({ line: i + 1, id: null, message: `${source}:${i + 1} is not JSON (${error.message})` });
+      return;
+    }
+
+    const parsed = GoldRecordSchema.safeParse(raw);
+    const id = raw && typeof raw.id === 'string' ? raw.id : null;
+    if (!parsed.success) {
+      const problems = parsed.error.issues.map(problem => `${problem.path.join('.') || 'record'}: ${problem.message}`);
+      errors.push({ line: i + 1, id, message: `${source}:${i + 1}${id ? ` (${id})` : ''} ${problems.join('; ')}` });
+      return;
+    }
+
+    if (seen.has(parsed.data.id)) {
+      errors.push({ line: i + 1, id, message: `${source}:${i + 1} duplicate id ${parsed.data.id}` });
+      return;
+    }
+    seen.add(parsed.data.id);
+    records.push(parsed.data);
+  });
+
+  return { records, errors };
+}
+
+/**
+ * Load and validate a corpus file; any invalid record is an error, so a
+ * typo can't silently shrink the dataset
+ */
+function loadGoldCorpus(filePath = DEFAULT_GOLD_CORPUS_PATH) {
+  const { records, errors } = parseGoldCorpus(fs.readFileSync(filePath, 'utf8'), path.basename(filePath));
+  if (errors.length > 0) {
+    const shown = errors.slice(0, 5).map(error => `  ${error.message}`).join('\n');
+    const more = errors.length > 5 ? `\n  ...and ${errors.length - 5} more` : '';
+    throw new Error(`Invalid gold corpus ${filePath}:\n${shown}${more}`);
+  }
+  return records;
+}
+
+/**
+ * A gold answer as a location object with codes (unnamed levels "None")
+ */
+function toGoldLocation(answer) {
+  const location = {};
+  LEVELS.forEach(level => {
+    location[level] = answer.location[level] || 'None';
+  });
+  return { ...location, ...answer.codes };
+}
+
+function getPrimaryMention(record) {
+  return record.mentions.find(mention => mention.primary) || null;
+}
+
+/**
+ * Case for the evaluation harness: the primary mention and its
+ * acceptable alternatives
+ */
+function toEvaluationCase(record) {
+  const primary = getPrimaryMention(record);
+  return {
+    id: record.id,
+    text: record.text,
+    category: record.category,
+    language: record.language,
+    expected: primary ? toGoldLocation(primary) : null,
+    acceptable: primary ? primary.acceptable.map(toGoldLocation) : []
+  };
+}
+
+/**
+ * Case in the regression-test-suite shape: the primary mention's named
+ * levels only, in the corpus's own spelling
+ */
+function toRegressionTest(record) {
+  const primary = getPrimaryMention(record);
+  const namedLevels = (answer) => Object.fromEntries(LEVELS.filter(level => answer.location[level]).map(level => [level, answer.location[level]]));
+
+  return {
+    id: record.id,
+    category: record.category || 'Uncategorized',
+    text: record.text,
+    expected: primary ? namedLevels(primary) : null,
+    acceptable: primary ? primary.acceptable.map(namedLevels) : [],
+    reason: record.notes || ''
+  };
+}
+
+module.exports = {
+  GOLD_LANGUAGES,
+  DEFAULT_GOLD_CORPUS_PATH,
+  GoldRecordSchema,
+  parseGoldCorpus,
+  loadGoldCorpus,
+  getPrimaryMention,
+  toEvaluationCase,
+  toRegressionTest
+};
@@ -0,0 +1,350 @@
+/**
+ * Job Manager for Long-Running Parse Runs
+ * Tracks batch/sheet jobs in memory so clients can poll status, page
+ * through results, cancel through an AbortController and follow
+ * progress over SSE keyed by job ID
+ *
+ * Job IDs are always random, since knowing one is enough to read a job's
+ * results or cancel it. A caller's legacy sessionId is kept as the job's
+ * label: streams opened by label get progress counts only, without the
+ * job ID or any text.
+ */
+
+const crypto = require('crypto');
+const { createUsage, sumUsage } = require('./usage-tracker');
+
+const FINISHED_STATUSES = ['completed', 'cancelled', 'failed'];
+
+// Left out of events sent to streams that follow a label
+const LABEL_REDACTED_FIELDS = ['id', 'jobId', 'label', 'currentText'];
+
+class JobManager {
+  constructor(options = {}) {
+    this.ttl = options.ttl || 3600000;          // Keep finished jobs for 1 hour
+    this.maxJobs = options.maxJobs || 100;      // Finished jobs kept at most
+    this.jobs = new Map();
+    this.streams = new Map();                   // jobId -> Set of SSE responses
+    this.labelStreams = new Map();              // label -> Set of SSE responses
+  }
+
+  /**
+   * Create a queued job
+   * `label` is the caller's legacy sessionId, never the ID; `budget` is an
+   * optional SpendBudget capping the job's LLM spend
+   */
+  createJob({ label = null, type = 'batch', total = null, meta = {}, budget = null } = {}) {
+    const jobId = crypto.randomUUID();
+    const controller = new AbortController();
+
+    const job = {
+      id: jobId,
+      label: label === null || label === undefined ? null : String(label),
+      type,
+      status: 'queued',
+      total,
+      processed: 0,
+      successful: 0,
+      results: [],
+      usage: createUsage(),
+      budget,
+      error: null,
+      meta,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      controller,
+      signal: controller.signal
+    };
+
+    this.jobs.set(jobId, job);
+    this.evictFinished();
+    return job;
+  }
+
+  /**
+   * Get a job by ID
+   */
+  getJob(id) {
+    return this.jobs.get(String(id)) || null;
+  }
+
+  /**
+   * Run a job's worker; resolves with the job once it has finished
+   * The worker receives the job and should honour job.signal
+   */
+  async run(id, worker) {
+    const job = this.getJob(id);
+    if (!job) {
+      throw new Error(`Unknown job ${id}`);
+    }
+
+    if (job.signal.aborted) {
+      return job;
+    }
+
+    job.status = 'running';
+    job.startedAt = Date.now();
+
+    try {
+      await worker(job);
+      job.status = job.signal.aborted ? 'cancelled' : 'completed';
+    } catch (error) {
+      if (job.signal.aborted) {
+        job.status = 'cancelled';
+      } else {
+        job.status = 'failed';
+        job.error = error.message;
+        console.error(`❌ Job ${job.id} failed: ${error.message}`);
+      }
+    }
+
+    job.finishedAt = Date.now();
+
+    // Final event; clients close their EventSource when they see it
+    this.emit(job.id, {
+      ...this.getStatus(job.id),
+      type: job.status,
+      jobId: job.id,
+      successRate: job.processed ? ((job.successful / job.processed) * 100).toFixed(1) : '0.0',
+      totalTime: job.finishedAt - job.startedAt
+    });
+    return job;
+  }
+
+  /**
+   * Store one result and count it
+   */
+  recordResult(id, index, result, hasLocation = false) {
+    const job = this.getJob(id);
+    if (!job) return;
+
+    if (job.results[index] === undefined) {
+      job.processed++;
+      if (hasLocation) {
+        job.successful++;
+      }
+      if (result && result.usage) {
+        job.usage = sumUsage([job.usage, result.usage]);
+      }
+    }
+    job.results[index] = result;
+  }
+
+  /**
+   * Cancel a job through its abort signal
+   * Returns the job, or null if it does not exist
+   */
+  cancel(id) {
+    const job = this.getJob(id);
+    if (!job) return null;
+
+    if (!FINISHED_STATUSES.includes(job.status) && !job.signal.aborted) {
+      console.log(`🛑 Cancelling job ${job.id}`);
+      job.controller.abort();
+      if (job.status === 'queued') {
+        job.status = 'cancelled';
+        job.finishedAt = Date.now();
+        this.emit(job.id, { ...this.getStatus(job.id), type: 'cancelled', jobId: job.id });
+      }
+    }
+
+    return job;
+  }
+
+  /**
+   * Public view of a job (no results, no controller)
+   */
+  getStatus(id) {
+    const job = this.getJob(id);
+    if (!job) return null;
+
+    return {
+      id: job.id,
+      label: job.label,
+      type: job.type,
+      status: job.signal.aborted && job.status === 'running' ? 'cancelling' : job.status,
+      total: job.total,
+      processed: job.processed,
+      successful: job.successful,
+      percentage: job.total ? Math.round((job.processed / job.total) * 100) : 0,
+      usage: job.usage,
+      budget: job.budget ? job.budget.getStatus() : null,
+      error: job.error,
+      createdAt: new Date(job.createdAt).toISOString(),
+      startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+      finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+      ...job.meta
+    };
+  }
+
+  /**
+   * Page through results collected so far
+   * Rows that have not been processed yet come back as null
+   */
+  getResults(id, { offset = 0, limit = 100 } = {}) {
+    const job = this.getJob(id);
+    if (!job) return null;
+
+    const available = job.total === null ? job.results.length : job.total;
+    const page = [];
+    for (let i = offset; i < Math.min(offset + limit, available); i++) {
+      page.push(job.results[i] === undefined ? null : job.results[i]);
+    }
+
+    return {
+      id: job.id,
+      status: this.getStatus(id).status,
+      total: job.total,
+      offset,
+      limit,
+      nextOffset: offset + limit < available ? offset + limit : null,
+      results: page
+    };
+  }
+
+  /**
+   * Attach an SSE response to an existing job
+   * Returns an unsubscribe function, or null if the job does not exist
+   */
+  subscribe(id, res) {
+    const job = this.getJob(id);
+    if (!job) return null;
+
+    res.write(`data: ${JSON.stringify({ type: 'connected', jobId: job.id })}\n\n`);
+    res.write(`data: ${JSON.stringify({ ...this.getStatus(job.id), type: 'status', jobId: job.id })}\n\n`);
+    return addStream(this.streams, job.id, res);
+  }
+
+  /**
+   * Attach an SSE response to the jobs labelled `label`
+   * No job need exist yet: the legacy frontend opens the stream first
+   */
+  subscribeLabel(label, res) {
+    const sessionId = String(label);
+    res.write(`data: ${JSON.stringify({ type: 'connected', sessionId })}\n\n`);
+    return addStream(this.labelStreams, sessionId, res);
+  }
+
+  /**
+   * Send an event to every stream attached to a job, and a redacted copy
+   * to streams following its label
+   */
+  emit(id, data) {
+    writeEvent(this.streams.get(String(id)), data);
+
+    const job = this.getJob(id);
+    if (job && job.label !== null) {
+      const event = { ...data, sessionId: job.label };
+      LABEL_REDACTED_FIELDS.forEach(field => delete event[field]);
+      writeEvent(this.labelStreams.get(job.label), event);
+    }
+  }
+
+  /**
+   * End all streams attached to a job that is being dropped
+   */
+  closeStreams(id) {
+    const streams = this.streams.get(String(id));
+    if (!streams) return;
+
+    streams.forEach(stream => {
+      if (!stream.writableEnded) stream.end();
+    });
+    this.streams.delete(String(id));
+  }
+
+  /**
+   * Drop finished jobs past their TTL, then the oldest beyond maxJobs
+   */
+  evictFinished() {
+    const now = Date.now();
+    const finished = [];
+
+    this.jobs.forEach((job, id) => {
+      if (!FINISHED_STATUSES.includes(job.status)) return;
+      if (now - job.finishedAt > this.ttl) {
+        this.jobs.delete(id);
+        this.closeStreams(id);
+      } else {
+        finished.push(job);
+      }
+    });
+
+    finished
+      .sort((a, b) => a.finishedAt - b.finishedAt)
+      .slice(0, Math.max(0, finished.length - this.maxJobs))
+      .forEach(job => {
+        this.jobs.delete(job.id);
+        this.closeStreams(job.id);
+      });
+  }
+
+  /**
+   * Job counts by status
+   */
+  getStats() {
+    const stats = { total: this.jobs.size };
+    this.jobs.forEach(job => {
+      stats[job.status] = (stats[job.status] || 0) + 1;
+    });
+    return stats;
+  }
+}
+
+/**
+ * Add `res` to the set under `key`; returns the matching remove function
+ */
+function addStream(streamMap, key, res) {
+  if (!streamMap.has(key)) {
+    streamMap.set(key, new Set());
+  }
+  streamMap.get(key).add(res);
+
+  return () => {
+    const streams = streamMap.get(key);
+    if (streams) {
+      streams.delete(res);
+      if (streams.size === 0) streamMap.delete(key);
+    }
+  };
+}
+
+/**
+ * Write one SSE event to each open stream in a set
+ */
+function writeEvent(streams, data) {
+  if (!streams) return;
+
+  streams.forEach(stream => {
+    if (stream.writableEnded) {
+      streams.delete(stream);
+      return;
+    }
+    try {
+      stream.write(`data: ${JSON.stringify(data)}\n\n`);
+    } catch (error) {
+      // Stream might be closed
+      streams.delete(stream);
+    }
+  });
+}
+
+// Singleton instance
+let instance = null;
+
+function getJobManager(options = {}) {
+  if (!instance) {
+    instance = new JobManager(options);
+
+    // Periodic cleanup; don't keep the process alive for it
+    setInterval(() => {
+      instance.evictFinished();
+    }, 300000).unref();
+  }
+  return instance;
+}
+
+module.exports = {
+  JobManager,
+  getJobManager
+};
@@ -4,26 +4,254 @@
  * Implements cascading location inference for incomplete mentions
  */
 
-const OpenAI = require('openai');
+const { MENTION_ROLES, normalizeRole, pickPrimaryMention } = require('./mention-roles');
+const { findSpan, locateSpans } = require('./text-spans');
+const { getCacheInstance } = require('./cache-manager');
+const { hashContent } = require('./provenance');
+const { getProvider, canAuthenticate, createClient } = require('./llm-providers');
+const { getUsageTracker, createUsage, fromResponseUsage, sumUsage, splitUsage } = require('./usage-tracker');
+const { getRetryOptions, withRetries } = require('./llm-retry');
+const { BudgetExceededError, chargeCall } = require('./spend-budget');
+const { resolveRouting, getEscalationReasons } = require('./model-routing');
+const {
+  InvalidLLMOutputError,
+  describeInvalidOutput,
+  getRepairAttempts,
+  getResponseFormat,
+  parseLLMOutput,
+  parsePackedEntry,
+  buildRepairMessages,
+  completeWithRepairs,
+  isFailedLLMResult
+} = require('./llm-output');
+const { isGroundingEnabled, findGazetteerCandidates, formatCandidateLines } = require('./gazetteer-candidates');
+const { DEFAULT_EXAMPLES, getFewShotSelector, formatExamples } = require('./few-shot-selector');
+const { UNTRUSTED_TEXT_RULE, quoteUserText } = require('./prompt-injection');
+const {
+  PackReplyError,
+  isPackable,
+  chunkPackItems,
+  getPackMaxTokens,
+  parsePackedReply
+} = require('./packed-extraction');
+
+// Cache scopes in the shared result cache
+const CACHE_SCOPES = {
+  extract: 'llm:extract',
+  mentions: 'llm:mentions',
+  packed: 'llm:packed'
+};
+
+// Task rules shared by the single-text and packed extraction prompts
+const EXTRACTION_GUIDE = `You are an expert Philippine location extractor for social media comments about internet/telecom issues.
+
+TASK: Extract the USER'S ACTUAL LOCATION from the text. Focus on where the user is physically located.
+
+CRITICAL RULES:
+1. Extract only the user's location, not mentioned people or companies
+2. @mentions are usernames, NOT locations
+3. #hashtags are tags, NOT locations (e.g., #AlterBacolod is a hashtag, not Bacolod City)
+4. Political figures and celebrities are PEOPLE, NOT locations
+5. Company names (Globe, PLDT, Converge) are NOT locations
+6. ${UNTRUSTED_TEXT_RULE}
+
+LOCATION PATTERNS TO RECOGNIZE:
+- "dito sa [location]" = "here in [location]"
+- "dto sa [location]" = shortened form
+- "area [location]" = "[location] area"
+- "taga [location]" = "from [location]"
+- "sa [location]" = "in/at [location]"
+- "Brgy./Barangay [name]" = barangay
+- Common abbreviations: QC (Quezon City), BGC (Taguig City), MOA (Pasay City)
+
+CASCADE INFERENCE RULES:
+When you identify a location at any level, infer the complete hierarchy:
+- If only barangay → infer most likely city, province, and region
+- If only city → infer province and region
+- If only province → infer region
+- Always provide complete hierarchy when possible
+
+PHILIPPINE GEOGRAPHY KNOWLEDGE:
+- NCR/Metro Manila cities: Quezon City, Manila, Makati, Taguig, Pasig, Pasay, Caloocan, etc.
+- Major provinces: Cavite, Laguna, Batangas, Rizal, Bulacan, Pampanga, Cebu, Davao, etc.
+- Regions: NCR, CALABARZON, Central Luzon, Central Visayas, Davao Region, etc.`;
+
+// How to use the gazetteer candidates listed with a text
+const GROUNDING_GUIDE = `HOW TO USE THE CANDIDATES:
+- They are real places from the official gazetteer; prefer one of them over your own guess and copy its hierarchy
+- A name listed with several places is ambiguous: choose the one the text supports (a province, city or landmark it mentions); if nothing settles it, pick the most likely one and lower your confidence
+- A word can match a place name by accident (a person, a brand, an ordinary word); ignore candidates the text doesn't use as a location
+- Answer with a place outside the list only when the text clearly names it`;
+
+// Packed prompts list fewer candidates per comment
+const PACKED_GROUNDING_LIMITS = { maxNames: 3, maxPlacesPerName: 3, maxPlaces: 8 };
 
 class LLMExtractor {
-  constructor(apiKey) {
-    if (!apiKey) {
-      console.warn('OpenAI API key not provided. LLM extraction will be disabled.');
+  /**
+   * Options:
+   * - provider: provider name or object (see llm-providers; defaults to LLM_PROVIDER)
+   * - cache: CacheManager to use (defaults to the shared instance)
+   * - model: chat model name (defaults to the provider's model)
+   * - usageTracker: running token totals (defaults to the shared tracker)
+   * - retry: { maxAttempts, baseDelayMs, maxDelayMs } over LLM_* env settings
+   * - packSize: send up to this many short texts per request (packed mode)
+   * - routing: escalation policy from resolveRouting, or null for none
+   *   (defaults to the LLM_ESCALATE_* settings)
+   * - repairAttempts: re-asks for output that fails validation (LLM_REPAIR_ATTEMPTS)
+   * - grounding: list gazetteer candidates in prompts (LLM_GROUNDING, default on)
+   * - fewShot: FewShotSelector for the extraction examples, or null for the
+   *   built-in ones (defaults to the LLM_FEW_SHOT_* corpus)
+   */
+  constructor(apiKey, options = {}) {
+    this.provider = typeof options.provider === 'object' && options.provider
+      ? options.provider
+      : getProvider(options.provider);
+    if (!this.provider) {
+      throw new Error(`Unknown LLM provider "${options.provider}"`);
+    }
+
+    this.model = options.model || this.provider.model;
+    this.cache = options.cache || getCacheInstance();
+    this.usageTracker = options.usageTracker || getUsageTracker();
+    this.retryOptions = getRetryOptions(options.retry);
+    this.packSize = options.packSize > 1 ? Math.floor(options.packSize) : 0;
+    this.packQueue = [];
+    this.packFlush = null;
+    this.promptVersions = {};
+    this.routing = options.routing === undefined ? resolveRouting({}) : options.routing;
+    if (this.routing && (this.routing.error || this.routing.escalateModel === this.model)) {
+      this.routing = null;
+    }
+    this.escalator = null;
+    this.repairAttempts = options.repairAttempts === undefined ? getRepairAttempts() : options.repairAttempts;
+    this.grounding = options.grounding === undefined ? isGroundingEnabled() : Boolean(options.grounding);
+    this.fewShot = options.fewShot === undefined ? getFewShotSelector() : options.fewShot;
+    this.job = null;
+
+    const key = apiKey || this.provider.apiKey;
+    if (!canAuthenticate(this.provider, key)) {
+      console.warn(`${this.provider.name} API key not provided. LLM extraction will be disabled.`);
       this.enabled = false;
       return;
     }
 
-    this.openai = new OpenAI({ apiKey });
+    this.openai = createClient(this.provider, key);
     this.enabled = true;
-    this.cache = new Map();
+  }
+
+  /**
+   * View of this extractor for one job: every completion it sends is
+   * charged to the job's budget and abandoned, retry waits included, when
+   * the job is cancelled. Client, cache and escalator are shared;
+   * packs are not, so one job's texts never ride on another's request.
+   */
+  forJob(job) {
+    const view = Object.create(this);
+    view.base = this.base || this;
+    view.job = job;
+    view.packQueue = [];
+    view.packFlush = null;
+    return view;
+  }
+
+  /**
+   * Hash of a prompt template; changes whenever the prompt wording does
+   */
+  getPromptVersion(kind = 'extract') {
+    if (!this.promptVersions[kind]) {
+      const templates = {
+        extract: () => this.buildExtractionPrompt('{{text}}'),
+        mentions: () => this.buildMentionsPrompt('{{text}}'),
+        packed: () => this.buildPackedPrompt([{ id: '1', text: '{{text}}' }])
+      };
+      // Candidates and examples depend on the text; the guide for using
+      // candidates and the example corpus are part of the template
+      this.promptVersions[kind] = hashContent(templates[kind]() +
+        (this.grounding ? GROUNDING_GUIDE : '') +
+        (kind === 'extract' && this.fewShot ? this.fewShot.version : ''));
+    }
+    return this.promptVersions[kind];
+  }
+
+  /**
+   * Cache key for one text: model and prompt version are part of it,
+   * so switching either never serves stale answers
+   */
+  getCacheKey(kind, text) {
+    return this.cache.buildKey(CACHE_SCOPES[kind], text, {
+      model: this.model,
+      promptVersion: this.getPromptVersion(kind),
+      // Local servers may answer any model name; keep them apart (OpenAI keys unchanged)
+      provider: this.provider.name === 'openai' ? undefined : this.provider.name
+    });
   }
 
   /**
    * Primary location extraction using LLM
    * This is now the MAIN extraction method, not a validator
+   * LLM answers record the `model` that produced them and whether they
+   * were `escalated` to the routing policy's stronger model
    */
   async extractLocation(text) {
+    const result = await this.extractWithModel(text);
+    if (result.method !== 'llm_extracted' && !isFailedLLMResult(result)) {
+      return result;
+    }
+
+    const reasons = getEscalationReasons(text, result, this.routing);
+    if (reasons.length === 0) {
+      return { ...result, model: this.model, escalated: false };
+    }
+
+    return this.escalate(text, result, reasons);
+  }
+
+  /**
+   * Ask the stronger model; its answer replaces the first one unless it fails
+   */
+  async escalate(text, result, reasons) {
+    const base = this.base || this;
+    if (!base.escalator) {
+      base.escalator = new LLMExtractor(this.openai.apiKey, {
+        provider: this.provider,
+        model: this.routing.escalateModel,
+        cache: this.cache,
+        usageTracker: this.usageTracker,
+        retry: this.retryOptions,
+        repairAttempts: this.repairAttempts,
+        grounding: this.grounding,
+        fewShot: this.fewShot,
+        routing: null
+      });
+    }
+
+    console.log(`🔼 Escalating to ${this.routing.escalateModel} (${reasons.join(', ')})`);
+    const escalator = this.job ? base.escalator.forJob(this.job) : base.escalator;
+    const stronger = await escalator.extractLocation(text);
+    const escalation = { from: this.model, reasons, firstConfidence: result.confidence };
+    const totals = {
+      usage: sumUsage([result.usage, stronger.usage]),
+      retries: (result.retries || 0) + (stronger.retries || 0)
+    };
+
+    if (isFailedLLMResult(stronger)) {
+      return { ...result, ...totals, model: this.model, escalated: false, escalation: { ...escalation, error: stronger.error } };
+    }
+
+    return {
+      ...stronger,
+      ...totals,
+      cached: Boolean(result.cached && stronger.cached),
+      escalated: true,
+      escalation
+    };
+  }
+
+  /**
+   * Extraction with this extractor's own model: pre-filter, cache,
+   * then a packed or single request
+   */
+  async extractWithModel(text) {
     if (!this.enabled) {
       return {
         hasLocation: false,
@@ -34,88 +262,420 @@ class LLMExtractor {
       };
     }
 
-    // Check cache first
-    const cacheKey = text.toLowerCase().trim();
-    if (this.cache.has(cacheKey)) {
-      const cached = this.cache.get(cacheKey);
-      return { ...cached, cached: true };
-    }
-
     // Pre-filter obvious non-locations to save LLM calls
     if (this.shouldSkipLLM(text)) {
-      const result = {
+      return {
         hasLocation: false,
         confidence: 100,
         location: null,
         reasoning: 'Text contains only mentions/hashtags or is too short',
         method: 'pre-filtered'
       };
-      this.cache.set(cacheKey, result);
-      return result;
     }
 
+    // Check cache first; packed answers are reused only in packed mode
+    const cacheKey = this.getCacheKey('extract', text);
+    const packedKey = this.packSize ? this.getCacheKey('packed', text) : null;
+    const cached = this.cache.get(cacheKey) || (packedKey && this.cache.get(packedKey));
+    if (cached) {
+      return this.attachSpans(text, { ...cached, usage: createUsage(this.model), retries: 0, cached: true });
+    }
+
+    if (this.packSize && isPackable(text)) {
+      return this.enqueuePacked(text, packedKey);
+    }
+
+    return this.extractSingle(text, cacheKey);
+  }
+
+  /**
+   * One chat completion for one text
+   */
+  async extractSingle(text, cacheKey = this.getCacheKey('extract', text)) {
     try {
       const prompt = this.buildExtractionPrompt(text);
       const response = await this.callGPT4oMini(prompt);
 
-      // Cache the result
-      this.cache.set(cacheKey, response);
-
-      // Maintain cache size
-      this.maintainCacheSize();
+      // Usage and retries describe this call, not the answer
+      const { usage, retries, ...answer } = response;
+      this.cache.set(cacheKey, answer);
 
-      return response;
+      return this.attachSpans(text, response);
     } catch (error) {
+      if (error instanceof InvalidLLMOutputError) {
+        console.warn(`⚠️ LLM output failed validation: ${error.message}`);
+        return this.buildInvalidOutputResult(error);
+      }
       console.error('LLM extraction error:', error);
 
       // Return no location on error
+      return this.buildErrorResult(error);
+    }
+  }
+
+  /**
+   * Queue a text for the next packed request
+   * Texts queued in the same tick share a request; a full pack is sent
+   * straight away
+   */
+  enqueuePacked(text, cacheKey) {
+    return new Promise(resolve => {
+      this.packQueue.push({ text, cacheKey, resolve });
+
+      if (this.packQueue.length >= this.packSize) {
+        this.flushPacked();
+      } else if (!this.packFlush) {
+        this.packFlush = setImmediate(() => this.flushPacked());
+      }
+    });
+  }
+
+  /**
+   * Send everything queued, split into packs
+   */
+  flushPacked() {
+    if (this.packFlush) {
+      clearImmediate(this.packFlush);
+      this.packFlush = null;
+    }
+
+    const items = this.packQueue.splice(0);
+    chunkPackItems(items, this.packSize).forEach(pack => {
+      this.runPack(pack).catch(error => {
+        // runPack resolves every item itself; this is a last resort
+        console.error('Packed extraction error:', error);
+        pack.forEach(item => item.resolve(this.buildErrorResult(error)));
+      });
+    });
+  }
+
+  /**
+   * Extract a pack of texts with one request
+   * A reply that is cut off or not JSON is split in half and retried;
+   * entries the model dropped or malformed fall back to single calls
+   */
+  async runPack(items) {
+    if (items.length === 1) {
+      const [item] = items;
+      item.resolve(await this.extractSingle(item.text));
+      return;
+    }
+
+    let reply;
+    try {
+      reply = await this.callPacked(items);
+    } catch (error) {
+      if (error instanceof PackReplyError) {
+        console.warn(`📦 ${error.message}; splitting pack of ${items.length}`);
+        const middle = Math.ceil(items.length / 2);
+        await Promise.all([this.runPack(items.slice(0, middle)), this.runPack(items.slice(middle))]);
+        return;
+      }
+
+      console.error('Packed extraction error:', error);
+      items.forEach(item => item.resolve(this.buildErrorResult(error)));
+      return;
+    }
+
+    const shares = splitUsage(reply.usage, items.length);
+    const fallbacks = [];
+
+    items.forEach((item, index) => {
+      const entry = parsePackedEntry(reply.entries.get(String(index + 1)));
+      const usage = shares[index];
+
+      if (!entry) {
+        // Dropped or malformed: ask again on its own
+        fallbacks.push(this.extractSingle(item.text).then(result => {
+          item.resolve({ ...result, usage: sumUsage([usage, result.usage]), retries: reply.retries + (result.retries || 0) });
+        }));
+        return;
+      }
+
+      const { id, ...answer } = entry;
+      const result = { ...answer, method: 'llm_extracted' };
+      this.cache.set(item.cacheKey, result);
+
+      item.resolve(this.attachSpans(item.text, {
+        ...result,
+        usage,
+        retries: reply.retries,
+        packed: { size: items.length }
+      }));
+    });
+
+    if (fallbacks.length > 0) {
+      console.warn(`📦 ${fallbacks.length}/${items.length} packed entries missing or malformed; retrying them singly`);
+      await Promise.all(fallbacks);
+    }
+  }
+
+  /**
+   * Send one packed request; resolves with { entries, usage, retries }
+   */
+  async callPacked(items) {
+    const prompt = this.buildPackedPrompt(items.map((item, index) => ({ id: String(index + 1), text: item.text })));
+    const completion = await this.createCompletion(prompt, getPackMaxTokens(items.length), 'packed');
+    const entries = parsePackedReply(completion.content, completion.finishReason);
+
+    return { entries, usage: completion.usage, retries: completion.retries };
+  }
+
+  /**
+   * Result for a text whose LLM call failed
+   */
+  buildErrorResult(error) {
+    return {
+      hasLocation: false,
+      confidence: 0,
+      location: null,
+      reasoning: 'LLM extraction failed',
+      method: 'error',
+      error: error.message,
+      ...(error instanceof BudgetExceededError && { budgetExceeded: true }),
+      ...(error.usage && { usage: error.usage }),
+      retries: error.retries || 0
+    };
+  }
+
+  /**
+   * Result for a reply that never passed validation; the raw reply is
+   * kept for debugging where the provider allows it (see
+   * describeInvalidOutput) and the tokens it cost are still reported
+   */
+  buildInvalidOutputResult(error) {
+    return {
+      hasLocation: false,
+      confidence: 0,
+      location: null,
+      reasoning: 'LLM output failed validation',
+      method: 'invalid_llm_output',
+      ...describeInvalidOutput(this.provider, error),
+      ...(error.usage && { usage: error.usage }),
+      retries: error.retries || 0
+    };
+  }
+
+  /**
+   * Extract every location mention with its role
+   * Returns { hasLocation, mentions: [{ location, role, confidence, text }], primary }
+   */
+  async extractMentions(text) {
+    if (!this.enabled) {
       return {
         hasLocation: false,
-        confidence: 0,
-        location: null,
-        reasoning: 'LLM extraction failed',
-        method: 'error'
+        mentions: [],
+        primary: null,
+        reasoning: 'LLM extraction disabled',
+        method: 'disabled'
+      };
+    }
+
+    if (this.shouldSkipLLM(text)) {
+      return {
+        hasLocation: false,
+        mentions: [],
+        primary: null,
+        reasoning: 'Text contains only mentions/hashtags or is too short',
+        method: 'pre-filtered'
+      };
+    }
+
+    const cacheKey = this.getCacheKey('mentions', text);
+    const cached = this.cache.get(cacheKey);
+    if (cached) {
+      return this.attachMentionSpans(text, { ...cached, usage: createUsage(this.model), retries: 0, cached: true });
+    }
+
+    try {
+      const prompt = this.buildMentionsPrompt(text);
+      const response = await this.callGPT4oMini(prompt, 500, 'mentions');
+      const result = this.normalizeMentionsResponse(response);
+
+      this.cache.set(cacheKey, result);
+
+      return this.attachMentionSpans(text, { ...result, usage: response.usage, retries: response.retries });
+    } catch (error) {
+      const invalid = error instanceof InvalidLLMOutputError;
+      if (invalid) {
+        console.warn(`⚠️ LLM mentions output failed validation: ${error.message}`);
+      } else {
+        console.error('LLM mention extraction error:', error);
+      }
+
+      return {
+        hasLocation: false,
+        mentions: [],
+        primary: null,
+        reasoning: invalid ? 'LLM output failed validation' : 'LLM extraction failed',
+        method: invalid ? 'invalid_llm_output' : 'error',
+        error: error.message,
+        ...(error instanceof BudgetExceededError && { budgetExceeded: true }),
+        ...(invalid && describeInvalidOutput(this.provider, error)),
+        ...(error.usage && { usage: error.usage }),
+        retries: error.retries || 0
       };
     }
   }
 
   /**
-   * Build extraction prompt with cascading inference instructions
+   * Add offsets into the original text for each level of the location
+   * Cache keys are case-insensitive, so spans are never cached
    */
-  buildExtractionPrompt(text) {
+  attachSpans(text, result) {
+    if (!result.location) return result;
+    return { ...result, ...locateSpans(text, result.location) };
+  }
+
+  /**
+   * Add offsets for every mention, anchored at the words the model quoted
+   */
+  attachMentionSpans(text, result) {
+    const mentions = result.mentions.map(mention => {
+      const quoted = findSpan(text, mention.text);
+      const { spans, match } = locateSpans(text, mention.location, { near: quoted ? quoted.start : null });
+      const surface = match || quoted;
+
+      return {
+        ...mention,
+        start: surface ? surface.start : null,
+        end: surface ? surface.end : null,
+        spans,
+        match: surface
+      };
+    });
+
+    return { ...result, mentions };
+  }
+
+  /**
+   * Coerce a mentions response into the documented shape
+   */
+  normalizeMentionsResponse(response) {
+    const mentions = (Array.isArray(response.mentions) ? response.mentions : [])
+      .filter(mention => mention && mention.location)
+      .map(mention => ({
+        location: {
+          region: mention.location.region || 'None',
+          province: mention.location.province || 'None',
+          city: mention.location.city || 'None',
+          barangay: mention.location.barangay || 'None'
+        },
+        role: normalizeRole(mention.role),
+        confidence: Number(mention.confidence) || 0,
+        text: typeof mention.text === 'string' ? mention.text : ''
+      }));
+
+    // Trust the model's primary unless it points at a negated or missing mention
+    const requested = Number.isInteger(response.primary) ? mentions[response.primary] : null;
+    const primary = requested && requested.role !== 'negated'
+      ? response.primary
+      : pickPrimaryMention(mentions);
+
+    return {
+      hasLocation: mentions.length > 0,
+      mentions,
+      primary,
+      reasoning: response.reasoning || '',
+      method: 'llm_extracted'
+    };
+  }
+
+  /**
+   * Gazetteer candidates for a text, one line per name and level;
+   * empty when grounding is off or no word names a real place
+   */
+  getCandidateLines(text, limits = {}) {
+    return this.grounding ? formatCandidateLines(findGazetteerCandidates(text, limits)) : [];
+  }
+
+  /**
+   * Prompt section listing the gazetteer candidates for a text
+   */
+  buildGroundingSection(text) {
+    const lines = this.getCandidateLines(text);
+    if (lines.length === 0) return '';
+
+    return `
+
+GAZETTEER CANDIDATES (real places whose names appear in the text):
+${lines.map(line => `- ${line}`).join('\n')}
+
+${GROUNDING_GUIDE}`;
+  }
+
+  /**
+   * Labeled examples for the extraction prompt: the corpus examples most
+   * similar to the text, or the built-in ones without a corpus
+   */
+  getExamples(text) {
+    return this.fewShot ? this.fewShot.select(text) : DEFAULT_EXAMPLES;
+  }
+
+  /**
+   * Build multi-location prompt: every place mentioned, each with a role
+   */
+  buildMentionsPrompt(text) {
     return `You are an expert Philippine location extractor for social media comments about internet/telecom issues.
 
-TASK: Extract the USER'S ACTUAL LOCATION from the text. Focus on where the user is physically located.
+TASK: List EVERY Philippine location mentioned in the text and say how each one is mentioned.
+
+ROLES (use exactly one per mention):
+- residence: where the user lives ("taga [location]", "I'm from [location]", "nakatira sa")
+- current: where the user is now or where the problem is ("dito sa", "here in", "nasa", "[location] area")
+- visited: a place the user went to in the past ("visited", "galing sa", "went to")
+- destination: a place the user is going to ("going to", "papunta sa", "uuwi sa")
+- negated: a place the text says the user is NOT in ("wala sa Makati", "not in Cebu", "hindi taga")
+- mentioned: any other place named in the text
 
 CRITICAL RULES:
-1. Extract only the user's location, not mentioned people or companies
-2. @mentions are usernames, NOT locations
-3. #hashtags are tags, NOT locations (e.g., #AlterBacolod is a hashtag, not Bacolod City)
-4. Political figures and celebrities are PEOPLE, NOT locations
-5. Company names (Globe, PLDT, Converge) are NOT locations
+1. @mentions are usernames, NOT locations
+2. #hashtags are tags, NOT locations
+3. Political figures, celebrities and company names (Globe, PLDT, Converge) are NOT locations
+4. "wala pa rin", "wala signal" mean the service is down; they do NOT negate a location
+5. Infer the complete hierarchy for each mention (barangay → city → province → region)
+6. "primary" is the index of the user's own location (prefer current, then residence). Never point it at a negated mention. Use null if no mention is the user's location.
+7. ${UNTRUSTED_TEXT_RULE}
 
-LOCATION PATTERNS TO RECOGNIZE:
-- "dito sa [location]" = "here in [location]"
-- "dto sa [location]" = shortened form
-- "area [location]" = "[location] area"
-- "taga [location]" = "from [location]"
-- "sa [location]" = "in/at [location]"
-- "Brgy./Barangay [name]" = barangay
-- Common abbreviations: QC (Quezon City), BGC (Taguig City), MOA (Pasay City)
+Text to analyze: ${quoteUserText(text)}${this.buildGroundingSection(text)}
 
-CASCADE INFERENCE RULES:
-When you identify a location at any level, infer the complete hierarchy:
-- If only barangay → infer most likely city, province, and region
-- If only city → infer province and region
-- If only province → infer region
-- Always provide complete hierarchy when possible
+Return JSON with STRICT format:
+{
+  "mentions": [
+    {
+      "text": "the words used in the text",
+      "role": "${MENTION_ROLES.join(' | ')}",
+      "confidence": 0-100,
+      "location": {
+        "region": "full region name or None",
+        "province": "full province name or None",
+        "city": "full city/municipality name or None",
+        "barangay": "barangay name or None"
+      }
+    }
+  ],
+  "primary": 0,
+  "reasoning": "brief explanation"
+}
 
-PHILIPPINE GEOGRAPHY KNOWLEDGE:
-- NCR/Metro Manila cities: Quezon City, Manila, Makati, Taguig, Pasig, Pasay, Caloocan, etc.
-- Major provinces: Cavite, Laguna, Batangas, Rizal, Bulacan, Pampanga, Cebu, Davao, etc.
-- Regions: NCR, CALABARZON, Central Luzon, Central Visayas, Davao Region, etc.
+EXAMPLES:
+Input: "I'm from Quezon City but I visited Cebu last week"
+Output: {"mentions": [{"text": "Quezon City", "role": "residence", "confidence": 95, "location": {"region": "National Capital Region (NCR)", "province": "Metro Manila", "city": "Quezon City", "barangay": "None"}}, {"text": "Cebu", "role": "visited", "confidence": 85, "location": {"region": "Central Visayas", "province": "Cebu", "city": "None", "barangay": "None"}}], "primary": 0, "reasoning": "Lives in Quezon City, visited Cebu"}
+
+Input: "wala sa Makati, dito ako sa Pasig"
+Output: {"mentions": [{"text": "Makati", "role": "negated", "confidence": 90, "location": {"region": "National Capital Region (NCR)", "province": "Metro Manila", "city": "Makati City", "barangay": "None"}}, {"text": "Pasig", "role": "current", "confidence": 95, "location": {"region": "National Capital Region (NCR)", "province": "Metro Manila", "city": "Pasig City", "barangay": "None"}}], "primary": 1, "reasoning": "Not in Makati; currently in Pasig"}
+
+Input: "@enjoyGLOBE fix your service!"
+Output: {"mentions": [], "primary": null, "reasoning": "No location mentioned"}`;
+  }
 
-Text to analyze: "${text}"
+  /**
+   * Build extraction prompt with cascading inference instructions
+   */
+  buildExtractionPrompt(text) {
+    return `${EXTRACTION_GUIDE}
+
+Text to analyze: ${quoteUserText(text)}${this.buildGroundingSection(text)}
 
 Return JSON with STRICT format:
 {
@@ -131,75 +691,153 @@ Return JSON with STRICT format:
 }
 
 EXAMPLES:
-Input: "dito sa QC walang internet"
-Output: {"hasLocation": true, "confidence": 95, "location": {"region": "National Capital Region (NCR)", "province": "Metro Manila", "city": "Quezon City", "barangay": "None"}, "reasoning": "QC is Quezon City in Metro Manila"}
+${formatExamples(this.getExamples(text))}
 
-Input: "Brgy. 171, North Caloocan. Hehe."
-Output: {"hasLocation": true, "confidence": 100, "location": {"region": "National Capital Region (NCR)", "province": "Metro Manila", "city": "Caloocan City", "barangay": "171"}, "reasoning": "Explicit barangay and city mention"}
+IMPORTANT:
+- Be aggressive in finding locations but accurate in extraction
+- Always complete the hierarchy when possible
+- Use "None" for unknown levels, not null
+- Filipino text patterns are common - recognize them`;
+  }
 
-Input: "@enjoyGLOBE fix your service!"
-Output: {"hasLocation": false, "confidence": 100, "location": null, "reasoning": "Only contains company mention, no user location"}
+  /**
+   * Build the packed prompt for several comments
+   * `items` are { id, text }; the reply is one result per id
+   */
+  buildPackedPrompt(items) {
+    const grounded = items.map(item => {
+      const candidates = this.getCandidateLines(item.text, PACKED_GROUNDING_LIMITS);
+      return candidates.length ? { ...item, candidates } : item;
+    });
+    const hasCandidates = grounded.some(item => item.candidates);
+
+    return `${EXTRACTION_GUIDE}
 
-Input: "dto sa Burgos wala pa rin"
-Output: {"hasLocation": true, "confidence": 85, "location": {"region": "Cagayan Valley", "province": "Isabela", "city": "Burgos", "barangay": "None"}, "reasoning": "Burgos municipality in Isabela based on context"}
+Analyze EACH comment below on its own. Every comment is from a different user; never carry a location from one comment to another.
 
-Input: "area Rizal since yesterday"
-Output: {"hasLocation": true, "confidence": 90, "location": {"region": "CALABARZON", "province": "Rizal", "city": "None", "barangay": "None"}, "reasoning": "Rizal province mentioned"}
+Comments (JSON array of {"id", "text"}${hasCandidates ? ', plus "candidates": gazetteer places whose names appear in that comment' : ''}):
+${JSON.stringify(grounded, null, 1).replace(/</g, '\\u003c')}
+${hasCandidates ? `\n${GROUNDING_GUIDE}\n` : ''}
+Return JSON with STRICT format, one entry per comment id in the same order:
+{
+  "results": [
+    {
+      "id": "comment id",
+      "hasLocation": true/false,
+      "confidence": 0-100,
+      "location": {
+        "region": "full region name or None",
+        "province": "full province name or None",
+        "city": "full city/municipality name or None",
+        "barangay": "barangay name or None"
+      },
+      "reasoning": "at most 10 words"
+    }
+  ]
+}
 
 IMPORTANT:
-- Be aggressive in finding locations but accurate in extraction
 - Always complete the hierarchy when possible
-- Use "None" for unknown levels, not null
+- Use "None" for unknown levels, not null; use "location": null when hasLocation is false
 - Filipino text patterns are common - recognize them`;
   }
 
   /**
-   * Call GPT-4o-mini API
+   * Chat completion request body; also used for Batch API input lines
+   * `kind` picks the output schema; `repair` (previous reply and what
+   * was wrong with it) turns the request into a re-ask
    */
-  async callGPT4oMini(prompt) {
-    const response = await this.openai.chat.completions.create({
-      model: "gpt-4o-mini",
+  buildCompletionRequest(prompt, maxTokens = 200, kind = 'extract', repair = null) {
+    const responseFormat = getResponseFormat(this.provider, kind);
+    return {
+      model: this.model,
       messages: [{
         role: "user",
         content: prompt
-      }],
+      }, ...(repair ? buildRepairMessages(repair) : [])],
       temperature: 0.1,  // Low temperature for consistency
-      max_tokens: 200,
-      response_format: { type: "json_object" }
+      // A reply cut off at max_tokens gets twice the room on the re-ask
+      max_tokens: repair && repair.truncated ? maxTokens * 2 : maxTokens,
+      ...(responseFormat && { response_format: responseFormat })
+    };
+  }
+
+  /**
+   * One chat completion with retries and usage accounting, charged to
+   * the job's budget and stopped by its signal when this is a job view
+   * Resolves with { content, finishReason, usage, retries }
+   */
+  async createCompletion(prompt, maxTokens, kind = 'extract', repair = null) {
+    const signal = this.job ? this.job.signal : null;
+    return chargeCall(this.job && this.job.budget, this.model, async () => {
+      const { value: response, retries } = await withRetries(
+        () => this.openai.chat.completions.create(this.buildCompletionRequest(prompt, maxTokens, kind, repair), signal ? { signal } : undefined),
+        { ...this.retryOptions, signal }
+      );
+
+      // Count tokens before parsing: malformed output was still paid for
+      const usage = fromResponseUsage(this.model, response.usage);
+      this.usageTracker.record(usage);
+
+      const choice = response.choices[0];
+      return {
+        content: choice.message.content,
+        finishReason: choice.finish_reason,
+        usage,
+        retries
+      };
     });
+  }
 
-    const result = JSON.parse(response.choices[0].message.content);
+  /**
+   * Call the chat model (GPT-4o-mini unless configured otherwise)
+   * The reply is validated against the `kind` schema and re-asked when
+   * it doesn't fit; throws InvalidLLMOutputError if it never does
+   */
+  async callGPT4oMini(prompt, maxTokens = 200, kind = 'extract') {
+    const { value, usage, retries } = await completeWithRepairs(
+      repair => this.createCompletion(prompt, maxTokens, kind, repair),
+      completion => parseLLMOutput(kind, completion.content, completion.finishReason),
+      this.repairAttempts
+    );
 
-    // Ensure proper format with "None" for missing fields
-    if (result.location) {
-      result.location.region = result.location.region || "None";
-      result.location.province = result.location.province || "None";
-      result.location.city = result.location.city || "None";
-      result.location.barangay = result.location.barangay || "None";
-    }
+    return {
+      ...value,
+      method: 'llm_extracted',
+      usage,
+      retries
+    };
+  }
 
+  /**
+   * Parse and validate a model reply to the extraction prompt
+   * Throws InvalidLLMOutputError
+   */
+  parseExtraction(content, finishReason = 'stop') {
     return {
-      ...result,
+      ...parseLLMOutput('extract', content, finishReason),
       method: 'llm_extracted'
     };
   }
 
   /**
    * Batch extract multiple texts with optimized processing
+   * In packed mode each step holds `batchSize` packs rather than texts
    */
   async batchExtract(texts, batchSize = 10) {
     const results = [];
+    const step = this.packSize ? batchSize * this.packSize : batchSize;
 
     // Process in batches to avoid rate limits
-    for (let i = 0; i < texts.length; i += batchSize) {
-      const batch = texts.slice(i, i + batchSize);
+    for (let i = 0; i < texts.length; i += step) {
+      const batch = texts.slice(i, i + step);
       const batchPromises = batch.map(text => this.extractLocation(text));
 
       const batchResults = await Promise.all(batchPromises);
       results.push(...batchResults);
 
       // Small delay between batches to avoid rate limits
-      if (i + batchSize < texts.length) {
+      if (i + step < texts.length) {
         await new Promise(resolve => setTimeout(resolve, 200));
       }
     }
@@ -238,10 +876,10 @@ IMPORTANT:
   }
 
   /**
-   * Clear cache
+   * Clear this extractor's entries from the shared cache
    */
   clearCache() {
-    this.cache.clear();
+    Object.values(CACHE_SCOPES).forEach(scope => this.cache.clear(scope));
   }
 
   /**
@@ -249,26 +887,15 @@ IMPORTANT:
    */
   getCacheStats() {
     return {
-      size: this.cache.size,
+      size: this.cache.countScope(CACHE_SCOPES.extract),
+      mentions: this.cache.countScope(CACHE_SCOPES.mentions),
       enabled: this.enabled,
-      maxSize: 10000 // Increased cache size
+      maxSize: this.cache.maxSize,
+      provider: this.provider.name,
+      model: this.model,
+      promptVersion: this.getPromptVersion('extract')
     };
   }
-
-  /**
-   * Maintain cache size
-   */
-  maintainCacheSize() {
-    const maxSize = 10000;
-    if (this.cache.size > maxSize) {
-      // Remove oldest entries (FIFO)
-      const entriesToRemove = this.cache.size - maxSize;
-      const keys = Array.from(this.cache.keys());
-      for (let i = 0; i < entriesToRemove; i++) {
-        this.cache.delete(keys[i]);
-      }
-    }
-  }
 }
 
 module.exports = LLMExtractor;
\ No newline at end of file
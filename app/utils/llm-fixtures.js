@@ -0,0 +1,141 @@
+/**
+ * LLM Record/Replay Fixtures
+ * With LLM_FIXTURES=record, every chat completion is sent as usual and
+ * the reply is saved to a fixture file; with LLM_FIXTURES=replay, replies
+ * are served from those files and nothing goes over the network. Files
+ * are keyed by model plus a hash of the prompt messages, so a reworded
+ * prompt needs a new recording instead of replaying a stale answer.
+ * Other endpoints (files, batches) are never recorded and pass through.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hashContent } = require('./provenance');
+
+const FIXTURE_MODES = ['record', 'replay'];
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'tests', 'fixtures', 'llm');
+
+const CHAT_PATH = /\/chat\/completions$/;
+
+/**
+ * Fixture settings from LLM_FIXTURES and LLM_FIXTURES_DIR
+ * Returns null when fixtures are off
+ */
+function getFixtureOptions(env = process.env) {
+  const mode = (env.LLM_FIXTURES || '').trim().toLowerCase();
+  if (!FIXTURE_MODES.includes(mode)) return null;
+
+  return {
+    mode,
+    dir: env.LLM_FIXTURES_DIR ? path.resolve(env.LLM_FIXTURES_DIR) : DEFAULT_FIXTURES_DIR
+  };
+}
+
+/**
+ * Fixture name for a chat completion request body: "<model>-<prompt hash>"
+ */
+function getFixtureKey(body) {
+  const model = String(body.model || 'unknown').replace(/[^\w.-]+/g, '_');
+  return `${model}-${hashContent(JSON.stringify(body.messages || []))}`;
+}
+
+class FixtureStore {
+  constructor(dir = DEFAULT_FIXTURES_DIR) {
+    this.dir = dir;
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  /**
+   * Saved fixture for a key, or null
+   */
+  get(key) {
+    const file = this.filePath(key);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Save a request and its reply; the request is kept for review
+   */
+  save(key, request, response) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const fixture = {
+      key,
+      recordedAt: new Date().toISOString(),
+      request: { model: request.model, messages: request.messages },
+      response
+    };
+    fs.writeFileSync(this.filePath(key), JSON.stringify(fixture, null, 2) + '\n');
+    return fixture;
+  }
+}
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' }
+  });
+}
+
+/**
+ * fetch for the OpenAI SDK that records or replays chat completions
+ * A missing fixture in replay mode is a 404 naming the fixture, which
+ * the retry layer doesn't retry
+ */
+function createFixtureFetch({ mode, dir }, fetchImpl = globalThis.fetch) {
+  const store = new FixtureStore(dir);
+
+  return async (url, init = {}) => {
+    const target = typeof url === 'string' ? url : url.url || String(url);
+    if (String(init.method || 'GET').toUpperCase() !== 'POST' || !CHAT_PATH.test(new URL(target).pathname)) {
+      return fetchImpl(url, init);
+    }
+
+    const body = JSON.parse(init.body || '{}');
+    const key = getFixtureKey(body);
+
+    if (mode === 'replay') {
+      const fixture = store.get(key);
+      if (!fixture) {
+        return jsonResponse(404, {
+          error: {
+            message: `No LLM fixture ${key}.json in ${store.dir}; record it with LLM_FIXTURES=record`,
+            type: 'fixture_not_found'
+          }
+        });
+      }
+      return jsonResponse(fixture.response.status, fixture.response.body);
+    }
+
+    const response = await fetchImpl(url, init);
+    const text = await response.text();
+    // Only answers are worth replaying; errors are left to the retry tests
+    if (response.ok) {
+      store.save(key, body, { status: response.status, body: JSON.parse(text) });
+      console.log(`📼 Recorded LLM fixture ${key}`);
+    }
+    return new Response(text, { status: response.status, statusText: response.statusText, headers: response.headers });
+  };
+}
+
+/**
+ * fetch to hand the OpenAI SDK, or null when fixtures are off
+ */
+function getFixtureFetch(env = process.env) {
+  const options = getFixtureOptions(env);
+  return options ? createFixtureFetch(options) : null;
+}
+
+module.exports = {
+  FIXTURE_MODES,
+  DEFAULT_FIXTURES_DIR,
+  getFixtureOptions,
+  getFixtureKey,
+  FixtureStore,
+  createFixtureFetch,
+  getFixtureFetch
+};
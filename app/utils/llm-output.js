@@ -0,0 +1,383 @@
+/**
+ * LLM Output Validation
+ * Model replies are checked against zod schemas before anything else
+ * reads them. Replies cut off at max_tokens are closed up locally when
+ * the part that arrived is enough; anything still invalid is sent back
+ * to the model once with the problem spelled out. Output that never
+ * validates is reported as `method: 'invalid_llm_output'` with the raw
+ * reply attached.
+ */
+
+const { z } = require('zod');
+const { parseJsonReply } = require('./llm-providers');
+const { sumUsage } = require('./usage-tracker');
+const { MENTION_ROLES } = require('./mention-roles');
+
+const DEFAULT_REPAIR_ATTEMPTS = 1;
+
+// Results that carry no usable LLM answer
+const FAILED_METHODS = ['error', 'invalid_llm_output'];
+
+const LEVELS = ['region', 'province', 'city', 'barangay'];
+
+// Missing, null or empty levels become "None"
+const level = z.string().nullish().transform(value => value || 'None');
+
+// Numeric strings are accepted; out-of-range values are clamped to 0-100
+const confidence = z.coerce.number()
+  .refine(Number.isFinite, 'confidence must be a number')
+  .transform(value => Math.min(100, Math.max(0, value)));
+
+const LocationSchema = z.object({
+  region: level,
+  province: level,
+  city: level,
+  barangay: level
+});
+
+const extractionFields = {
+  hasLocation: z.boolean(),
+  confidence,
+  location: LocationSchema.nullish(),
+  reasoning: z.string().nullish().transform(value => value || '')
+};
+
+/**
+ * A location answer must name at least one level when hasLocation is true
+ */
+function checkLocationAnswer(answer, context) {
+  if (answer.hasLocation && (!answer.location || LEVELS.every(name => answer.location[name] === 'None'))) {
+    context.addIssue({ code: z.ZodIssueCode.custom, path: ['location'], message: 'location is required when hasLocation is true' });
+  }
+}
+
+function finishLocationAnswer(answer) {
+  return { ...answer, location: answer.hasLocation ? answer.location : null };
+}
+
+const ExtractionSchema = z.object(extractionFields)
+  .superRefine(checkLocationAnswer)
+  .transform(finishLocationAnswer);
+
+const PackedEntrySchema = z.object({ id: z.union([z.string(), z.number()]), ...extractionFields })
+  .superRefine(checkLocationAnswer)
+  .transform(finishLocationAnswer);
+
+const MentionsSchema = z.object({
+  mentions: z.array(z.object({
+    text: z.string().nullish().transform(value => value || ''),
+    role: z.string().nullish(),
+    confidence,
+    location: LocationSchema
+  })),
+  primary: z.number().int().nullish().transform(value => (value === undefined ? null : value)),
+  reasoning: z.string().nullish().transform(value => value || '')
+});
+
+const OUTPUT_SCHEMAS = {
+  extract: ExtractionSchema,
+  validate: ExtractionSchema,
+  mentions: MentionsSchema
+};
+
+/**
+ * JSON schemas for providers with structured outputs (strict mode:
+ * every property required, no extras, nullable instead of optional)
+ */
+const LOCATION_JSON_SCHEMA = {
+  type: 'object',
+  properties: Object.fromEntries(LEVELS.map(name => [name, { type: ['string', 'null'] }])),
+  required: LEVELS,
+  additionalProperties: false
+};
+
+const EXTRACTION_PROPERTIES = {
+  hasLocation: { type: 'boolean' },
+  confidence: { type: 'number' },
+  location: { anyOf: [LOCATION_JSON_SCHEMA, { type: 'null' }] },
+  reasoning: { type: 'string' }
+};
+
+const EXTRACTION_JSON_SCHEMA = {
+  type: 'object',
+  properties: EXTRACTION_PROPERTIES,
+  required: Object.keys(EXTRACTION_PROPERTIES),
+  additionalProperties: false
+};
+
+const JSON_SCHEMAS = {
+  extract: EXTRACTION_JSON_SCHEMA,
+  validate: EXTRACTION_JSON_SCHEMA,
+  mentions: {
+    type: 'object',
+    properties: {
+      mentions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            text: { type: 'string' },
+            role: { type: 'string', enum: MENTION_ROLES },
+            confidence: { type: 'number' },
+            location: LOCATION_JSON_SCHEMA
+          },
+          required: ['text', 'role', 'confidence', 'location'],
+          additionalProperties: false
+        }
+      },
+      primary: { type: ['integer', 'null'] },
+      reasoning: { type: 'string' }
+    },
+    required: ['mentions', 'primary', 'reasoning'],
+    additionalProperties: false
+  },
+  packed: {
+    type: 'object',
+    properties: {
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { id: { type: 'string' }, ...EXTRACTION_PROPERTIES },
+          required: ['id', ...Object.keys(EXTRACTION_PROPERTIES)],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['results'],
+    additionalProperties: false
+  }
+};
+
+/**
+ * Output that failed validation; `raw` is the reply as received
+ */
+class InvalidLLMOutputError extends Error {
+  constructor(message, raw, truncated = false) {
+    super(message);
+    this.name = 'InvalidLLMOutputError';
+    this.raw = raw;
+    this.truncated = truncated;
+  }
+}
+
+/**
+ * What a caller may see of a reply that failed validation: the raw reply
+ * and the error (which can quote it) only from providers with exposeRaw.
+ * Others get a generic error, and the raw reply goes to the server log
+ * so the operator still has it
+ */
+function describeInvalidOutput(provider, error) {
+  if (!provider.exposeRaw) {
+    console.warn(`⚠️ ${provider.name} reply withheld from the caller: ${JSON.stringify(error.raw)}`);
+    return { error: `${provider.name} reply failed validation` };
+  }
+  return { error: error.message, raw: error.raw };
+}
+
+/**
+ * Re-asks per call from LLM_REPAIR_ATTEMPTS (0 turns them off)
+ */
+function getRepairAttempts() {
+  const attempts = Number(process.env.LLM_REPAIR_ATTEMPTS);
+  return Number.isInteger(attempts) && attempts >= 0 ? attempts : DEFAULT_REPAIR_ATTEMPTS;
+}
+
+/**
+ * response_format for a provider: a strict JSON schema where structured
+ * outputs are supported, plain JSON mode otherwise, or none
+ */
+function getResponseFormat(provider, kind) {
+  if (provider.structuredOutputs && JSON_SCHEMAS[kind]) {
+    return {
+      type: 'json_schema',
+      json_schema: { name: `location_${kind}`, strict: true, schema: JSON_SCHEMAS[kind] }
+    };
+  }
+  return provider.jsonMode ? { type: 'json_object' } : null;
+}
+
+/**
+ * Close a JSON reply that was cut off mid-way
+ * Tries closing the open string, arrays and objects as they stand,
+ * then cutting back to each earlier complete member. Returns the
+ * parsed value, or null when nothing usable is left.
+ */
+function repairTruncatedJson(content) {
+  const text = String(content || '');
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+
+  const stack = [];
+  const cuts = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === '{' || char === '[') stack.push(char === '{' ? '}' : ']');
+    else if (char === '}' || char === ']') stack.pop();
+    else if (char === ',') cuts.push({ end: i, closers: stack.slice() });
+
+    if (stack.length === 0) return null;   // Complete; not a truncation problem
+  }
+
+  const close = closers => closers.slice().reverse().join('');
+  let tail = text.slice(start);
+  if (inString) tail = (escaped ? tail.slice(0, -1) : tail) + '"';
+
+  const candidates = [tail + close(stack)]
+    .concat(cuts.reverse().map(cut => text.slice(start, cut.end) + close(cut.closers)));
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      // Try the next, shorter candidate
+    }
+  }
+  return null;
+}
+
+/**
+ * Readable summary of zod issues
+ */
+function describeIssues(error) {
+  return error.issues
+    .slice(0, 5)
+    .map(issue => `${issue.path.length ? issue.path.join('.') : 'reply'}: ${issue.message}`)
+    .join('; ');
+}
+
+/**
+ * Check a value against a zod schema; returns the parsed data or
+ * throws InvalidLLMOutputError
+ */
+function validateWith(schema, value, raw, truncated = false) {
+  const checked = schema.safeParse(value);
+  if (!checked.success) {
+    const prefix = truncated ? 'reply was cut off at max_tokens; ' : '';
+    throw new InvalidLLMOutputError(`${prefix}${describeIssues(checked.error)}`, raw, truncated);
+  }
+  return checked.data;
+}
+
+/**
+ * Parse and validate a reply to one of the prompts (`extract`,
+ * `validate`, `mentions`). Throws InvalidLLMOutputError.
+ */
+function parseLLMOutput(kind, content, finishReason = 'stop') {
+  const truncated = finishReason === 'length';
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new InvalidLLMOutputError(truncated ? 'reply was cut off before any output' : 'empty reply', content || '', truncated);
+  }
+
+  let value;
+  try {
+    value = parseJsonReply(content);
+  } catch (error) {
+    value = repairTruncatedJson(content);
+    if (value === null) {
+      const reason = truncated ? 'reply was cut off at max_tokens' : `reply is not JSON (${error.message})`;
+      throw new InvalidLLMOutputError(reason, content, truncated);
+    }
+    console.warn(`🩹 Closed a ${truncated ? 'truncated' : 'malformed'} JSON reply`);
+  }
+
+  return validateWith(OUTPUT_SCHEMAS[kind], value, content, truncated);
+}
+
+/**
+ * Validate one entry of a packed reply; null when it's unusable
+ */
+function parsePackedEntry(entry) {
+  const checked = PackedEntrySchema.safeParse(entry);
+  return checked.success ? checked.data : null;
+}
+
+/**
+ * Follow-up messages asking the model to fix its previous reply
+ */
+function buildRepairMessages(repair) {
+  return [
+    { role: 'assistant', content: String(repair.content || '').slice(0, 4000) },
+    {
+      role: 'user',
+      content: `Your previous reply could not be used: ${repair.issue}.
+Reply again with ONLY the JSON object in the exact format requested above. Keep "reasoning" under 15 words.`
+    }
+  ];
+}
+
+/**
+ * Run a completion, re-asking while the output fails validation
+ * `complete(repair)` resolves with { content, finishReason, usage,
+ * retries }; `repair` is null on the first call. `parse(completion)`
+ * returns the validated value or throws InvalidLLMOutputError. Usage
+ * and retries add up over every call, including the failed ones.
+ */
+async function completeWithRepairs(complete, parse, attempts = getRepairAttempts()) {
+  const usages = [];
+  let retries = 0;
+  let repair = null;
+
+  for (let attempt = 0; ; attempt++) {
+    let completion;
+    try {
+      completion = await complete(repair);
+    } catch (error) {
+      // A re-ask that failed (or was refused by the budget): keep what the earlier replies cost
+      if (usages.length > 0) {
+        error.usage = sumUsage(usages);
+        error.retries = retries;
+      }
+      throw error;
+    }
+    usages.push(completion.usage);
+    retries += completion.retries || 0;
+
+    try {
+      return { value: parse(completion), usage: sumUsage(usages), retries, repairs: attempt };
+    } catch (error) {
+      if (!(error instanceof InvalidLLMOutputError) || attempt >= attempts) {
+        error.usage = sumUsage(usages);
+        error.retries = retries;
+        throw error;
+      }
+
+      console.warn(`🩹 Invalid LLM output (${error.message}); asking again`);
+      repair = { content: completion.content, issue: error.message, truncated: error.truncated };
+    }
+  }
+}
+
+/**
+ * Whether a result carries no usable LLM answer
+ */
+function isFailedLLMResult(result) {
+  return Boolean(result) && FAILED_METHODS.includes(result.method);
+}
+
+module.exports = {
+  FAILED_METHODS,
+  OUTPUT_SCHEMAS,
+  JSON_SCHEMAS,
+  InvalidLLMOutputError,
+  describeInvalidOutput,
+  getRepairAttempts,
+  getResponseFormat,
+  repairTruncatedJson,
+  parseLLMOutput,
+  parsePackedEntry,
+  buildRepairMessages,
+  completeWithRepairs,
+  isFailedLLMResult
+};
@@ -0,0 +1,233 @@
+/**
+ * LLM Providers
+ * A provider says where chat completions go and how to talk to them:
+ * base URL, default model, auth scheme and whether the server honours
+ * JSON mode. Anything that speaks the OpenAI chat completions API can
+ * be used (OpenAI, Ollama, llama.cpp server, vLLM, Azure-style proxies).
+ *
+ * Provider fields:
+ *   baseURL     - API root ending in /v1; null uses the SDK default (OPENAI_BASE_URL)
+ *   model       - default chat model
+ *   authScheme  - 'bearer' (Authorization header), 'api-key' (api-key header) or 'none'
+ *   apiKey      - server-side key for self-hosted endpoints (optional)
+ *   keyPrefix   - prefix a caller-supplied key must have (optional)
+ *   jsonMode    - send response_format { type: 'json_object' }
+ *   structuredOutputs - send a strict JSON schema instead (response_format json_schema)
+ *   batch       - supports the Batch API (bulk jobs)
+ *   exposeRaw   - return replies that fail validation (`raw`) and the
+ *                 validation error to callers; off for anything but OpenAI
+ *                 so a caller can't read back what a private server said
+ *                 (the server log gets the reply either way)
+ *
+ * Only `openai` is always available. The local presets (`ollama`,
+ * `llamacpp`) point at this machine, so they exist only once the operator
+ * names them in LLM_PROVIDERS (or LLM_PROVIDER); otherwise any caller
+ * could make the server post to its own localhost ports.
+ */
+
+const OpenAI = require('openai');
+const { DEFAULT_MODEL } = require('./provenance');
+const { getFixtureFetch } = require('./llm-fixtures');
+
+const AUTH_SCHEMES = ['bearer', 'api-key', 'none'];
+
+const BUILTIN_PROVIDERS = {
+  openai: {
+    baseURL: null,
+    model: DEFAULT_MODEL,
+    authScheme: 'bearer',
+    keyPrefix: 'sk-',
+    jsonMode: true,
+    structuredOutputs: true,
+    batch: true,
+    exposeRaw: true
+  }
+};
+
+// Filled in for a name listed in LLM_PROVIDERS, e.g. '{"ollama":{}}'
+const PROVIDER_PRESETS = {
+  ollama: {
+    baseURL: 'http://localhost:11434/v1',
+    model: 'llama3.1',
+    authScheme: 'none',
+    jsonMode: true,
+    batch: false
+  },
+  llamacpp: {
+    baseURL: 'http://localhost:8080/v1',
+    model: 'local',
+    authScheme: 'none',
+    jsonMode: true,
+    batch: false
+  }
+};
+
+const PROVIDER_DEFAULTS = {
+  baseURL: null,
+  model: DEFAULT_MODEL,
+  authScheme: 'bearer',
+  apiKey: null,
+  keyPrefix: null,
+  jsonMode: true,
+  structuredOutputs: false,
+  batch: false,
+  exposeRaw: false
+};
+
+let providerTable = null;
+
+/**
+ * Provider table: built-ins merged with LLM_PROVIDERS from the environment
+ * e.g. LLM_PROVIDERS='{"lab":{"baseURL":"http://gpu-box:8000/v1","model":"qwen2.5-7b","authScheme":"none"}}'
+ * LLM_MODEL overrides the default provider's model.
+ */
+function getProviders() {
+  if (!providerTable) {
+    let configured = {};
+    if (process.env.LLM_PROVIDERS) {
+      try {
+        configured = JSON.parse(process.env.LLM_PROVIDERS);
+      } catch (error) {
+        console.warn(`⚠️ Ignoring LLM_PROVIDERS: ${error.message}`);
+      }
+    }
+    const defaultName = getDefaultProviderName();
+    if (PROVIDER_PRESETS[defaultName] && !configured[defaultName]) {
+      configured[defaultName] = {};
+    }
+    setProviders(configured);
+
+    if (process.env.LLM_MODEL && providerTable[defaultName]) {
+      providerTable[defaultName].model = process.env.LLM_MODEL;
+    }
+  }
+  return providerTable;
+}
+
+/**
+ * Replace the provider table (tests, or config loaded from elsewhere)
+ * Built-in providers are kept unless overridden; presets only when named
+ */
+function setProviders(providers) {
+  providerTable = {};
+  Object.entries({ ...BUILTIN_PROVIDERS, ...providers }).forEach(([name, config]) => {
+    const base = BUILTIN_PROVIDERS[name] || PROVIDER_PRESETS[name] || PROVIDER_DEFAULTS;
+    const provider = { ...PROVIDER_DEFAULTS, ...base, ...config, name };
+
+    if (!AUTH_SCHEMES.includes(provider.authScheme)) {
+      console.warn(`⚠️ Provider "${name}" has unknown authScheme "${provider.authScheme}"; using bearer`);
+      provider.authScheme = 'bearer';
+    }
+    providerTable[name] = provider;
+  });
+}
+
+/**
+ * Provider used when a request doesn't name one (LLM_PROVIDER)
+ */
+function getDefaultProviderName() {
+  return process.env.LLM_PROVIDER || 'openai';
+}
+
+/**
+ * Look up a provider by name; null when it isn't configured
+ */
+function getProvider(name = null) {
+  return getProviders()[name || getDefaultProviderName()] || null;
+}
+
+/**
+ * Providers without their keys, for status output
+ */
+function listProviders() {
+  return Object.values(getProviders()).map(({ apiKey, ...provider }) => ({
+    ...provider,
+    hasServerKey: Boolean(apiKey)
+  }));
+}
+
+/**
+ * Whether a caller-supplied key looks right for a provider
+ */
+function isValidProviderKey(provider, apiKey) {
+  if (!apiKey || typeof apiKey !== 'string') {
+    return false;
+  }
+
+  // OpenAI keys start with 'sk-' and are at least 20 characters
+  if (provider.keyPrefix) {
+    return apiKey.startsWith(provider.keyPrefix) && apiKey.length >= 20;
+  }
+  return apiKey.trim().length > 0;
+}
+
+/**
+ * Whether calls can be made with the given key (or none)
+ */
+function canAuthenticate(provider, apiKey) {
+  return provider.authScheme === 'none' || Boolean(apiKey);
+}
+
+/**
+ * OpenAI SDK client for a provider
+ * Retries are ours (see llm-retry) so they can be counted and reported
+ */
+function createClient(provider, apiKey) {
+  const headers = {};
+  if (provider.authScheme !== 'bearer') {
+    // The SDK always sends a bearer token; null removes it
+    headers.Authorization = null;
+  }
+  if (provider.authScheme === 'api-key') {
+    headers['api-key'] = apiKey;
+  }
+
+  // LLM_FIXTURES=record|replay saves or serves chat completions (see llm-fixtures)
+  const fixtureFetch = getFixtureFetch();
+
+  return new OpenAI({
+    apiKey: apiKey || 'none',
+    ...(provider.baseURL && { baseURL: provider.baseURL }),
+    defaultHeaders: headers,
+    maxRetries: 0,
+    ...(fixtureFetch && { fetch: fixtureFetch })
+  });
+}
+
+/**
+ * Parse a JSON reply
+ * Without JSON mode, local models often wrap the object in a code
+ * fence or a sentence; the outermost {...} is tried before giving up
+ */
+function parseJsonReply(content) {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    const text = String(content || '').replace(/```(?:json)?/gi, '');
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      try {
+        return JSON.parse(text.slice(start, end + 1));
+      } catch (innerError) {
+        // Fall through to the original error
+      }
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  AUTH_SCHEMES,
+  BUILTIN_PROVIDERS,
+  PROVIDER_PRESETS,
+  getProviders,
+  setProviders,
+  getDefaultProviderName,
+  getProvider,
+  listProviders,
+  isValidProviderKey,
+  canAuthenticate,
+  createClient,
+  parseJsonReply
+};
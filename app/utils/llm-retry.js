@@ -0,0 +1,202 @@
+/**
+ * Retries for OpenAI Calls
+ * Retries rate limits (429), server errors (5xx) and dropped connections
+ * with jittered exponential backoff. When OpenAI says how long to wait
+ * (Retry-After, retry-after-ms or x-ratelimit-reset-*), that wins; a
+ * wait longer than maxDelayMs is not cut short, the call gives up instead.
+ * The SDK's own retries are turned off so attempts are counted here.
+ */
+
+const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: 4,       // First try plus three retries
+  baseDelayMs: 500,
+  maxDelayMs: 30000
+};
+
+/**
+ * Retry settings from the environment, over the defaults
+ */
+function getRetryOptions(overrides = {}) {
+  const env = process.env;
+  const fromEnv = {};
+
+  if (env.LLM_MAX_ATTEMPTS) fromEnv.maxAttempts = Number(env.LLM_MAX_ATTEMPTS);
+  if (env.LLM_RETRY_BASE_MS) fromEnv.baseDelayMs = Number(env.LLM_RETRY_BASE_MS);
+  if (env.LLM_RETRY_MAX_MS) fromEnv.maxDelayMs = Number(env.LLM_RETRY_MAX_MS);
+
+  const options = { ...DEFAULT_RETRY_OPTIONS, ...fromEnv, ...overrides };
+  options.maxAttempts = Math.max(1, Math.floor(options.maxAttempts) || 1);
+  return options;
+}
+
+/**
+ * Read a header from an SDK error (Headers instance or plain object)
+ */
+function getHeader(headers, name) {
+  if (!headers) return null;
+  const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+  return value === undefined ? null : value;
+}
+
+/**
+ * Parse OpenAI reset durations like "1s", "6m0s", "250ms" into ms
+ */
+function parseResetDuration(value) {
+  if (!value) return null;
+
+  const pattern = /(\d+(?:\.\d+)?)(ms|h|m|s)/g;
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+  let total = 0;
+  let matched = false;
+  let match;
+
+  while ((match = pattern.exec(value)) !== null) {
+    total += Number(match[1]) * units[match[2]];
+    matched = true;
+  }
+
+  return matched ? Math.ceil(total) : null;
+}
+
+/**
+ * How long the server asked us to wait, or null if it didn't say
+ */
+function getServerDelay(error) {
+  const headers = error && error.headers;
+
+  const retryAfterMs = Number(getHeader(headers, 'retry-after-ms'));
+  if (Number.isFinite(retryAfterMs) && retryAfterMs > 0) {
+    return retryAfterMs;
+  }
+
+  const retryAfter = getHeader(headers, 'retry-after');
+  if (retryAfter !== null) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+
+  // Rate-limit headers: wait for whichever exhausted window resets
+  const resets = [
+    ['x-ratelimit-remaining-requests', 'x-ratelimit-reset-requests'],
+    ['x-ratelimit-remaining-tokens', 'x-ratelimit-reset-tokens']
+  ]
+    .filter(([remaining]) => getHeader(headers, remaining) === '0')
+    .map(([, reset]) => parseResetDuration(getHeader(headers, reset)))
+    .filter(delay => delay !== null);
+
+  return resets.length ? Math.max(...resets) : null;
+}
+
+/**
+ * Whether an error is worth retrying
+ * An exhausted quota also comes back as 429 but won't clear by waiting
+ */
+function isRetryableError(error) {
+  if (!error) return false;
+  if (error.name === 'AbortError' || error.name === 'APIUserAbortError') return false;
+
+  const code = error.code || (error.error && error.error.code);
+  if (code === 'insufficient_quota') return false;
+
+  const status = error.status;
+  if (status === undefined || status === null) {
+    // No HTTP response at all: connection reset, timeout, DNS
+    return /Connection|Timeout|FetchError/i.test(error.name || '') ||
+      ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN'].includes(error.code);
+  }
+
+  return status === 408 || status === 409 || status === 429 || status >= 500;
+}
+
+/**
+ * Delay before retry number `attempt` (1 = first retry)
+ * Exponential with "equal jitter": half fixed, half random
+ */
+function getBackoffDelay(attempt, options = DEFAULT_RETRY_OPTIONS, random = Math.random) {
+  const exponential = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(exponential / 2 + random() * (exponential / 2));
+}
+
+/**
+ * Wait, or reject early when the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason || new Error('Aborted'));
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason || new Error('Aborted'));
+    };
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Run `fn` with retries
+ *
+ * Options: maxAttempts, baseDelayMs, maxDelayMs, signal, onRetry(info)
+ * Resolves with { value, retries }. When every attempt fails, the last
+ * error is thrown with `retries` and `attempts` set on it. A server delay
+ * over maxDelayMs ends the retries at once, with `retryAfterMs` set too.
+ */
+async function withRetries(fn, options = {}) {
+  const settings = getRetryOptions(options);
+  const { signal = null, onRetry = null } = options;
+  let attempt = 0;
+
+  while (true) {
+    attempt++;
+    try {
+      const value = await fn(attempt);
+      return { value, retries: attempt - 1 };
+    } catch (error) {
+      const serverDelay = isRetryableError(error) ? getServerDelay(error) : null;
+      const tooLong = serverDelay !== null && serverDelay > settings.maxDelayMs;
+      if (attempt >= settings.maxAttempts || !isRetryableError(error) || tooLong || (signal && signal.aborted)) {
+        if (tooLong) {
+          console.warn(`⏳ OpenAI call failed (${error.status || error.name}); server asked to wait ${serverDelay}ms, over the ${settings.maxDelayMs}ms limit, so not retrying`);
+          error.retryAfterMs = serverDelay;
+        }
+        error.retries = attempt - 1;
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const delay = serverDelay !== null ? serverDelay : getBackoffDelay(attempt, settings);
+
+      console.warn(`⏳ OpenAI call failed (${error.status || error.name}); retry ${attempt}/${settings.maxAttempts - 1} in ${delay}ms${serverDelay !== null ? ' (server requested)' : ''}`);
+      if (onRetry) {
+        onRetry({ attempt, delay, error });
+      }
+
+      await sleep(delay, signal);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY_OPTIONS,
+  getRetryOptions,
+  getServerDelay,
+  parseResetDuration,
+  isRetryableError,
+  getBackoffDelay,
+  withRetries,
+  sleep
+};
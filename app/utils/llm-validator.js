@@ -4,20 +4,81 @@
  * Enhanced with context awareness for social media mentions
  */
 
-const OpenAI = require('openai');
 const { getContextAnalysis } = require('./context-detector');
+const { getCacheInstance } = require('./cache-manager');
+const { hashContent } = require('./provenance');
+const { getProvider, canAuthenticate, createClient } = require('./llm-providers');
+const { getUsageTracker, createUsage, fromResponseUsage } = require('./usage-tracker');
+const { getRetryOptions, withRetries } = require('./llm-retry');
+const { chargeCall } = require('./spend-budget');
+const {
+  InvalidLLMOutputError,
+  describeInvalidOutput,
+  getRepairAttempts,
+  getResponseFormat,
+  parseLLMOutput,
+  buildRepairMessages,
+  completeWithRepairs
+} = require('./llm-output');
+const { UNTRUSTED_TEXT_RULE, quoteUserText } = require('./prompt-injection');
+
+const CACHE_SCOPE = 'llm:validate';
 
 class LLMValidator {
-  constructor(apiKey) {
-    if (!apiKey) {
-      console.warn('OpenAI API key not provided. LLM validation will be skipped.');
+  /**
+   * Options:
+   * - provider: provider name or object (see llm-providers; defaults to LLM_PROVIDER)
+   * - cache: CacheManager to use (defaults to the shared instance)
+   * - model: chat model name (defaults to the provider's model)
+   * - usageTracker: running token totals (defaults to the shared tracker)
+   * - retry: { maxAttempts, baseDelayMs, maxDelayMs } over LLM_* env settings
+   * - repairAttempts: re-asks for output that fails validation (LLM_REPAIR_ATTEMPTS)
+   */
+  constructor(apiKey, options = {}) {
+    this.provider = typeof options.provider === 'object' && options.provider
+      ? options.provider
+      : getProvider(options.provider);
+    if (!this.provider) {
+      throw new Error(`Unknown LLM provider "${options.provider}"`);
+    }
+
+    this.model = options.model || this.provider.model;
+    this.cache = options.cache || getCacheInstance();
+    this.usageTracker = options.usageTracker || getUsageTracker();
+    this.retryOptions = getRetryOptions(options.retry);
+    this.promptVersion = null;
+    this.repairAttempts = options.repairAttempts === undefined ? getRepairAttempts() : options.repairAttempts;
+    this.job = null;
+
+    const key = apiKey || this.provider.apiKey;
+    if (!canAuthenticate(this.provider, key)) {
+      console.warn(`${this.provider.name} API key not provided. LLM validation will be skipped.`);
       this.enabled = false;
       return;
     }
 
-    this.openai = new OpenAI({ apiKey });
+    this.openai = createClient(this.provider, key);
     this.enabled = true;
-    this.cache = new Map();
+  }
+
+  /**
+   * View of this validator whose completions are charged to the job's
+   * budget and stop when the job is cancelled
+   */
+  forJob(job) {
+    const view = Object.create(this);
+    view.job = job;
+    return view;
+  }
+
+  /**
+   * Hash of the validation prompt template
+   */
+  getPromptVersion() {
+    if (!this.promptVersion) {
+      this.promptVersion = hashContent(this.buildValidationPrompt('{{text}}', null, null));
+    }
+    return this.promptVersion;
   }
 
   /**
@@ -38,29 +99,46 @@ class LLMValidator {
     const contextAnalysis = getContextAnalysis(text);
 
     // Check cache first
-    const cacheKey = `${text}_${JSON.stringify(extractedLocation)}`;
-    if (this.cache.has(cacheKey)) {
-      return this.cache.get(cacheKey);
+    const cacheKey = this.cache.buildKey(CACHE_SCOPE, text, {
+      model: this.model,
+      promptVersion: this.getPromptVersion(),
+      provider: this.provider.name === 'openai' ? undefined : this.provider.name,
+      extractedLocation: extractedLocation || null
+    });
+    const cached = this.cache.get(cacheKey);
+    if (cached) {
+      return { ...cached, usage: createUsage(this.model), retries: 0, cached: true };
     }
 
     try {
       const prompt = this.buildValidationPrompt(text, extractedLocation, contextAnalysis);
       const response = await this.callGPT4oMini(prompt);
 
-      // Cache the result
-      this.cache.set(cacheKey, response);
+      const { usage, retries, ...answer } = response;
+      this.cache.set(cacheKey, answer);
 
       return response;
     } catch (error) {
-      console.error('LLM validation error:', error);
+      const invalid = error instanceof InvalidLLMOutputError;
+      if (invalid) {
+        console.warn(`⚠️ LLM validation output failed validation: ${error.message}`);
+      } else {
+        console.error('LLM validation error:', error);
+      }
 
       // Fallback to rule-based result
       return {
         hasLocation: !!extractedLocation,
         confidence: extractedLocation ? 40 : 60,
         location: extractedLocation,
-        reasoning: 'LLM validation failed, using rule-based result',
-        method: 'fallback'
+        reasoning: invalid
+          ? 'LLM validation output was invalid, using rule-based result'
+          : 'LLM validation failed, using rule-based result',
+        method: invalid ? 'invalid_llm_output' : 'fallback',
+        error: error.message,
+        ...(invalid && describeInvalidOutput(this.provider, error)),
+        ...(error.usage && { usage: error.usage }),
+        retries: error.retries || 0
       };
     }
   }
@@ -101,6 +179,7 @@ CRITICAL RULES FOR SOCIAL MEDIA:
 3. Political figures (Bongbong Marcos, Sara Duterte) are PEOPLE, NOT locations
 4. Celebrity names are PEOPLE, NOT locations
 5. Only identify ACTUAL user locations, not mentioned people/places
+6. ${UNTRUSTED_TEXT_RULE}
 
 Important Context Rules:
 1. "Marcos" in "@bongbongmarcos" = President, NOT Marcos municipality
@@ -109,7 +188,7 @@ Important Context Rules:
 4. "wala" or "walang" means "no/without" in Filipino, NOT a location
 ${contextWarnings}
 
-Text: "${text}"
+Text: ${quoteUserText(text)}
 Rule-based extraction: ${extractedLocation ? JSON.stringify(extractedLocation) : 'None'}
 
 Analyze considering the context above and return JSON:
@@ -135,27 +214,52 @@ Examples:
   }
 
   /**
-   * Call GPT-4o-mini API
+   * Call the chat model (GPT-4o-mini unless configured otherwise)
+   * Replies are validated and re-asked like extraction replies
    */
   async callGPT4oMini(prompt) {
-    const response = await this.openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [{
-        role: "user",
-        content: prompt
-      }],
-      temperature: 0.1,  // Low temperature for consistency
-      max_tokens: 200,
-      response_format: { type: "json_object" }
-    });
+    const { value, usage, retries } = await completeWithRepairs(
+      repair => this.createCompletion(prompt, repair),
+      completion => parseLLMOutput('validate', completion.content, completion.finishReason),
+      this.repairAttempts
+    );
 
-    const result = JSON.parse(response.choices[0].message.content);
     return {
-      ...result,
-      method: 'llm_validated'
+      ...value,
+      method: 'llm_validated',
+      usage,
+      retries
     };
   }
 
+  /**
+   * One chat completion with retries and usage accounting, charged to
+   * the job's budget and stopped by its signal when this is a job view
+   */
+  async createCompletion(prompt, repair = null) {
+    const responseFormat = getResponseFormat(this.provider, 'validate');
+    const signal = this.job ? this.job.signal : null;
+    return chargeCall(this.job && this.job.budget, this.model, async () => {
+      const { value: response, retries } = await withRetries(() => this.openai.chat.completions.create({
+        model: this.model,
+        messages: [{
+          role: "user",
+          content: prompt
+        }, ...(repair ? buildRepairMessages(repair) : [])],
+        temperature: 0.1,  // Low temperature for consistency
+        max_tokens: repair && repair.truncated ? 400 : 200,
+        ...(responseFormat && { response_format: responseFormat })
+      }, signal ? { signal } : undefined), { ...this.retryOptions, signal });
+
+      // Count tokens before parsing: malformed output was still paid for
+      const usage = fromResponseUsage(this.model, response.usage);
+      this.usageTracker.record(usage);
+
+      const choice = response.choices[0];
+      return { content: choice.message.content, finishReason: choice.finish_reason, usage, retries };
+    });
+  }
+
   /**
    * Batch validate multiple texts
    */
@@ -189,7 +293,9 @@ Examples:
 
     const prompt = `Review this text to check if it contains a user location that might have been missed.
 
-Text: "${text}"
+Text: ${quoteUserText(text)}
+
+${UNTRUSTED_TEXT_RULE}.
 
 Look for:
 1. Subtle location mentions
@@ -219,7 +325,7 @@ Be conservative - only identify clear user locations.`;
    * Clear cache
    */
   clearCache() {
-    this.cache.clear();
+    this.cache.clear(CACHE_SCOPE);
   }
 
   /**
@@ -227,8 +333,11 @@ Be conservative - only identify clear user locations.`;
    */
   getCacheStats() {
     return {
-      size: this.cache.size,
-      enabled: this.enabled
+      size: this.cache.countScope(CACHE_SCOPE),
+      enabled: this.enabled,
+      provider: this.provider.name,
+      model: this.model,
+      promptVersion: this.getPromptVersion()
     };
   }
 }
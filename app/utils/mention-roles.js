@@ -0,0 +1,131 @@
+/**
+ * Mention Roles for Multi-Location Extraction
+ * Classifies how a location is mentioned ("taga QC", "visited Cebu",
+ * "wala sa Makati") and picks the mention that is the user's own location
+ */
+
+// Roles a location mention can have
+const MENTION_ROLES = ['residence', 'current', 'visited', 'destination', 'negated', 'mentioned'];
+
+// Preference order when choosing the primary (user) location
+const PRIMARY_ROLE_ORDER = ['current', 'residence', 'mentioned', 'visited', 'destination'];
+
+// How far back to look for a cue before a mention
+const CUE_WINDOW = 40;
+
+// Cues are matched against the text right before the location name.
+// "wala pa rin" (still down) must not count as negation, so negation
+// cues need a locative particle directly in front of the name.
+const NEGATION_CUES = [
+  /\b(?:not|never|no\s+longer)\s+(?:(?:from|in|at|near|living\s+in|staying\s+in)\s+)?(?:the\s+)?$/i,
+  /\b(?:wala|hindi|di)\s+(?:(?:ako|kami|na|naman|pa|kasi)\s+)*(?:sa|taga|nasa)\s+$/i,
+  /\b(?:hindi|di)\s+(?:(?:ako|kami)\s+)?(?:taga|nakatira\s+sa)\s+$/i,
+  /\bn(?:ot|o)\s+(?:longer\s+)?(?:in|at)\s+$/i
+];
+
+const ROLE_CUES = {
+  destination: [
+    /\b(?:going|heading|moving|travel(?:l?ing)?|flying)\s+(?:to|back\s+to)\s+$/i,
+    /\b(?:papunta|pupunta|punta|lilipat|uuwi)\s+(?:(?:ako|kami|na)\s+)*(?:sa|ng)\s+$/i,
+    /\b(?:bound\s+for|trip\s+to|will\s+visit)\s+$/i
+  ],
+  visited: [
+    /\b(?:visited|went\s+to|was\s+in|were\s+in|been\s+to|came\s+from|stayed\s+in|traveled\s+to|travelled\s+to)\s+$/i,
+    /\b(?:galing|nagpunta|pumunta|bumisita|nagbakasyon)\s+(?:(?:ako|kami|pa|lang)\s+)*(?:sa|ng)\s+$/i
+  ],
+  residence: [
+    /\b(?:taga|tiga)\s*-?\s*$/i,
+    /\b(?:i'?m\s+from|we'?re\s+from|from|live\s+in|living\s+in|lives\s+in|reside\s+in|resident\s+of|home\s+in|based\s+in)\s+$/i,
+    /\b(?:nakatira|tumira)\s+(?:(?:ako|kami)\s+)*sa\s+$/i,
+    /\b(?:address|location)\s*(?:is|=|:)\s*$/i
+  ],
+  current: [
+    /\b(?:dito|dto|rito|nandito|andito|narito)\s+(?:(?:ako|kami|na|pa)\s+)*(?:sa\s+)?$/i,
+    /\b(?:here\s+in|currently\s+in|right\s+now\s+in|nasa|andito\s+sa|area\s+namin\s+sa)\s+$/i,
+    /\b(?:in|at|sa)\s+$/i
+  ]
+};
+
+/**
+ * Text before a mention, cut at the previous clause boundary
+ */
+function getCueWindow(text, start) {
+  if (!text || typeof start !== 'number' || start <= 0) return '';
+
+  const before = text.slice(Math.max(0, start - CUE_WINDOW), start);
+  const clauses = before.split(/[.!?;]|\bbut\b|\bpero\b|\bthen\b/i);
+  return clauses[clauses.length - 1];
+}
+
+/**
+ * Check whether the location starting at `start` is negated
+ * ("wala sa Makati", "not in Cebu")
+ */
+function isNegatedMention(text, start) {
+  const window = getCueWindow(text, start);
+  return NEGATION_CUES.some(pattern => pattern.test(window));
+}
+
+/**
+ * Classify the role of the location starting at `start`
+ */
+function classifyMentionRole(text, start) {
+  if (isNegatedMention(text, start)) {
+    return 'negated';
+  }
+
+  const window = getCueWindow(text, start);
+  for (const role of ['destination', 'visited', 'residence', 'current']) {
+    if (ROLE_CUES[role].some(pattern => pattern.test(window))) {
+      return role;
+    }
+  }
+
+  // A trailing "area" reads like the user's own area
+  const after = text.slice(start).match(/^[^,.!?;]*?\barea\b/i);
+  if (after && after[0].length <= CUE_WINDOW) {
+    return 'current';
+  }
+
+  return 'mentioned';
+}
+
+/**
+ * Coerce a role from any source to one of MENTION_ROLES
+ */
+function normalizeRole(role) {
+  const lower = typeof role === 'string' ? role.trim().toLowerCase() : '';
+  return MENTION_ROLES.includes(lower) ? lower : 'mentioned';
+}
+
+/**
+ * Pick the index of the mention that is the user's own location
+ * Negated mentions are never primary; returns null if none qualify
+ */
+function pickPrimaryMention(mentions) {
+  let primary = null;
+  let bestRank = Infinity;
+
+  (mentions || []).forEach((mention, index) => {
+    const rank = PRIMARY_ROLE_ORDER.indexOf(normalizeRole(mention.role));
+    if (rank === -1) return;
+
+    const better = rank < bestRank ||
+      (rank === bestRank && (mention.confidence || 0) > (mentions[primary].confidence || 0));
+
+    if (better) {
+      primary = index;
+      bestRank = rank;
+    }
+  });
+
+  return primary;
+}
+
+module.exports = {
+  MENTION_ROLES,
+  isNegatedMention,
+  classifyMentionRole,
+  normalizeRole,
+  pickPrimaryMention
+};
@@ -0,0 +1,134 @@
+/**
+ * Confidence-Based Model Routing
+ * The configured (cheap) model answers first. A stronger model is asked
+ * only when that answer looks unreliable: low confidence, a location
+ * the gazetteer doesn't know, or a municipality name shared by several
+ * provinces ("Burgos", "San Jose") that the text itself doesn't settle.
+ */
+
+const { validateLocation } = require('./gazetteer-validator');
+const { getLocationIndex } = require('../parsers/hierarchical-location-index');
+const { normalizeLocationFields } = require('../parsers/location-parser-v5');
+
+const ROUTING_DEFAULTS = {
+  escalateModel: null,     // No escalation unless a model is configured
+  minConfidence: 70,
+  onGazetteerMiss: true,
+  onAmbiguous: true
+};
+
+const FLAG_FIELDS = ['onGazetteerMiss', 'onAmbiguous'];
+
+/**
+ * Server-wide routing defaults from the environment
+ */
+function getEnvRouting() {
+  const env = process.env;
+  const routing = {};
+
+  if (env.LLM_ESCALATE_MODEL) routing.escalateModel = env.LLM_ESCALATE_MODEL;
+  if (env.LLM_ESCALATE_MIN_CONFIDENCE) routing.minConfidence = Number(env.LLM_ESCALATE_MIN_CONFIDENCE);
+  if (env.LLM_ESCALATE_ON_GAZETTEER_MISS) routing.onGazetteerMiss = env.LLM_ESCALATE_ON_GAZETTEER_MISS !== 'false';
+  if (env.LLM_ESCALATE_ON_AMBIGUOUS) routing.onAmbiguous = env.LLM_ESCALATE_ON_AMBIGUOUS !== 'false';
+
+  return routing;
+}
+
+/**
+ * Combine request routing options with server defaults
+ * `false` turns routing off for the request. Returns { error } when
+ * the options are invalid, null when nothing would escalate.
+ */
+function resolveRouting(requested = {}, defaults = getEnvRouting()) {
+  if (requested === false) {
+    return null;
+  }
+  if (requested === null || typeof requested !== 'object' || Array.isArray(requested)) {
+    return { error: 'routing must be an object or false' };
+  }
+
+  const routing = { ...ROUTING_DEFAULTS, ...defaults };
+
+  if (requested.escalateModel !== undefined) {
+    if (requested.escalateModel !== null && (typeof requested.escalateModel !== 'string' || !requested.escalateModel.trim())) {
+      return { error: 'routing.escalateModel must be a model name' };
+    }
+    routing.escalateModel = requested.escalateModel;
+  }
+
+  if (requested.minConfidence !== undefined) {
+    const minConfidence = Number(requested.minConfidence);
+    if (!Number.isFinite(minConfidence) || minConfidence < 0 || minConfidence > 100) {
+      return { error: 'routing.minConfidence must be a number between 0 and 100' };
+    }
+    routing.minConfidence = minConfidence;
+  }
+
+  for (const field of FLAG_FIELDS) {
+    if (requested[field] !== undefined) {
+      if (typeof requested[field] !== 'boolean') {
+        return { error: `routing.${field} must be true or false` };
+      }
+      routing[field] = requested[field];
+    }
+  }
+
+  return routing.escalateModel ? routing : null;
+}
+
+/**
+ * Whether a city name belongs to municipalities in more than one
+ * province and the text doesn't name the province the model chose
+ */
+function isAmbiguousCity(text, location) {
+  const index = getLocationIndex();
+  const candidates = index.cityIndex[index.normalizeKey(location.city)] || [];
+  const provinces = new Set(candidates.map(candidate => candidate.province));
+  if (provinces.size < 2) {
+    return false;
+  }
+
+  const province = index.normalizeKey(location.province);
+  return !province || province === 'none' || !index.normalizeKey(text).includes(province);
+}
+
+/**
+ * Why an answer should go to the stronger model; empty when it's fine
+ * Output that failed validation escalates; call errors and non-LLM
+ * results (pre-filtered, disabled) never do
+ */
+function getEscalationReasons(text, result, routing) {
+  if (routing && result.method === 'invalid_llm_output') {
+    return ['invalid_output'];
+  }
+  if (!routing || result.method !== 'llm_extracted') {
+    return [];
+  }
+
+  const reasons = [];
+  if (typeof result.confidence !== 'number' || result.confidence < routing.minConfidence) {
+    reasons.push('low_confidence');
+  }
+
+  if (result.hasLocation && result.location) {
+    const location = normalizeLocationFields(result.location);
+    const { gazetteer } = validateLocation(location);
+
+    if (routing.onGazetteerMiss && (gazetteer.status === 'unverified' || gazetteer.hallucinated.length > 0)) {
+      reasons.push('gazetteer_miss');
+    }
+    if (routing.onAmbiguous && location.city && location.city !== 'None' &&
+        (gazetteer.ambiguous || isAmbiguousCity(text, location))) {
+      reasons.push('ambiguous_city');
+    }
+  }
+
+  return reasons;
+}
+
+module.exports = {
+  ROUTING_DEFAULTS,
+  getEnvRouting,
+  resolveRouting,
+  getEscalationReasons
+};
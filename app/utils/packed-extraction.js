@@ -0,0 +1,113 @@
+/**
+ * Packed Extraction Helpers
+ * Several short comments go into one chat completion and come back as
+ * a JSON array keyed by item ID, so the ~800-token instructions are
+ * paid once per pack instead of once per comment.
+ */
+
+const { estimateTokens } = require('./usage-tracker');
+const { parseJsonReply } = require('./llm-providers');
+
+const PACK_LIMITS = {
+  defaultSize: 10,
+  maxSize: 50,
+  maxPackTextTokens: 3000,   // Comment tokens per packed prompt
+  maxItemTokens: 300,        // Longer comments are sent on their own
+  completionPerItem: 90,     // Output tokens allowed per comment
+  completionOverhead: 100
+};
+
+/**
+ * Pack size from LLM_PACK_SIZE, or the default
+ */
+function getDefaultPackSize() {
+  const size = Number(process.env.LLM_PACK_SIZE);
+  return Number.isInteger(size) && size > 1 ? Math.min(size, PACK_LIMITS.maxSize) : PACK_LIMITS.defaultSize;
+}
+
+/**
+ * Whether a comment is short enough to share a prompt
+ */
+function isPackable(text) {
+  return estimateTokens(text) <= PACK_LIMITS.maxItemTokens;
+}
+
+/**
+ * Split queued items into packs by count and by prompt size
+ */
+function chunkPackItems(items, packSize) {
+  const packs = [];
+  let current = [];
+  let tokens = 0;
+
+  items.forEach(item => {
+    const itemTokens = estimateTokens(item.text);
+    if (current.length > 0 && (current.length >= packSize || tokens + itemTokens > PACK_LIMITS.maxPackTextTokens)) {
+      packs.push(current);
+      current = [];
+      tokens = 0;
+    }
+    current.push(item);
+    tokens += itemTokens;
+  });
+
+  if (current.length > 0) packs.push(current);
+  return packs;
+}
+
+/**
+ * Output tokens to allow for a pack
+ */
+function getPackMaxTokens(size) {
+  return PACK_LIMITS.completionOverhead + size * PACK_LIMITS.completionPerItem;
+}
+
+/**
+ * Error for a reply that can't be used as a whole (cut off or not JSON);
+ * the pack is split and retried
+ */
+class PackReplyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PackReplyError';
+  }
+}
+
+/**
+ * Parse a packed reply into a Map of id -> entry
+ * Throws PackReplyError when the reply has no usable results array
+ */
+function parsePackedReply(content, finishReason) {
+  if (finishReason === 'length') {
+    throw new PackReplyError('Packed reply was cut off at max_tokens');
+  }
+
+  let parsed;
+  try {
+    parsed = parseJsonReply(content);
+  } catch (error) {
+    throw new PackReplyError(`Packed reply is not JSON: ${error.message}`);
+  }
+
+  if (!parsed || !Array.isArray(parsed.results)) {
+    throw new PackReplyError('Packed reply has no results array');
+  }
+
+  const entries = new Map();
+  parsed.results.forEach(entry => {
+    if (entry && entry.id !== undefined && entry.id !== null) {
+      entries.set(String(entry.id), entry);
+    }
+  });
+  return entries;
+}
+
+module.exports = {
+  PACK_LIMITS,
+  PackReplyError,
+  getDefaultPackSize,
+  isPackable,
+  chunkPackItems,
+  getPackMaxTokens,
+  parsePackedReply
+};
@@ -0,0 +1,62 @@
+/**
+ * Provenance and Versioning for Extraction Results
+ * One place for the versions that decide whether a cached answer is
+ * still valid and that are reported with every result
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { GAZETTEER_PATH, PSGC_CODES_PATH } = require('../parsers/hierarchical-location-index');
+
+// Bump when parser or post-processing changes alter results
+const PARSER_VERSION = '5.0';
+
+// Model used when none is configured
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+let gazetteerVersion = null;
+
+/**
+ * Short, stable content hash
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(String(content)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Version of the bundled gazetteer: "<dataset>@<content hash>"
+ */
+function getGazetteerVersion() {
+  if (!gazetteerVersion) {
+    const dataset = path.basename(GAZETTEER_PATH, '.json').replace(/^.*_(\d{4}v\d+)$/, '$1');
+    // The PSGC table decides the codes, so it is part of the version
+    const content = [GAZETTEER_PATH, PSGC_CODES_PATH]
+      .filter(file => fs.existsSync(file))
+      .map(file => fs.readFileSync(file));
+    gazetteerVersion = `${dataset}@${hashContent(Buffer.concat(content))}`;
+  }
+  return gazetteerVersion;
+}
+
+/**
+ * Provenance block attached to results
+ * provider, model and promptVersion are null when no LLM was involved
+ */
+function buildProvenance({ provider = null, model = null, promptVersion = null } = {}) {
+  return {
+    parserVersion: PARSER_VERSION,
+    promptVersion,
+    provider,
+    model,
+    gazetteerVersion: getGazetteerVersion()
+  };
+}
+
+module.exports = {
+  PARSER_VERSION,
+  DEFAULT_MODEL,
+  hashContent,
+  getGazetteerVersion,
+  buildProvenance
+};
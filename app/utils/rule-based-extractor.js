@@ -0,0 +1,216 @@
+/**
+ * Rule-Based Location Extractor
+ * Runs the offline parsers and reports results in the same shape as
+ * LLMExtractor so the server can mix both (hybrid mode)
+ */
+
+const fs = require('fs');
+const { HierarchicalLocationParserV2 } = require('../parsers/hierarchical-parser-v2');
+const { getLocationIndex } = require('../parsers/hierarchical-location-index');
+const { getEnhancedMatcher } = require('../parsers/enhanced-location-matcher');
+const { EXCEL_INDEX_PATH } = require('../parsers/excel-location-index');
+const { normalizeLocation } = require('../parsers/location-normalizer');
+const { hasLocationData } = require('../parsers/location-parser-v5');
+const { lookupCodes } = require('./gazetteer-validator');
+const { pickPrimaryMention } = require('./mention-roles');
+const { findSpan, locateSpans } = require('./text-spans');
+
+// Hybrid mode: rule-based results at or above this confidence skip the LLM
+const DEFAULT_HYBRID_THRESHOLD = 80;
+
+let hierarchicalParser = null;
+let enhancedMatcher;   // undefined until first checked, null when unavailable
+
+function getHierarchicalParser() {
+  if (!hierarchicalParser) {
+    hierarchicalParser = new HierarchicalLocationParserV2();
+  }
+  return hierarchicalParser;
+}
+
+/**
+ * Convert a raw parser location to the display format used by v5 results
+ */
+function toResultLocation(rawLocation) {
+  const normalized = normalizeLocation({
+    region: rawLocation.region || 'None',
+    province: rawLocation.province || 'None',
+    city: rawLocation.city || 'None',
+    barangay: rawLocation.barangay || 'None'
+  });
+
+  const location = {
+    region: normalized.region || 'None',
+    province: normalized.province || 'None',
+    city: normalized.city || 'None',
+    barangay: normalized.barangay || 'None'
+  };
+
+  // Index entries carry their codes; other parsers get them looked up
+  const codes = rawLocation.regionCode ? getLocationIndex().getCodes(rawLocation) : lookupCodes(location);
+  return { ...location, ...codes };
+}
+
+/**
+ * Run HierarchicalLocationParserV2
+ */
+function runHierarchical(text) {
+  const detailed = getHierarchicalParser().parseLocationDetailed(text);
+  if (!detailed) return null;
+
+  return {
+    location: toResultLocation(detailed.location),
+    confidence: Math.round(detailed.confidence * 100),
+    ambiguous: detailed.ambiguous,
+    source: 'hierarchical_v2'
+  };
+}
+
+/**
+ * EnhancedLocationMatcher, or null when its Excel-derived index is
+ * missing or failed to load. The index is optional (built by
+ * utils/convert-excel-to-json.js), so it is checked once and reported
+ * in one line.
+ */
+function getOptionalEnhancedMatcher() {
+  if (enhancedMatcher === undefined) {
+    enhancedMatcher = null;
+    if (!fs.existsSync(EXCEL_INDEX_PATH)) {
+      console.warn(`⚠️ Enhanced matcher off: ${EXCEL_INDEX_PATH} does not exist (optional; see utils/convert-excel-to-json.js)`);
+    } else if (getEnhancedMatcher().excelIndex.initialized) {
+      enhancedMatcher = getEnhancedMatcher();
+    }
+  }
+  return enhancedMatcher;
+}
+
+/**
+ * Run EnhancedLocationMatcher when its index is available
+ */
+function runEnhancedMatcher(text) {
+  const matcher = getOptionalEnhancedMatcher();
+  if (!matcher) return null;
+
+  const match = matcher.findLocationWithBoundaries(text);
+  if (!match) return null;
+
+  return {
+    location: toResultLocation(match),
+    confidence: Math.round((match.confidence || 0) * 100),
+    ambiguous: (match.validationDetails || []).some(detail =>
+      /multiple matches/i.test(detail)
+    ),
+    spans: match.spans,
+    source: 'enhanced_matcher'
+  };
+}
+
+/**
+ * Extract a location using only the rule-based parsers
+ * Confidence is reported on the same 0-100 scale as the LLM
+ */
+function extractWithRules(text) {
+  if (!text || typeof text !== 'string' || !text.trim()) {
+    return {
+      hasLocation: false,
+      confidence: 0,
+      location: null,
+      ambiguous: false,
+      reasoning: 'No text to parse',
+      method: 'rule_based_no_match'
+    };
+  }
+
+  const candidates = [runHierarchical(text), runEnhancedMatcher(text)]
+    .filter(candidate => candidate && hasLocationData(candidate.location));
+
+  if (candidates.length === 0) {
+    return {
+      hasLocation: false,
+      confidence: 0,
+      location: null,
+      ambiguous: false,
+      reasoning: 'No rule-based parser matched a location',
+      method: 'rule_based_no_match'
+    };
+  }
+
+  // Prefer unambiguous answers, then the more confident parser
+  candidates.sort((a, b) =>
+    (a.ambiguous - b.ambiguous) || (b.confidence - a.confidence)
+  );
+  const best = candidates[0];
+  const { spans, match } = locateSpans(text, best.location, { hints: best.spans });
+
+  return {
+    hasLocation: true,
+    confidence: best.confidence,
+    location: best.location,
+    spans,
+    match,
+    ambiguous: best.ambiguous,
+    reasoning: `Matched by ${best.source}${best.ambiguous ? ' (ambiguous name)' : ''}`,
+    method: 'rule_based',
+    source: best.source
+  };
+}
+
+/**
+ * Whether a rule-based result is good enough to skip the LLM in hybrid mode
+ */
+function isConfidentRuleResult(ruleResult, threshold = DEFAULT_HYBRID_THRESHOLD) {
+  return ruleResult.hasLocation &&
+    !ruleResult.ambiguous &&
+    ruleResult.confidence >= threshold;
+}
+
+/**
+ * Extract every location mention using the rule-based parser
+ * Returns { hasLocation, mentions, primary, method } with mention
+ * confidences on the 0-100 scale
+ */
+function extractMentionsWithRules(text) {
+  const { mentions } = getHierarchicalParser().extractMentions(text);
+
+  const results = mentions
+    .map(mention => {
+      const location = toResultLocation(mention.location);
+
+      // Parser offsets can be in preprocessed text; re-locate in the original
+      const quoted = findSpan(text, mention.text, { near: mention.start });
+      const { spans, match } = locateSpans(text, location, { near: quoted ? quoted.start : mention.start });
+      const surface = match || quoted;
+
+      return {
+        location,
+        role: mention.role,
+        confidence: Math.round(mention.confidence * 100),
+        ambiguous: mention.ambiguous,
+        text: mention.text,
+        start: surface ? surface.start : null,
+        end: surface ? surface.end : null,
+        spans,
+        match: surface
+      };
+    })
+    .filter(mention => hasLocationData(mention.location));
+
+  return {
+    hasLocation: results.length > 0,
+    mentions: results,
+    primary: pickPrimaryMention(results),
+    reasoning: results.length > 0
+      ? `Found ${results.length} location mention(s) with hierarchical_v2`
+      : 'No rule-based parser matched a location',
+    method: results.length > 0 ? 'rule_based' : 'rule_based_no_match'
+  };
+}
+
+module.exports = {
+  DEFAULT_HYBRID_THRESHOLD,
+  extractWithRules,
+  extractMentionsWithRules,
+  isConfidentRuleResult,
+  getHierarchicalParser,
+  getOptionalEnhancedMatcher
+};
@@ -0,0 +1,98 @@
+/**
+ * Second-Pass Validation
+ * Extractions from texts with risky context (location-like @handles,
+ * location hashtags, political figures named after places) are sent to
+ * the context-aware LLMValidator, whose verdict is merged into the
+ * result. Opt-in per request with `validate: true`.
+ */
+
+const LLMValidator = require('./llm-validator');
+const { analyzeLocationRisk } = require('./context-detector');
+const { validateLocation } = require('./gazetteer-validator');
+const { normalizeLocationFields, hasLocationData } = require('../parsers/location-parser-v5');
+
+// Verdicts merged into results as `validation.verdict`
+const SECOND_PASS_VERDICTS = ['confirmed', 'corrected', 'rejected', 'unavailable'];
+
+// Most specific first; the deepest level both locations have decides
+const CODE_LEVELS = ['barangayCode', 'cityCode', 'provinceCode', 'regionCode'];
+
+// One validator per extractor, sharing its provider, key, model and cache
+const validators = new WeakMap();
+
+/**
+ * Risks analyzeLocationRisk finds in a text, as { type, value, risk }
+ */
+function getSecondPassRisks(text) {
+  return analyzeLocationRisk(text || '').risks
+    .map(({ type, value, risk }) => ({ type, value, risk }));
+}
+
+/**
+ * Whether a text has context the second pass looks at
+ */
+function hasSecondPassRisk(text) {
+  return getSecondPassRisks(text).length > 0;
+}
+
+/**
+ * Validator for an extractor's provider, key and model; a job view of
+ * the extractor gets a job view of the validator
+ */
+function getSecondPassValidator(llmExtractor) {
+  const base = llmExtractor.base || llmExtractor;
+  if (!validators.has(base)) {
+    validators.set(base, new LLMValidator(llmExtractor.enabled ? llmExtractor.openai.apiKey : null, {
+      provider: llmExtractor.provider,
+      model: llmExtractor.model,
+      cache: llmExtractor.cache,
+      usageTracker: llmExtractor.usageTracker,
+      retry: llmExtractor.retryOptions,
+      repairAttempts: llmExtractor.repairAttempts
+    }));
+  }
+  const validator = validators.get(base);
+  return llmExtractor.job ? validator.forJob(llmExtractor.job) : validator;
+}
+
+/**
+ * Whether two gazetteer locations name the same place at the deepest
+ * level both of them resolve
+ */
+function isSameLocation(a, b) {
+  const level = CODE_LEVELS.find(code => a[code] && b[code]);
+  return Boolean(level) && a[level] === b[level];
+}
+
+/**
+ * Verdict on an extracted location from the validator's answer
+ * Returns { verdict, location }; `location` is the validator's own
+ * location snapped to the gazetteer when it names a different place
+ */
+function judgeExtraction(location, validation) {
+  if (validation.method !== 'llm_validated') {
+    return { verdict: 'unavailable', location: null };
+  }
+  if (!validation.hasLocation) {
+    return { verdict: 'rejected', location: null };
+  }
+
+  const { location: checked } = validateLocation(normalizeLocationFields(validation.location || {}));
+  // A location the gazetteer doesn't know is no reason to drop ours
+  if (!hasLocationData(checked)) {
+    return { verdict: 'confirmed', location: null };
+  }
+
+  const { location: extracted } = validateLocation(location);
+  return isSameLocation(extracted, checked)
+    ? { verdict: 'confirmed', location: null }
+    : { verdict: 'corrected', location: checked };
+}
+
+module.exports = {
+  SECOND_PASS_VERDICTS,
+  getSecondPassRisks,
+  hasSecondPassRisk,
+  getSecondPassValidator,
+  judgeExtraction
+};
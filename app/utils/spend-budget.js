@@ -0,0 +1,227 @@
+/**
+ * Spend Guardrails for Batch Runs
+ * Caps how many LLM calls, tokens and estimated USD one job may use.
+ * LLMExtractor reserves every completion it sends (first answers,
+ * escalations, second passes, repair re-asks) through chargeCall, so
+ * the call cap is exact; attempts that fail and are retried aren't
+ * billed and aren't counted. Token and cost caps are checked against
+ * what has been spent, so calls already in flight may overshoot them by
+ * one batch at most. A cost cap can't be checked against a model with
+ * no price, so such calls are refused rather than let through.
+ */
+
+const { createUsage, sumUsage, getModelPrice } = require('./usage-tracker');
+
+// What happens to rows once a cap is reached
+const BUDGET_ACTIONS = ['rules', 'skip'];
+
+const LIMIT_FIELDS = ['maxLLMCalls', 'maxTokens', 'maxCostUsd'];
+
+/**
+ * Thrown instead of making a call once the budget is exhausted
+ */
+class BudgetExceededError extends Error {
+  constructor(reason) {
+    super(`Budget exhausted: ${reason}`);
+    this.name = 'BudgetExceededError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Server-wide per-job defaults from the environment
+ */
+function getEnvBudget() {
+  const env = process.env;
+  const budget = {};
+
+  if (env.BUDGET_MAX_LLM_CALLS) budget.maxLLMCalls = Number(env.BUDGET_MAX_LLM_CALLS);
+  if (env.BUDGET_MAX_TOKENS) budget.maxTokens = Number(env.BUDGET_MAX_TOKENS);
+  if (env.BUDGET_MAX_COST_USD) budget.maxCostUsd = Number(env.BUDGET_MAX_COST_USD);
+  if (env.BUDGET_ON_EXCEEDED) budget.onExceeded = env.BUDGET_ON_EXCEEDED;
+
+  return budget;
+}
+
+/**
+ * Combine request caps with server defaults; the tighter cap wins
+ * Returns { error } when the request caps are invalid
+ */
+function resolveBudget(requested = {}, defaults = getEnvBudget()) {
+  if (requested === null || typeof requested !== 'object' || Array.isArray(requested)) {
+    return { error: 'budget must be an object' };
+  }
+
+  const budget = { onExceeded: requested.onExceeded || defaults.onExceeded || 'rules' };
+
+  if (!BUDGET_ACTIONS.includes(budget.onExceeded)) {
+    return { error: `Invalid budget.onExceeded "${budget.onExceeded}". Expected one of: ${BUDGET_ACTIONS.join(', ')}` };
+  }
+
+  for (const field of LIMIT_FIELDS) {
+    const value = requested[field];
+    if (value !== undefined && value !== null && (!Number.isFinite(Number(value)) || Number(value) < 0)) {
+      return { error: `budget.${field} must be a non-negative number` };
+    }
+
+    const limits = [value, defaults[field]]
+      .filter(limit => limit !== undefined && limit !== null && Number.isFinite(Number(limit)))
+      .map(Number);
+    budget[field] = limits.length ? Math.min(...limits) : null;
+  }
+
+  return budget;
+}
+
+class SpendBudget {
+  constructor(limits = {}) {
+    this.limits = {
+      maxLLMCalls: limits.maxLLMCalls ?? null,
+      maxTokens: limits.maxTokens ?? null,
+      maxCostUsd: limits.maxCostUsd ?? null
+    };
+    this.onExceeded = limits.onExceeded || 'rules';
+    this.spent = createUsage();
+    this.pending = 0;
+    this.reason = null;
+    this.fallbackRows = 0;
+    this.skippedRows = 0;
+  }
+
+  /**
+   * Whether any cap is set
+   */
+  isLimited() {
+    return LIMIT_FIELDS.some(field => this.limits[field] !== null);
+  }
+
+  /**
+   * Reserve one LLM call to `model`; false once a cap has been reached
+   */
+  reserve(model = null) {
+    if (this.checkExhausted()) return false;
+
+    const { maxLLMCalls, maxCostUsd } = this.limits;
+    if (maxLLMCalls !== null && this.spent.calls + this.pending >= maxLLMCalls) {
+      this.exhaust(`maxLLMCalls reached (${maxLLMCalls} calls)`);
+      return false;
+    }
+    if (maxCostUsd !== null && model && !getModelPrice(model)) {
+      this.exhaust(`maxCostUsd can't be enforced for ${model}, which has no price (see LLM_PRICES)`);
+      return false;
+    }
+
+    this.pending++;
+    return true;
+  }
+
+  /**
+   * Release a reservation and record what the call actually used
+   * (a cache hit reports zero calls)
+   */
+  settle(usage) {
+    this.pending = Math.max(0, this.pending - 1);
+    if (usage) {
+      this.spent = sumUsage([this.spent, usage]);
+    }
+    this.checkExhausted();
+  }
+
+  /**
+   * Check the caps against what has been spent so far
+   */
+  checkExhausted() {
+    if (this.reason) return true;
+
+    const { maxLLMCalls, maxTokens, maxCostUsd } = this.limits;
+    if (maxLLMCalls !== null && this.spent.calls >= maxLLMCalls) {
+      this.exhaust(`maxLLMCalls reached (${this.spent.calls} of ${maxLLMCalls} calls)`);
+    } else if (maxTokens !== null && this.spent.totalTokens >= maxTokens) {
+      this.exhaust(`maxTokens reached (${this.spent.totalTokens} of ${maxTokens} tokens)`);
+    } else if (maxCostUsd !== null && this.spent.costIncomplete) {
+      this.exhaust(`maxCostUsd can't be enforced: ${this.spent.model} calls have no price (see LLM_PRICES)`);
+    } else if (maxCostUsd !== null && this.spent.costUsd >= maxCostUsd) {
+      this.exhaust(`maxCostUsd reached (${this.spent.costUsd} of ${maxCostUsd} USD)`);
+    }
+
+    return Boolean(this.reason);
+  }
+
+  /**
+   * Why spending `usage` on top of what has been spent would break the
+   * token or cost cap, or null if it fits (calls are capped by reserve)
+   */
+  getOverrun(usage) {
+    const { maxTokens, maxCostUsd } = this.limits;
+    const total = sumUsage([this.spent, usage]);
+
+    if (maxTokens !== null && total.totalTokens > maxTokens) {
+      return `maxTokens would be exceeded (~${total.totalTokens} of ${maxTokens} tokens)`;
+    }
+    if (maxCostUsd !== null && total.costIncomplete) {
+      return `maxCostUsd can't be enforced: ${total.model} has no price (see LLM_PRICES)`;
+    }
+    if (maxCostUsd !== null && total.costUsd > maxCostUsd) {
+      return `maxCostUsd would be exceeded (~${total.costUsd} of ${maxCostUsd} USD)`;
+    }
+    return null;
+  }
+
+  exhaust(reason) {
+    this.reason = reason;
+    console.log(`💸 Budget exhausted: ${reason}; remaining rows ${this.onExceeded === 'skip' ? 'are skipped' : 'use rule-based parsing'}`);
+  }
+
+  /**
+   * Count a row that did not get the LLM because of the budget
+   */
+  countRow() {
+    if (this.onExceeded === 'skip') {
+      this.skippedRows++;
+    } else {
+      this.fallbackRows++;
+    }
+  }
+
+  getStatus() {
+    return {
+      limits: this.limits,
+      onExceeded: this.onExceeded,
+      spent: this.spent,
+      exhausted: Boolean(this.reason),
+      reason: this.reason,
+      fallbackRows: this.fallbackRows,
+      skippedRows: this.skippedRows
+    };
+  }
+}
+
+/**
+ * Make one outbound call charged to `budget` (none when null): it is
+ * reserved first, then settled with the usage the completion reports
+ * Throws BudgetExceededError instead of calling once the budget is spent
+ */
+async function chargeCall(budget, model, call) {
+  if (!budget) return call();
+  if (!budget.reserve(model)) {
+    throw new BudgetExceededError(budget.reason);
+  }
+
+  let usage = null;
+  try {
+    const completion = await call();
+    usage = completion.usage;
+    return completion;
+  } finally {
+    budget.settle(usage);
+  }
+}
+
+module.exports = {
+  BUDGET_ACTIONS,
+  BudgetExceededError,
+  SpendBudget,
+  chargeCall,
+  resolveBudget,
+  getEnvBudget
+};
@@ -0,0 +1,281 @@
+/**
+ * Text Spans for Extracted Locations
+ * Finds where each resolved level appears in the ORIGINAL text so
+ * results can be highlighted and audited. Parsers match against
+ * preprocessed text (mentions, hashtags and URLs removed, aliases
+ * expanded), so spans are re-located in the original rather than
+ * carried over from processed offsets.
+ */
+
+const LEVELS = ['barangay', 'city', 'province', 'region'];
+
+// Short forms people write for a place, keyed by the normalized full name
+const SURFACE_ALIASES = {
+  'quezon': ['QC', 'Kyusi'],
+  'taguig': ['BGC', 'Fort Bonifacio'],
+  'general santos': ['Gensan', 'GenSan'],
+  'cagayan de oro': ['CDO'],
+  'manila': ['MNL'],
+  'makati': ['MKT'],
+  'rodriguez': ['Montalban'],
+  'general trias': ['Gen Trias', 'Gen. Trias', 'GenTri'],
+  'metro manila': ['NCR', 'MM'],
+  'national capital region': ['NCR', 'Metro Manila'],
+  'las pinas': ['Las Piñas'],
+  'paranaque': ['Parañaque'],
+  'santo nino': ['Sto. Niño', 'Sto Nino', 'Santo Niño']
+};
+
+// Phrases that introduce a location ("dto sa Burgos", "taga QC")
+const CUE_PREFIX = /(?:\b(?:dito|dto|rito|andito|nandito|nasa|taga|tiga|ako|kami|sa|here\s+in|from|in|at|near|around|brgy\.?|barangay)\s+)+$/i;
+
+/**
+ * Treat "None", null and empty strings as missing
+ */
+function isMissing(value) {
+  return !value || typeof value !== 'string' || value.trim() === '' || value.trim().toLowerCase() === 'none';
+}
+
+/**
+ * Lowercase, strip accents and punctuation
+ */
+function normalizeName(name) {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Ways a gazetteer or display name can be written in free text
+ */
+function getSurfaceVariants(name, level) {
+  const variants = new Set();
+  const base = name.trim();
+  variants.add(base);
+
+  // "LAHUG (POB.)", "National Capital Region (NCR)", "DAVAO (DAVAO DEL NORTE)"
+  const parenthetical = base.match(/^(.*?)\s*\(([^)]+)\)\s*$/);
+  const bare = parenthetical ? parenthetical[1].trim() : base;
+  variants.add(bare);
+  if (parenthetical && level === 'region') {
+    variants.add(parenthetical[2].trim());
+  }
+
+  // "CITY OF MAKATI" / "Makati City" -> "Makati"
+  const withoutCity = bare.replace(/^city\s+of\s+/i, '').replace(/\s+city$/i, '').trim();
+  variants.add(withoutCity);
+
+  if (level === 'barangay') {
+    const number = withoutCity.match(/^(?:barangay|brgy\.?)\s+(\S+)$/i);
+    if (number) {
+      variants.add(`Brgy. ${number[1]}`);
+      variants.add(`Brgy ${number[1]}`);
+      variants.add(`Bgy ${number[1]}`);
+    }
+  }
+
+  // "Sta. Ana" <-> "Santa Ana", "Sto. Tomas" <-> "Santo Tomas"
+  Array.from(variants).forEach(variant => {
+    variants.add(variant.replace(/\bSanta\b/i, 'Sta.').replace(/\bSanto\b/i, 'Sto.'));
+    variants.add(variant.replace(/\bSta\.?(?=\s)/i, 'Santa').replace(/\bSto\.?(?=\s)/i, 'Santo'));
+  });
+
+  const aliases = SURFACE_ALIASES[normalizeName(withoutCity)] || [];
+  aliases.forEach(alias => variants.add(alias));
+
+  // Longest first so "Quezon City" wins over "Quezon"
+  return Array.from(variants)
+    .filter(variant => variant.length >= 2)
+    .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Build a regex that matches a name with flexible spacing and dots
+ */
+function buildVariantPattern(variant, requireBoundary) {
+  const escaped = variant
+    .split(/\s+/)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\\\.$/, '\\.?'))
+    .join('[\\s-]+');
+
+  return requireBoundary
+    ? new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'giu')
+    : new RegExp(escaped, 'giu');
+}
+
+/**
+ * Ranges that parsers ignore: @mentions and URLs
+ */
+function getIgnoredRanges(text) {
+  const ranges = [];
+  const pattern = /@\w+|https?:\/\/\S+/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+  return ranges;
+}
+
+/**
+ * Ranges covered by #hashtags (locations may hide in "#AlterBacolod")
+ */
+function getHashtagRanges(text) {
+  const ranges = [];
+  const pattern = /#[\p{L}0-9_]+/gu;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+  return ranges;
+}
+
+function overlapsAny(start, end, ranges) {
+  return ranges.some(([rangeStart, rangeEnd]) => start < rangeEnd && rangeStart < end);
+}
+
+function insideAny(start, end, ranges) {
+  return ranges.some(([rangeStart, rangeEnd]) => start >= rangeStart && end <= rangeEnd);
+}
+
+function insideLonger(start, end, ranges) {
+  return ranges.some(([rangeStart, rangeEnd]) => start >= rangeStart && end <= rangeEnd && rangeEnd - rangeStart > end - start);
+}
+
+/**
+ * Every occurrence of a name's first variant found in the text, skipping
+ * mentions, URLs and `blocked` ranges; whole words first, then inside
+ * hashtags ("#AlterBacolod")
+ */
+function collectMatches(text, name, level = null, blocked = []) {
+  const ignored = getIgnoredRanges(text);
+  const hashtags = getHashtagRanges(text);
+
+  const collect = (requireBoundary) => {
+    const found = [];
+    for (const variant of getSurfaceVariants(name, level)) {
+      const pattern = buildVariantPattern(variant, requireBoundary);
+      let match;
+      while ((match = pattern.exec(text)) !== null) {
+        const start = match.index;
+        const end = start + match[0].length;
+        if (overlapsAny(start, end, ignored) || overlapsAny(start, end, blocked)) continue;
+        // Without word boundaries only hashtag text ("#AlterBacolod") is allowed
+        if (!requireBoundary && !insideAny(start, end, hashtags)) continue;
+        found.push({ start, end, text: match[0] });
+      }
+      if (found.length > 0) break;
+    }
+    return found;
+  };
+
+  const matches = collect(true);
+  return matches.length > 0 ? matches : collect(false);
+}
+
+/**
+ * Find a name in the original text
+ *
+ * Options:
+ * - level: which administrative level the name is (affects variants)
+ * - near: prefer the occurrence closest to this offset
+ * - taken: spans already assigned to other levels; never overlap them
+ * - longer: ranges of longer place names; occurrences inside one
+ *   ("Manila" in "Metro Manila") belong to that name and are skipped
+ *
+ * Returns { start, end, text } or null when the name isn't in the text
+ */
+function findSpan(text, name, options = {}) {
+  if (!text || isMissing(name)) return null;
+
+  const { level = null, near = null, taken = [], longer = [] } = options;
+  const candidates = collectMatches(text, name, level, taken.map(span => [span.start, span.end]))
+    .filter(match => !insideLonger(match.start, match.end, longer));
+  if (candidates.length === 0) return null;
+
+  if (typeof near === 'number') {
+    candidates.sort((a, b) => Math.abs(a.start - near) - Math.abs(b.start - near));
+  } else {
+    candidates.sort((a, b) => a.start - b.start);
+  }
+
+  return candidates[0];
+}
+
+/**
+ * Locate every level of a location in the original text
+ *
+ * Levels the text never mentions (inferred parents) get null.
+ * `hints` are spans from an earlier step (e.g. before gazetteer
+ * snapping) used when the final name can't be found.
+ *
+ * Returns { spans: { region, province, city, barangay }, match }
+ * where match covers all found levels plus a leading cue phrase
+ */
+function locateSpans(text, location, options = {}) {
+  const { near = null, hints = null } = options;
+  const spans = { region: null, province: null, city: null, barangay: null };
+
+  if (!text || !location) {
+    return { spans, match: null };
+  }
+
+  const taken = [];
+  let anchor = near;
+
+  // Where the other levels' names occur, so a shorter name isn't read off
+  // a longer one ("Manila" in "Metro Manila traffic, nasa Manila ako")
+  const occurrences = {};
+  LEVELS.forEach(level => {
+    occurrences[level] = isMissing(location[level]) ? [] : collectMatches(text, location[level], level);
+  });
+  const longerThan = level => LEVELS
+    .filter(other => other !== level)
+    .flatMap(other => occurrences[other].map(span => [span.start, span.end]));
+
+  // Most specific first: a barangay or city pins which occurrence we mean
+  LEVELS.forEach(level => {
+    const longer = longerThan(level);
+    let span = findSpan(text, location[level], { level, near: anchor, taken, longer });
+
+    const hint = hints && hints[level];
+    if (!span && hint && text.slice(hint.start, hint.end) === hint.text && !insideLonger(hint.start, hint.end, longer) &&
+        !overlapsAny(hint.start, hint.end, taken.map(other => [other.start, other.end]))) {
+      span = { start: hint.start, end: hint.end, text: hint.text };
+    }
+
+    if (span) {
+      spans[level] = span;
+      taken.push(span);
+      if (anchor === null) anchor = span.start;
+    }
+  });
+
+  return { spans, match: buildMatchSpan(text, taken) };
+}
+
+/**
+ * Union of level spans, extended left over a cue like "dto sa"
+ */
+function buildMatchSpan(text, levelSpans) {
+  if (levelSpans.length === 0) return null;
+
+  let start = Math.min(...levelSpans.map(span => span.start));
+  const end = Math.max(...levelSpans.map(span => span.end));
+
+  const cue = text.slice(0, start).match(CUE_PREFIX);
+  if (cue) {
+    start -= cue[0].length;
+  }
+
+  return { start, end, text: text.slice(start, end) };
+}
+
+module.exports = {
+  findSpan,
+  locateSpans,
+  getSurfaceVariants
+};
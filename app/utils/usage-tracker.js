@@ -0,0 +1,273 @@
+/**
+ * Token Usage and Cost Accounting
+ * Turns OpenAI `response.usage` into prompt/completion token counts and
+ * an estimated USD cost, keeps running totals for /api/status and
+ * predicts the cost of a run before any call is made
+ */
+
+// USD per 1M tokens; override or extend with LLM_PRICES (JSON)
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+  'gpt-4.1-nano': { input: 0.10, output: 0.40 },
+  'gpt-4.1': { input: 2.00, output: 8.00 }
+};
+
+// Batch API requests are billed at half the normal rate
+const BATCH_PRICE_FACTOR = 0.5;
+
+// Rough average of English/Filipino text; good enough for estimates
+const CHARS_PER_TOKEN = 4;
+
+// Chat formatting overhead per request
+const MESSAGE_OVERHEAD_TOKENS = 7;
+
+let priceTable = null;
+const warnedModels = new Set();
+
+/**
+ * Price table: defaults merged with LLM_PRICES from the environment
+ * e.g. LLM_PRICES='{"gpt-4o-mini":{"input":0.15,"output":0.6}}'
+ */
+function getPriceTable() {
+  if (!priceTable) {
+    priceTable = { ...DEFAULT_PRICES };
+
+    if (process.env.LLM_PRICES) {
+      try {
+        Object.assign(priceTable, JSON.parse(process.env.LLM_PRICES));
+      } catch (error) {
+        console.warn(`⚠️ Ignoring LLM_PRICES: ${error.message}`);
+      }
+    }
+  }
+  return priceTable;
+}
+
+/**
+ * Replace the price table (tests, or prices loaded from elsewhere)
+ */
+function setPriceTable(prices) {
+  priceTable = { ...prices };
+}
+
+/**
+ * Prices for a model; dated snapshots ("gpt-4o-mini-2024-07-18") use the base entry
+ */
+function getModelPrice(model) {
+  const prices = getPriceTable();
+  if (!model) return null;
+  if (prices[model]) return prices[model];
+
+  const base = Object.keys(prices)
+    .filter(name => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return base ? prices[base] : null;
+}
+
+/**
+ * Estimated USD cost of some token counts; null for unpriced models
+ * `priceFactor` scales list prices (BATCH_PRICE_FACTOR for the Batch API)
+ */
+function estimateCost(model, promptTokens, completionTokens, priceFactor = 1) {
+  const price = getModelPrice(model);
+  if (!price) {
+    if (model && !warnedModels.has(model)) {
+      warnedModels.add(model);
+      console.warn(`⚠️ No price configured for model "${model}"; cost will be reported as null`);
+    }
+    return null;
+  }
+
+  const cost = (promptTokens * price.input + completionTokens * price.output) * priceFactor / 1e6;
+  return Number(cost.toFixed(6));
+}
+
+/**
+ * Zero usage, for results that made no LLM call
+ */
+function createUsage(model = null) {
+  return {
+    model,
+    calls: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    costUsd: 0
+  };
+}
+
+/**
+ * Usage for one API response
+ */
+function fromResponseUsage(model, usage, priceFactor = 1) {
+  const promptTokens = (usage && usage.prompt_tokens) || 0;
+  const completionTokens = (usage && usage.completion_tokens) || 0;
+
+  return {
+    model,
+    calls: 1,
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    costUsd: estimateCost(model, promptTokens, completionTokens, priceFactor)
+  };
+}
+
+/**
+ * Sum usage records; cost stays null only if every priced part is unknown
+ */
+function sumUsage(records) {
+  const total = createUsage();
+  const models = new Set();
+  let unpriced = false;
+
+  records.filter(Boolean).forEach(usage => {
+    total.calls += usage.calls || 0;
+    total.promptTokens += usage.promptTokens || 0;
+    total.completionTokens += usage.completionTokens || 0;
+    total.totalTokens += usage.totalTokens || 0;
+    if (usage.costUsd === null) {
+      unpriced = unpriced || usage.calls > 0;
+    } else {
+      total.costUsd += usage.costUsd || 0;
+    }
+    if (usage.model) models.add(usage.model);
+  });
+
+  total.model = models.size === 1 ? Array.from(models)[0] : (models.size > 1 ? 'mixed' : null);
+  total.costUsd = Number(total.costUsd.toFixed(6));
+  if (unpriced) total.costIncomplete = true;
+  return total;
+}
+
+/**
+ * Share one call's usage across `parts` results (packed requests)
+ * The first part carries the call and any rounding remainder, so the
+ * parts always sum back to the original
+ */
+function splitUsage(usage, parts) {
+  if (parts <= 1) return [usage];
+
+  const share = (value, index) => {
+    const base = Math.floor(value / parts);
+    return index === 0 ? value - base * (parts - 1) : base;
+  };
+
+  return Array.from({ length: parts }, (_, index) => {
+    const promptTokens = share(usage.promptTokens, index);
+    const completionTokens = share(usage.completionTokens, index);
+    // Cost is shared in millionths of a dollar, the precision it is reported in
+    const costUsd = usage.costUsd === null
+      ? null
+      : share(Math.round(usage.costUsd * 1e6), index) / 1e6;
+
+    return {
+      model: usage.model,
+      calls: index === 0 ? usage.calls : 0,
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      costUsd
+    };
+  });
+}
+
+/**
+ * Approximate token count of a string
+ */
+function estimateTokens(text) {
+  return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+}
+
+/**
+ * Predict usage for texts before running them
+ *
+ * Options:
+ * - model: model the run will use
+ * - buildPrompt(text): the prompt that would be sent
+ * - needsLLM(text): whether the text would reach the LLM
+ * - completionTokens: expected output tokens per text
+ * - packTexts(texts): group texts into packed requests; buildPrompt
+ *   then receives each group instead of a single text
+ * - priceFactor: scales list prices (e.g. BATCH_PRICE_FACTOR)
+ */
+function estimateUsage(texts, options = {}) {
+  const { model, buildPrompt, needsLLM = () => true, completionTokens = 80, packTexts = null, priceFactor = 1 } = options;
+  const llmTexts = texts.filter(text => needsLLM(text));
+  const requests = packTexts ? packTexts(llmTexts) : llmTexts;
+
+  const calls = requests.length;
+  const promptTokens = requests.reduce((total, request) =>
+    total + estimateTokens(buildPrompt(request)) + MESSAGE_OVERHEAD_TOKENS, 0);
+
+  const totalCompletion = llmTexts.length * completionTokens;
+  return {
+    model,
+    calls,
+    promptTokens,
+    completionTokens: totalCompletion,
+    totalTokens: promptTokens + totalCompletion,
+    costUsd: estimateCost(model, promptTokens, totalCompletion, priceFactor)
+  };
+}
+
+/**
+ * Running totals since the process started
+ */
+class UsageTracker {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.startedAt = Date.now();
+    this.byModel = {};
+  }
+
+  /**
+   * Add the usage of one API call
+   */
+  record(usage) {
+    if (!usage || !usage.calls) return;
+
+    const model = usage.model || 'unknown';
+    this.byModel[model] = sumUsage([this.byModel[model], usage]);
+  }
+
+  getStats() {
+    return {
+      since: new Date(this.startedAt).toISOString(),
+      ...sumUsage(Object.values(this.byModel)),
+      byModel: this.byModel
+    };
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getUsageTracker() {
+  if (!instance) {
+    instance = new UsageTracker();
+  }
+  return instance;
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  BATCH_PRICE_FACTOR,
+  UsageTracker,
+  getUsageTracker,
+  getPriceTable,
+  setPriceTable,
+  getModelPrice,
+  estimateCost,
+  createUsage,
+  fromResponseUsage,
+  sumUsage,
+  splitUsage,
+  estimateTokens,
+  estimateUsage
+};